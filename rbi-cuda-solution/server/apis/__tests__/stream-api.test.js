@@ -0,0 +1,111 @@
+/**
+ * Stream API tests
+ */
+
+const express = require('express');
+const request = require('supertest');
+const createStreamApi = require('../stream-api');
+const AuthService = require('../../services/auth-service');
+const { errorHandlerMiddleware } = require('../../utils/error-handler');
+const { AUTH_CONFIG, RECORDING_CONFIG } = require('../../utils/config');
+
+const ALICE = { id: 'alice', groups: ['finance'], scheme: 'jwt' };
+const ADMIN = { id: 'root', groups: [AUTH_CONFIG.adminGroup], scheme: 'jwt' };
+
+const STREAM = {
+  options: { quality: 'medium', width: 1280, height: 720, frameRate: 30, bitrate: 2000000 },
+  transport: 'websocket',
+  codec: 'h264'
+};
+
+/**
+ * Create app serving the stream API to a fixed user
+ * @param {Object} streamingEngine Streaming engine
+ * @param {Object} user Identity set as req.user
+ * @returns {Object} Express app
+ */
+const createApp = (streamingEngine, user) => {
+  const app = express();
+  
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/streams', createStreamApi(streamingEngine, null, new AuthService()));
+  app.use(errorHandlerMiddleware);
+  
+  return app;
+};
+
+describe('Stream API recording opt-out', () => {
+  const saved = {};
+  let streamingEngine;
+  
+  beforeAll(() => {
+    saved.basic = AUTH_CONFIG.basic.enabled;
+    saved.recordAll = RECORDING_CONFIG.recordAll;
+    AUTH_CONFIG.basic.enabled = true;
+  });
+  
+  afterAll(() => {
+    AUTH_CONFIG.basic.enabled = saved.basic;
+    RECORDING_CONFIG.recordAll = saved.recordAll;
+  });
+  
+  beforeEach(() => {
+    RECORDING_CONFIG.recordAll = true;
+    streamingEngine = {
+      webrtcService: null,
+      startStream: jest.fn().mockResolvedValue(STREAM),
+      updateStreamOptions: jest.fn().mockResolvedValue(STREAM)
+    };
+  });
+  
+  test('a non-admin cannot stop a recording while all sessions are recorded', async () => {
+    const response = await request(createApp(streamingEngine, ALICE))
+      .post('/api/streams/s1/options')
+      .send({ record: false });
+    
+    expect(response.status).toBe(403);
+    expect(streamingEngine.updateStreamOptions).not.toHaveBeenCalled();
+  });
+  
+  test('a non-admin cannot start a stream without recording while all sessions are recorded', async () => {
+    const response = await request(createApp(streamingEngine, ALICE))
+      .post('/api/streams/s1/start')
+      .send({ record: false });
+    
+    expect(response.status).toBe(403);
+    expect(streamingEngine.startStream).not.toHaveBeenCalled();
+  });
+  
+  test('a non-admin may change other options of a recorded stream', async () => {
+    const response = await request(createApp(streamingEngine, ALICE))
+      .post('/api/streams/s1/options')
+      .send({ record: true, frameRate: 15 });
+    
+    expect(response.status).toBe(200);
+    expect(streamingEngine.updateStreamOptions).toHaveBeenCalledWith('s1', { record: true, frameRate: 15 });
+  });
+  
+  test('an admin may stop the recording', async () => {
+    const response = await request(createApp(streamingEngine, ADMIN))
+      .post('/api/streams/s1/options')
+      .send({ record: false });
+    
+    expect(response.status).toBe(200);
+    expect(streamingEngine.updateStreamOptions).toHaveBeenCalledWith('s1', { record: false });
+  });
+  
+  test('anyone may opt out when not all sessions are recorded', async () => {
+    RECORDING_CONFIG.recordAll = false;
+    
+    const response = await request(createApp(streamingEngine, ALICE))
+      .post('/api/streams/s1/start')
+      .send({ record: false });
+    
+    expect(response.status).toBe(200);
+    expect(streamingEngine.startStream).toHaveBeenCalledWith('s1', { record: false });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Audit API
+ * RESTful API for querying the audit log
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, ValidationError } = require('../utils/error-handler');
+const { AUDIT_CONFIG } = require('../utils/config');
+const logger = require('../utils/logger');
+
+/**
+ * Create audit API router
+ * Reading the audit log is itself recorded as an admin action, including refused attempts.
+ * @param {Object} auditLog Audit log
+ * @param {Object} authService Auth service admitting admins only
+ * @returns {Object} Express router
+ */
+const createAuditApi = (auditLog, authService = null) => {
+  const router = express.Router();
+  
+  /**
+   * Audit query schema
+   */
+  const auditQuerySchema = Joi.object({
+    userId: Joi.string().optional(),
+    sessionId: Joi.string().optional(),
+    type: Joi.string().optional(),
+    from: Joi.date().optional(), // ISO date or ms since epoch
+    to: Joi.date().min(Joi.ref('from')).optional(),
+    limit: Joi.number().integer().min(1).max(AUDIT_CONFIG.maxQueryLimit).optional()
+  });
+  
+  /**
+   * Query audit records
+   */
+  router.get('/', auditLog.auditRequest('audit.query'), authService ? authService.requireAdmin() : [], asyncHandler(async (req, res) => {
+    const { error, value: filter } = auditQuerySchema.validate(req.query);
+    
+    if (error) {
+      throw new ValidationError('Validation error', error.details.map(detail => ({
+        message: detail.message,
+        path: detail.path
+      })));
+    }
+    
+    logger.info('Querying audit log', filter);
+    
+    // Query records
+    const { records, truncated } = await auditLog.query(filter);
+    
+    // Return records
+    res.json({
+      success: true,
+      data: {
+        count: records.length,
+        truncated,
+        records
+      }
+    });
+  }));
+  
+  return router;
+};
+
+module.exports = createAuditApi;
@@ -0,0 +1,46 @@
+/**
+ * Auth API
+ * RESTful API for obtaining tokens
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+/**
+ * Create auth API router
+ * Mounted in front of authentication, since it takes the basic credentials itself.
+ * @param {Object} authService Auth service
+ * @returns {Object} Express router
+ */
+const createAuthApi = (authService) => {
+  const router = express.Router();
+  
+  /**
+   * Issue token
+   * The token is for the basic user and carries its configured groups.
+   */
+  router.post('/token', asyncHandler(async (req, res) => {
+    // Check basic credentials
+    const user = await authService.authenticateTokenRequest(req);
+    req.user = user;
+    
+    logger.info(`Issuing token for ${user.id}`);
+    
+    // Issue token
+    const token = authService.issueToken({
+      id: user.id,
+      groups: user.groups
+    });
+    
+    // Return token
+    res.json({
+      success: true,
+      data: token
+    });
+  }));
+  
+  return router;
+};
+
+module.exports = createAuthApi;
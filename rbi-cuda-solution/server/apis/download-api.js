@@ -0,0 +1,116 @@
+/**
+ * Download API
+ * RESTful API for quarantined session downloads
+ */
+
+const express = require('express');
+const { asyncHandler, NotFoundError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+/**
+ * Create download API router
+ * Mounted under /api/sessions/:sessionId/downloads
+ * @param {Object} downloadService Download service
+ * @param {Object} sessionManager Session manager
+ * @returns {Object} Express router
+ */
+const createDownloadApi = (downloadService, sessionManager) => {
+  const router = express.Router({ mergeParams: true });
+  
+  /**
+   * Check session exists
+   */
+  router.use((req, res, next) => {
+    if (!sessionManager.getSession(req.params.sessionId)) {
+      return next(new NotFoundError(`Session not found: ${req.params.sessionId}`));
+    }
+    
+    next();
+  });
+  
+  /**
+   * List downloads
+   */
+  router.get('/', asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    
+    logger.info(`Listing downloads for session ${sessionId}`);
+    
+    // List downloads
+    const downloads = downloadService.listDownloads(sessionId);
+    
+    // Return downloads
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        count: downloads.length,
+        downloads
+      }
+    });
+  }));
+  
+  /**
+   * Get download
+   */
+  router.get('/:downloadId', asyncHandler(async (req, res) => {
+    const { sessionId, downloadId } = req.params;
+    
+    logger.info(`Getting download ${downloadId} for session ${sessionId}`);
+    
+    // Get download
+    const download = downloadService.getDownload(sessionId, downloadId);
+    
+    // Return download
+    res.json({
+      success: true,
+      data: downloadService.toDownloadInfo(download)
+    });
+  }));
+  
+  /**
+   * Fetch download content
+   */
+  router.get('/:downloadId/content', asyncHandler(async (req, res) => {
+    const { sessionId, downloadId } = req.params;
+    
+    logger.info(`Fetching download ${downloadId} for session ${sessionId}`);
+    
+    // Get download file
+    const file = downloadService.getDownloadFile(sessionId, downloadId);
+    
+    // Send file as attachment with its detected type, never rendered inline
+    res.set({
+      'Content-Type': file.mimeType,
+      'X-Content-Type-Options': 'nosniff',
+      'X-Content-SHA256': file.sha256
+    });
+    
+    res.download(file.filePath, file.filename);
+  }));
+  
+  /**
+   * Delete download
+   */
+  router.delete('/:downloadId', asyncHandler(async (req, res) => {
+    const { sessionId, downloadId } = req.params;
+    
+    logger.info(`Deleting download ${downloadId} for session ${sessionId}`);
+    
+    // Delete download
+    await downloadService.deleteDownload(sessionId, downloadId);
+    
+    // Return success
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        downloadId
+      }
+    });
+  }));
+  
+  return router;
+};
+
+module.exports = createDownloadApi;
@@ -0,0 +1,128 @@
+/**
+ * Recording API
+ * RESTful API for session recordings
+ */
+
+const express = require('express');
+const { asyncHandler, AuthorizationError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+/**
+ * Create recording API router
+ * Mounted under /api/sessions/:sessionId/recordings. Recordings outlive their session,
+ * so the session does not have to exist any more, and access is checked against the user
+ * stored with each recording.
+ * @param {Object} recordingService Recording service
+ * @param {Object} authService Auth service
+ * @returns {Object} Express router
+ */
+const createRecordingApi = (recordingService, authService = null) => {
+  const router = express.Router({ mergeParams: true });
+  
+  /**
+   * Check if the request may access a recording
+   * @param {Object} req Express request
+   * @param {Object} recording Recording info
+   * @returns {boolean} Allowed
+   */
+  const canAccess = (req, recording) => !authService || authService.isOwnerOrAdmin(req.user, recording.userId);
+  
+  /**
+   * Get recording the request may access
+   * @param {Object} req Express request
+   * @returns {Promise<Object>} Recording
+   */
+  const getAccessibleRecording = async (req) => {
+    const { sessionId, recordingId } = req.params;
+    const recording = await recordingService.getRecording(sessionId, recordingId);
+    
+    if (!canAccess(req, recording)) {
+      throw new AuthorizationError(`Recording belongs to another user: ${recordingId}`);
+    }
+    
+    return recording;
+  };
+  
+  /**
+   * List recordings
+   */
+  router.get('/', asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    
+    logger.info(`Listing recordings for session ${sessionId}`);
+    
+    // List the recordings the user may see
+    const recordings = (await recordingService.listRecordings(sessionId))
+      .filter(recording => canAccess(req, recording));
+    
+    // Return recordings
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        count: recordings.length,
+        recordings
+      }
+    });
+  }));
+  
+  /**
+   * Get recording with its timeline and segments
+   */
+  router.get('/:recordingId', asyncHandler(async (req, res) => {
+    const { sessionId, recordingId } = req.params;
+    
+    logger.info(`Getting recording ${recordingId} for session ${sessionId}`);
+    
+    // Get recording
+    const recording = await getAccessibleRecording(req);
+    
+    // Return recording
+    res.json({
+      success: true,
+      data: recording
+    });
+  }));
+  
+  /**
+   * Download recording segment
+   */
+  router.get('/:recordingId/segments/:segment', asyncHandler(async (req, res) => {
+    const { sessionId, recordingId, segment } = req.params;
+    
+    logger.info(`Fetching segment ${segment} of recording ${recordingId} for session ${sessionId}`);
+    
+    // Check access, then get segment file
+    await getAccessibleRecording(req);
+    const filePath = await recordingService.getSegmentFile(sessionId, recordingId, segment);
+    
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.download(filePath, `${recordingId}-${segment}`);
+  }));
+  
+  /**
+   * Delete recording
+   * Recordings are evidence, so only admins may delete them; removal is otherwise left to retention.
+   */
+  router.delete('/:recordingId', authService ? authService.requireAdmin() : [], asyncHandler(async (req, res) => {
+    const { sessionId, recordingId } = req.params;
+    
+    logger.info(`Deleting recording ${recordingId} for session ${sessionId}`);
+    
+    // Delete recording
+    await recordingService.deleteRecording(sessionId, recordingId);
+    
+    // Return success
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        recordingId
+      }
+    });
+  }));
+  
+  return router;
+};
+
+module.exports = createRecordingApi;
@@ -10,10 +10,12 @@ const Joi = require('joi');
 
 /**
  * Create session API router
+ * Access to single sessions is checked by the session owner middleware in front of the router.
  * @param {Object} sessionManager Session manager
+ * @param {Object} authService Auth service, limiting the session list to the user's sessions
  * @returns {Object} Express router
  */
-const createSessionApi = (sessionManager) => {
+const createSessionApi = (sessionManager, authService = null) => {
   const router = express.Router();
   
   /**
@@ -27,17 +29,47 @@ const createSessionApi = (sessionManager) => {
     viewport: Joi.object({
       width: Joi.number().min(320).max(1920).optional(),
       height: Joi.number().min(240).max(1080).optional()
+    }).optional(),
+    clipboard: Joi.object({
+      localToRemote: Joi.boolean().optional(),
+      remoteToLocal: Joi.boolean().optional(),
+      maxSize: Joi.number().integer().min(1).optional(),
+      mode: Joi.string().valid('text', 'rich').optional()
+    }).optional(),
+    resources: Joi.object({
+      cpuWeight: Joi.number().integer().min(1).max(10000).optional(),
+      cpuMax: Joi.number().integer().min(1).optional(), // percent of one CPU
+      memoryMax: Joi.number().integer().min(1).optional(), // bytes
+      pidsMax: Joi.number().integer().min(1).optional()
     }).optional()
   });
   
+  /**
+   * Tab creation schema
+   */
+  const tabCreationSchema = Joi.object({
+    url: Joi.string().uri().optional(),
+    activate: Joi.boolean().optional(),
+    waitUntil: Joi.string().valid('load', 'domcontentloaded', 'networkidle', 'networkidle0', 'networkidle2').optional()
+  });
+  
   /**
    * Create session
    */
   router.post('/', validateRequest(sessionCreationSchema), asyncHandler(async (req, res) => {
     logger.info('Creating session', req.body);
     
-    // Create session
-    const session = await sessionManager.createSession(req.body);
+    // An authenticated client's session belongs to its user and groups, whatever the body says
+    const identity = req.user
+      ? { userId: req.user.id, groups: req.user.groups }
+      : {};
+    
+    // Create session, remembering the client address for the audit log
+    const session = await sessionManager.createSession({
+      ...req.body,
+      ...identity,
+      clientIp: req.ip
+    });
     
     // Return session info
     res.status(201).json({
@@ -51,6 +83,26 @@ const createSessionApi = (sessionManager) => {
     });
   }));
   
+  /**
+   * Get all session stats
+   * Registered before /:sessionId so "stats" is not taken as a session ID
+   */
+  router.get('/stats', asyncHandler(async (req, res) => {
+    logger.info('Getting all session stats');
+    
+    // Get all session stats
+    const stats = await sessionManager.getAllSessionStats();
+    
+    // Return stats
+    res.json({
+      success: true,
+      data: {
+        count: stats.length,
+        sessions: stats
+      }
+    });
+  }));
+  
   /**
    * Get session
    */
@@ -82,6 +134,12 @@ const createSessionApi = (sessionManager) => {
         createdAt: session.createdAt,
         lastActivityAt: session.lastActivityAt,
         expiresAt: session.expiresAt,
+        status: session.status,
+        currentUrl: session.currentUrl,
+        activeTabId: session.pageId,
+        tabCount: session.tabs.length,
+        launchProfile: session.launchProfile,
+        sandboxed: Boolean(sessionManager.browserPool.sandboxCheck && sessionManager.browserPool.sandboxCheck.sandboxed),
         options: session.options
       }
     });
@@ -176,6 +234,90 @@ const createSessionApi = (sessionManager) => {
     });
   }));
   
+  /**
+   * Go back in history
+   */
+  router.post('/:sessionId/back', asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    
+    logger.info(`Going back for session ${sessionId}`);
+    
+    // Go back in history
+    const result = await sessionManager.goBack(sessionId);
+    
+    // Return result
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        result
+      }
+    });
+  }));
+  
+  /**
+   * Go forward in history
+   */
+  router.post('/:sessionId/forward', asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    
+    logger.info(`Going forward for session ${sessionId}`);
+    
+    // Go forward in history
+    const result = await sessionManager.goForward(sessionId);
+    
+    // Return result
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        result
+      }
+    });
+  }));
+  
+  /**
+   * Reload page
+   */
+  router.post('/:sessionId/reload', asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    
+    logger.info(`Reloading page for session ${sessionId}`);
+    
+    // Reload page
+    const result = await sessionManager.reload(sessionId);
+    
+    // Return result
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        result
+      }
+    });
+  }));
+  
+  /**
+   * Stop loading
+   */
+  router.post('/:sessionId/stop', asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    
+    logger.info(`Stopping page load for session ${sessionId}`);
+    
+    // Stop loading
+    const result = await sessionManager.stopLoading(sessionId);
+    
+    // Return result
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        result
+      }
+    });
+  }));
+  
   /**
    * Execute script
    */
@@ -242,6 +384,91 @@ const createSessionApi = (sessionManager) => {
     });
   }));
   
+  /**
+   * List tabs
+   */
+  router.get('/:sessionId/tabs', asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    
+    logger.info(`Listing tabs for session ${sessionId}`);
+    
+    // List tabs
+    const tabs = await sessionManager.listTabs(sessionId);
+    
+    // Return tabs
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        count: tabs.length,
+        tabs
+      }
+    });
+  }));
+  
+  /**
+   * Open tab
+   */
+  router.post('/:sessionId/tabs', validateRequest(tabCreationSchema), asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    
+    logger.info(`Opening tab for session ${sessionId}`, req.body);
+    
+    // Open tab
+    const tab = await sessionManager.openTab(sessionId, req.body);
+    
+    // Return tab
+    res.status(201).json({
+      success: true,
+      data: {
+        sessionId,
+        tab
+      }
+    });
+  }));
+  
+  /**
+   * Activate tab
+   */
+  router.post('/:sessionId/tabs/:tabId/activate', asyncHandler(async (req, res) => {
+    const { sessionId, tabId } = req.params;
+    
+    logger.info(`Activating tab ${tabId} for session ${sessionId}`);
+    
+    // Switch tab
+    const tab = await sessionManager.switchTab(sessionId, tabId);
+    
+    // Return tab
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        tab
+      }
+    });
+  }));
+  
+  /**
+   * Close tab
+   */
+  router.delete('/:sessionId/tabs/:tabId', asyncHandler(async (req, res) => {
+    const { sessionId, tabId } = req.params;
+    
+    logger.info(`Closing tab ${tabId} for session ${sessionId}`);
+    
+    // Close tab
+    await sessionManager.closeTab(sessionId, tabId);
+    
+    // Return success
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        tabId
+      }
+    });
+  }));
+  
   /**
    * Get session stats
    */
@@ -277,8 +504,9 @@ const createSessionApi = (sessionManager) => {
   router.get('/', asyncHandler(async (req, res) => {
     logger.info('Getting all sessions');
     
-    // Get all sessions
-    const sessions = sessionManager.getAllSessions();
+    // Get the sessions the user may see
+    const sessions = sessionManager.getAllSessions()
+      .filter(session => !authService || authService.isOwnerOrAdmin(req.user, session.userId));
     
     // Return sessions
     res.json({
@@ -296,25 +524,6 @@ const createSessionApi = (sessionManager) => {
     });
   }));
   
-  /**
-   * Get all session stats
-   */
-  router.get('/stats', asyncHandler(async (req, res) => {
-    logger.info('Getting all session stats');
-    
-    // Get all session stats
-    const stats = await sessionManager.getAllSessionStats();
-    
-    // Return stats
-    res.json({
-      success: true,
-      data: {
-        count: stats.length,
-        sessions: stats
-      }
-    });
-  }));
-  
   return router;
 };
 
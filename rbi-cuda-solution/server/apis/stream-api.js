@@ -4,17 +4,20 @@
  */
 
 const express = require('express');
-const { asyncHandler, validateRequest } = require('../utils/error-handler');
+const { asyncHandler, validateRequest, AuthorizationError } = require('../utils/error-handler');
+const { RECORDING_CONFIG } = require('../utils/config');
 const logger = require('../utils/logger');
+const { getQualityProfileNames } = require('../utils/quality-profiles');
 const Joi = require('joi');
 
 /**
  * Create stream API router
  * @param {Object} streamingEngine Streaming engine
  * @param {Object} sessionManager Session manager
+ * @param {Object} authService Auth service, deciding who may opt out of recording
  * @returns {Object} Express router
  */
-const createStreamApi = (streamingEngine, sessionManager) => {
+const createStreamApi = (streamingEngine, sessionManager, authService = null) => {
   // Get webrtcService from streamingEngine
   const webrtcService = streamingEngine.webrtcService;
   const router = express.Router();
@@ -23,13 +26,29 @@ const createStreamApi = (streamingEngine, sessionManager) => {
    * Stream creation schema
    */
   const streamCreationSchema = Joi.object({
-    quality: Joi.string().valid('low', 'medium', 'high', 'ultra').optional(),
+    quality: Joi.string().valid(...getQualityProfileNames()).optional(),
     maxWidth: Joi.number().min(320).max(1920).optional(),
     maxHeight: Joi.number().min(240).max(1080).optional(),
     frameRate: Joi.number().min(10).max(60).optional(),
-    bitrate: Joi.number().min(100000).max(10000000).optional()
+    bitrate: Joi.number().min(100000).max(10000000).optional(),
+    transport: Joi.string().valid('auto', 'webrtc', 'websocket').optional(),
+    adaptiveQuality: Joi.boolean().optional(),
+    changeDetection: Joi.boolean().optional(),
+    record: Joi.boolean().optional()
   });
   
+  /**
+   * Refuse record: false from non-admins while every stream is recorded
+   * Otherwise any client could opt its session out of compliance recording, or stop a running one.
+   */
+  const checkRecordingOptOut = (req, res, next) => {
+    if (req.body.record === false && RECORDING_CONFIG.recordAll && authService && !authService.isAdmin(req.user)) {
+      return next(new AuthorizationError('Only admins may turn off recording while all sessions are recorded'));
+    }
+    
+    next();
+  };
+  
   /**
    * Create WebRTC connection
    */
@@ -142,7 +161,7 @@ const createStreamApi = (streamingEngine, sessionManager) => {
   /**
    * Start stream
    */
-  router.post('/:sessionId/start', validateRequest(streamCreationSchema), asyncHandler(async (req, res) => {
+  router.post('/:sessionId/start', validateRequest(streamCreationSchema), checkRecordingOptOut, asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
     
     logger.info(`Starting stream for session ${sessionId}`, req.body);
@@ -156,9 +175,11 @@ const createStreamApi = (streamingEngine, sessionManager) => {
       data: {
         sessionId,
         quality: stream.options.quality,
-        resolution: `${stream.options.maxWidth}x${stream.options.maxHeight}`,
+        resolution: `${stream.options.width}x${stream.options.height}`,
         frameRate: stream.options.frameRate,
-        bitrate: stream.options.bitrate
+        bitrate: stream.options.bitrate,
+        transport: stream.transport,
+        codec: stream.codec
       }
     });
   }));
@@ -234,9 +255,11 @@ const createStreamApi = (streamingEngine, sessionManager) => {
       data: {
         sessionId,
         quality: stream.options.quality,
-        resolution: `${stream.options.maxWidth}x${stream.options.maxHeight}`,
+        resolution: `${stream.options.width}x${stream.options.height}`,
         frameRate: stream.options.frameRate,
-        bitrate: stream.options.bitrate
+        bitrate: stream.options.bitrate,
+        screencastQuality: stream.screencastOptions.quality,
+        encodingStrategy: stream.options.encodingStrategy
       }
     });
   }));
@@ -244,7 +267,7 @@ const createStreamApi = (streamingEngine, sessionManager) => {
   /**
    * Update stream options
    */
-  router.post('/:sessionId/options', validateRequest(streamCreationSchema), asyncHandler(async (req, res) => {
+  router.post('/:sessionId/options', validateRequest(streamCreationSchema), checkRecordingOptOut, asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
     
     logger.info(`Updating stream options for session ${sessionId}`, req.body);
@@ -269,9 +292,11 @@ const createStreamApi = (streamingEngine, sessionManager) => {
       data: {
         sessionId,
         quality: stream.options.quality,
-        resolution: `${stream.options.maxWidth}x${stream.options.maxHeight}`,
+        resolution: `${stream.options.width}x${stream.options.height}`,
         frameRate: stream.options.frameRate,
-        bitrate: stream.options.bitrate
+        bitrate: stream.options.bitrate,
+        transport: stream.transport,
+        codec: stream.codec
       }
     });
   }));
@@ -285,7 +310,7 @@ const createStreamApi = (streamingEngine, sessionManager) => {
     logger.info(`Getting stream stats for session ${sessionId}`);
     
     // Get stream stats
-    const stats = streamingEngine.getStreamStats(sessionId);
+    const stats = await streamingEngine.getStreamStats(sessionId);
     
     // Check if stream exists
     if (!stats) {
@@ -344,7 +369,7 @@ const createStreamApi = (streamingEngine, sessionManager) => {
     logger.info('Getting all stream stats');
     
     // Get all stream stats
-    const stats = streamingEngine.getAllStreamStats();
+    const stats = await streamingEngine.getAllStreamStats();
     
     // Return stats
     res.json({
@@ -0,0 +1,138 @@
+/**
+ * Upload API
+ * RESTful API for uploading files into remote file choosers
+ */
+
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const { asyncHandler, NotFoundError, ValidationError } = require('../utils/error-handler');
+const { UPLOAD_CONFIG } = require('../utils/config');
+const logger = require('../utils/logger');
+
+/**
+ * Create upload API router
+ * Mounted under /api/sessions/:sessionId/uploads
+ * @param {Object} uploadService Upload service
+ * @param {Object} sessionManager Session manager
+ * @returns {Object} Express router
+ */
+const createUploadApi = (uploadService, sessionManager) => {
+  const router = express.Router({ mergeParams: true });
+  
+  /**
+   * Multipart parser enforcing size and extension policy before files reach the page
+   */
+  const upload = multer({
+    dest: UPLOAD_CONFIG.stagingDir,
+    limits: {
+      fileSize: UPLOAD_CONFIG.maxFileSize,
+      files: UPLOAD_CONFIG.maxFiles
+    },
+    fileFilter: (req, file, callback) => {
+      if (!uploadService.isExtensionAllowed(file.originalname)) {
+        return callback(new ValidationError(`File type not allowed: ${path.extname(file.originalname) || file.originalname}`));
+      }
+      
+      callback(null, true);
+    }
+  }).array('files');
+  
+  /**
+   * Receive files, reporting multer limits as validation errors
+   */
+  const receiveFiles = (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(new ValidationError(`Upload rejected: ${error.message}`));
+      }
+      
+      next(error);
+    });
+  };
+  
+  /**
+   * Check session exists
+   */
+  router.use((req, res, next) => {
+    if (!sessionManager.getSession(req.params.sessionId)) {
+      return next(new NotFoundError(`Session not found: ${req.params.sessionId}`));
+    }
+    
+    next();
+  });
+  
+  /**
+   * List open file choosers
+   */
+  router.get('/', asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    
+    logger.info(`Listing file choosers for session ${sessionId}`);
+    
+    // List choosers
+    const choosers = uploadService.listChoosers(sessionId);
+    
+    // Return choosers
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        count: choosers.length,
+        choosers
+      }
+    });
+  }));
+  
+  /**
+   * Upload files into a file chooser
+   */
+  router.post('/', receiveFiles, asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const { chooserId } = req.body;
+    
+    logger.info(`Uploading ${(req.files || []).length} files for session ${sessionId}`);
+    
+    try {
+      // Accept upload
+      const result = await uploadService.acceptUpload(sessionId, chooserId, req.files);
+      
+      // Return result
+      res.status(201).json({
+        success: true,
+        data: {
+          sessionId,
+          ...result
+        }
+      });
+    } catch (error) {
+      await uploadService.discardFiles(req.files);
+      throw error;
+    }
+  }));
+  
+  /**
+   * Cancel file chooser
+   */
+  router.delete('/:chooserId', asyncHandler(async (req, res) => {
+    const { sessionId, chooserId } = req.params;
+    
+    logger.info(`Canceling file chooser ${chooserId} for session ${sessionId}`);
+    
+    // Cancel chooser
+    await uploadService.cancelChooser(sessionId, chooserId);
+    
+    // Return success
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        chooserId
+      }
+    });
+  }));
+  
+  return router;
+};
+
+module.exports = createUploadApi;
@@ -10,23 +10,41 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const bodyParser = require('body-parser');
-const { SERVER_CONFIG, AUTH_CONFIG } = require('./utils/config');
+const { SERVER_CONFIG, AUTH_CONFIG, POLICY_CONFIG, ENCODER_CONFIG, CGROUP_CONFIG, AUDIT_CONFIG } = require('./utils/config');
 const logger = require('./utils/logger');
 const errorHandler = require('./utils/error-handler');
+const { loadQualityProfiles } = require('./utils/quality-profiles');
 
 // Import services
 const WebSocketService = require('./services/websocket-service');
 const WebRTCService = require('./services/webrtc-service');
+const WebSocketVideoTransport = require('./services/websocket-video-transport');
+const DownloadService = require('./services/download-service');
+const UploadService = require('./services/upload-service');
+const ClipboardService = require('./services/clipboard-service');
+const CgroupManager = require('./services/cgroup-manager');
+const RecordingService = require('./services/recording-service');
+const AuditLog = require('./services/audit-log');
+const AuthService = require('./services/auth-service');
+const { createSessionStore } = require('./services/session-store');
 
 // Import core modules
+const PolicyEngine = require('./core/policy-engine');
 const BrowserPool = require('./core/browser-pool');
 const SessionManager = require('./core/session-manager');
 const StreamingEngine = require('./core/streaming-engine');
 const basicEncoder = require('./services/basic-encoder');
+const cudaEncoder = require('./services/cuda-encoder');
+const frameConverter = require('./services/frame-converter');
 
 // Import API routes
 const sessionApiRouter = require('./apis/session-api');
 const streamApiRouter = require('./apis/stream-api');
+const downloadApiRouter = require('./apis/download-api');
+const recordingApiRouter = require('./apis/recording-api');
+const uploadApiRouter = require('./apis/upload-api');
+const auditApiRouter = require('./apis/audit-api');
+const authApiRouter = require('./apis/auth-api');
 
 // Initialize Express app
 const app = express();
@@ -49,71 +67,326 @@ app.use(bodyParser.urlencoded(SERVER_CONFIG.bodyParser.urlencoded));
 // Serve static files
 app.use(express.static(path.join(__dirname, SERVER_CONFIG.staticFiles.path), SERVER_CONFIG.staticFiles.options));
 
-// Basic authentication middleware
-const basicAuth = (req, res, next) => {
-  if (!AUTH_CONFIG.basic.enabled) {
-    return next();
-  }
-  
-  // Get authorization header
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader) {
-    res.setHeader('WWW-Authenticate', 'Basic');
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  
-  // Parse authorization header
-  const auth = Buffer.from(authHeader.split(' ')[1], 'base64').toString().split(':');
-  const username = auth[0];
-  const password = auth[1];
-  
-  // Check credentials
-  if (username === AUTH_CONFIG.basic.username && password === AUTH_CONFIG.basic.password) {
-    return next();
-  }
-  
-  res.setHeader('WWW-Authenticate', 'Basic');
-  return res.status(401).json({ error: 'Invalid credentials' });
-};
-
-// Apply basic authentication to all routes if enabled
-if (AUTH_CONFIG.basic.enabled) {
-  app.use(basicAuth);
-}
-
 // Initialize services and core modules
-let websocketService, webrtcService, browserPool, sessionManager, streamingEngine;
+let websocketService, websocketTransport, webrtcService, policyEngine, browserPool, sessionManager, streamingEngine, downloadService, uploadService, clipboardService, cgroupManager, recordingService, auditLog, authService, videoEncoder;
 
 async function initializeServices() {
   try {
     logger.info('Initializing services...');
     
+    // Initialize auth service; without its keys no client could authenticate
+    authService = new AuthService();
+    
+    if (!await authService.initialize()) {
+      throw new Error('Auth service failed to start');
+    }
+    
     // Initialize basic encoder
     await basicEncoder.initialize();
+    videoEncoder = basicEncoder;
+    
+    // Initialize FFmpeg H.264 encoder
+    if (ENCODER_CONFIG.engine === 'ffmpeg') {
+      await cudaEncoder.initialize();
+      
+      if (cudaEncoder.isAvailable()) {
+        videoEncoder = cudaEncoder;
+      } else {
+        logger.warn('FFmpeg not available, streaming with the basic encoder');
+      }
+    }
+    
+    // Initialize frame converter
+    await frameConverter.initialize();
     
     // Initialize WebSocket service
-    websocketService = new WebSocketService(server);
+    websocketService = new WebSocketService(server, authService);
     await websocketService.initialize();
     
+    // Initialize WebSocket video transport
+    websocketTransport = new WebSocketVideoTransport(websocketService);
+    await websocketTransport.initialize();
+    
     // Initialize WebRTC service
     webrtcService = new WebRTCService();
     await webrtcService.initialize();
     
+    // Initialize audit log; the server does not run without the audit trail it was asked to keep
+    if (AUDIT_CONFIG.enabled) {
+      auditLog = new AuditLog();
+      
+      if (!await auditLog.initialize()) {
+        throw new Error(`Audit log failed to start at ${AUDIT_CONFIG.file}`);
+      }
+      
+      // Audit authentication attempts
+      authService.on('authenticated', attempt => auditLog.recordAuth(true, attempt));
+      authService.on('authenticationFailed', attempt => auditLog.recordAuth(false, attempt));
+    }
+    
+    // Initialize policy engine
+    if (POLICY_CONFIG.enabled) {
+      policyEngine = new PolicyEngine();
+      await policyEngine.initialize();
+    }
+    
+    // Initialize cgroup manager; without cgroups browsers run unconfined
+    if (CGROUP_CONFIG.enabled) {
+      cgroupManager = new CgroupManager();
+      await cgroupManager.initialize();
+    }
+    
     // Initialize browser pool
-    browserPool = new BrowserPool();
-    await browserPool.initialize();
+    browserPool = new BrowserPool(policyEngine, cgroupManager);
+    
+    // A hardened profile refuses to start when the sandbox check fails
+    if (!await browserPool.initialize()) {
+      throw new Error(`Browser pool failed to start with launch profile ${browserPool.launchProfile}`);
+    }
     
-    // Initialize session manager
-    sessionManager = new SessionManager(browserPool);
+    // Initialize session manager, restoring sessions from the session store
+    sessionManager = new SessionManager(browserPool, createSessionStore());
     await sessionManager.initialize();
     
+    // WebSocket clients register with sessions of their own user only
+    websocketService.setSessionManager(sessionManager);
+    
+    // Load quality profiles, failing startup on an invalid profiles file
+    loadQualityProfiles();
+    
+    // Initialize recording service
+    recordingService = new RecordingService(browserPool, sessionManager);
+    await recordingService.initialize();
+    
     // Initialize streaming engine
-    streamingEngine = new StreamingEngine(browserPool, sessionManager, webrtcService, basicEncoder);
+    streamingEngine = new StreamingEngine(browserPool, sessionManager, webrtcService, videoEncoder, frameConverter, websocketTransport, recordingService);
+    
+    // Tell the client which transport and codec carry its stream
+    const notifyStream = (sessionId, stream) => {
+      websocketService.sendMessageToSession(sessionId, {
+        type: 'stream',
+        transport: stream.transport,
+        codec: stream.codec,
+        width: stream.options.width,
+        height: stream.options.height,
+        timestamp: Date.now()
+      });
+    };
+    
+    streamingEngine.on('streamCreated', notifyStream);
+    
+    websocketService.on('clientRegistered', (clientId, sessionId) => {
+      const stream = streamingEngine.getStream(sessionId);
+      
+      if (stream) {
+        notifyStream(sessionId, stream);
+      }
+    });
+    
+    // Initialize download service
+    downloadService = new DownloadService(browserPool, sessionManager);
+    await downloadService.initialize();
+    
+    // Tell the client when a download is ready or was rejected
+    const notifyDownload = (sessionId, download) => {
+      websocketService.sendMessageToSession(sessionId, {
+        type: 'download',
+        download,
+        timestamp: Date.now()
+      });
+    };
+    
+    downloadService.on('downloadReady', notifyDownload);
+    downloadService.on('downloadRejected', notifyDownload);
+    
+    // Put downloads on the session's recording timeline
+    const recordDownload = (sessionId, download) => {
+      recordingService.recordEvent(sessionId, 'download', {
+        downloadId: download.downloadId,
+        url: download.url,
+        filename: download.filename,
+        state: download.state,
+        reason: download.reason,
+        sha256: download.sha256
+      });
+    };
+    
+    downloadService.on('downloadReady', recordDownload);
+    downloadService.on('downloadRejected', recordDownload);
+    
+    // Initialize upload service
+    uploadService = new UploadService(browserPool, sessionManager);
+    await uploadService.initialize();
+    
+    // Ask the client for files when a page opens a file chooser
+    uploadService.on('fileChooserOpened', (sessionId, chooser) => {
+      websocketService.sendMessageToSession(sessionId, {
+        type: 'fileChooser',
+        chooser,
+        timestamp: Date.now()
+      });
+    });
+    
+    uploadService.on('fileChooserClosed', (sessionId, chooserId) => {
+      websocketService.sendMessageToSession(sessionId, {
+        type: 'fileChooserClosed',
+        chooserId,
+        timestamp: Date.now()
+      });
+    });
+    
+    // Initialize clipboard service
+    clipboardService = new ClipboardService(browserPool, sessionManager);
+    await clipboardService.initialize();
+    
+    // Hand content copied in the page to the client
+    clipboardService.on('remoteCopy', (sessionId, content) => {
+      websocketService.sendMessageToSession(sessionId, {
+        type: 'clipboard',
+        action: 'copy',
+        ...content,
+        timestamp: Date.now()
+      });
+    });
+    
+    // Tell the client when policy blocks a copy; blocked pastes are reported as errors
+    clipboardService.on('clipboardTransfer', (sessionId, transfer) => {
+      if (!transfer.allowed && transfer.direction === 'remote-to-local') {
+        websocketService.sendMessageToSession(sessionId, {
+          type: 'clipboard',
+          action: 'blocked',
+          reason: transfer.reason,
+          timestamp: Date.now()
+        });
+      }
+    });
+    
+    // Paste client clipboard content into the session page
+    websocketService.on('clipboard', async (sessionId, message) => {
+      if (message.action !== 'paste') {
+        return;
+      }
+      
+      try {
+        await clipboardService.pasteToRemote(sessionId, message);
+      } catch (error) {
+        logger.warn(`Paste rejected for session ${sessionId}: ${error.message}`);
+        
+        websocketService.sendMessageToSession(sessionId, {
+          type: 'error',
+          error: error.message,
+          timestamp: Date.now()
+        });
+      }
+    });
+    
+    // Forward WebSocket input to the session page
+    websocketService.on('input', async (sessionId, message) => {
+      try {
+        await sessionManager.sendInput(sessionId, message.input);
+      } catch (error) {
+        logger.warn(`Input rejected for session ${sessionId}: ${error.message}`);
+        
+        websocketService.sendMessageToSession(sessionId, {
+          type: 'error',
+          error: error.message,
+          timestamp: Date.now()
+        });
+      }
+    });
+    
+    // Lay the session page out at the client window size
+    websocketService.on('resize', async (sessionId, message) => {
+      try {
+        await streamingEngine.resizeStream(sessionId, message);
+      } catch (error) {
+        logger.warn(`Resize rejected for session ${sessionId}: ${error.message}`);
+        
+        websocketService.sendMessageToSession(sessionId, {
+          type: 'error',
+          error: error.message,
+          timestamp: Date.now()
+        });
+      }
+    });
+    
+    // Tell the client when the active tab changes
+    sessionManager.on('activeTabChanged', (sessionId, tabId, previousTabId) => {
+      websocketService.sendMessageToSession(sessionId, {
+        type: 'tabChanged',
+        tabId,
+        previousTabId,
+        timestamp: Date.now()
+      });
+    });
+    
+    // Tell the client when a tab goes over a memory limit and what was done about it
+    sessionManager.on('memoryLimitAction', (sessionId, tabId, event) => {
+      websocketService.sendMessageToSession(sessionId, {
+        type: 'memory',
+        tabId,
+        action: event.action,
+        limit: event.limit,
+        timestamp: Date.now()
+      });
+    });
+    
+    // Tell the client when policy makes a tab read-only or blocks it
+    browserPool.on('pageAccessChanged', (pageId, access, verdict) => {
+      const session = sessionManager.findSessionByPageId(pageId);
+      
+      if (session) {
+        websocketService.sendMessageToSession(session.id, {
+          type: 'access',
+          tabId: pageId,
+          access,
+          url: verdict.url,
+          timestamp: Date.now()
+        });
+      }
+    });
+    
+    // Issue tokens; the endpoint checks the basic credentials itself
+    if (AUTH_CONFIG.jwt.enabled) {
+      app.use('/api/auth', auditLog ? auditLog.auditRequest('token.issue') : [], authApiRouter(authService));
+    }
+    
+    // Authenticate the routes below
+    if (authService.isEnabled()) {
+      app.use(authService.middleware());
+    }
+    
+    // Audit session activity
+    if (auditLog) {
+      auditLog.setupEventListeners({
+        sessionManager,
+        browserPool,
+        downloadService,
+        uploadService,
+        clipboardService,
+        policyEngine,
+        websocketService
+      });
+      
+      // Record who deleted sessions and recordings, then let the routers handle the request
+      app.delete('/api/sessions/:sessionId', auditLog.auditRequest('session.destroy'));
+      app.delete('/api/sessions/:sessionId/recordings/:recordingId', auditLog.auditRequest('recording.delete'));
+      
+      app.use('/api/audit', auditApiRouter(auditLog, authService));
+    }
+    
+    // Stats of all sessions and system info are for admins, single sessions for their owners
+    if (authService.isEnabled()) {
+      app.use(['/api/sessions/stats', '/api/streams/stats', '/system-info'], authService.requireAdmin());
+      app.use(['/api/sessions/:sessionId', '/api/streams/:sessionId'], authService.requireSessionOwner(sessionManager));
+    }
     
     // Set up API routes with dependencies
-    app.use('/api/sessions', sessionApiRouter(sessionManager));
-    app.use('/api/streams', streamApiRouter(streamingEngine, sessionManager));
+    app.use('/api/sessions/:sessionId/downloads', downloadApiRouter(downloadService, sessionManager));
+    app.use('/api/sessions/:sessionId/uploads', uploadApiRouter(uploadService, sessionManager));
+    app.use('/api/sessions/:sessionId/recordings', recordingApiRouter(recordingService, authService));
+    app.use('/api/sessions', sessionApiRouter(sessionManager, authService));
+    app.use('/api/streams', streamApiRouter(streamingEngine, sessionManager, authService));
     
     // Health check endpoint
     app.get('/health', (req, res) => {
@@ -123,21 +396,39 @@ async function initializeServices() {
         services: {
           websocket: websocketService.isRunning(),
           webrtc: webrtcService.isRunning(),
+          webrtcAvailable: webrtcService.isAvailable(),
+          websocketTransport: websocketTransport.isRunning(),
+          policyEngine: policyEngine ? policyEngine.isRunning() : false,
           browserPool: browserPool.isRunning(),
           sessionManager: sessionManager.isRunning(),
-          streamingEngine: streamingEngine instanceof StreamingEngine
+          streamingEngine: streamingEngine instanceof StreamingEngine,
+          encoder: videoEncoder === cudaEncoder ? 'ffmpeg' : 'basic',
+          downloadService: downloadService.isRunning(),
+          uploadService: uploadService.isRunning(),
+          clipboardService: clipboardService.isRunning(),
+          recordingService: recordingService.isRunning(),
+          auditLog: auditLog ? auditLog.isRunning() : false,
+          auth: authService.isRunning()
         }
       });
     });
     
     // System info endpoint
-    app.get('/system-info', (req, res) => {
+    app.get('/system-info', errorHandler.asyncHandler(async (req, res) => {
       res.json({
         sessions: sessionManager.getSessionsCount(),
         browsers: browserPool.getBrowsersCount(),
-        streams: streamingEngine.getAllStreamStats()
+        streams: await streamingEngine.getAllStreamStats(),
+        policy: policyEngine ? policyEngine.getStatus() : null,
+        launchProfile: browserPool.getLaunchProfile(),
+        warmPool: browserPool.getWarmPoolStats(),
+        cgroups: cgroupManager ? cgroupManager.getStatus() : null,
+        recordings: recordingService.getStatus(),
+        audit: auditLog ? auditLog.getStatus() : null,
+        timeToFirstFrame: streamingEngine.getTimeToFirstFrameStats(),
+        frameConverter: frameConverter.getStats()
       });
-    });
+    }));
     
     // Error handling middleware
     app.use(errorHandler.errorHandlerMiddleware);
@@ -199,11 +490,22 @@ async function shutdown() {
   try {
     // Shutdown services
     if (streamingEngine) await streamingEngine.shutdown();
+    if (recordingService) await recordingService.shutdown();
+    if (downloadService) await downloadService.shutdown();
+    if (uploadService) await uploadService.shutdown();
+    if (clipboardService) await clipboardService.shutdown();
     if (sessionManager) await sessionManager.shutdown();
     if (browserPool) await browserPool.shutdown();
+    if (cgroupManager) await cgroupManager.shutdown();
+    if (auditLog) await auditLog.shutdown();
+    if (authService) await authService.shutdown();
+    if (policyEngine) await policyEngine.shutdown();
     if (webrtcService) await webrtcService.shutdown();
+    if (websocketTransport) await websocketTransport.shutdown();
     if (websocketService) await websocketService.shutdown();
     if (basicEncoder) await basicEncoder.shutdown();
+    if (videoEncoder === cudaEncoder) await cudaEncoder.shutdown();
+    if (frameConverter) await frameConverter.shutdown();
     
     logger.info('All services shut down successfully');
     process.exit(0);
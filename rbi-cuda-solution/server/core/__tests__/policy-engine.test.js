@@ -0,0 +1,161 @@
+/**
+ * Policy Engine tests
+ */
+
+const path = require('path');
+const PolicyEngine = require('../policy-engine');
+
+/**
+ * Create policy engine with a compiled policy
+ * @param {Object} source Policy source
+ * @returns {PolicyEngine} Policy engine
+ */
+const createEngine = (source) => {
+  const engine = new PolicyEngine({ policyFile: path.join(__dirname, 'missing-policy.yaml') });
+  
+  engine.policy = engine.compilePolicy(source);
+  
+  return engine;
+};
+
+describe('PolicyEngine', () => {
+  describe('compilePatterns', () => {
+    const engine = new PolicyEngine();
+    const matches = (pattern, url) => engine.compilePatterns([pattern], 'test')[0].test(new URL(url));
+    
+    test('matches exact hosts only', () => {
+      expect(matches('Example.com', 'https://EXAMPLE.com/path')).toBe(true);
+      expect(matches('example.com', 'https://www.example.com/')).toBe(false);
+      expect(matches('example.com', 'https://example.com.evil.net/')).toBe(false);
+    });
+    
+    test('matches wildcard hosts on the domain and its subdomains', () => {
+      expect(matches('*.example.com', 'https://example.com/')).toBe(true);
+      expect(matches('*.example.com', 'https://a.b.example.com/')).toBe(true);
+      expect(matches('*.example.com', 'https://notexample.com/')).toBe(false);
+      expect(matches('*.example.com', 'https://example.com.evil.net/')).toBe(false);
+    });
+    
+    test('matches regular expressions against the full URL', () => {
+      expect(matches('/^https:\\/\\/example\\.com\\/admin/i', 'https://example.com/ADMIN/users')).toBe(true);
+      expect(matches('/^https:\\/\\/example\\.com\\/admin/i', 'https://example.com/public?next=/admin')).toBe(false);
+    });
+    
+    test('drops stateful regular expression flags', () => {
+      const [pattern] = engine.compilePatterns(['/example/gy'], 'test');
+      const url = new URL('https://example.com/');
+      
+      expect([pattern.test(url), pattern.test(url), pattern.test(url)]).toEqual([true, true, true]);
+    });
+    
+    test('requires a list', () => {
+      expect(() => engine.compilePatterns('example.com', 'default deny')).toThrow('Policy default deny must be a list');
+    });
+  });
+  
+  describe('compilePolicy', () => {
+    test('rejects unknown actions', () => {
+      expect(() => createEngine({ defaultAction: 'block' })).toThrow('Invalid policy action for defaultAction: block');
+      expect(() => createEngine({ rules: { categories: { social: 'maybe' } } })).toThrow('default category social');
+    });
+    
+    test('compiles the bundled policy', () => {
+      const engine = new PolicyEngine({ policyFile: path.join(__dirname, '../../config/policy.yaml') });
+      
+      expect(() => engine.loadPolicy()).not.toThrow();
+      expect(engine.getStatus()).toMatchObject({ groups: 1, users: 1 });
+    });
+  });
+  
+  describe('evaluate', () => {
+    const source = {
+      defaultAction: 'allow',
+      allowedSchemes: ['http', 'https', 'about'],
+      categories: {
+        social: ['*.social.test'],
+        sharing: ['*.share.test']
+      },
+      rules: {
+        deny: ['/^https?:\\/\\/(\\d{1,3}\\.){3}\\d{1,3}(:\\d+)?\\//', 'localhost', '*.internal'],
+        readOnly: ['docs.internal'],
+        allow: ['wiki.internal'],
+        categories: { sharing: 'read-only' }
+      },
+      groups: {
+        contractors: {
+          categories: { social: 'deny', sharing: 'deny' }
+        }
+      },
+      users: {
+        guest: {
+          groups: ['contractors'],
+          defaultAction: 'read-only',
+          allow: ['*.example.com']
+        }
+      }
+    };
+    
+    test('denies invalid URLs and schemes outside the allowed list', () => {
+      const engine = createEngine(source);
+      
+      expect(engine.evaluate('not a url')).toMatchObject({ action: 'deny', reason: 'invalid_url' });
+      expect(engine.evaluate('javascript:alert(1)')).toMatchObject({ action: 'deny', reason: 'scheme', rule: 'javascript' });
+      expect(engine.evaluate('file:///etc/passwd')).toMatchObject({ action: 'deny', reason: 'scheme', rule: 'file' });
+    });
+    
+    test('allows local documents of allowed schemes', () => {
+      expect(createEngine(source).evaluate('about:blank')).toMatchObject({ action: 'allow', reason: 'local' });
+    });
+    
+    test('checks deny before read-only before allow within a rule set', () => {
+      const engine = createEngine(source);
+      
+      expect(engine.evaluate('http://10.0.0.1:8080/')).toMatchObject({ action: 'deny', reason: 'deny', policy: 'default' });
+      expect(engine.evaluate('http://localhost/')).toMatchObject({ action: 'deny', rule: 'localhost' });
+      expect(engine.evaluate('https://wiki.internal/')).toMatchObject({ action: 'deny', rule: '*.internal' });
+      expect(engine.evaluate('https://docs.internal/')).toMatchObject({ action: 'deny', rule: '*.internal' });
+      expect(engine.evaluate('https://sub.example.org/')).toMatchObject({ action: 'allow', reason: 'default_action' });
+    });
+    
+    test('checks explicit lists before categories', () => {
+      const engine = createEngine({
+        categories: { sharing: ['*.share.test'] },
+        rules: { allow: ['files.share.test'], categories: { sharing: 'deny' } }
+      });
+      
+      expect(engine.evaluate('https://files.share.test/')).toMatchObject({ action: 'allow', reason: 'allow' });
+      expect(engine.evaluate('https://other.share.test/')).toMatchObject({ action: 'deny', reason: 'category', category: 'sharing' });
+    });
+    
+    test('applies the user, then the groups, then the default rules', () => {
+      const engine = createEngine(source);
+      
+      expect(engine.evaluate('https://www.example.com/', { userId: 'guest' }))
+        .toMatchObject({ action: 'allow', policy: 'user:guest', rule: '*.example.com' });
+      expect(engine.evaluate('https://www.social.test/', { userId: 'guest' }))
+        .toMatchObject({ action: 'deny', policy: 'group:contractors', category: 'social' });
+      expect(engine.evaluate('https://www.share.test/', { userId: 'guest' }))
+        .toMatchObject({ action: 'deny', policy: 'group:contractors', category: 'sharing' });
+      expect(engine.evaluate('https://www.share.test/'))
+        .toMatchObject({ action: 'read-only', policy: 'default', category: 'sharing' });
+    });
+    
+    test('takes groups from the session as well as the policy file', () => {
+      const engine = createEngine(source);
+      
+      expect(engine.evaluate('https://www.social.test/', { userId: 'alice', groups: ['contractors'] }))
+        .toMatchObject({ action: 'deny', policy: 'group:contractors' });
+      expect(engine.evaluate('https://www.social.test/', { userId: 'alice' }))
+        .toMatchObject({ action: 'allow', policy: 'default' });
+    });
+    
+    test('falls back to the most specific default action', () => {
+      const engine = createEngine(source);
+      
+      expect(engine.evaluate('https://news.test/', { userId: 'guest' }))
+        .toMatchObject({ action: 'read-only', reason: 'default_action', policy: 'user:guest' });
+      expect(createEngine({ defaultAction: 'deny' }).evaluate('https://news.test/'))
+        .toMatchObject({ action: 'deny', reason: 'default_action', policy: 'default' });
+    });
+  });
+});
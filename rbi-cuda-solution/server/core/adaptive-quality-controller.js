@@ -0,0 +1,349 @@
+/**
+ * Adaptive Quality Controller
+ * Steps stream bitrate, frame rate, screencast quality and resolution from network and encoder feedback
+ */
+
+const { STREAMING_CONFIG } = require('../utils/config');
+
+// Decision actions
+const ACTIONS = {
+  DECREASE: 'decrease',
+  INCREASE: 'increase',
+  HOLD: 'hold'
+};
+
+// Levers in the order they are lowered under network congestion; raised in reverse
+const NETWORK_LEVERS = ['bitrate', 'screencastQuality', 'frameRate', 'resolution'];
+
+// An overloaded encoder is relieved by fewer and smaller frames first
+const ENCODER_LEVERS = ['frameRate', 'resolution', 'screencastQuality', 'bitrate'];
+
+/**
+ * AdaptiveQualityController class
+ * One controller per stream. Each evaluation moves at most one lever by one step, and only after
+ * congestion or health has been seen in enough consecutive evaluations.
+ */
+class AdaptiveQualityController {
+  /**
+   * Constructor
+   * @param {Object} settings Requested stream settings, the upper bound for every lever
+   * @param {number} settings.bitrate Bitrate in kbps
+   * @param {number} settings.everyNthFrame Screencast frame divider
+   * @param {number} settings.screencastQuality Screencast JPEG quality
+   * @param {number} settings.width Width
+   * @param {number} settings.height Height
+   * @param {Object} options Controller options
+   * @param {number} options.frameRate Stream frame rate
+   * @param {boolean} options.bitrateAdjustable Whether the encoder takes a target bitrate
+   */
+  constructor(settings, options = {}) {
+    this.base = { ...settings };
+    this.settings = { ...settings };
+    this.scale = 1;
+    this.frameRate = options.frameRate || STREAMING_CONFIG.defaultFrameRate;
+    this.bitrateAdjustable = options.bitrateAdjustable !== false;
+    this.congestedCount = 0;
+    this.healthyCount = 0;
+    this.decisions = [];
+  }
+
+  /**
+   * Evaluate metrics and decide the next settings
+   * @param {Object} metrics Metrics since the last evaluation
+   * @param {number} metrics.roundTripTime Round trip time in ms, or null
+   * @param {number} metrics.packetLoss Fraction of packets lost, or null
+   * @param {number} metrics.jitter Jitter in ms, or null
+   * @param {number} metrics.availableBitrate Available outgoing bitrate in kbps, or null
+   * @param {number} metrics.encoderQueueDepth Frames waiting for the encoder
+   * @param {number} metrics.encodeTime Average frame encode time in ms
+   * @param {number} metrics.droppedFrames Frames the transport dropped
+   * @returns {Object} Decision with action, reason, changes and the resulting settings
+   */
+  evaluate(metrics) {
+    const congestion = this.findCongestion(metrics);
+    const healthy = !congestion && this.isHealthy(metrics);
+    
+    // Between the congestion and health thresholds both streaks reset, which keeps settings from flapping
+    if (congestion) {
+      this.congestedCount++;
+      this.healthyCount = 0;
+    } else if (healthy) {
+      this.healthyCount++;
+      this.congestedCount = 0;
+    } else {
+      this.congestedCount = 0;
+      this.healthyCount = 0;
+    }
+    
+    let action = ACTIONS.HOLD;
+    let reason = congestion ? congestion.reason : (healthy ? 'healthy' : 'stable');
+    let changes = {};
+    
+    if (congestion && this.congestedCount >= STREAMING_CONFIG.adaptiveQualityDowngradeAfter) {
+      changes = this.stepDown(congestion.source === 'encoder' ? ENCODER_LEVERS : NETWORK_LEVERS, metrics);
+      this.congestedCount = 0;
+      
+      if (Object.keys(changes).length > 0) {
+        action = ACTIONS.DECREASE;
+      } else {
+        reason = `${reason}, all levers at minimum`;
+      }
+    } else if (healthy && this.healthyCount >= STREAMING_CONFIG.adaptiveQualityUpgradeAfter) {
+      changes = this.stepUp(metrics);
+      this.healthyCount = 0;
+      
+      if (Object.keys(changes).length > 0) {
+        action = ACTIONS.INCREASE;
+      }
+    }
+    
+    // Record decision
+    const decision = {
+      timestamp: Date.now(),
+      action,
+      reason,
+      changes,
+      settings: { ...this.settings },
+      metrics: { ...metrics }
+    };
+    
+    this.decisions.push(decision);
+    
+    if (this.decisions.length > STREAMING_CONFIG.adaptiveQualityHistorySize) {
+      this.decisions.shift();
+    }
+    
+    return decision;
+  }
+
+  /**
+   * Find congestion
+   * @param {Object} metrics Metrics
+   * @returns {Object} Congestion source and reason, or null
+   */
+  findCongestion(metrics) {
+    if (metrics.encoderQueueDepth > STREAMING_CONFIG.maxEncoderQueueDepth) {
+      return { source: 'encoder', reason: `encoder queue depth ${metrics.encoderQueueDepth}` };
+    }
+    
+    if (metrics.encodeTime > STREAMING_CONFIG.maxEncodingTime) {
+      return { source: 'encoder', reason: `encode time ${Math.round(metrics.encodeTime)} ms` };
+    }
+    
+    if (metrics.roundTripTime !== null && metrics.roundTripTime > STREAMING_CONFIG.maxNetworkLatency) {
+      return { source: 'network', reason: `round trip time ${Math.round(metrics.roundTripTime)} ms` };
+    }
+    
+    if (metrics.packetLoss !== null && metrics.packetLoss > STREAMING_CONFIG.maxPacketLoss) {
+      return { source: 'network', reason: `packet loss ${(metrics.packetLoss * 100).toFixed(1)}%` };
+    }
+    
+    if (metrics.droppedFrames > 0) {
+      return { source: 'network', reason: `${metrics.droppedFrames} frames dropped by the transport` };
+    }
+    
+    if (this.bitrateAdjustable && metrics.availableBitrate !== null && metrics.availableBitrate < this.settings.bitrate) {
+      return { source: 'network', reason: `available bitrate ${metrics.availableBitrate} kbps` };
+    }
+    
+    return null;
+  }
+
+  /**
+   * Check whether metrics leave room to raise quality
+   * Thresholds are well inside the congestion thresholds.
+   * @param {Object} metrics Metrics
+   * @returns {boolean} Healthy
+   */
+  isHealthy(metrics) {
+    return metrics.encoderQueueDepth <= Math.ceil(STREAMING_CONFIG.maxEncoderQueueDepth / 2) &&
+      metrics.encodeTime <= STREAMING_CONFIG.maxEncodingTime / 2 &&
+      (metrics.roundTripTime === null || metrics.roundTripTime <= STREAMING_CONFIG.maxNetworkLatency / 2) &&
+      (metrics.packetLoss === null || metrics.packetLoss <= STREAMING_CONFIG.maxPacketLoss / 5) &&
+      metrics.droppedFrames === 0;
+  }
+
+  /**
+   * Lower the first lever that can go down
+   * @param {Array} levers Levers in order
+   * @param {Object} metrics Metrics
+   * @returns {Object} Changes
+   */
+  stepDown(levers, metrics) {
+    for (const lever of levers) {
+      const changes = this.lower(lever, metrics);
+      
+      if (changes) {
+        return changes;
+      }
+    }
+    
+    return {};
+  }
+
+  /**
+   * Raise the last lowered lever that can go up
+   * @param {Object} metrics Metrics
+   * @returns {Object} Changes
+   */
+  stepUp(metrics) {
+    for (const lever of [...NETWORK_LEVERS].reverse()) {
+      const changes = this.raise(lever, metrics);
+      
+      if (changes) {
+        return changes;
+      }
+    }
+    
+    return {};
+  }
+
+  /**
+   * Lower a lever by one step
+   * @param {string} lever Lever
+   * @param {Object} metrics Metrics
+   * @returns {Object} Changes, or null at the lower bound
+   */
+  lower(lever, metrics) {
+    switch (lever) {
+      case 'bitrate': {
+        if (!this.bitrateAdjustable) {
+          return null;
+        }
+        
+        // Back off multiplicatively, and below the estimated capacity when there is one
+        let bitrate = Math.round(this.settings.bitrate * 0.75);
+        
+        if (metrics.availableBitrate !== null) {
+          bitrate = Math.min(bitrate, Math.round(metrics.availableBitrate * 0.85));
+        }
+        
+        return this.change('bitrate', Math.max(STREAMING_CONFIG.minBitrate, bitrate));
+      }
+      
+      case 'screencastQuality':
+        return this.change('screencastQuality', Math.max(
+          Math.min(STREAMING_CONFIG.minScreencastQuality, this.base.screencastQuality),
+          this.settings.screencastQuality - STREAMING_CONFIG.screencastQualityStep
+        ));
+      
+      case 'frameRate': {
+        // Skipping screencast frames must not take the rate below the minimum
+        const maxEveryNthFrame = Math.max(this.base.everyNthFrame, Math.floor(this.frameRate / STREAMING_CONFIG.minFrameRate));
+        
+        return this.change('everyNthFrame', Math.min(maxEveryNthFrame, this.settings.everyNthFrame + 1));
+      }
+      
+      case 'resolution': {
+        const minScale = Math.min(1, Math.max(STREAMING_CONFIG.minWidth / this.base.width, STREAMING_CONFIG.minHeight / this.base.height));
+        
+        return this.changeScale(Math.max(minScale, this.scale * STREAMING_CONFIG.resolutionStep));
+      }
+      
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Raise a lever by one step, never above the requested settings
+   * @param {string} lever Lever
+   * @param {Object} metrics Metrics
+   * @returns {Object} Changes, or null at the upper bound
+   */
+  raise(lever, metrics) {
+    switch (lever) {
+      case 'bitrate': {
+        if (!this.bitrateAdjustable) {
+          return null;
+        }
+        
+        const bitrate = Math.min(this.base.bitrate, Math.round(this.settings.bitrate * 1.15));
+        
+        // Only probe upwards with headroom in the capacity estimate
+        if (metrics.availableBitrate !== null && metrics.availableBitrate < bitrate * 1.2) {
+          return null;
+        }
+        
+        return this.change('bitrate', bitrate);
+      }
+      
+      case 'screencastQuality':
+        return this.change('screencastQuality', Math.min(this.base.screencastQuality, this.settings.screencastQuality + STREAMING_CONFIG.screencastQualityStep));
+      
+      case 'frameRate':
+        return this.change('everyNthFrame', Math.max(this.base.everyNthFrame, this.settings.everyNthFrame - 1));
+      
+      case 'resolution':
+        return this.changeScale(Math.min(1, this.scale / STREAMING_CONFIG.resolutionStep));
+      
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Change a setting
+   * @param {string} key Setting
+   * @param {number} value New value
+   * @returns {Object} Changes, or null if the value is unchanged
+   */
+  change(key, value) {
+    if (value === this.settings[key]) {
+      return null;
+    }
+    
+    const changes = { [key]: { from: this.settings[key], to: value } };
+    
+    this.settings[key] = value;
+    
+    return changes;
+  }
+
+  /**
+   * Change resolution scale
+   * @param {number} scale New scale of the requested resolution
+   * @returns {Object} Changes, or null if the resolution is unchanged
+   */
+  changeScale(scale) {
+    // Even dimensions keep I420 chroma planes whole
+    const width = Math.round(this.base.width * scale / 2) * 2;
+    const height = Math.round(this.base.height * scale / 2) * 2;
+    
+    if (width === this.settings.width && height === this.settings.height) {
+      return null;
+    }
+    
+    const changes = {
+      width: { from: this.settings.width, to: width },
+      height: { from: this.settings.height, to: height }
+    };
+    
+    this.scale = scale;
+    this.settings.width = width;
+    this.settings.height = height;
+    
+    return changes;
+  }
+
+  /**
+   * Get controller state
+   * @returns {Object} Controller state
+   */
+  getState() {
+    return {
+      base: { ...this.base },
+      settings: { ...this.settings },
+      scale: this.scale,
+      bitrateAdjustable: this.bitrateAdjustable,
+      congestedCount: this.congestedCount,
+      healthyCount: this.healthyCount,
+      lastDecision: this.decisions.length > 0 ? this.decisions[this.decisions.length - 1] : null,
+      decisions: [...this.decisions]
+    };
+  }
+}
+
+AdaptiveQualityController.ACTIONS = ACTIONS;
+
+module.exports = AdaptiveQualityController;
@@ -4,11 +4,21 @@
  */
 
 const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
 const puppeteer = require('puppeteer');
 const { v4: uuidv4 } = require('uuid');
-const { BROWSER_CONFIG } = require('../utils/config');
+const { BROWSER_CONFIG, DOWNLOAD_CONFIG } = require('../utils/config');
 const logger = require('../utils/logger');
 const { ResourceLimitError, NotFoundError } = require('../utils/error-handler');
+const { getProcessTree, readProcessStatus, getProcessTreeMemory } = require('../utils/process-tree');
+const { ACTIONS } = require('./policy-engine');
+
+// Session isolation modes
+const ISOLATION_MODES = {
+  CONTEXT: 'context',
+  BROWSER: 'browser'
+};
 
 /**
  * BrowserPool class
@@ -16,14 +26,56 @@ const { ResourceLimitError, NotFoundError } = require('../utils/error-handler');
 class BrowserPool extends EventEmitter {
   /**
    * Constructor
+   * @param {Object} policyEngine Policy engine, or null to allow all URLs
+   * @param {Object} cgroupManager Cgroup manager, or null to run browsers without resource limits
    */
-  constructor() {
+  constructor(policyEngine = null, cgroupManager = null) {
     super();
+    this.policyEngine = policyEngine;
+    this.cgroupManager = cgroupManager;
     this.browsers = new Map();
     this.pages = new Map();
+    this.contexts = new Map();
+    this.pendingContexts = new Map();
+    this.downloads = new Map();
     this.running = false;
     this.memoryMonitoringInterval = null;
     
+    // Check isolation mode
+    this.isolationMode = BROWSER_CONFIG.isolationMode;
+    
+    if (!Object.values(ISOLATION_MODES).includes(this.isolationMode)) {
+      logger.warn(`Unknown isolation mode ${this.isolationMode}, using ${ISOLATION_MODES.CONTEXT}`);
+      this.isolationMode = ISOLATION_MODES.CONTEXT;
+    }
+    
+    // Check launch profile
+    this.launchProfile = BROWSER_CONFIG.launchProfile;
+    
+    if (!BROWSER_CONFIG.launchProfiles[this.launchProfile]) {
+      logger.warn(`Unknown launch profile ${this.launchProfile}, using hardened`);
+      this.launchProfile = 'hardened';
+    }
+    
+    this.sandboxCheck = null;
+    
+    // Warm pool of ready session contexts
+    this.warmPool = [];
+    this.warmPoolFilling = false;
+    this.warmPoolInterval = null;
+    this.warmPoolDemand = [];
+    this.warmPoolStats = {
+      hits: 0,
+      misses: 0,
+      created: 0,
+      discarded: 0
+    };
+    
+    // Re-evaluate open pages when the policy changes
+    if (this.policyEngine) {
+      this.policyEngine.on('policyReloaded', () => this.reapplyPolicy());
+    }
+    
     logger.info('Browser Pool initialized');
   }
 
@@ -35,13 +87,25 @@ class BrowserPool extends EventEmitter {
     try {
       logger.info('Initializing Browser Pool');
       
+      // Profiles that require the sandbox only start once a browser proves it is sandboxed
+      const profile = BROWSER_CONFIG.launchProfiles[this.launchProfile];
+      
+      if (profile.sandbox) {
+        await this.verifySandbox();
+      } else {
+        logger.warn(`Browsers run without the sandbox under launch profile ${this.launchProfile}`);
+      }
+      
       // Set running flag
       this.running = true;
       
       // Start memory monitoring
       this.startMemoryMonitoring();
       
-      logger.info('Browser Pool initialized successfully');
+      // Fill the warm pool in the background
+      this.startWarmPool();
+      
+      logger.info(`Browser Pool initialized successfully with launch profile ${this.launchProfile}`);
       
       return true;
     } catch (error) {
@@ -51,6 +115,83 @@ class BrowserPool extends EventEmitter {
     }
   }
 
+  /**
+   * Verify that browsers run sandboxed
+   * Launches the first pool browser and inspects its renderer processes: each must run
+   * under a seccomp-bpf filter and in a PID namespace of its own.
+   * @returns {Promise<Object>} Sandbox check
+   */
+  async verifySandbox() {
+    const { id: browserId, browser } = await this.createBrowser();
+    const browserProcess = browser.process();
+    let page = null;
+    
+    try {
+      // A page makes sure a renderer is running
+      page = await browser.newPage();
+      
+      const processes = browserProcess ? await getProcessTree(browserProcess.pid) : [];
+      const renderers = [];
+      
+      // NSpid lists the process ID in each nested PID namespace, so a sandboxed renderer has one more
+      const namespaceDepth = status => (status.NSpid || '').split(/\s+/).filter(Boolean).length;
+      const browserDepth = browserProcess ? namespaceDepth(await readProcessStatus(browserProcess.pid)) : 0;
+      
+      for (const proc of processes.filter(item => item.args.includes('--type=renderer'))) {
+        // Skip renderers that exited since the process tree was read
+        const status = await readProcessStatus(proc.pid).catch(() => null);
+        
+        if (!status) {
+          continue;
+        }
+        
+        renderers.push({
+          pid: proc.pid,
+          seccomp: status.Seccomp === '2',
+          namespace: namespaceDepth(status) > browserDepth
+        });
+      }
+      
+      this.sandboxCheck = {
+        sandboxed: renderers.length > 0 && renderers.every(renderer => renderer.seccomp && renderer.namespace) &&
+          !(browserProcess && browserProcess.spawnargs.includes('--no-sandbox')),
+        browserId,
+        renderers,
+        checkedAt: Date.now()
+      };
+    } finally {
+      if (page) {
+        await page.close().catch(() => {});
+      }
+    }
+    
+    if (!this.sandboxCheck.sandboxed) {
+      await this.closeBrowser(browserId);
+      
+      const details = this.sandboxCheck.renderers.length > 0
+        ? this.sandboxCheck.renderers.map(renderer => `renderer ${renderer.pid} seccomp ${renderer.seccomp ? 'on' : 'off'}, namespace ${renderer.namespace ? 'on' : 'off'}`).join('; ')
+        : 'no renderer process found';
+      
+      throw new Error(`Browser sandbox is not active under launch profile ${this.launchProfile}: ${details}`);
+    }
+    
+    logger.info(`Browser sandbox verified under launch profile ${this.launchProfile}`);
+    
+    return this.sandboxCheck;
+  }
+
+  /**
+   * Get launch profile status
+   * @returns {Object} Launch profile name, whether it requires the sandbox and the startup check
+   */
+  getLaunchProfile() {
+    return {
+      name: this.launchProfile,
+      sandbox: BROWSER_CONFIG.launchProfiles[this.launchProfile].sandbox,
+      sandboxCheck: this.sandboxCheck
+    };
+  }
+
   /**
    * Start memory monitoring
    */
@@ -67,14 +208,16 @@ class BrowserPool extends EventEmitter {
 
   /**
    * Monitor memory usage
+   * Restarts browsers that have served too many pages or run too long, then measures the
+   * memory of every browser and page and enforces the memory limits.
    * @returns {Promise<void>}
    */
   async monitorMemoryUsage() {
     try {
-      logger.info('Monitoring browser memory usage');
+      logger.debug('Monitoring browser memory usage');
       
-      // Check each browser's memory usage
-      for (const [browserId, browser] of this.browsers.entries()) {
+      // Check each browser's lifetime
+      for (const [browserId, browser] of Array.from(this.browsers.entries())) {
         try {
           // Get browser process
           const browserProcess = browser.process();
@@ -83,8 +226,7 @@ class BrowserPool extends EventEmitter {
             continue;
           }
           
-          // Check if browser has exceeded memory threshold
-          if (browser.pages().length === 0) {
+          if ((await browser.pages()).length === 0) {
             // No pages, close browser
             logger.info(`Browser ${browserId} has no pages, closing`);
             await this.closeBrowser(browserId);
@@ -101,11 +243,368 @@ class BrowserPool extends EventEmitter {
           logger.error(`Error monitoring browser ${browserId}`, error);
         }
       }
+      
+      // Measure and enforce memory limits
+      await this.measureMemory();
+      await this.enforceMemoryLimits();
     } catch (error) {
       logger.error('Error monitoring memory usage', error);
     }
   }
 
+  /**
+   * Measure memory of browsers and pages
+   * Browsers are measured by the resident memory of their process tree under /proc, pages by the
+   * JS heap and DOM node counts from CDP Performance.getMetrics.
+   * @returns {Promise<void>}
+   */
+  async measureMemory() {
+    for (const [browserId, browser] of this.browsers.entries()) {
+      const browserProcess = browser.process();
+      
+      if (!browserProcess) {
+        continue;
+      }
+      
+      try {
+        browser.memoryUsage = {
+          ...await getProcessTreeMemory(browserProcess.pid),
+          measuredAt: Date.now()
+        };
+      } catch (error) {
+        logger.warn(`Could not measure memory of browser ${browserId}: ${error.message}`);
+      }
+    }
+    
+    for (const [pageId, pageInfo] of this.pages.entries()) {
+      try {
+        const metrics = await pageInfo.page.metrics();
+        
+        pageInfo.memoryUsage = {
+          jsHeapUsedSize: metrics.JSHeapUsedSize,
+          jsHeapTotalSize: metrics.JSHeapTotalSize,
+          nodes: metrics.Nodes,
+          measuredAt: Date.now()
+        };
+      } catch (error) {
+        logger.warn(`Could not measure memory of page ${pageId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Find pages over a memory limit
+   * A browser over memoryThreshold or a session over its memoryLimit is charged to its page
+   * with the largest JS heap; a page with too many DOM nodes is charged itself.
+   * @returns {Map} Offense by page ID, with the limit exceeded, the usage and the limit
+   */
+  findMemoryOffenders() {
+    const offenders = new Map();
+    const heaviest = pages => pages.reduce((max, pageInfo) => (
+      !max || pageInfo.memoryUsage.jsHeapUsedSize > max.memoryUsage.jsHeapUsedSize ? pageInfo : max
+    ), null);
+    const measured = Array.from(this.pages.values()).filter(pageInfo => pageInfo.memoryUsage);
+    
+    // Browsers over the memory threshold
+    for (const [browserId, browser] of this.browsers.entries()) {
+      if (browser.memoryUsage && browser.memoryUsage.rss > BROWSER_CONFIG.memoryThreshold) {
+        const pageInfo = heaviest(measured.filter(item => item.browserId === browserId));
+        
+        if (pageInfo) {
+          offenders.set(pageInfo.id, { limit: 'browserMemory', usage: browser.memoryUsage.rss, max: BROWSER_CONFIG.memoryThreshold });
+        }
+      }
+    }
+    
+    // Sessions over their memory limit, given in MB
+    const sessions = new Map();
+    
+    for (const pageInfo of measured.filter(item => item.contextId && item.options.memoryLimit)) {
+      sessions.set(pageInfo.contextId, [...(sessions.get(pageInfo.contextId) || []), pageInfo]);
+    }
+    
+    for (const pages of sessions.values()) {
+      const usage = pages.reduce((sum, pageInfo) => sum + pageInfo.memoryUsage.jsHeapUsedSize, 0);
+      const max = pages[0].options.memoryLimit * 1024 * 1024;
+      const pageInfo = heaviest(pages);
+      
+      if (usage > max && !offenders.has(pageInfo.id)) {
+        offenders.set(pageInfo.id, { limit: 'sessionMemory', usage, max });
+      }
+    }
+    
+    // Pages with too many DOM nodes
+    for (const pageInfo of measured) {
+      if (pageInfo.memoryUsage.nodes > BROWSER_CONFIG.maxDomNodes && !offenders.has(pageInfo.id)) {
+        offenders.set(pageInfo.id, { limit: 'domNodes', usage: pageInfo.memoryUsage.nodes, max: BROWSER_CONFIG.maxDomNodes });
+      }
+    }
+    
+    return offenders;
+  }
+
+  /**
+   * Enforce memory limits
+   * Each check a page stays over a limit it gets the next action of memoryActions: warn the client,
+   * throttle the screencast, reload the page, then close it. Pages back under the limits start over.
+   * @returns {Promise<void>}
+   */
+  async enforceMemoryLimits() {
+    const offenders = this.findMemoryOffenders();
+    const actions = BROWSER_CONFIG.memoryActions;
+    
+    for (const pageInfo of Array.from(this.pages.values())) {
+      const offense = offenders.get(pageInfo.id);
+      
+      try {
+        if (offense) {
+          const action = actions[Math.min(pageInfo.memoryLevel || 0, actions.length - 1)];
+          
+          pageInfo.memoryLevel = (pageInfo.memoryLevel || 0) + 1;
+          await this.applyMemoryAction(pageInfo, action, offense);
+        } else if (pageInfo.memoryLevel) {
+          pageInfo.memoryLevel = 0;
+          await this.applyMemoryAction(pageInfo, 'recovered', null);
+        }
+      } catch (error) {
+        logger.error(`Error enforcing memory limits on page ${pageInfo.id}`, error);
+      }
+    }
+  }
+
+  /**
+   * Apply memory limit action to a page
+   * @param {Object} pageInfo Page info
+   * @param {string} action warn, throttle, reload, kill or recovered
+   * @param {Object} offense Limit exceeded, or null when recovered
+   * @returns {Promise<void>}
+   */
+  async applyMemoryAction(pageInfo, action, offense) {
+    const pageId = pageInfo.id;
+    
+    logger.warn(offense
+      ? `Memory limit ${offense.limit} exceeded by page ${pageId} (${offense.usage} > ${offense.max}), action ${action}`
+      : `Page ${pageId} back under memory limits`);
+    
+    switch (action) {
+      case 'throttle':
+        await this.setScreencastThrottle(pageInfo, true);
+        break;
+      case 'reload':
+        await this.reloadPage(pageId);
+        break;
+      case 'kill':
+        await this.closePage(pageId);
+        break;
+      case 'recovered':
+        await this.setScreencastThrottle(pageInfo, false);
+        break;
+    }
+    
+    // Emit memory limit event; warn needs nothing more than the event
+    this.emit('memoryLimitAction', pageId, {
+      action,
+      sessionId: pageInfo.contextId,
+      limit: offense ? offense.limit : null,
+      usage: offense ? offense.usage : null,
+      max: offense ? offense.max : null,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Throttle or restore the screencast of a page
+   * @param {Object} pageInfo Page info
+   * @param {boolean} throttled Throttled
+   * @returns {Promise<void>}
+   */
+  async setScreencastThrottle(pageInfo, throttled) {
+    if (Boolean(pageInfo.screencastThrottled) === throttled) {
+      return;
+    }
+    
+    pageInfo.screencastThrottled = throttled;
+    
+    // Restart a running screencast with the new frame skip
+    if (pageInfo.screencastRunning) {
+      await this.stopScreencast(pageInfo.id);
+      await this.startScreencast(pageInfo.id, pageInfo.screencastOptions);
+    }
+  }
+
+  /**
+   * Start warm pool maintenance
+   */
+  startWarmPool() {
+    this.warmPoolInterval = setInterval(() => this.maintainWarmPool(), BROWSER_CONFIG.warmPoolCheckInterval);
+    
+    this.maintainWarmPool();
+  }
+
+  /**
+   * Get warm pool target size
+   * The pool keeps at least warmPoolSize entries and grows with the sessions started
+   * in the demand window, up to warmPoolMaxSize.
+   * @returns {number} Target size
+   */
+  getWarmPoolTarget() {
+    const windowStart = Date.now() - BROWSER_CONFIG.warmPoolDemandWindow;
+    
+    this.warmPoolDemand = this.warmPoolDemand.filter(time => time >= windowStart);
+    
+    return Math.max(
+      BROWSER_CONFIG.warmPoolSize,
+      Math.min(BROWSER_CONFIG.warmPoolMaxSize, this.warmPoolDemand.length)
+    );
+  }
+
+  /**
+   * Bring the warm pool to its target size
+   * @returns {Promise<void>}
+   */
+  async maintainWarmPool() {
+    if (!this.running || this.warmPoolFilling) {
+      return;
+    }
+    
+    this.warmPoolFilling = true;
+    
+    try {
+      // Drop entries whose browser or page is gone
+      for (const entry of this.warmPool.filter(item => !this.isWarmEntryUsable(item))) {
+        await this.discardWarmEntry(entry);
+      }
+      
+      const target = this.getWarmPoolTarget();
+      
+      // Shrink after demand drops
+      while (this.warmPool.length > target) {
+        await this.discardWarmEntry(this.warmPool[this.warmPool.length - 1]);
+      }
+      
+      // Replenish
+      while (this.running && this.warmPool.length < target) {
+        const entry = await this.createWarmEntry();
+        
+        if (!this.running) {
+          await this.discardWarmEntry(entry);
+          break;
+        }
+        
+        this.warmPool.push(entry);
+        this.warmPoolStats.created++;
+      }
+    } catch (error) {
+      logger.warn(`Warm pool not replenished: ${error.message}`);
+    } finally {
+      this.warmPoolFilling = false;
+    }
+  }
+
+  /**
+   * Create warm pool entry
+   * In context mode the entry is an incognito context in a shared browser; in browser mode
+   * it is a browser process of its own. Either way it holds one blank page.
+   * @returns {Promise<Object>} Warm entry
+   */
+  async createWarmEntry() {
+    const dedicated = this.isolationMode === ISOLATION_MODES.BROWSER;
+    const { id: browserId, browser } = dedicated ? await this.createBrowser() : await this.getOrCreateBrowser();
+    let context = null;
+    
+    try {
+      if (dedicated) {
+        // Keep other pages out until a session takes the browser
+        browser.warm = true;
+        context = browser.defaultBrowserContext();
+      } else {
+        context = await browser.createIncognitoBrowserContext();
+        await this.setupContextDownloads(browser, context);
+      }
+      
+      const page = await context.newPage();
+      
+      return {
+        browserId,
+        context,
+        page,
+        dedicated,
+        createdAt: Date.now()
+      };
+    } catch (error) {
+      if (dedicated) {
+        await this.closeBrowser(browserId);
+      } else if (context) {
+        await context.close().catch(() => {});
+      }
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a warm entry can still be handed out
+   * @param {Object} entry Warm entry
+   * @returns {boolean} Usable
+   */
+  isWarmEntryUsable(entry) {
+    return this.browsers.has(entry.browserId) && !entry.page.isClosed();
+  }
+
+  /**
+   * Remove warm entry and close what it holds
+   * @param {Object} entry Warm entry
+   * @returns {Promise<void>}
+   */
+  async discardWarmEntry(entry) {
+    this.warmPool = this.warmPool.filter(item => item !== entry);
+    this.warmPoolStats.discarded++;
+    
+    if (entry.dedicated) {
+      await this.closeBrowser(entry.browserId);
+    } else {
+      await entry.context.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Take a warm entry for a session
+   * @returns {Object} Warm entry, or null when the pool is empty
+   */
+  takeWarmEntry() {
+    this.warmPoolDemand.push(Date.now());
+    
+    while (this.warmPool.length > 0) {
+      const entry = this.warmPool.shift();
+      
+      if (this.isWarmEntryUsable(entry)) {
+        this.warmPoolStats.hits++;
+        return entry;
+      }
+      
+      this.discardWarmEntry(entry);
+    }
+    
+    this.warmPoolStats.misses++;
+    
+    return null;
+  }
+
+  /**
+   * Get warm pool stats
+   * @returns {Object} Warm pool size, target and hit/miss counts
+   */
+  getWarmPoolStats() {
+    const { hits, misses } = this.warmPoolStats;
+    
+    return {
+      size: this.warmPool.length,
+      target: this.getWarmPoolTarget(),
+      ...this.warmPoolStats,
+      hitRate: hits + misses > 0 ? hits / (hits + misses) : null
+    };
+  }
+
   /**
    * Create browser
    * @param {Object} options Browser options
@@ -129,9 +628,12 @@ class BrowserPool extends EventEmitter {
         return { id: browserId, browser: this.browsers.get(browserId) };
       }
       
-      // Launch browser
+      // Launch browser with the launch profile
+      const profile = BROWSER_CONFIG.launchProfiles[this.launchProfile];
       const launchOptions = {
         ...BROWSER_CONFIG.launchOptions,
+        ...profile.launchOptions,
+        args: [...BROWSER_CONFIG.launchOptions.args, ...profile.args],
         ...options
       };
       
@@ -146,6 +648,7 @@ class BrowserPool extends EventEmitter {
       browser.id = browserId;
       browser.createdAt = Date.now();
       browser.pagesCreated = 0;
+      browser.launchProfile = this.launchProfile;
       
       // Store browser
       this.browsers.set(browserId, browser);
@@ -154,9 +657,17 @@ class BrowserPool extends EventEmitter {
       browser.on('disconnected', () => {
         logger.info(`Browser ${browserId} disconnected`);
         this.browsers.delete(browserId);
+        this.forgetContexts(browserId);
+        this.releaseCgroup(browserId, browser);
         this.emit('browserDisconnected', browserId);
       });
       
+      // Put the browser under the resource limits
+      await this.confineBrowser(browserId, browser);
+      
+      // Capture downloads of this browser
+      await this.setupDownloads(browserId, browser);
+      
       logger.info(`Browser created: ${browserId}`);
       
       // Emit browser created event
@@ -169,6 +680,279 @@ class BrowserPool extends EventEmitter {
     }
   }
 
+  /**
+   * Place browser in a cgroup slice of its own
+   * Without cgroups the browser runs unconfined.
+   * @param {string} browserId Browser ID
+   * @param {Object} browser Browser instance
+   * @returns {Promise<void>}
+   */
+  async confineBrowser(browserId, browser) {
+    const browserProcess = browser.process();
+    
+    if (!this.cgroupManager || !this.cgroupManager.isAvailable() || !browserProcess) {
+      return;
+    }
+    
+    try {
+      browser.cgroup = await this.cgroupManager.createSlice(browserId, browserProcess.pid);
+    } catch (error) {
+      logger.warn(`Browser ${browserId} runs without cgroup limits: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the cgroup slice of a browser
+   * @param {string} browserId Browser ID
+   * @param {Object} browser Browser instance
+   * @returns {Promise<void>}
+   */
+  async releaseCgroup(browserId, browser) {
+    if (browser.cgroup) {
+      browser.cgroup = null;
+      await this.cgroupManager.removeSlice(browserId);
+    }
+  }
+
+  /**
+   * Apply the resource options of a session to its dedicated browser
+   * @param {string} browserId Browser ID
+   * @param {Object} resources Resource options
+   * @returns {Promise<void>}
+   */
+  async applySessionResources(browserId, resources) {
+    const browser = this.getBrowser(browserId);
+    
+    if (!browser || !browser.cgroup || !resources) {
+      return;
+    }
+    
+    try {
+      await this.cgroupManager.updateSlice(browserId, resources);
+    } catch (error) {
+      logger.warn(`Session limits not applied to browser ${browserId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get resource usage of a session's browser
+   * In context mode the browser, and so the usage, is shared with other sessions.
+   * @param {string} isolationKey Session the context belongs to
+   * @returns {Promise<Object>} Usage of the browser's cgroup slice, or null without a context
+   */
+  async getSessionResources(isolationKey) {
+    const contextInfo = this.contexts.get(isolationKey);
+    
+    if (!contextInfo) {
+      return null;
+    }
+    
+    const browser = this.getBrowser(contextInfo.browserId);
+    
+    if (!browser || !browser.cgroup) {
+      const status = this.cgroupManager ? this.cgroupManager.getStatus() : null;
+      
+      return {
+        available: false,
+        reason: status ? status.reason || 'Browser was not placed in a cgroup' : 'Cgroups are not configured'
+      };
+    }
+    
+    return {
+      available: true,
+      browserId: contextInfo.browserId,
+      shared: !contextInfo.dedicated,
+      ...await this.cgroupManager.getUsage(contextInfo.browserId)
+    };
+  }
+
+  /**
+   * Set up download capture for browser
+   * @param {string} browserId Browser ID
+   * @param {Object} browser Browser instance
+   * @returns {Promise<void>}
+   */
+  async setupDownloads(browserId, browser) {
+    try {
+      // Get browser-level CDP session
+      const client = await browser.target().createCDPSession();
+      
+      browser.downloadClient = client;
+      
+      if (!DOWNLOAD_CONFIG.enabled) {
+        await client.send('Browser.setDownloadBehavior', { behavior: 'deny' });
+        return;
+      }
+      
+      // Stage downloads per browser until they are attributed to a session
+      const downloadPath = path.join(DOWNLOAD_CONFIG.stagingDir, browserId);
+      await fs.promises.mkdir(downloadPath, { recursive: true });
+      
+      // Files are saved under their GUID so names chosen by the page never reach the file system
+      await client.send('Browser.setDownloadBehavior', {
+        behavior: 'allowAndName',
+        downloadPath,
+        eventsEnabled: true
+      });
+      
+      client.on('Browser.downloadWillBegin', (event) => this.handleDownloadWillBegin(browserId, downloadPath, event));
+      client.on('Browser.downloadProgress', (event) => this.handleDownloadProgress(event));
+      
+      // Store staging directory
+      browser.downloadPath = downloadPath;
+    } catch (error) {
+      logger.error(`Error setting up downloads for browser ${browserId}`, error);
+    }
+  }
+
+  /**
+   * Set up download capture for an incognito browser context
+   * Download behavior set for the browser only covers its default context.
+   * @param {Object} browser Browser instance
+   * @param {Object} context Browser context
+   * @returns {Promise<void>}
+   */
+  async setupContextDownloads(browser, context) {
+    if (!browser.downloadClient) {
+      return;
+    }
+    
+    await browser.downloadClient.send('Browser.setDownloadBehavior', DOWNLOAD_CONFIG.enabled ? {
+      behavior: 'allowAndName',
+      browserContextId: context.id,
+      downloadPath: browser.downloadPath,
+      eventsEnabled: true
+    } : {
+      behavior: 'deny',
+      browserContextId: context.id
+    });
+  }
+
+  /**
+   * Handle download will begin
+   * @param {string} browserId Browser ID
+   * @param {string} downloadPath Staging directory
+   * @param {Object} event CDP event
+   */
+  handleDownloadWillBegin(browserId, downloadPath, event) {
+    // Find page that started the download
+    const pageInfo = this.findPageByFrameId(event.frameId);
+    
+    const download = {
+      guid: event.guid,
+      browserId,
+      // Downloads of incognito contexts are only found again through their context
+      browserContextId: pageInfo ? pageInfo.page.browserContext().id || null : null,
+      pageId: pageInfo ? pageInfo.id : null,
+      url: event.url,
+      suggestedFilename: event.suggestedFilename,
+      filePath: path.join(downloadPath, event.guid),
+      state: 'inProgress',
+      totalBytes: 0,
+      receivedBytes: 0,
+      startedAt: Date.now()
+    };
+    
+    // Store download
+    this.downloads.set(event.guid, download);
+    
+    logger.info(`Download ${event.guid} started on page ${download.pageId}: ${event.url}`);
+    
+    // Emit download started event
+    this.emit('downloadStarted', download.pageId, download);
+  }
+
+  /**
+   * Handle download progress
+   * @param {Object} event CDP event
+   */
+  handleDownloadProgress(event) {
+    // Get download
+    const download = this.downloads.get(event.guid);
+    
+    if (!download) {
+      return;
+    }
+    
+    // Update download
+    download.state = event.state;
+    download.totalBytes = event.totalBytes;
+    download.receivedBytes = event.receivedBytes;
+    
+    if (event.state === 'inProgress') {
+      // Emit download progress event
+      this.emit('downloadProgress', download.pageId, download);
+      return;
+    }
+    
+    // Download finished
+    this.downloads.delete(event.guid);
+    
+    logger.info(`Download ${event.guid} ${event.state} (${event.receivedBytes} bytes)`);
+    
+    if (event.state === 'completed') {
+      // Emit download completed event
+      this.emit('downloadCompleted', download.pageId, download);
+    } else {
+      // Emit download canceled event
+      this.emit('downloadCanceled', download.pageId, download);
+    }
+  }
+
+  /**
+   * Cancel download
+   * @param {string} guid Download GUID
+   * @returns {Promise<boolean>} Success
+   */
+  async cancelDownload(guid) {
+    // Get download
+    const download = this.downloads.get(guid);
+    
+    if (!download) {
+      return false;
+    }
+    
+    const browser = this.getBrowser(download.browserId);
+    
+    if (!browser || !browser.downloadClient) {
+      return false;
+    }
+    
+    if (download.pageId) {
+      await browser.downloadClient.send('Browser.cancelDownload', download.browserContextId ? {
+        guid,
+        browserContextId: download.browserContextId
+      } : { guid });
+      
+      return true;
+    }
+    
+    // Without its page the context is unknown, so try every context of the browser
+    const contextIds = [null, ...browser.browserContexts().map(context => context.id).filter(Boolean)];
+    
+    for (const browserContextId of contextIds) {
+      await browser.downloadClient.send('Browser.cancelDownload', browserContextId ? { guid, browserContextId } : { guid })
+        .catch(error => logger.debug(`Download ${guid} not canceled in context ${browserContextId}: ${error.message}`));
+    }
+    
+    return true;
+  }
+
+  /**
+   * Find page containing a frame
+   * @param {string} frameId CDP frame ID
+   * @returns {Object} Page info
+   */
+  findPageByFrameId(frameId) {
+    for (const pageInfo of this.pages.values()) {
+      if (pageInfo.page.frames().some(frame => frame._id === frameId)) {
+        return pageInfo;
+      }
+    }
+    
+    return null;
+  }
+
   /**
    * Get browser
    * @param {string} browserId Browser ID
@@ -195,6 +979,11 @@ class BrowserPool extends EventEmitter {
       let minPages = Infinity;
       
       for (const [browserId, browser] of this.browsers.entries()) {
+        // Browsers dedicated to a session, or warm for one, take no other pages
+        if (browser.isolationKey || browser.warm) {
+          continue;
+        }
+        
         const pageCount = (await browser.pages()).length;
         
         if (pageCount < minPages && pageCount < BROWSER_CONFIG.maxPagesPerBrowser) {
@@ -217,84 +1006,372 @@ class BrowserPool extends EventEmitter {
   }
 
   /**
-   * Create page
+   * Get or create the browser context of a session
+   * @param {string} isolationKey Session the context belongs to
+   * @param {Object} browserOptions Browser options
+   * @param {Object} resources Resource options applied to a dedicated browser
+   * @returns {Promise<Object>} Context info
+   */
+  async getOrCreateContext(isolationKey, browserOptions = {}, resources = null) {
+    const existing = this.contexts.get(isolationKey);
+    
+    if (existing) {
+      return existing;
+    }
+    
+    // Pages opened at the same time share one context
+    if (!this.pendingContexts.has(isolationKey)) {
+      const pending = this.createContext(isolationKey, browserOptions, resources).finally(() => {
+        this.pendingContexts.delete(isolationKey);
+      });
+      
+      this.pendingContexts.set(isolationKey, pending);
+    }
+    
+    return this.pendingContexts.get(isolationKey);
+  }
+
+  /**
+   * Create the browser context of a session
+   * In context mode the session gets an incognito context in a shared browser; in browser
+   * mode it gets a browser process of its own. Either way nothing is shared with other sessions.
+   * @param {string} isolationKey Session the context belongs to
+   * @param {Object} browserOptions Browser options
+   * @param {Object} resources Resource options applied to a dedicated browser
+   * @returns {Promise<Object>} Context info
+   */
+  async createContext(isolationKey, browserOptions = {}, resources = null) {
+    let contextInfo;
+    
+    // A warm entry is only used with the default browser options
+    const warm = Object.keys(browserOptions).length === 0 ? this.takeWarmEntry() : null;
+    
+    if (warm) {
+      // Warm context or browser with its blank page
+      if (warm.dedicated) {
+        const browser = this.getBrowser(warm.browserId);
+        
+        browser.warm = false;
+        browser.isolationKey = isolationKey;
+      }
+      
+      contextInfo = {
+        id: isolationKey,
+        browserId: warm.browserId,
+        context: warm.context,
+        dedicated: warm.dedicated,
+        warmPage: warm.page,
+        createdAt: Date.now()
+      };
+    } else if (this.isolationMode === ISOLATION_MODES.BROWSER) {
+      // Dedicated browser process
+      const { id: browserId, browser } = await this.createBrowser(browserOptions);
+      
+      browser.isolationKey = isolationKey;
+      
+      contextInfo = {
+        id: isolationKey,
+        browserId,
+        context: browser.defaultBrowserContext(),
+        dedicated: true,
+        createdAt: Date.now()
+      };
+    } else {
+      // Incognito context in a shared browser
+      const { id: browserId, browser } = await this.getOrCreateBrowser(browserOptions);
+      const context = await browser.createIncognitoBrowserContext();
+      
+      await this.setupContextDownloads(browser, context);
+      
+      contextInfo = {
+        id: isolationKey,
+        browserId,
+        context,
+        dedicated: false,
+        createdAt: Date.now()
+      };
+    }
+    
+    this.contexts.set(isolationKey, contextInfo);
+    
+    // A dedicated browser takes the session's resource limits
+    if (contextInfo.dedicated) {
+      await this.applySessionResources(contextInfo.browserId, resources);
+    }
+    
+    logger.info(`Browser context created for ${isolationKey} in browser ${contextInfo.browserId} (${this.isolationMode}${warm ? ', warm' : ''})`);
+    
+    // Replace what the session took
+    this.maintainWarmPool();
+    
+    return contextInfo;
+  }
+
+  /**
+   * Close the browser context of a session
+   * Closing the context wipes its cookies, cache, storage and service workers.
+   * @param {string} isolationKey Session the context belongs to
+   * @returns {Promise<boolean>} Success
+   */
+  async closeContext(isolationKey) {
+    // Wait for a context still being created
+    if (this.pendingContexts.has(isolationKey)) {
+      await this.pendingContexts.get(isolationKey).catch(() => {});
+    }
+    
+    const contextInfo = this.contexts.get(isolationKey);
+    
+    if (!contextInfo) {
+      return false;
+    }
+    
+    this.contexts.delete(isolationKey);
+    
+    try {
+      logger.info(`Closing browser context for ${isolationKey}`);
+      
+      if (contextInfo.dedicated) {
+        await this.closeBrowser(contextInfo.browserId);
+      } else {
+        // Close pages first so their close handlers run
+        for (const [pageId, pageInfo] of this.pages.entries()) {
+          if (pageInfo.contextId === isolationKey) {
+            await this.closePage(pageId);
+          }
+        }
+        
+        await contextInfo.context.close();
+      }
+      
+      logger.info(`Browser context closed for ${isolationKey}`);
+      
+      // Emit context closed event
+      this.emit('contextClosed', isolationKey);
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error closing browser context for ${isolationKey}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Forget the contexts of a browser that is gone
+   * @param {string} browserId Browser ID
+   */
+  forgetContexts(browserId) {
+    for (const [isolationKey, contextInfo] of this.contexts.entries()) {
+      if (contextInfo.browserId === browserId) {
+        this.contexts.delete(isolationKey);
+      }
+    }
+    
+    this.warmPool = this.warmPool.filter(entry => entry.browserId !== browserId);
+  }
+
+  /**
+   * Create page
+   * @param {Object} options Page options
+   * @returns {Promise<Object>} Page info
+   */
+  async createPage(options = {}) {
+    try {
+      logger.info('Creating page', options);
+      
+      // Session pages open in the session's browser context, other pages in a shared browser
+      let browserId;
+      let target;
+      
+      if (options.isolationKey) {
+        const contextInfo = await this.getOrCreateContext(options.isolationKey, options.browserOptions, options.resources);
+        browserId = contextInfo.browserId;
+        target = contextInfo.context;
+      } else {
+        const browserInfo = await this.getOrCreateBrowser(options.browserOptions);
+        browserId = browserInfo.id;
+        target = browserInfo.browser;
+      }
+      
+      // Generate page ID
+      const pageId = options.pageId || uuidv4();
+      
+      // Check if page already exists
+      if (this.pages.has(pageId)) {
+        logger.warn(`Page already exists: ${pageId}`);
+        return this.pages.get(pageId);
+      }
+      
+      // The first page of a warm context is already open
+      let page = null;
+      
+      if (options.isolationKey) {
+        const contextInfo = this.contexts.get(options.isolationKey);
+        
+        if (contextInfo && contextInfo.warmPage) {
+          page = contextInfo.warmPage.isClosed() ? null : contextInfo.warmPage;
+          contextInfo.warmPage = null;
+        }
+      }
+      
+      const warm = Boolean(page);
+      
+      // Create page
+      if (!page) {
+        page = await target.newPage();
+      }
+      
+      // Increment pages created counter
+      const browser = this.getBrowser(browserId);
+      
+      if (browser) {
+        browser.pagesCreated++;
+      }
+      
+      const pageInfo = await this.registerPage(page, browserId, pageId, options);
+      pageInfo.warm = warm;
+      
+      return pageInfo;
+    } catch (error) {
+      logger.error('Error creating page', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a Puppeteer page with the pool
+   * @param {Object} page Puppeteer page
+   * @param {string} browserId Browser ID
+   * @param {string} pageId Page ID
    * @param {Object} options Page options
    * @returns {Promise<Object>} Page info
    */
-  async createPage(options = {}) {
+  async registerPage(page, browserId, pageId, options = {}) {
+    // Set viewport
+    await page.setViewport({
+      width: options.width || BROWSER_CONFIG.defaultViewport.width,
+      height: options.height || BROWSER_CONFIG.defaultViewport.height,
+      deviceScaleFactor: options.deviceScaleFactor || BROWSER_CONFIG.defaultViewport.deviceScaleFactor,
+      isMobile: options.isMobile || BROWSER_CONFIG.defaultViewport.isMobile,
+      hasTouch: options.hasTouch || BROWSER_CONFIG.defaultViewport.hasTouch,
+      isLandscape: options.isLandscape || BROWSER_CONFIG.defaultViewport.isLandscape
+    });
+    
+    // Set page settings
+    await page.setJavaScriptEnabled(BROWSER_CONFIG.defaultPageSettings.javaScriptEnabled);
+    
+    // Set user agent if provided
+    if (options.userAgent) {
+      await page.setUserAgent(options.userAgent);
+    }
+    
+    // Add custom properties
+    page.id = pageId;
+    page.browserId = browserId;
+    page.createdAt = Date.now();
+    page.lastActivityAt = Date.now();
+    page.screencastRunning = false;
+    
+    // Store page
+    this.pages.set(pageId, {
+      id: pageId,
+      browserId,
+      contextId: options.isolationKey || null,
+      page,
+      createdAt: page.createdAt,
+      lastActivityAt: page.lastActivityAt,
+      screencastRunning: false,
+      access: ACTIONS.ALLOW,
+      verdict: null,
+      options: {
+        ...options,
+        width: options.width || BROWSER_CONFIG.defaultViewport.width,
+        height: options.height || BROWSER_CONFIG.defaultViewport.height,
+        deviceScaleFactor: options.deviceScaleFactor || BROWSER_CONFIG.defaultViewport.deviceScaleFactor
+      }
+    });
+    
+    // Set up event listeners
+    page.on('close', () => {
+      logger.info(`Page ${pageId} closed`);
+      this.pages.delete(pageId);
+      this.emit('pageClosed', pageId);
+    });
+    
+    // Report main frame navigations, including link clicks and redirects the page makes itself
+    page.on('framenavigated', (frame) => {
+      if (frame === page.mainFrame()) {
+        this.emit('mainFrameNavigated', pageId, frame.url());
+      }
+    });
+    
+    // Adopt window.open and target=_blank popups as new pages
+    page.on('popup', (popup) => {
+      if (popup) {
+        this.adoptPopup(pageId, popup);
+      }
+    });
+    
+    // Enforce URL policy on every request, including subresources, redirects and frames
+    if (this.policyEngine) {
+      page.on('request', (request) => this.handlePolicyRequest(pageId, request));
+      await page.setRequestInterception(true);
+    }
+    
+    logger.info(`Page created: ${pageId} in browser ${browserId}`);
+    
+    // Emit page created event
+    this.emit('pageCreated', pageId, this.pages.get(pageId));
+    
+    return this.pages.get(pageId);
+  }
+
+  /**
+   * Adopt popup opened by a page
+   * @param {string} openerPageId Opener page ID
+   * @param {Object} popup Puppeteer page of the popup
+   * @returns {Promise<Object>} Page info
+   */
+  async adoptPopup(openerPageId, popup) {
     try {
-      logger.info('Creating page', options);
-      
-      // Get or create browser
-      const { id: browserId, browser } = await this.getOrCreateBrowser(options.browserOptions);
-      
-      // Generate page ID
-      const pageId = options.pageId || uuidv4();
+      // Get opener page
+      const openerInfo = this.pages.get(openerPageId);
       
-      // Check if page already exists
-      if (this.pages.has(pageId)) {
-        logger.warn(`Page already exists: ${pageId}`);
-        return this.pages.get(pageId);
+      if (!openerInfo) {
+        logger.warn(`Opener page not found for popup: ${openerPageId}`);
+        await popup.close();
+        return null;
       }
       
-      // Create page
-      const page = await browser.newPage();
+      // Generate page ID
+      const pageId = uuidv4();
       
-      // Increment pages created counter
-      browser.pagesCreated++;
+      // Popups inherit the opener's page options
+      const popupOptions = { ...openerInfo.options, openerPageId };
+      delete popupOptions.pageId;
       
-      // Set viewport
-      await page.setViewport({
-        width: options.width || BROWSER_CONFIG.defaultViewport.width,
-        height: options.height || BROWSER_CONFIG.defaultViewport.height,
-        deviceScaleFactor: options.deviceScaleFactor || BROWSER_CONFIG.defaultViewport.deviceScaleFactor,
-        isMobile: options.isMobile || BROWSER_CONFIG.defaultViewport.isMobile,
-        hasTouch: options.hasTouch || BROWSER_CONFIG.defaultViewport.hasTouch,
-        isLandscape: options.isLandscape || BROWSER_CONFIG.defaultViewport.isLandscape
-      });
+      const pageInfo = await this.registerPage(popup, openerInfo.browserId, pageId, popupOptions);
       
-      // Set page settings
-      await page.setJavaScriptEnabled(BROWSER_CONFIG.defaultPageSettings.javaScriptEnabled);
+      // The popup may have started loading before interception was enabled
+      if (this.policyEngine) {
+        await this.reapplyPagePolicy(pageInfo);
+      }
       
-      // Add custom properties
-      page.id = pageId;
-      page.browserId = browserId;
-      page.createdAt = Date.now();
-      page.lastActivityAt = Date.now();
-      page.screencastRunning = false;
-      
-      // Store page
-      this.pages.set(pageId, {
-        id: pageId,
-        browserId,
-        page,
-        createdAt: page.createdAt,
-        lastActivityAt: page.lastActivityAt,
-        screencastRunning: false,
-        options: {
-          ...options,
-          width: options.width || BROWSER_CONFIG.defaultViewport.width,
-          height: options.height || BROWSER_CONFIG.defaultViewport.height,
-          deviceScaleFactor: options.deviceScaleFactor || BROWSER_CONFIG.defaultViewport.deviceScaleFactor
-        }
-      });
+      // Increment pages created counter
+      const browser = this.getBrowser(openerInfo.browserId);
       
-      // Set up event listeners
-      page.on('close', () => {
-        logger.info(`Page ${pageId} closed`);
-        this.pages.delete(pageId);
-        this.emit('pageClosed', pageId);
-      });
+      if (browser) {
+        browser.pagesCreated++;
+      }
       
-      logger.info(`Page created: ${pageId} in browser ${browserId}`);
+      logger.info(`Popup ${pageId} adopted from page ${openerPageId}`);
       
-      // Emit page created event
-      this.emit('pageCreated', pageId, this.pages.get(pageId));
+      // Emit popup created event
+      this.emit('popupCreated', openerPageId, pageId, pageInfo);
       
-      return this.pages.get(pageId);
+      return pageInfo;
     } catch (error) {
-      logger.error('Error creating page', error);
-      throw error;
+      logger.error(`Error adopting popup from page ${openerPageId}`, error);
+      return null;
     }
   }
 
@@ -314,6 +1391,45 @@ class BrowserPool extends EventEmitter {
     return pageInfo;
   }
 
+  /**
+   * Set page viewport
+   * @param {string} pageId Page ID
+   * @param {Object} viewport Viewport with width, height and deviceScaleFactor
+   * @returns {Promise<Object>} Page info
+   */
+  async setViewport(pageId, viewport = {}) {
+    // Get page
+    const pageInfo = this.getPage(pageId);
+    
+    if (!pageInfo) {
+      throw new NotFoundError(`Page not found: ${pageId}`);
+    }
+    
+    const options = {
+      ...pageInfo.options,
+      width: viewport.width || pageInfo.options.width,
+      height: viewport.height || pageInfo.options.height,
+      deviceScaleFactor: viewport.deviceScaleFactor || pageInfo.options.deviceScaleFactor
+    };
+    
+    // Set viewport
+    await pageInfo.page.setViewport({
+      width: options.width,
+      height: options.height,
+      deviceScaleFactor: options.deviceScaleFactor,
+      isMobile: options.isMobile || BROWSER_CONFIG.defaultViewport.isMobile,
+      hasTouch: options.hasTouch || BROWSER_CONFIG.defaultViewport.hasTouch,
+      isLandscape: options.isLandscape || BROWSER_CONFIG.defaultViewport.isLandscape
+    });
+    
+    // Update page options
+    pageInfo.options = options;
+    
+    logger.info(`Viewport set for page ${pageId}: ${options.width}x${options.height}@${options.deviceScaleFactor}x`);
+    
+    return pageInfo;
+  }
+
   /**
    * Navigate page
    * @param {string} pageId Page ID
@@ -341,16 +1457,23 @@ class BrowserPool extends EventEmitter {
       // Update last activity time
       pageInfo.lastActivityAt = Date.now();
       
-      logger.info(`Page ${pageId} navigated to ${url}`);
+      // Get final URL after redirects
+      const finalUrl = pageInfo.page.url();
+      const title = await pageInfo.page.title();
+      
+      logger.info(`Page ${pageId} navigated to ${finalUrl}`);
       
       // Emit page navigated event
-      this.emit('pageNavigated', pageId, url);
+      this.emit('pageNavigated', pageId, finalUrl);
       
       return {
         pageId,
         url,
+        finalUrl,
+        title,
         status: response ? response.status() : null,
-        ok: response ? response.ok() : false
+        ok: response ? response.ok() : false,
+        access: pageInfo.access
       };
     } catch (error) {
       logger.error(`Error navigating page ${pageId} to ${url}`, error);
@@ -358,6 +1481,365 @@ class BrowserPool extends EventEmitter {
     }
   }
 
+  /**
+   * Go back in page history
+   * @param {string} pageId Page ID
+   * @param {Object} options Navigation options
+   * @returns {Promise<Object>} Navigation result
+   */
+  async goBack(pageId, options = {}) {
+    return this.navigateHistory(pageId, 'goBack', options);
+  }
+
+  /**
+   * Go forward in page history
+   * @param {string} pageId Page ID
+   * @param {Object} options Navigation options
+   * @returns {Promise<Object>} Navigation result
+   */
+  async goForward(pageId, options = {}) {
+    return this.navigateHistory(pageId, 'goForward', options);
+  }
+
+  /**
+   * Reload page
+   * @param {string} pageId Page ID
+   * @param {Object} options Navigation options
+   * @returns {Promise<Object>} Navigation result
+   */
+  async reloadPage(pageId, options = {}) {
+    return this.navigateHistory(pageId, 'reload', options);
+  }
+
+  /**
+   * Run a Puppeteer history navigation on a page
+   * @param {string} pageId Page ID
+   * @param {string} method Puppeteer page method (goBack, goForward or reload)
+   * @param {Object} options Navigation options
+   * @returns {Promise<Object>} Navigation result
+   */
+  async navigateHistory(pageId, method, options = {}) {
+    try {
+      logger.info(`Running ${method} on page ${pageId}`);
+      
+      // Get page
+      const pageInfo = this.getPage(pageId);
+      
+      if (!pageInfo) {
+        throw new NotFoundError(`Page not found: ${pageId}`);
+      }
+      
+      // Navigate; goBack and goForward resolve to null at the end of history
+      const response = await pageInfo.page[method]({
+        waitUntil: options.waitUntil || 'domcontentloaded',
+        timeout: options.timeout || 30000
+      });
+      
+      const finalUrl = pageInfo.page.url();
+      
+      // Emit page navigated event
+      if (response) {
+        this.emit('pageNavigated', pageId, finalUrl);
+      }
+      
+      return {
+        pageId,
+        navigated: response !== null,
+        finalUrl,
+        title: await pageInfo.page.title(),
+        status: response ? response.status() : null,
+        access: pageInfo.access
+      };
+    } catch (error) {
+      logger.error(`Error running ${method} on page ${pageId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop loading page
+   * @param {string} pageId Page ID
+   * @returns {Promise<boolean>} Success
+   */
+  async stopLoading(pageId) {
+    // Get page
+    const pageInfo = this.getPage(pageId);
+    
+    if (!pageInfo) {
+      throw new NotFoundError(`Page not found: ${pageId}`);
+    }
+    
+    // Stop loading through a short-lived CDP session
+    const client = await pageInfo.page.target().createCDPSession();
+    
+    try {
+      await client.send('Page.stopLoading');
+    } finally {
+      await client.detach();
+    }
+    
+    return true;
+  }
+
+  /**
+   * Get cookies of the browser context a page lives in
+   * @param {string} pageId Page ID
+   * @returns {Promise<Array>} CDP cookies
+   */
+  async getCookies(pageId) {
+    // Get page
+    const pageInfo = this.getPage(pageId);
+    
+    if (!pageInfo) {
+      throw new NotFoundError(`Page not found: ${pageId}`);
+    }
+    
+    const client = await pageInfo.page.target().createCDPSession();
+    
+    try {
+      const { cookies } = await client.send('Network.getAllCookies');
+      return cookies;
+    } finally {
+      await client.detach();
+    }
+  }
+
+  /**
+   * Set cookies in the browser context a page lives in
+   * @param {string} pageId Page ID
+   * @param {Array} cookies CDP cookies, as returned by getCookies
+   * @returns {Promise<boolean>} Success
+   */
+  async setCookies(pageId, cookies = []) {
+    // Get page
+    const pageInfo = this.getPage(pageId);
+    
+    if (!pageInfo) {
+      throw new NotFoundError(`Page not found: ${pageId}`);
+    }
+    
+    if (cookies.length === 0) {
+      return true;
+    }
+    
+    // Session cookies carry no expiry; read-only fields such as size are left out
+    const params = cookies.map(cookie => ({
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      sameSite: cookie.sameSite,
+      expires: cookie.session ? undefined : cookie.expires,
+      priority: cookie.priority
+    }));
+    
+    const client = await pageInfo.page.target().createCDPSession();
+    
+    try {
+      await client.send('Network.setCookies', { cookies: params });
+    } finally {
+      await client.detach();
+    }
+    
+    return true;
+  }
+
+  /**
+   * Get page details for tab listings
+   * @param {string} pageId Page ID
+   * @returns {Promise<Object>} Page details
+   */
+  async getPageDetails(pageId) {
+    // Get page
+    const pageInfo = this.pages.get(pageId);
+    
+    if (!pageInfo) {
+      return null;
+    }
+    
+    const { page } = pageInfo;
+    let title = '';
+    let favicon = null;
+    
+    try {
+      title = await page.title();
+      
+      // Prefer declared icons, fall back to /favicon.ico for http(s) pages
+      favicon = await page.evaluate(() => {
+        const link = document.querySelector('link[rel~="icon"], link[rel="apple-touch-icon"]');
+        
+        if (link && link.href) {
+          return link.href;
+        }
+        
+        return location.protocol.startsWith('http') ? `${location.origin}/favicon.ico` : null;
+      });
+    } catch (error) {
+      // Page may be mid-navigation; report what we have
+      logger.debug(`Could not read details for page ${pageId}: ${error.message}`);
+    }
+    
+    return {
+      pageId,
+      url: page.url(),
+      title,
+      favicon,
+      openerPageId: pageInfo.options.openerPageId || null,
+      access: pageInfo.access,
+      createdAt: pageInfo.createdAt
+    };
+  }
+
+  /**
+   * Handle intercepted request of a page
+   * @param {string} pageId Page ID
+   * @param {Object} request Puppeteer request
+   * @returns {Promise<void>}
+   */
+  async handlePolicyRequest(pageId, request) {
+    try {
+      // Another handler already resolved the request
+      if (request.isInterceptResolutionHandled()) {
+        return;
+      }
+      
+      // Get page
+      const pageInfo = this.pages.get(pageId);
+      
+      if (!pageInfo) {
+        await request.abort('blockedbyclient');
+        return;
+      }
+      
+      // Evaluate request URL
+      const verdict = this.policyEngine.evaluate(request.url(), pageInfo.options.policyContext);
+      const frame = request.frame();
+      const isMainFrameNavigation = request.isNavigationRequest() && (!frame || frame === pageInfo.page.mainFrame());
+      
+      // Main frame verdict decides page access, e.g. read-only
+      if (isMainFrameNavigation) {
+        this.setPageAccess(pageInfo, verdict);
+      }
+      
+      if (verdict.action !== ACTIONS.DENY) {
+        await request.continue();
+        return;
+      }
+      
+      logger.warn(`Blocked ${request.resourceType()} request of page ${pageId} to ${verdict.url} (${verdict.policy}: ${verdict.reason})`);
+      
+      // Emit request blocked event
+      this.emit('requestBlocked', pageId, verdict, request.resourceType());
+      
+      // Documents of the page and its frames show the block page, subresources just fail
+      if (request.isNavigationRequest()) {
+        await request.respond({
+          status: 403,
+          contentType: 'text/html; charset=utf-8',
+          body: this.policyEngine.renderBlockPage(verdict)
+        });
+      } else {
+        await request.abort('blockedbyclient');
+      }
+    } catch (error) {
+      logger.error(`Error enforcing policy for page ${pageId}`, error);
+      
+      // Fail closed; an unresolved request would hang the page
+      try {
+        if (!request.isInterceptResolutionHandled()) {
+          await request.abort('blockedbyclient');
+        }
+      } catch (abortError) {
+        logger.error(`Error aborting request of page ${pageId}`, abortError);
+      }
+    }
+  }
+
+  /**
+   * Set page access from a main frame verdict
+   * @param {Object} pageInfo Page info
+   * @param {Object} verdict Policy verdict
+   */
+  setPageAccess(pageInfo, verdict) {
+    const previousAccess = pageInfo.access;
+    
+    pageInfo.access = verdict.action;
+    pageInfo.verdict = verdict;
+    
+    if (previousAccess !== verdict.action) {
+      logger.info(`Page ${pageInfo.id} access changed from ${previousAccess} to ${verdict.action}`);
+      
+      // Emit page access changed event
+      this.emit('pageAccessChanged', pageInfo.id, verdict.action, verdict);
+    }
+  }
+
+  /**
+   * Re-evaluate the current URL of a page against the policy
+   * @param {Object} pageInfo Page info
+   * @returns {Promise<void>}
+   */
+  async reapplyPagePolicy(pageInfo) {
+    try {
+      const verdict = this.policyEngine.evaluate(pageInfo.page.url(), pageInfo.options.policyContext);
+      const wasBlocked = pageInfo.access === ACTIONS.DENY;
+      const isBlocked = verdict.action === ACTIONS.DENY;
+      
+      // Reload through interception to swap between the block page and the site
+      if (wasBlocked !== isBlocked) {
+        await pageInfo.page.reload({ waitUntil: 'domcontentloaded' });
+        return;
+      }
+      
+      this.setPageAccess(pageInfo, verdict);
+    } catch (error) {
+      logger.error(`Error re-applying policy to page ${pageInfo.id}`, error);
+    }
+  }
+
+  /**
+   * Re-evaluate all open pages against the policy
+   * @returns {Promise<void>}
+   */
+  async reapplyPolicy() {
+    logger.info(`Re-applying policy to ${this.pages.size} pages`);
+    
+    await Promise.all(Array.from(this.pages.values()).map(pageInfo => this.reapplyPagePolicy(pageInfo)));
+  }
+
+  /**
+   * Get page metrics
+   * @param {string} pageId Page ID
+   * @returns {Promise<Object>} Page metrics
+   */
+  async getPageMetrics(pageId) {
+    // Get page
+    const pageInfo = this.pages.get(pageId);
+    
+    if (!pageInfo) {
+      return null;
+    }
+    
+    // Get Chromium performance metrics
+    const metrics = await pageInfo.page.metrics();
+    
+    return {
+      pageId,
+      browserId: pageInfo.browserId,
+      url: pageInfo.page.url(),
+      title: await pageInfo.page.title(),
+      screencastRunning: pageInfo.screencastRunning,
+      jsHeapUsedSize: metrics.JSHeapUsedSize,
+      jsHeapTotalSize: metrics.JSHeapTotalSize,
+      nodes: metrics.Nodes,
+      documents: metrics.Documents,
+      frames: metrics.Frames,
+      layoutCount: metrics.LayoutCount
+    };
+  }
+
   /**
    * Start screencast
    * @param {string} pageId Page ID
@@ -384,17 +1866,18 @@ class BrowserPool extends EventEmitter {
       // Get CDP session
       const client = await pageInfo.page.target().createCDPSession();
       
-      // Start screencast
+      // Start screencast; pages over a memory limit skip more frames
       await client.send('Page.startScreencast', {
         format: options.format || 'jpeg',
         quality: options.quality || 90,
         maxWidth: options.maxWidth || 1920,
         maxHeight: options.maxHeight || 1080,
-        everyNthFrame: options.everyNthFrame || 1
+        everyNthFrame: (options.everyNthFrame || 1) * (pageInfo.screencastThrottled ? BROWSER_CONFIG.memoryThrottleFactor : 1)
       });
       
       // Store CDP session
       pageInfo.client = client;
+      pageInfo.screencastOptions = options;
       pageInfo.screencastRunning = true;
       
       // Set up screencast frame event handler
@@ -565,8 +2048,21 @@ class BrowserPool extends EventEmitter {
       // Close browser
       await browser.close();
       
-      // Remove browser
+      // Remove browser, the contexts it held and its cgroup slice
       this.browsers.delete(browserId);
+      this.forgetContexts(browserId);
+      await this.releaseCgroup(browserId, browser);
+      
+      // Remove unfinished downloads
+      for (const [guid, download] of this.downloads.entries()) {
+        if (download.browserId === browserId) {
+          this.downloads.delete(guid);
+        }
+      }
+      
+      if (browser.downloadPath) {
+        await fs.promises.rm(browser.downloadPath, { recursive: true, force: true });
+      }
       
       logger.info(`Browser closed: ${browserId}`);
       
@@ -579,6 +2075,7 @@ class BrowserPool extends EventEmitter {
       
       // Remove browser anyway
       this.browsers.delete(browserId);
+      this.forgetContexts(browserId);
       
       // Emit browser closed event
       this.emit('browserClosed', browserId);
@@ -632,7 +2129,12 @@ class BrowserPool extends EventEmitter {
     return Array.from(this.browsers.entries()).map(([id, browser]) => ({
       id,
       createdAt: browser.createdAt,
-      pagesCreated: browser.pagesCreated
+      pagesCreated: browser.pagesCreated,
+      launchProfile: browser.launchProfile,
+      isolationKey: browser.isolationKey || null,
+      warm: Boolean(browser.warm),
+      cgroup: browser.cgroup ? browser.cgroup.path : null,
+      memoryUsage: browser.memoryUsage || null
     }));
   }
 
@@ -644,9 +2146,12 @@ class BrowserPool extends EventEmitter {
     return Array.from(this.pages.values()).map(pageInfo => ({
       id: pageInfo.id,
       browserId: pageInfo.browserId,
+      contextId: pageInfo.contextId,
       createdAt: pageInfo.createdAt,
       lastActivityAt: pageInfo.lastActivityAt,
       screencastRunning: pageInfo.screencastRunning,
+      memoryUsage: pageInfo.memoryUsage || null,
+      memoryLevel: pageInfo.memoryLevel || 0,
       options: pageInfo.options
     }));
   }
@@ -691,6 +2196,11 @@ class BrowserPool extends EventEmitter {
         clearInterval(this.memoryMonitoringInterval);
       }
       
+      // Stop warm pool maintenance; warm entries close with their browsers
+      if (this.warmPoolInterval) {
+        clearInterval(this.warmPoolInterval);
+      }
+      
       // Close all browsers
       const browserIds = Array.from(this.browsers.keys());
       
@@ -705,6 +2215,8 @@ class BrowserPool extends EventEmitter {
       // Clear maps
       this.browsers.clear();
       this.pages.clear();
+      this.contexts.clear();
+      this.warmPool = [];
       
       logger.info('Browser Pool shutdown complete');
       
@@ -716,4 +2228,6 @@ class BrowserPool extends EventEmitter {
   }
 }
 
+BrowserPool.ISOLATION_MODES = ISOLATION_MODES;
+
 module.exports = BrowserPool;
@@ -0,0 +1,259 @@
+/**
+ * Frame Change Detector
+ * Compares screencast frames with the last frame passed to the encoder and reports the damaged regions
+ */
+
+const { STREAMING_CONFIG } = require('../utils/config');
+
+// Detection results
+const REASONS = {
+  FIRST: 'first',
+  CHANGED: 'changed',
+  IDENTICAL: 'identical',
+  UNCHANGED: 'unchanged',
+  KEEP_ALIVE: 'keepAlive',
+  FORCED: 'forced'
+};
+
+/**
+ * FrameChangeDetector class
+ * One detector per stream. Identical images are caught by comparing bytes; anything else is
+ * compared on a greyscale thumbnail split into blocks. Differences are summed per block, so a
+ * small edit spread over a few thumbnail pixels adds up while JPEG noise below the noise floor
+ * does not. The reference only moves when a frame passes, which lets slow fades add up.
+ */
+class FrameChangeDetector {
+  /**
+   * Constructor
+   * @param {Object} frameConverter Frame converter creating thumbnails
+   */
+  constructor(frameConverter) {
+    this.frameConverter = frameConverter;
+    this.reference = null;
+    this.referenceThumbnail = null;
+    this.lastPassedAt = 0;
+    this.lastDamage = [];
+    this.stats = {
+      framesCompared: 0,
+      framesChanged: 0,
+      framesIdentical: 0,
+      framesUnchanged: 0,
+      keepAliveFrames: 0,
+      forcedFrames: 0,
+      damagedArea: 0,
+      detectionTime: 0
+    };
+  }
+
+  /**
+   * Detect change
+   * @param {Buffer} frameData JPEG or PNG screencast image
+   * @param {Object} options Detection options
+   * @param {boolean} options.force Pass the frame even if unchanged
+   * @returns {Promise<Object>} Result with changed, reason and damage rectangles in frame pixels
+   */
+  async detect(frameData, options = {}) {
+    const startTime = Date.now();
+    
+    this.stats.framesCompared++;
+    
+    try {
+      // Same bytes, same picture
+      if (this.reference && this.reference.equals(frameData)) {
+        return this.unchanged(REASONS.IDENTICAL, frameData, null, options);
+      }
+      
+      const thumbnail = await this.frameConverter.createThumbnail(
+        frameData,
+        STREAMING_CONFIG.changeDetectionThumbnailWidth,
+        STREAMING_CONFIG.changeDetectionThumbnailHeight
+      );
+      
+      // Nothing to compare with, or the frame size changed
+      const previous = this.referenceThumbnail;
+      
+      if (!previous || previous.sourceWidth !== thumbnail.sourceWidth || previous.sourceHeight !== thumbnail.sourceHeight) {
+        return this.pass(REASONS.FIRST, frameData, thumbnail, [{ x: 0, y: 0, width: thumbnail.sourceWidth, height: thumbnail.sourceHeight }]);
+      }
+      
+      // Compare blocks
+      const damage = this.findDamage(previous, thumbnail);
+      
+      if (damage.length === 0) {
+        return this.unchanged(REASONS.UNCHANGED, frameData, thumbnail, options);
+      }
+      
+      return this.pass(REASONS.CHANGED, frameData, thumbnail, damage);
+    } finally {
+      this.stats.detectionTime += Date.now() - startTime;
+    }
+  }
+
+  /**
+   * Handle unchanged frame, passing it when forced or when the keep-alive interval is up
+   * @param {string} reason Reason
+   * @param {Buffer} frameData Frame
+   * @param {Object} thumbnail Thumbnail, or null if not computed
+   * @param {Object} options Detection options
+   * @returns {Object} Result
+   */
+  unchanged(reason, frameData, thumbnail, options) {
+    if (options.force) {
+      this.stats.forcedFrames++;
+      return this.pass(REASONS.FORCED, frameData, thumbnail || this.referenceThumbnail, []);
+    }
+    
+    if (Date.now() - this.lastPassedAt >= STREAMING_CONFIG.keepAliveInterval) {
+      this.stats.keepAliveFrames++;
+      return this.pass(REASONS.KEEP_ALIVE, frameData, thumbnail || this.referenceThumbnail, []);
+    }
+    
+    if (reason === REASONS.IDENTICAL) {
+      this.stats.framesIdentical++;
+    } else {
+      this.stats.framesUnchanged++;
+    }
+    
+    return { changed: false, reason, damage: [] };
+  }
+
+  /**
+   * Pass frame and make it the reference
+   * @param {string} reason Reason
+   * @param {Buffer} frameData Frame
+   * @param {Object} thumbnail Thumbnail
+   * @param {Array} damage Damage rectangles
+   * @returns {Object} Result
+   */
+  pass(reason, frameData, thumbnail, damage) {
+    this.reference = frameData;
+    this.referenceThumbnail = thumbnail;
+    this.lastPassedAt = Date.now();
+    
+    if (damage.length > 0 && thumbnail) {
+      this.stats.framesChanged++;
+      this.stats.damagedArea += damage.reduce((sum, rect) => sum + rect.width * rect.height, 0) /
+        (thumbnail.sourceWidth * thumbnail.sourceHeight);
+      this.lastDamage = damage;
+    }
+    
+    return { changed: true, reason, damage };
+  }
+
+  /**
+   * Find damaged regions
+   * Blocks whose summed difference passed the threshold are merged into rectangles: runs of blocks in a
+   * row, then runs with the same columns in consecutive rows.
+   * @param {Object} previous Reference thumbnail
+   * @param {Object} current Current thumbnail
+   * @returns {Array} Damage rectangles in frame pixels
+   */
+  findDamage(previous, current) {
+    const blockSize = STREAMING_CONFIG.changeDetectionBlockSize;
+    const columns = Math.ceil(current.width / blockSize);
+    const rows = Math.ceil(current.height / blockSize);
+    const rects = [];
+    let open = [];
+    
+    for (let row = 0; row < rows; row++) {
+      // Runs of damaged blocks in this row
+      const runs = [];
+      let start = -1;
+      
+      for (let column = 0; column <= columns; column++) {
+        const damaged = column < columns && this.isBlockDamaged(previous, current, column, row, blockSize);
+        
+        if (damaged && start < 0) {
+          start = column;
+        } else if (!damaged && start >= 0) {
+          runs.push({ start, end: column });
+          start = -1;
+        }
+      }
+      
+      // Extend rectangles from the row above that span the same columns
+      const next = [];
+      
+      for (const run of runs) {
+        const index = open.findIndex(rect => rect.start === run.start && rect.end === run.end);
+        
+        if (index >= 0) {
+          const rect = open.splice(index, 1)[0];
+          rect.rows++;
+          next.push(rect);
+        } else {
+          next.push({ ...run, row, rows: 1 });
+        }
+      }
+      
+      rects.push(...open);
+      open = next;
+    }
+    
+    rects.push(...open);
+    
+    // Scale block rectangles to frame pixels
+    const scaleX = current.sourceWidth / current.width;
+    const scaleY = current.sourceHeight / current.height;
+    
+    return rects.map((rect) => {
+      const x = Math.floor(rect.start * blockSize * scaleX);
+      const y = Math.floor(rect.row * blockSize * scaleY);
+      
+      return {
+        x,
+        y,
+        width: Math.min(current.sourceWidth, Math.ceil(rect.end * blockSize * scaleX)) - x,
+        height: Math.min(current.sourceHeight, Math.ceil((rect.row + rect.rows) * blockSize * scaleY)) - y
+      };
+    });
+  }
+
+  /**
+   * Check whether a block changed
+   * @param {Object} previous Reference thumbnail
+   * @param {Object} current Current thumbnail
+   * @param {number} column Block column
+   * @param {number} row Block row
+   * @param {number} blockSize Block size in thumbnail pixels
+   * @returns {boolean} Damaged
+   */
+  isBlockDamaged(previous, current, column, row, blockSize) {
+    const xEnd = Math.min(current.width, (column + 1) * blockSize);
+    const yEnd = Math.min(current.height, (row + 1) * blockSize);
+    const noiseFloor = STREAMING_CONFIG.changeDetectionNoiseFloor;
+    let difference = 0;
+    
+    for (let y = row * blockSize; y < yEnd; y++) {
+      for (let x = column * blockSize; x < xEnd; x++) {
+        const index = y * current.width + x;
+        
+        difference += Math.max(0, Math.abs(current.data[index] - previous.data[index]) - noiseFloor);
+        
+        if (difference > STREAMING_CONFIG.changeDetectionThreshold) {
+          return true;
+        }
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Get detector stats
+   * @returns {Object} Detector stats
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      framesSkipped: this.stats.framesIdentical + this.stats.framesUnchanged,
+      averageDamagedArea: this.stats.framesChanged > 0 ? this.stats.damagedArea / this.stats.framesChanged : 0,
+      averageDetectionTime: this.stats.framesCompared > 0 ? this.stats.detectionTime / this.stats.framesCompared : 0,
+      lastDamage: this.lastDamage
+    };
+  }
+}
+
+FrameChangeDetector.REASONS = REASONS;
+
+module.exports = FrameChangeDetector;
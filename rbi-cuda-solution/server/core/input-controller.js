@@ -0,0 +1,369 @@
+/**
+ * Input Controller
+ * Injects remote user input into isolated pages through CDP
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/error-handler');
+
+// CDP modifier bit flags
+const MODIFIERS = {
+  alt: 1,
+  ctrl: 2,
+  meta: 4,
+  shift: 8
+};
+
+// DOM MouseEvent.button values mapped to CDP button names
+const MOUSE_BUTTONS = ['left', 'middle', 'right', 'back', 'forward'];
+
+// Client input types mapped to CDP event types
+const MOUSE_EVENT_TYPES = {
+  mousemove: 'mouseMoved',
+  mousedown: 'mousePressed',
+  mouseup: 'mouseReleased',
+  wheel: 'mouseWheel'
+};
+
+const KEY_EVENT_TYPES = {
+  keydown: 'keyDown',
+  keyup: 'keyUp',
+  char: 'char'
+};
+
+const TOUCH_EVENT_TYPES = {
+  touchstart: 'touchStart',
+  touchmove: 'touchMove',
+  touchend: 'touchEnd',
+  touchcancel: 'touchCancel'
+};
+
+/**
+ * InputController class
+ */
+class InputController extends EventEmitter {
+  /**
+   * Constructor
+   * @param {Object} browserPool Browser pool instance
+   */
+  constructor(browserPool) {
+    super();
+    this.browserPool = browserPool;
+    this.clients = new Map();
+    
+    // Drop cached CDP sessions of closed pages
+    this.browserPool.on('pageClosed', (pageId) => {
+      this.clients.delete(pageId);
+    });
+    
+    logger.info('Input Controller initialized');
+  }
+
+  /**
+   * Get CDP session for page
+   * @param {string} pageId Page ID
+   * @returns {Promise<Object>} CDP session
+   */
+  async getClient(pageId) {
+    // Reuse existing CDP session
+    if (this.clients.has(pageId)) {
+      return this.clients.get(pageId);
+    }
+    
+    // Get page
+    const pageInfo = this.browserPool.getPage(pageId);
+    
+    if (!pageInfo) {
+      throw new NotFoundError(`Page not found: ${pageId}`);
+    }
+    
+    // Create CDP session
+    const client = await pageInfo.page.target().createCDPSession();
+    
+    // Store CDP session
+    this.clients.set(pageId, client);
+    
+    return client;
+  }
+
+  /**
+   * Dispatch input event to page
+   * @param {string} pageId Page ID
+   * @param {Object} input Input event
+   * @returns {Promise<boolean>} Success
+   */
+  async dispatchInput(pageId, input = {}) {
+    // Get page
+    const pageInfo = this.browserPool.getPage(pageId);
+    
+    if (!pageInfo) {
+      throw new NotFoundError(`Page not found: ${pageId}`);
+    }
+    
+    const type = typeof input.type === 'string' ? input.type.toLowerCase() : null;
+    
+    let method;
+    let params;
+    
+    if (MOUSE_EVENT_TYPES[type]) {
+      method = 'Input.dispatchMouseEvent';
+      params = this.buildMouseEvent(type, input, pageInfo.options);
+    } else if (KEY_EVENT_TYPES[type]) {
+      method = 'Input.dispatchKeyEvent';
+      params = this.buildKeyEvent(type, input);
+    } else if (TOUCH_EVENT_TYPES[type]) {
+      method = 'Input.dispatchTouchEvent';
+      params = this.buildTouchEvent(type, input, pageInfo.options);
+    } else {
+      throw new ValidationError(`Unsupported input type: ${input.type}`);
+    }
+    
+    // Get CDP session
+    const client = await this.getClient(pageId);
+    
+    // Dispatch event
+    await client.send(method, params);
+    
+    // Update last activity time
+    pageInfo.lastActivityAt = Date.now();
+    
+    // Emit input dispatched event
+    this.emit('inputDispatched', pageId, type);
+    
+    return true;
+  }
+
+  /**
+   * Insert text at the focused element of page, as an IME commit would
+   * @param {string} pageId Page ID
+   * @param {string} text Text
+   * @returns {Promise<boolean>} Success
+   */
+  async insertText(pageId, text) {
+    // Get page
+    const pageInfo = this.browserPool.getPage(pageId);
+    
+    if (!pageInfo) {
+      throw new NotFoundError(`Page not found: ${pageId}`);
+    }
+    
+    // Get CDP session
+    const client = await this.getClient(pageId);
+    
+    // Insert text
+    await client.send('Input.insertText', { text });
+    
+    // Update last activity time
+    pageInfo.lastActivityAt = Date.now();
+    
+    // Emit input dispatched event
+    this.emit('inputDispatched', pageId, 'inserttext');
+    
+    return true;
+  }
+
+  /**
+   * Insert HTML at the focused editable element of page
+   * @param {string} pageId Page ID
+   * @param {string} html HTML markup
+   * @returns {Promise<boolean>} Whether the page accepted the markup
+   */
+  async insertHtml(pageId, html) {
+    // Get page
+    const pageInfo = this.browserPool.getPage(pageId);
+    
+    if (!pageInfo) {
+      throw new NotFoundError(`Page not found: ${pageId}`);
+    }
+    
+    // Plain inputs and textareas reject insertHTML, callers fall back to text
+    const inserted = await pageInfo.page.evaluate((markup) => document.execCommand('insertHTML', false, markup), html);
+    
+    if (inserted) {
+      // Update last activity time
+      pageInfo.lastActivityAt = Date.now();
+      
+      // Emit input dispatched event
+      this.emit('inputDispatched', pageId, 'inserthtml');
+    }
+    
+    return inserted;
+  }
+
+  /**
+   * Build mouse event parameters
+   * @param {string} type Client input type
+   * @param {Object} input Input event
+   * @param {Object} viewport Page viewport options
+   * @returns {Object} CDP parameters
+   */
+  buildMouseEvent(type, input, viewport) {
+    const { x, y } = this.scalePoint(input, input, viewport);
+    
+    const params = {
+      type: MOUSE_EVENT_TYPES[type],
+      x,
+      y,
+      modifiers: this.getModifiers(input),
+      button: this.getButton(input.button, type),
+      buttons: Number.isInteger(input.buttons) ? input.buttons : 0,
+      clickCount: type === 'mousemove' ? 0 : (input.clickCount || 1)
+    };
+    
+    if (type === 'wheel') {
+      params.button = 'none';
+      params.clickCount = 0;
+      params.deltaX = Number(input.deltaX) || 0;
+      params.deltaY = Number(input.deltaY) || 0;
+    }
+    
+    return params;
+  }
+
+  /**
+   * Build key event parameters
+   * @param {string} type Client input type
+   * @param {Object} input Input event
+   * @returns {Object} CDP parameters
+   */
+  buildKeyEvent(type, input) {
+    const params = {
+      type: KEY_EVENT_TYPES[type],
+      modifiers: this.getModifiers(input)
+    };
+    
+    if (type === 'char') {
+      if (typeof input.text !== 'string' || input.text.length === 0) {
+        throw new ValidationError('Char input requires text');
+      }
+      
+      params.text = input.text;
+      params.unmodifiedText = input.text;
+      
+      return params;
+    }
+    
+    if (input.key) params.key = input.key;
+    if (input.code) params.code = input.code;
+    
+    if (Number.isInteger(input.keyCode)) {
+      params.windowsVirtualKeyCode = input.keyCode;
+      params.nativeVirtualKeyCode = input.keyCode;
+    }
+    
+    // Key down without text must not insert characters
+    if (type === 'keydown') {
+      if (typeof input.text === 'string' && input.text.length > 0) {
+        params.text = input.text;
+        params.unmodifiedText = input.text;
+      } else {
+        params.type = 'rawKeyDown';
+      }
+    }
+    
+    if (input.location !== undefined) params.location = input.location;
+    if (input.repeat) params.autoRepeat = true;
+    
+    return params;
+  }
+
+  /**
+   * Build touch event parameters
+   * @param {string} type Client input type
+   * @param {Object} input Input event
+   * @param {Object} viewport Page viewport options
+   * @returns {Object} CDP parameters
+   */
+  buildTouchEvent(type, input, viewport) {
+    const touchPoints = Array.isArray(input.touchPoints) ? input.touchPoints : [];
+    
+    // Touch end and cancel may be sent without points
+    if (touchPoints.length === 0 && (type === 'touchstart' || type === 'touchmove')) {
+      throw new ValidationError(`${type} input requires touchPoints`);
+    }
+    
+    return {
+      type: TOUCH_EVENT_TYPES[type],
+      modifiers: this.getModifiers(input),
+      touchPoints: touchPoints.map((point, index) => {
+        const { x, y } = this.scalePoint(point, input, viewport);
+        
+        return {
+          x,
+          y,
+          radiusX: point.radiusX || 1,
+          radiusY: point.radiusY || 1,
+          force: point.force !== undefined ? point.force : 1,
+          id: point.id !== undefined ? point.id : index
+        };
+      })
+    };
+  }
+
+  /**
+   * Scale a point from client video coordinates to page viewport coordinates
+   * @param {Object} point Point with x and y
+   * @param {Object} input Input event carrying videoWidth and videoHeight
+   * @param {Object} viewport Page viewport options
+   * @returns {Object} Scaled point
+   */
+  scalePoint(point, input, viewport) {
+    const x = Number(point.x);
+    const y = Number(point.y);
+    
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      throw new ValidationError('Input requires numeric x and y coordinates');
+    }
+    
+    const scaleX = input.videoWidth > 0 ? viewport.width / input.videoWidth : 1;
+    const scaleY = input.videoHeight > 0 ? viewport.height / input.videoHeight : 1;
+    
+    // Clamp to viewport bounds
+    return {
+      x: Math.min(Math.max(x * scaleX, 0), viewport.width - 1),
+      y: Math.min(Math.max(y * scaleY, 0), viewport.height - 1)
+    };
+  }
+
+  /**
+   * Get CDP modifiers bit mask
+   * @param {Object} input Input event
+   * @returns {number} Modifiers
+   */
+  getModifiers(input) {
+    if (Number.isInteger(input.modifiers)) {
+      return input.modifiers;
+    }
+    
+    let modifiers = 0;
+    
+    if (input.altKey) modifiers |= MODIFIERS.alt;
+    if (input.ctrlKey) modifiers |= MODIFIERS.ctrl;
+    if (input.metaKey) modifiers |= MODIFIERS.meta;
+    if (input.shiftKey) modifiers |= MODIFIERS.shift;
+    
+    return modifiers;
+  }
+
+  /**
+   * Get CDP mouse button name
+   * @param {number|string} button DOM button index or CDP button name
+   * @param {string} type Client input type
+   * @returns {string} CDP button name
+   */
+  getButton(button, type) {
+    if (typeof button === 'string') {
+      return button;
+    }
+    
+    // Moves carry no button unless one is pressed
+    if (type === 'mousemove' && button === undefined) {
+      return 'none';
+    }
+    
+    return MOUSE_BUTTONS[button] || 'left';
+  }
+}
+
+module.exports = InputController;
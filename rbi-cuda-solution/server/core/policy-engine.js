@@ -0,0 +1,482 @@
+/**
+ * Policy Engine
+ * Evaluates URL access policies for isolated pages
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { POLICY_CONFIG } = require('../utils/config');
+const logger = require('../utils/logger');
+
+// Policy verdicts, strictest first
+const ACTIONS = {
+  DENY: 'deny',
+  READ_ONLY: 'read-only',
+  ALLOW: 'allow'
+};
+
+// Rule lists checked in order within a policy
+const RULE_LISTS = [
+  ['deny', ACTIONS.DENY],
+  ['readOnly', ACTIONS.READ_ONLY],
+  ['allow', ACTIONS.ALLOW]
+];
+
+// Policy used when no policy file is available
+const EMPTY_POLICY = {
+  defaultAction: ACTIONS.ALLOW,
+  allowedSchemes: POLICY_CONFIG.allowedSchemes,
+  categories: {},
+  rules: {},
+  groups: {},
+  users: {}
+};
+
+/**
+ * PolicyEngine class
+ */
+class PolicyEngine extends EventEmitter {
+  /**
+   * Constructor
+   * @param {Object} options Policy engine options
+   */
+  constructor(options = {}) {
+    super();
+    this.policyFile = options.policyFile || POLICY_CONFIG.policyFile;
+    this.watchInterval = options.watchInterval || POLICY_CONFIG.watchInterval;
+    this.policy = null;
+    this.loadedAt = null;
+    this.watching = false;
+    this.running = false;
+    
+    logger.info('Policy Engine initialized');
+  }
+
+  /**
+   * Initialize policy engine
+   * @returns {Promise<boolean>} Success
+   */
+  async initialize() {
+    try {
+      logger.info(`Initializing Policy Engine with ${this.policyFile}`);
+      
+      // Load policy, falling back to allow-all when the file is missing
+      if (fs.existsSync(this.policyFile)) {
+        this.loadPolicy();
+      } else {
+        logger.warn(`Policy file not found: ${this.policyFile}, allowing all URLs`);
+        this.policy = this.compilePolicy(EMPTY_POLICY);
+        this.loadedAt = Date.now();
+      }
+      
+      // Watch policy file for changes
+      this.startWatching();
+      
+      // Set running flag
+      this.running = true;
+      
+      logger.info('Policy Engine initialized successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error initializing Policy Engine', error);
+      this.running = false;
+      return false;
+    }
+  }
+
+  /**
+   * Load policy from file
+   * @returns {Object} Compiled policy
+   */
+  loadPolicy() {
+    // Read policy file
+    const content = fs.readFileSync(this.policyFile, 'utf8');
+    const extension = path.extname(this.policyFile).toLowerCase();
+    
+    // Parse JSON or YAML
+    const source = extension === '.json' ? JSON.parse(content) : yaml.load(content);
+    
+    // Compile policy
+    this.policy = this.compilePolicy(source || {});
+    this.loadedAt = Date.now();
+    
+    logger.info(`Policy loaded from ${this.policyFile}`);
+    
+    return this.policy;
+  }
+
+  /**
+   * Start watching policy file
+   */
+  startWatching() {
+    if (this.watching) {
+      return;
+    }
+    
+    // Poll so that editors replacing the file are picked up too
+    fs.watchFile(this.policyFile, { interval: this.watchInterval }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) {
+        return;
+      }
+      
+      this.reloadPolicy();
+    });
+    
+    this.watching = true;
+  }
+
+  /**
+   * Reload policy, keeping the current policy if the file is invalid
+   * @returns {boolean} Success
+   */
+  reloadPolicy() {
+    try {
+      logger.info(`Reloading policy from ${this.policyFile}`);
+      
+      this.loadPolicy();
+      
+      // Emit policy reloaded event
+      this.emit('policyReloaded', this.loadedAt);
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error reloading policy from ${this.policyFile}, keeping previous policy`, error);
+      
+      // Emit policy error event
+      this.emit('policyError', error);
+      
+      return false;
+    }
+  }
+
+  /**
+   * Compile policy source into matchers
+   * @param {Object} source Policy source
+   * @returns {Object} Compiled policy
+   */
+  compilePolicy(source) {
+    const categories = {};
+    
+    for (const [name, patterns] of Object.entries(source.categories || {})) {
+      categories[name] = this.compilePatterns(patterns, `category ${name}`);
+    }
+    
+    const groups = {};
+    
+    for (const [name, rules] of Object.entries(source.groups || {})) {
+      groups[name] = this.compileRules(rules, `group:${name}`);
+    }
+    
+    const users = {};
+    
+    for (const [userId, rules] of Object.entries(source.users || {})) {
+      users[userId] = {
+        ...this.compileRules(rules, `user:${userId}`),
+        groups: Array.isArray(rules.groups) ? rules.groups : []
+      };
+    }
+    
+    return {
+      defaultAction: this.validateAction(source.defaultAction || ACTIONS.ALLOW, 'defaultAction'),
+      allowedSchemes: (source.allowedSchemes || POLICY_CONFIG.allowedSchemes).map(scheme => scheme.toLowerCase()),
+      categories,
+      rules: this.compileRules(source.rules || {}, 'default'),
+      groups,
+      users
+    };
+  }
+
+  /**
+   * Compile a rule set
+   * @param {Object} rules Rule set source
+   * @param {string} name Rule set name
+   * @returns {Object} Compiled rule set
+   */
+  compileRules(rules, name) {
+    const compiled = {
+      name,
+      defaultAction: rules.defaultAction ? this.validateAction(rules.defaultAction, `${name} defaultAction`) : null,
+      categories: {}
+    };
+    
+    for (const [list] of RULE_LISTS) {
+      compiled[list] = this.compilePatterns(rules[list] || [], `${name} ${list}`);
+    }
+    
+    for (const [category, action] of Object.entries(rules.categories || {})) {
+      compiled.categories[category] = this.validateAction(action, `${name} category ${category}`);
+    }
+    
+    return compiled;
+  }
+
+  /**
+   * Compile URL patterns
+   * Patterns are exact hosts, "*.example.com" wildcards or "/regex/flags" matched against the full URL
+   * @param {Array} patterns Pattern sources
+   * @param {string} context Context for error messages
+   * @returns {Array} Compiled patterns
+   */
+  compilePatterns(patterns, context) {
+    if (!Array.isArray(patterns)) {
+      throw new Error(`Policy ${context} must be a list`);
+    }
+    
+    return patterns.map((pattern) => {
+      const source = String(pattern).trim();
+      
+      // Regular expression
+      const regexMatch = source.match(/^\/(.+)\/([a-z]*)$/);
+      
+      if (regexMatch) {
+        // Stateful flags would make repeated tests alternate
+        const regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+        return { source, test: url => regex.test(url.href) };
+      }
+      
+      const host = source.toLowerCase();
+      
+      // Wildcard host, matching the domain itself and all subdomains
+      if (host.startsWith('*.')) {
+        const domain = host.slice(2);
+        return { source, test: url => url.hostname === domain || url.hostname.endsWith(`.${domain}`) };
+      }
+      
+      // Exact host
+      return { source, test: url => url.hostname === host };
+    });
+  }
+
+  /**
+   * Validate policy action
+   * @param {string} action Action
+   * @param {string} context Context for error messages
+   * @returns {string} Action
+   */
+  validateAction(action, context) {
+    if (!Object.values(ACTIONS).includes(action)) {
+      throw new Error(`Invalid policy action for ${context}: ${action}`);
+    }
+    
+    return action;
+  }
+
+  /**
+   * Evaluate URL against the policy of a user
+   * @param {string} url URL
+   * @param {Object} context Policy context with userId and groups
+   * @returns {Object} Verdict
+   */
+  evaluate(url, context = {}) {
+    const policy = this.policy || this.compilePolicy(EMPTY_POLICY);
+    
+    // Parse URL
+    let parsedUrl;
+    
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      return this.createVerdict(ACTIONS.DENY, url, 'invalid_url', 'default');
+    }
+    
+    // Check scheme
+    const scheme = parsedUrl.protocol.replace(/:$/, '');
+    
+    if (!policy.allowedSchemes.includes(scheme)) {
+      return this.createVerdict(ACTIONS.DENY, url, 'scheme', 'default', { rule: scheme });
+    }
+    
+    // Local documents carry no host to match
+    if (!parsedUrl.hostname) {
+      return this.createVerdict(ACTIONS.ALLOW, url, 'local', 'default');
+    }
+    
+    // Most specific rule set first
+    const ruleSets = this.getRuleSets(policy, context);
+    
+    for (const ruleSet of ruleSets) {
+      // Explicit rules
+      for (const [list, action] of RULE_LISTS) {
+        const match = ruleSet[list].find(pattern => pattern.test(parsedUrl));
+        
+        if (match) {
+          return this.createVerdict(action, url, list, ruleSet.name, { rule: match.source });
+        }
+      }
+      
+      // Category rules
+      for (const [category, action] of Object.entries(ruleSet.categories)) {
+        const patterns = policy.categories[category] || [];
+        const match = patterns.find(pattern => pattern.test(parsedUrl));
+        
+        if (match) {
+          return this.createVerdict(action, url, 'category', ruleSet.name, { rule: match.source, category });
+        }
+      }
+    }
+    
+    // Fall back to the most specific default action
+    const ruleSet = ruleSets.find(candidate => candidate.defaultAction);
+    
+    if (ruleSet) {
+      return this.createVerdict(ruleSet.defaultAction, url, 'default_action', ruleSet.name);
+    }
+    
+    return this.createVerdict(policy.defaultAction, url, 'default_action', 'default');
+  }
+
+  /**
+   * Get rule sets applying to a user, most specific first
+   * @param {Object} policy Compiled policy
+   * @param {Object} context Policy context with userId and groups
+   * @returns {Array} Rule sets
+   */
+  getRuleSets(policy, context) {
+    const ruleSets = [];
+    const user = context.userId ? policy.users[context.userId] : null;
+    
+    if (user) {
+      ruleSets.push(user);
+    }
+    
+    // Groups from the session and from the policy file
+    const groups = new Set([...(context.groups || []), ...(user ? user.groups : [])]);
+    
+    for (const group of groups) {
+      if (policy.groups[group]) {
+        ruleSets.push(policy.groups[group]);
+      }
+    }
+    
+    ruleSets.push(policy.rules);
+    
+    return ruleSets;
+  }
+
+  /**
+   * Create verdict
+   * @param {string} action Action
+   * @param {string} url URL
+   * @param {string} reason Reason
+   * @param {string} policy Matching policy name
+   * @param {Object} details Additional details
+   * @returns {Object} Verdict
+   */
+  createVerdict(action, url, reason, policy, details = {}) {
+    return {
+      action,
+      url,
+      reason,
+      policy,
+      rule: details.rule || null,
+      category: details.category || null
+    };
+  }
+
+  /**
+   * Render block page
+   * @param {Object} verdict Deny verdict
+   * @returns {string} HTML
+   */
+  renderBlockPage(verdict) {
+    const { brandName, supportContact } = POLICY_CONFIG.blockPage;
+    const detail = verdict.category ? `Category: ${verdict.category}` : `Rule: ${verdict.rule || verdict.reason}`;
+    const contact = supportContact
+      ? `<p>If you need access, contact ${escapeHtml(supportContact)}.</p>`
+      : '';
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Access blocked - ${escapeHtml(brandName)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #f5f5f5; color: #333; margin: 0; }
+    .block { max-width: 640px; margin: 80px auto; background: #fff; border-top: 6px solid #c62828; padding: 32px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1); }
+    h1 { color: #c62828; margin-top: 0; }
+    .brand { font-size: 14px; color: #777; text-transform: uppercase; letter-spacing: 1px; }
+    .url { word-break: break-all; background: #f5f5f5; padding: 8px; font-family: monospace; }
+    .detail { font-size: 13px; color: #777; }
+  </style>
+</head>
+<body>
+  <div class="block">
+    <div class="brand">${escapeHtml(brandName)}</div>
+    <h1>Access to this site is blocked</h1>
+    <p>Your organization's browsing policy does not allow this page:</p>
+    <p class="url">${escapeHtml(verdict.url)}</p>
+    ${contact}
+    <p class="detail">Policy: ${escapeHtml(verdict.policy)} &middot; ${escapeHtml(detail)}</p>
+  </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Get policy status
+   * @returns {Object} Policy status
+   */
+  getStatus() {
+    return {
+      policyFile: this.policyFile,
+      loadedAt: this.loadedAt,
+      groups: this.policy ? Object.keys(this.policy.groups).length : 0,
+      users: this.policy ? Object.keys(this.policy.users).length : 0
+    };
+  }
+
+  /**
+   * Shutdown policy engine
+   * @returns {Promise<boolean>} Success
+   */
+  async shutdown() {
+    try {
+      logger.info('Shutting down Policy Engine');
+      
+      // Stop watching policy file
+      if (this.watching) {
+        fs.unwatchFile(this.policyFile);
+        this.watching = false;
+      }
+      
+      // Set running flag
+      this.running = false;
+      
+      logger.info('Policy Engine shut down successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error shutting down Policy Engine', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check if policy engine is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} value Value
+ * @returns {string} Escaped value
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+PolicyEngine.ACTIONS = ACTIONS;
+
+module.exports = PolicyEngine;
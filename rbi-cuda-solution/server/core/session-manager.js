@@ -7,7 +7,25 @@ const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
 const { SESSION_CONFIG } = require('../utils/config');
 const logger = require('../utils/logger');
-const { ResourceLimitError, NotFoundError } = require('../utils/error-handler');
+const { ResourceLimitError, NotFoundError, ConflictError, ValidationError, AuthorizationError } = require('../utils/error-handler');
+const InputController = require('./input-controller');
+const { ACTIONS } = require('./policy-engine');
+const { MemorySessionStore } = require('../services/session-store');
+
+// Input still accepted on read-only pages
+const READ_ONLY_INPUT_TYPES = ['mousemove', 'wheel'];
+
+// Memory limit actions kept per session
+const MAX_MEMORY_ACTIONS = 20;
+
+// Navigation wait conditions mapped to Puppeteer lifecycle events
+const WAIT_CONDITIONS = {
+  load: 'load',
+  domcontentloaded: 'domcontentloaded',
+  networkidle: 'networkidle0',
+  networkidle0: 'networkidle0',
+  networkidle2: 'networkidle2'
+};
 
 /**
  * SessionManager class
@@ -16,15 +34,32 @@ class SessionManager extends EventEmitter {
   /**
    * Constructor
    * @param {Object} browserPool Browser pool instance
+   * @param {Object} sessionStore Session store, or null to keep sessions in memory only
    */
-  constructor(browserPool) {
+  constructor(browserPool, sessionStore = null) {
     super();
     this.browserPool = browserPool;
+    this.sessionStore = sessionStore || new MemorySessionStore();
+    this.inputController = new InputController(browserPool);
     this.sessions = new Map();
     this.sessionTimeouts = new Map();
+    this.sessionCookies = new Map();
     this.running = false;
     
     logger.info('Session Manager initialized');
+    
+    // Setup event listeners
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Browser Pool events
+    this.browserPool.on('popupCreated', this.handlePopupCreated.bind(this));
+    this.browserPool.on('pageClosed', this.handlePageClosed.bind(this));
+    this.browserPool.on('memoryLimitAction', this.handleMemoryLimitAction.bind(this));
   }
 
   /**
@@ -38,9 +73,18 @@ class SessionManager extends EventEmitter {
       // Set running flag
       this.running = true;
       
+      // Bring back sessions that outlived the last server process
+      await this.sessionStore.initialize();
+      await this.restoreSessions();
+      
       // Start cleanup interval
       this.startCleanupInterval();
       
+      // Snapshot cookies and URLs of live sessions
+      this.saveInterval = setInterval(() => {
+        this.saveAllSessions();
+      }, SESSION_CONFIG.storeSaveInterval);
+      
       logger.info('Session Manager initialized successfully');
       
       return true;
@@ -73,12 +117,7 @@ class SessionManager extends EventEmitter {
       
       // Find expired sessions
       for (const [sessionId, session] of this.sessions.entries()) {
-        const sessionAge = now - session.createdAt;
-        const lastActivityAge = now - session.lastActivityAt;
-        
-        // Check if session has expired
-        if (sessionAge > SESSION_CONFIG.sessionTimeout * 60 * 1000 || 
-            lastActivityAge > SESSION_CONFIG.sessionTimeout * 60 * 1000) {
+        if (now >= session.expiresAt) {
           expiredSessions.push(sessionId);
         }
       }
@@ -125,21 +164,31 @@ class SessionManager extends EventEmitter {
       // Create session
       const session = {
         id: sessionId,
+        userId: options.userId || null,
+        groups: options.groups || [],
         createdAt: Date.now(),
         lastActivityAt: Date.now(),
+        expiresAt: null,
         options: {
           ...options,
           memoryLimit: options.memoryLimit || SESSION_CONFIG.memoryLimitPerSession
         },
         browserId: null,
         pageId: null,
+        tabs: [],
         webrtcId: null,
+        currentUrl: null,
+        lastUrl: null,
+        launchProfile: this.browserPool.launchProfile,
         status: 'created',
         stats: {
           frameCount: 0,
           bytesSent: 0,
-          bytesReceived: 0
-        }
+          bytesReceived: 0,
+          inputEvents: 0,
+          navigations: 0
+        },
+        memoryActions: []
       };
       
       // Store session
@@ -148,6 +197,9 @@ class SessionManager extends EventEmitter {
       // Set session timeout
       this.resetSessionTimeout(sessionId);
       
+      // Persist session
+      await this.saveSession(session);
+      
       logger.info(`Session created: ${sessionId}`);
       
       // Emit session created event
@@ -208,6 +260,9 @@ class SessionManager extends EventEmitter {
       
       logger.info(`Session updated: ${sessionId}`, updates);
       
+      // Persist session
+      await this.saveSession(session);
+      
       // Emit session updated event
       this.emit('sessionUpdated', sessionId, session);
       
@@ -249,6 +304,668 @@ class SessionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Ensure session has a page, creating it lazily
+   * @param {string} sessionId Session ID
+   * @param {Object} pageOptions Page options
+   * @returns {Promise<Object>} Page info and whether it was created
+   */
+  async ensurePage(sessionId, pageOptions = {}) {
+    // Get session
+    const session = this.getSession(sessionId);
+    
+    if (!session) {
+      throw new NotFoundError(`Session not found: ${sessionId}`);
+    }
+    
+    // Reuse existing page
+    if (session.pageId) {
+      const pageInfo = this.browserPool.getPage(session.pageId);
+      
+      if (pageInfo) {
+        return { pageInfo, created: false };
+      }
+    }
+    
+    // Create page
+    const pageInfo = await this.browserPool.createPage({
+      ...this.getPageOptions(session),
+      ...pageOptions
+    });
+    
+    // Register page as the active tab
+    session.tabs.push(pageInfo.id);
+    
+    await this.updateSession(sessionId, {
+      status: 'active'
+    });
+    
+    this.setActiveTab(session, pageInfo);
+    
+    return { pageInfo, created: true };
+  }
+
+  /**
+   * Get options for new session pages
+   * @param {Object} session Session info
+   * @returns {Object} Page options
+   */
+  getPageOptions(session) {
+    const viewport = session.options.viewport || {};
+    
+    return {
+      width: viewport.width,
+      height: viewport.height,
+      userAgent: session.options.userAgent,
+      isolationKey: session.id,
+      memoryLimit: session.options.memoryLimit,
+      resources: session.options.resources,
+      policyContext: {
+        userId: session.userId,
+        groups: session.groups
+      }
+    };
+  }
+
+  /**
+   * Find session without counting the lookup as session activity
+   * @param {string} sessionId Session ID
+   * @returns {Object} Session info
+   */
+  findSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  /**
+   * Find session owning a page
+   * @param {string} pageId Page ID
+   * @returns {Object} Session info
+   */
+  findSessionByPageId(pageId) {
+    for (const session of this.sessions.values()) {
+      if (session.tabs.includes(pageId)) {
+        return session;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Make a page the active tab of a session
+   * @param {Object} session Session info
+   * @param {Object} pageInfo Page info
+   */
+  setActiveTab(session, pageInfo) {
+    const previousPageId = session.pageId;
+    
+    if (previousPageId === pageInfo.id) {
+      return;
+    }
+    
+    session.pageId = pageInfo.id;
+    session.browserId = pageInfo.browserId;
+    
+    logger.info(`Session ${session.id} switched to tab ${pageInfo.id}`);
+    
+    // Emit active tab changed event
+    this.emit('activeTabChanged', session.id, pageInfo.id, previousPageId);
+  }
+
+  /**
+   * Get session with active page
+   * @param {string} sessionId Session ID
+   * @returns {Object} Session info
+   */
+  getSessionWithPage(sessionId) {
+    // Get session
+    const session = this.getSession(sessionId);
+    
+    if (!session) {
+      throw new NotFoundError(`Session not found: ${sessionId}`);
+    }
+    
+    // Check if session has a page
+    if (!session.pageId) {
+      throw new ConflictError(`Session has no page: ${sessionId}`);
+    }
+    
+    return session;
+  }
+
+  /**
+   * Open new tab
+   * @param {string} sessionId Session ID
+   * @param {Object} options Tab options
+   * @returns {Promise<Object>} Tab details
+   */
+  async openTab(sessionId, options = {}) {
+    try {
+      logger.info(`Opening tab for session ${sessionId}`, options);
+      
+      // Get session
+      const session = this.getSession(sessionId);
+      
+      if (!session) {
+        throw new NotFoundError(`Session not found: ${sessionId}`);
+      }
+      
+      // Check tab limit
+      if (session.tabs.length >= SESSION_CONFIG.maxTabsPerSession) {
+        throw new ResourceLimitError(`Maximum number of tabs reached (${SESSION_CONFIG.maxTabsPerSession})`);
+      }
+      
+      // No tabs yet, the first tab is the session page
+      if (session.tabs.length === 0) {
+        await this.ensurePage(sessionId);
+      } else {
+        // Create page
+        const pageInfo = await this.browserPool.createPage(this.getPageOptions(session));
+        
+        session.tabs.push(pageInfo.id);
+        
+        if (options.activate !== false) {
+          this.setActiveTab(session, pageInfo);
+        }
+      }
+      
+      const tabId = session.tabs[session.tabs.length - 1];
+      
+      // Emit tab opened event
+      this.emit('tabOpened', sessionId, tabId);
+      
+      // Load URL if provided
+      if (options.url) {
+        await this.browserPool.navigatePage(tabId, options.url, {
+          waitUntil: options.waitUntil ? WAIT_CONDITIONS[options.waitUntil] : undefined
+        });
+      }
+      
+      return this.getTab(session, tabId);
+    } catch (error) {
+      logger.error(`Error opening tab for session ${sessionId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Switch active tab
+   * @param {string} sessionId Session ID
+   * @param {string} tabId Tab ID
+   * @returns {Promise<Object>} Tab details
+   */
+  async switchTab(sessionId, tabId) {
+    // Get session
+    const session = this.getSession(sessionId);
+    
+    if (!session) {
+      throw new NotFoundError(`Session not found: ${sessionId}`);
+    }
+    
+    // Get tab page
+    const pageInfo = session.tabs.includes(tabId) ? this.browserPool.getPage(tabId) : null;
+    
+    if (!pageInfo) {
+      throw new NotFoundError(`Tab not found: ${tabId}`);
+    }
+    
+    // Bring tab to front so timers and rendering are not throttled
+    await pageInfo.page.bringToFront();
+    
+    this.setActiveTab(session, pageInfo);
+    
+    return this.getTab(session, tabId);
+  }
+
+  /**
+   * Close tab
+   * @param {string} sessionId Session ID
+   * @param {string} tabId Tab ID
+   * @returns {Promise<boolean>} Success
+   */
+  async closeTab(sessionId, tabId) {
+    // Get session
+    const session = this.getSession(sessionId);
+    
+    if (!session) {
+      throw new NotFoundError(`Session not found: ${sessionId}`);
+    }
+    
+    if (!session.tabs.includes(tabId)) {
+      throw new NotFoundError(`Tab not found: ${tabId}`);
+    }
+    
+    logger.info(`Closing tab ${tabId} for session ${sessionId}`);
+    
+    // Detach tab before closing so the page closed handler ignores it
+    this.detachTab(session, tabId);
+    
+    await this.browserPool.closePage(tabId);
+    
+    // Emit tab closed event
+    this.emit('tabClosed', sessionId, tabId);
+    
+    return true;
+  }
+
+  /**
+   * Remove tab from session and pick a new active tab if needed
+   * @param {Object} session Session info
+   * @param {string} tabId Tab ID
+   */
+  detachTab(session, tabId) {
+    const index = session.tabs.indexOf(tabId);
+    
+    if (index === -1) {
+      return;
+    }
+    
+    session.tabs.splice(index, 1);
+    
+    if (session.pageId !== tabId) {
+      return;
+    }
+    
+    // Activate the neighbouring tab, like a browser does
+    const nextTabId = session.tabs[Math.min(index, session.tabs.length - 1)];
+    const nextPage = nextTabId ? this.browserPool.getPage(nextTabId) : null;
+    
+    if (nextPage) {
+      this.setActiveTab(session, nextPage);
+    } else {
+      session.pageId = null;
+      
+      // Emit active tab changed event
+      this.emit('activeTabChanged', session.id, null, tabId);
+    }
+  }
+
+  /**
+   * Get tab details
+   * @param {Object} session Session info
+   * @param {string} tabId Tab ID
+   * @returns {Promise<Object>} Tab details
+   */
+  async getTab(session, tabId) {
+    const details = await this.browserPool.getPageDetails(tabId);
+    
+    if (!details) {
+      return null;
+    }
+    
+    return {
+      tabId,
+      active: session.pageId === tabId,
+      url: details.url,
+      title: details.title,
+      favicon: details.favicon,
+      openerTabId: details.openerPageId,
+      createdAt: details.createdAt
+    };
+  }
+
+  /**
+   * List session tabs
+   * @param {string} sessionId Session ID
+   * @returns {Promise<Array>} Tabs
+   */
+  async listTabs(sessionId) {
+    // Get session
+    const session = this.getSession(sessionId);
+    
+    if (!session) {
+      throw new NotFoundError(`Session not found: ${sessionId}`);
+    }
+    
+    const tabs = await Promise.all(session.tabs.map(tabId => this.getTab(session, tabId)));
+    
+    return tabs.filter(Boolean);
+  }
+
+  /**
+   * Go back in the active tab
+   * @param {string} sessionId Session ID
+   * @returns {Promise<Object>} Navigation result
+   */
+  async goBack(sessionId) {
+    const session = this.getSessionWithPage(sessionId);
+    
+    return this.trackHistoryNavigation(session, await this.browserPool.goBack(session.pageId));
+  }
+
+  /**
+   * Go forward in the active tab
+   * @param {string} sessionId Session ID
+   * @returns {Promise<Object>} Navigation result
+   */
+  async goForward(sessionId) {
+    const session = this.getSessionWithPage(sessionId);
+    
+    return this.trackHistoryNavigation(session, await this.browserPool.goForward(session.pageId));
+  }
+
+  /**
+   * Reload the active tab
+   * @param {string} sessionId Session ID
+   * @returns {Promise<Object>} Navigation result
+   */
+  async reload(sessionId) {
+    const session = this.getSessionWithPage(sessionId);
+    
+    return this.trackHistoryNavigation(session, await this.browserPool.reloadPage(session.pageId));
+  }
+
+  /**
+   * Stop loading the active tab
+   * @param {string} sessionId Session ID
+   * @returns {Promise<boolean>} Success
+   */
+  async stopLoading(sessionId) {
+    const session = this.getSessionWithPage(sessionId);
+    
+    return this.browserPool.stopLoading(session.pageId);
+  }
+
+  /**
+   * Record history navigation on session
+   * @param {Object} session Session info
+   * @param {Object} result Navigation result
+   * @returns {Object} Navigation result
+   */
+  trackHistoryNavigation(session, result) {
+    if (result.navigated) {
+      session.currentUrl = result.finalUrl;
+      session.lastUrl = result.finalUrl;
+      session.stats.navigations++;
+      
+      this.saveSession(session);
+      
+      // Emit session navigated event
+      this.emit('sessionNavigated', session.id, result);
+    }
+    
+    return {
+      navigated: result.navigated,
+      url: result.finalUrl,
+      status: result.status,
+      title: result.title,
+      access: result.access
+    };
+  }
+
+  /**
+   * Handle popup created
+   * @param {string} openerPageId Opener page ID
+   * @param {string} pageId Popup page ID
+   * @param {Object} pageInfo Popup page info
+   */
+  async handlePopupCreated(openerPageId, pageId, pageInfo) {
+    try {
+      // Find session owning the opener
+      const session = this.findSessionByPageId(openerPageId);
+      
+      if (!session || session.status === 'closing') {
+        await this.browserPool.closePage(pageId);
+        return;
+      }
+      
+      // Enforce tab limit
+      if (session.tabs.length >= SESSION_CONFIG.maxTabsPerSession) {
+        logger.warn(`Tab limit reached for session ${session.id}, closing popup ${pageId}`);
+        await this.browserPool.closePage(pageId);
+        return;
+      }
+      
+      // Popups become the active tab
+      session.tabs.push(pageId);
+      this.setActiveTab(session, pageInfo);
+      
+      // Emit tab opened event
+      this.emit('tabOpened', session.id, pageId);
+    } catch (error) {
+      logger.error(`Error handling popup ${pageId}`, error);
+    }
+  }
+
+  /**
+   * Handle page closed
+   * @param {string} pageId Page ID
+   */
+  handlePageClosed(pageId) {
+    try {
+      // Find session owning the page
+      const session = this.findSessionByPageId(pageId);
+      
+      if (!session || session.status === 'closing') {
+        return;
+      }
+      
+      // Page closed itself, e.g. through window.close()
+      this.detachTab(session, pageId);
+      
+      // Emit tab closed event
+      this.emit('tabClosed', session.id, pageId);
+    } catch (error) {
+      logger.error(`Error handling page closed for page ${pageId}`, error);
+    }
+  }
+
+  /**
+   * Handle memory limit action taken on a session page
+   * @param {string} pageId Page ID
+   * @param {Object} event Memory limit action
+   */
+  handleMemoryLimitAction(pageId, event) {
+    // Find session owning the page; a closed page is gone from the tabs already
+    const session = this.sessions.get(event.sessionId) || this.findSessionByPageId(pageId);
+    
+    if (!session) {
+      return;
+    }
+    
+    // Record action against the session
+    session.memoryActions.push({ pageId, ...event });
+    
+    if (session.memoryActions.length > MAX_MEMORY_ACTIONS) {
+      session.memoryActions.shift();
+    }
+    
+    logger.warn(event.limit
+      ? `Session ${session.id} tab ${pageId} over memory limit ${event.limit} (${event.usage} > ${event.max}): ${event.action}`
+      : `Session ${session.id} tab ${pageId} back under memory limits`);
+    
+    // Emit memory limit event
+    this.emit('memoryLimitAction', session.id, pageId, event);
+  }
+
+  /**
+   * Navigate session to URL
+   * @param {string} sessionId Session ID
+   * @param {string} url URL to navigate to
+   * @param {Object} options Navigation options
+   * @returns {Promise<Object>} Navigation result
+   */
+  async navigateToUrl(sessionId, url, options = {}) {
+    try {
+      logger.info(`Navigating session ${sessionId} to ${url}`, options);
+      
+      // Resolve wait condition
+      let waitUntil;
+      
+      if (options.waitUntil) {
+        waitUntil = WAIT_CONDITIONS[String(options.waitUntil).toLowerCase()];
+        
+        if (!waitUntil) {
+          throw new ValidationError(`Unsupported wait condition: ${options.waitUntil}`, [{
+            message: `waitUntil must be one of ${Object.keys(WAIT_CONDITIONS).join(', ')}`,
+            path: ['options', 'waitUntil']
+          }]);
+        }
+      }
+      
+      // Get or create page
+      const { pageInfo } = await this.ensurePage(sessionId);
+      
+      // Navigate page
+      const result = await this.browserPool.navigatePage(pageInfo.id, url, {
+        waitUntil,
+        timeout: options.timeout
+      });
+      
+      // Update session
+      const session = this.sessions.get(sessionId);
+      
+      if (session) {
+        session.currentUrl = result.finalUrl;
+        session.lastUrl = result.finalUrl;
+        session.stats.navigations++;
+        
+        await this.saveSession(session);
+      }
+      
+      // Emit session navigated event
+      this.emit('sessionNavigated', sessionId, result);
+      
+      return {
+        url: result.finalUrl,
+        requestedUrl: url,
+        status: result.status,
+        ok: result.ok,
+        title: result.title,
+        access: result.access
+      };
+    } catch (error) {
+      logger.error(`Error navigating session ${sessionId} to ${url}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Execute script in session page
+   * @param {string} sessionId Session ID
+   * @param {string} script Script to evaluate
+   * @param {Object} options Execution options
+   * @returns {Promise<*>} Script result
+   */
+  async executeScript(sessionId, script, options = {}) {
+    try {
+      logger.info(`Executing script for session ${sessionId}`);
+      
+      // Get or create page
+      const { pageInfo } = await this.ensurePage(sessionId);
+      
+      const timeout = options.timeout || 30000;
+      let timer;
+      
+      // Evaluate script with timeout
+      const result = await Promise.race([
+        pageInfo.page.evaluate(script),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`Script timed out after ${timeout}ms`)), timeout);
+        })
+      ]).finally(() => clearTimeout(timer));
+      
+      return result === undefined ? null : result;
+    } catch (error) {
+      logger.error(`Error executing script for session ${sessionId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh session expiry
+   * @param {string} sessionId Session ID
+   * @returns {Object} Session info
+   */
+  refreshSession(sessionId) {
+    // Get session
+    const session = this.sessions.get(sessionId);
+    
+    if (!session) {
+      throw new NotFoundError(`Session not found: ${sessionId}`);
+    }
+    
+    // Update last activity time
+    session.lastActivityAt = Date.now();
+    
+    // Reset session timeout, which extends expiresAt
+    this.resetSessionTimeout(sessionId);
+    
+    logger.info(`Session refreshed: ${sessionId}, expires at ${new Date(session.expiresAt).toISOString()}`);
+    
+    this.saveSession(session);
+    
+    // Emit session refreshed event
+    this.emit('sessionRefreshed', sessionId, session);
+    
+    return session;
+  }
+
+  /**
+   * Send input to session page
+   * @param {string} sessionId Session ID
+   * @param {Object} input Input event
+   * @returns {Promise<boolean>} Success
+   */
+  async sendInput(sessionId, input = {}) {
+    // Get session with active page
+    const session = this.getSessionWithPage(sessionId);
+    
+    // Read-only pages may be viewed and scrolled but not interacted with
+    const pageInfo = this.browserPool.getPage(session.pageId);
+    
+    if (pageInfo && pageInfo.access === ACTIONS.READ_ONLY && !READ_ONLY_INPUT_TYPES.includes(input.type)) {
+      throw new AuthorizationError(`Page is read-only by policy: ${pageInfo.verdict.url}`);
+    }
+    
+    // Dispatch input
+    await this.inputController.dispatchInput(session.pageId, input);
+    
+    // Update session stats
+    session.stats.inputEvents++;
+    
+    // Emit input sent event
+    this.emit('inputSent', sessionId, session.pageId, input);
+    
+    return true;
+  }
+
+  /**
+   * Paste content into the focused element of session page
+   * @param {string} sessionId Session ID
+   * @param {string} text Plain text
+   * @param {string} html Rich text markup, or null for plain text only
+   * @returns {Promise<Object>} Paste result
+   */
+  async pasteContent(sessionId, text, html = null) {
+    // Get session with active page
+    const session = this.getSessionWithPage(sessionId);
+    
+    // Pasting is interaction, so read-only pages refuse it
+    const pageInfo = this.browserPool.getPage(session.pageId);
+    
+    if (pageInfo && pageInfo.access === ACTIONS.READ_ONLY) {
+      throw new AuthorizationError(`Page is read-only by policy: ${pageInfo.verdict.url}`);
+    }
+    
+    // Prefer markup, falling back to text where the focused element is not rich
+    let format = 'text';
+    
+    if (html && await this.inputController.insertHtml(session.pageId, html)) {
+      format = 'html';
+    } else {
+      await this.inputController.insertText(session.pageId, text);
+    }
+    
+    // Update session stats
+    session.stats.inputEvents++;
+    
+    return {
+      tabId: session.pageId,
+      format
+    };
+  }
+
   /**
    * Close session
    * @param {string} sessionId Session ID
@@ -273,22 +990,32 @@ class SessionManager extends EventEmitter {
       // Clear session timeout
       this.clearSessionTimeout(sessionId);
       
-      // Close page if exists
-      if (session.pageId && this.browserPool) {
-        try {
-          await this.browserPool.closePage(session.pageId);
-        } catch (error) {
-          logger.error(`Error closing page for session ${sessionId}`, error);
+      // Close all tabs
+      if (this.browserPool) {
+        for (const tabId of [...session.tabs]) {
+          try {
+            await this.browserPool.closePage(tabId);
+          } catch (error) {
+            logger.error(`Error closing tab ${tabId} for session ${sessionId}`, error);
+          }
         }
+        
+        // Wipe the session's browser context
+        await this.browserPool.closeContext(sessionId);
       }
       
-      // Remove session
+      // Remove session; on shutdown the record stays so the next start restores it
       this.sessions.delete(sessionId);
+      this.sessionCookies.delete(sessionId);
+      
+      if (reason !== 'shutdown') {
+        await this.deleteSessionRecord(sessionId);
+      }
       
       logger.info(`Session closed: ${sessionId}`);
       
-      // Emit session closed event
-      this.emit('sessionClosed', sessionId, reason);
+      // Emit session closed event; the session is already gone from the manager
+      this.emit('sessionClosed', sessionId, reason, session);
       
       return true;
     } catch (error) {
@@ -296,8 +1023,13 @@ class SessionManager extends EventEmitter {
       
       // Remove session anyway
       this.sessions.delete(sessionId);
+      this.sessionCookies.delete(sessionId);
       this.clearSessionTimeout(sessionId);
       
+      if (reason !== 'shutdown') {
+        await this.deleteSessionRecord(sessionId);
+      }
+      
       // Emit session closed event
       this.emit('sessionClosed', sessionId, 'error');
       
@@ -305,14 +1037,238 @@ class SessionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Save session to the session store
+   * @param {Object} session Session info
+   * @param {Object} options Save options
+   * @param {boolean} options.snapshot Read cookies and the URL of the active tab from the browser
+   * @returns {Promise<boolean>} Success
+   */
+  async saveSession(session, options = {}) {
+    try {
+      // Read browser state; pages navigate on their own, so the active tab URL is the one to restore
+      if (options.snapshot && session.pageId) {
+        const pageInfo = this.browserPool.getPage(session.pageId);
+        
+        if (pageInfo) {
+          const url = pageInfo.page.url();
+          
+          this.sessionCookies.set(session.id, await this.browserPool.getCookies(session.pageId));
+          
+          if (url && url !== 'about:blank') {
+            session.lastUrl = url;
+          }
+        }
+      }
+      
+      await this.sessionStore.save({
+        id: session.id,
+        userId: session.userId,
+        groups: session.groups,
+        createdAt: session.createdAt,
+        lastActivityAt: session.lastActivityAt,
+        expiresAt: session.expiresAt,
+        options: session.options,
+        currentUrl: session.currentUrl,
+        lastUrl: session.lastUrl,
+        cookies: this.sessionCookies.get(session.id) || [],
+        stats: session.stats,
+        savedAt: Date.now()
+      });
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error saving session ${session.id}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Snapshot all live sessions to the session store
+   * @returns {Promise<void>}
+   */
+  async saveAllSessions() {
+    for (const session of this.sessions.values()) {
+      if (session.status === 'active') {
+        await this.saveSession(session, { snapshot: true });
+      }
+    }
+  }
+
+  /**
+   * Delete session from the session store
+   * @param {string} sessionId Session ID
+   * @returns {Promise<void>}
+   */
+  async deleteSessionRecord(sessionId) {
+    try {
+      await this.sessionStore.delete(sessionId);
+    } catch (error) {
+      logger.error(`Error deleting stored session ${sessionId}`, error);
+    }
+  }
+
+  /**
+   * Restore sessions from the session store
+   * @returns {Promise<number>} Number of sessions restored
+   */
+  async restoreSessions() {
+    const records = await this.sessionStore.load();
+    let restored = 0;
+    
+    for (const record of records) {
+      // Drop expired sessions
+      if (!record.expiresAt || record.expiresAt <= Date.now()) {
+        logger.info(`Dropping expired stored session: ${record.id}`);
+        await this.deleteSessionRecord(record.id);
+        continue;
+      }
+      
+      if (this.sessions.size >= SESSION_CONFIG.maxConcurrentSessions) {
+        logger.warn(`Maximum number of concurrent sessions reached, not restoring session ${record.id}`);
+        continue;
+      }
+      
+      if (await this.restoreSession(record)) {
+        restored++;
+      }
+    }
+    
+    if (records.length > 0) {
+      logger.info(`Restored ${restored} of ${records.length} stored sessions`);
+    }
+    
+    return restored;
+  }
+
+  /**
+   * Restore session from its record
+   * The session page is recreated with the saved cookies and reloads the last URL,
+   * so a client registering with the same session ID carries on where it left off.
+   * @param {Object} record Session record
+   * @returns {Promise<boolean>} Success
+   */
+  async restoreSession(record) {
+    const sessionId = record.id;
+    
+    try {
+      logger.info(`Restoring session: ${sessionId}`);
+      
+      // Recreate session
+      const session = {
+        id: sessionId,
+        userId: record.userId || null,
+        groups: record.groups || [],
+        createdAt: record.createdAt,
+        lastActivityAt: record.lastActivityAt,
+        expiresAt: record.expiresAt,
+        options: record.options || {},
+        browserId: null,
+        pageId: null,
+        tabs: [],
+        webrtcId: null,
+        currentUrl: record.currentUrl || null,
+        lastUrl: record.lastUrl || null,
+        launchProfile: this.browserPool.launchProfile,
+        status: 'restoring',
+        stats: {
+          frameCount: 0,
+          bytesSent: 0,
+          bytesReceived: 0,
+          inputEvents: 0,
+          navigations: 0,
+          ...record.stats
+        },
+        memoryActions: []
+      };
+      
+      this.sessions.set(sessionId, session);
+      this.sessionCookies.set(sessionId, record.cookies || []);
+      
+      // Recreate page with cookies, then load the last URL
+      const { pageInfo } = await this.ensurePage(sessionId);
+      
+      await this.browserPool.setCookies(pageInfo.id, record.cookies || []);
+      
+      if (session.lastUrl) {
+        await this.browserPool.navigatePage(pageInfo.id, session.lastUrl);
+      }
+      
+      // Keep the expiry the session had; restoring is not user activity
+      session.lastActivityAt = record.lastActivityAt;
+      this.resetSessionTimeout(sessionId, Math.max(0, record.expiresAt - Date.now()));
+      
+      logger.info(`Session restored: ${sessionId}`);
+      
+      // Emit session restored event
+      this.emit('sessionRestored', sessionId, session);
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error restoring session ${sessionId}`, error);
+      
+      // Forget the half-restored session but keep its record for the next start
+      const session = this.sessions.get(sessionId);
+      
+      if (session) {
+        session.status = 'closing';
+        
+        for (const tabId of [...session.tabs]) {
+          await this.browserPool.closePage(tabId).catch(() => {});
+        }
+      }
+      
+      await this.browserPool.closeContext(sessionId);
+      
+      this.sessions.delete(sessionId);
+      this.sessionCookies.delete(sessionId);
+      this.clearSessionTimeout(sessionId);
+      
+      return false;
+    }
+  }
+
+  /**
+   * Get session timeout
+   * @param {Object} session Session info
+   * @returns {number} Timeout in milliseconds
+   */
+  getSessionTimeout(session) {
+    return session.options.timeout || SESSION_CONFIG.sessionTimeout * 60 * 1000;
+  }
+
+  /**
+   * Destroy session on client request
+   * @param {string} sessionId Session ID
+   * @returns {Promise<boolean>} Success
+   */
+  async destroySession(sessionId) {
+    return this.closeSession(sessionId, 'destroyed');
+  }
+
   /**
    * Reset session timeout
    * @param {string} sessionId Session ID
+   * @param {number} timeoutMs Time left in milliseconds, the full session timeout by default
    */
-  resetSessionTimeout(sessionId) {
+  resetSessionTimeout(sessionId, timeoutMs = null) {
     // Clear existing timeout
     this.clearSessionTimeout(sessionId);
     
+    // Get session
+    const session = this.sessions.get(sessionId);
+    
+    if (!session) {
+      return;
+    }
+    
+    if (timeoutMs === null) {
+      timeoutMs = this.getSessionTimeout(session);
+    }
+    
+    // Extend expiry
+    session.expiresAt = Date.now() + timeoutMs;
+    
     // Set new timeout
     const timeout = setTimeout(async () => {
       try {
@@ -321,7 +1277,7 @@ class SessionManager extends EventEmitter {
       } catch (error) {
         logger.error(`Error closing timed out session ${sessionId}`, error);
       }
-    }, SESSION_CONFIG.sessionTimeout * 60 * 1000);
+    }, timeoutMs);
     
     // Store timeout
     this.sessionTimeouts.set(sessionId, timeout);
@@ -352,6 +1308,77 @@ class SessionManager extends EventEmitter {
     return Array.from(this.sessions.values());
   }
 
+  /**
+   * Get session stats
+   * @param {string} sessionId Session ID
+   * @returns {Promise<Object>} Session stats
+   */
+  async getSessionStats(sessionId) {
+    // Get session
+    const session = this.sessions.get(sessionId);
+    
+    if (!session) {
+      return null;
+    }
+    
+    // Get page metrics
+    let page = null;
+    
+    if (session.pageId) {
+      try {
+        page = await this.browserPool.getPageMetrics(session.pageId);
+      } catch (error) {
+        logger.error(`Error getting page metrics for session ${sessionId}`, error);
+      }
+    }
+    
+    // Get cgroup usage of the session's browser
+    let resources = null;
+    
+    try {
+      resources = await this.browserPool.getSessionResources(sessionId);
+    } catch (error) {
+      logger.error(`Error getting resource usage for session ${sessionId}`, error);
+    }
+    
+    return {
+      sessionId: session.id,
+      userId: session.userId,
+      status: session.status,
+      createdAt: session.createdAt,
+      lastActivityAt: session.lastActivityAt,
+      expiresAt: session.expiresAt,
+      uptime: Date.now() - session.createdAt,
+      currentUrl: session.currentUrl || null,
+      stats: { ...session.stats },
+      page,
+      memory: {
+        limit: session.options.memoryLimit,
+        actions: session.memoryActions
+      },
+      resources,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Get stats for all sessions
+   * @returns {Promise<Array>} Session stats
+   */
+  async getAllSessionStats() {
+    const stats = [];
+    
+    for (const sessionId of this.sessions.keys()) {
+      const sessionStats = await this.getSessionStats(sessionId);
+      
+      if (sessionStats) {
+        stats.push(sessionStats);
+      }
+    }
+    
+    return stats;
+  }
+
   /**
    * Get sessions count
    * @returns {number} Sessions count
@@ -384,6 +1411,14 @@ class SessionManager extends EventEmitter {
         clearInterval(this.cleanupInterval);
       }
       
+      // Clear save interval
+      if (this.saveInterval) {
+        clearInterval(this.saveInterval);
+      }
+      
+      // Save a last snapshot, then close sessions without dropping their records
+      await this.saveAllSessions();
+      
       // Close all sessions
       const sessionIds = Array.from(this.sessions.keys());
       
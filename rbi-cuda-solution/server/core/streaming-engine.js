@@ -4,22 +4,59 @@
  */
 
 const { EventEmitter } = require('events');
-const { STREAMING_CONFIG } = require('../utils/config');
+const { STREAMING_CONFIG, RECORDING_CONFIG } = require('../utils/config');
+const { getQualityProfile } = require('../utils/quality-profiles');
+const { ValidationError } = require('../utils/error-handler');
+const AdaptiveQualityController = require('./adaptive-quality-controller');
+const FrameChangeDetector = require('./frame-change-detector');
+const RingBuffer = require('../utils/ring-buffer');
+const LatencyHistogram = require('../utils/latency-histogram');
 const logger = require('../utils/logger');
 
+// Video transports
+const TRANSPORTS = {
+  WEBRTC: 'webrtc',
+  WEBSOCKET: 'websocket'
+};
+
+// Frame queue policies
+const FRAME_QUEUE_POLICIES = {
+  LATEST: 'latest',
+  DROP_OLDEST: 'drop-oldest',
+  DROP_NEWEST: 'drop-newest'
+};
+
+// Frame pipeline stages with latency histograms
+const LATENCY_STAGES = ['capture', 'queue', 'convert', 'encode', 'send', 'total'];
+
+// Frames tracked between encoder input and output
+const MAX_IN_FLIGHT_FRAMES = 64;
+
+// Where a stream's page came from: the warm pool, a newly created page, or a page the session already had
+const PAGE_SOURCES = ['warm', 'cold', 'existing'];
+
 /**
  * StreamingEngine class
  */
 class StreamingEngine extends EventEmitter {
-  constructor(browserPool, sessionManager, webrtcService, encoder) {
+  constructor(browserPool, sessionManager, webrtcService, encoder, frameConverter, websocketTransport, recordingService = null) {
     super();
     this.browserPool = browserPool;
     this.sessionManager = sessionManager;
     this.webrtcService = webrtcService;
     this.encoder = encoder;
+    this.frameConverter = frameConverter;
+    this.websocketTransport = websocketTransport;
+    this.recordingService = recordingService;
     this.streams = new Map();
     this.frameProcessors = new Map();
     this.performanceMetrics = new Map();
+    this.adaptiveQuality = new Map();
+    
+    // Time from stream start to the first frame sent, by page source
+    this.timeToFirstFrame = Object.fromEntries(
+      PAGE_SOURCES.map(source => [source, new LatencyHistogram(STREAMING_CONFIG.timeToFirstFrameBuckets)])
+    );
     
     logger.info('Streaming Engine initialized');
     
@@ -37,12 +74,16 @@ class StreamingEngine extends EventEmitter {
     
     // Session Manager events
     this.sessionManager.on('sessionClosed', this.handleSessionClosed.bind(this));
+    this.sessionManager.on('activeTabChanged', this.handleActiveTabChanged.bind(this));
     
     // WebRTC Service events
     this.webrtcService.on('connectionClosed', this.handleWebRTCConnectionClosed.bind(this));
     
     // Encoder events
     this.encoder.on('encodedFrame', this.handleEncodedFrame.bind(this));
+    
+    // WebSocket transport events
+    this.websocketTransport.on('keyFrameRequested', this.handleKeyFrameRequested.bind(this));
   }
 
   /**
@@ -52,6 +93,8 @@ class StreamingEngine extends EventEmitter {
    * @returns {Promise<Object>} Stream info
    */
   async createStream(sessionId, options = {}) {
+    const startedAt = Date.now();
+    
     try {
       logger.info(`Creating stream for session ${sessionId}`, options);
       
@@ -61,6 +104,11 @@ class StreamingEngine extends EventEmitter {
         return this.streams.get(sessionId);
       }
       
+      // Options not given explicitly come from the quality profile
+      if (options.quality) {
+        options = this.applyQualityProfile(options);
+      }
+      
       // Get session
       const session = this.sessionManager.getSession(sessionId);
       
@@ -69,24 +117,20 @@ class StreamingEngine extends EventEmitter {
       }
       
       // Create page if not provided
-      let pageId = options.pageId || session.pageId;
+      let pageId = options.pageId;
+      let pageCreated = false;
       
       if (!pageId) {
-        // Create page
+        // Get or create session page
         const pageOptions = {
           width: options.width || STREAMING_CONFIG.defaultWidth,
           height: options.height || STREAMING_CONFIG.defaultHeight,
           deviceScaleFactor: options.deviceScaleFactor || STREAMING_CONFIG.defaultDeviceScaleFactor
         };
         
-        const page = await this.browserPool.createPage(pageOptions);
-        pageId = page.id;
-        
-        // Update session
-        await this.sessionManager.updateSession(sessionId, {
-          pageId,
-          browserId: page.browserId
-        });
+        const { pageInfo, created } = await this.sessionManager.ensurePage(sessionId, pageOptions);
+        pageId = pageInfo.id;
+        pageCreated = created;
       }
       
       // Get page
@@ -96,10 +140,14 @@ class StreamingEngine extends EventEmitter {
         throw new Error(`Page not found: ${pageId}`);
       }
       
+      // Choose video transport
+      const transport = this.selectTransport(sessionId, options);
+      const codec = this.encoder.getOutputCodec(sessionId) || options.screencastFormat || STREAMING_CONFIG.defaultScreencastFormat;
+      
       // Create WebRTC connection if not provided
-      let webrtcId = options.webrtcId || session.webrtcId;
+      let webrtcId = transport === TRANSPORTS.WEBRTC ? options.webrtcId || session.webrtcId : null;
       
-      if (!webrtcId) {
+      if (transport === TRANSPORTS.WEBRTC && !webrtcId) {
         // Create WebRTC connection
         const webrtcOptions = {
           width: options.width || STREAMING_CONFIG.defaultWidth,
@@ -122,11 +170,17 @@ class StreamingEngine extends EventEmitter {
         maxHeight: options.height || STREAMING_CONFIG.defaultHeight,
         frameRate: options.frameRate || STREAMING_CONFIG.defaultFrameRate,
         bitrate: options.bitrate || STREAMING_CONFIG.defaultBitrate,
-        strategy: options.encodingStrategy || STREAMING_CONFIG.defaultEncodingStrategy
+        strategy: options.encodingStrategy,
+        rawFrames: transport === TRANSPORTS.WEBRTC
       };
       
       await this.encoder.createEncoder(sessionId, encoderOptions);
       
+      // Open WebSocket video stream
+      if (transport === TRANSPORTS.WEBSOCKET) {
+        this.websocketTransport.openStream(sessionId);
+      }
+      
       // Start screencast
       const screencastOptions = {
         format: options.screencastFormat || STREAMING_CONFIG.defaultScreencastFormat,
@@ -138,11 +192,21 @@ class StreamingEngine extends EventEmitter {
       
       await this.browserPool.startScreencast(pageId, screencastOptions);
       
+      // Load the session start URL into a fresh page while streaming
+      if (pageCreated && session.options.startUrl) {
+        this.sessionManager.navigateToUrl(sessionId, session.options.startUrl).catch((error) => {
+          logger.error(`Error loading start URL for session ${sessionId}`, error);
+        });
+      }
+      
       // Create stream
       const stream = {
         sessionId,
         pageId,
         webrtcId,
+        transport,
+        codec,
+        screencastOptions,
         options: {
           ...options,
           width: options.width || STREAMING_CONFIG.defaultWidth,
@@ -150,13 +214,22 @@ class StreamingEngine extends EventEmitter {
           frameRate: options.frameRate || STREAMING_CONFIG.defaultFrameRate,
           bitrate: options.bitrate || STREAMING_CONFIG.defaultBitrate,
           encodingStrategy: options.encodingStrategy || STREAMING_CONFIG.defaultEncodingStrategy,
-          adaptiveQuality: options.adaptiveQuality !== false
+          adaptiveQuality: options.adaptiveQuality !== false,
+          changeDetection: options.changeDetection !== false
         },
         createdAt: Date.now(),
+        startedAt,
+        firstFrameAt: null,
+        pageSource: pageCreated ? (page.warm ? 'warm' : 'cold') : 'existing',
         lastFrameAt: Date.now(),
         frameCount: 0,
         keyFrameCount: 0,
         droppedFrameCount: 0,
+        dropReasons: {
+          rateLimit: 0,
+          unchanged: 0,
+          queue: 0
+        },
         totalBytes: 0,
         active: true
       };
@@ -167,10 +240,24 @@ class StreamingEngine extends EventEmitter {
       // Create frame processor
       this.createFrameProcessor(sessionId, stream.options);
       
-      
       // Initialize performance metrics
       this.initializePerformanceMetrics(sessionId);
       
+      // Start adaptive quality
+      if (STREAMING_CONFIG.adaptiveQualityEnabled && stream.options.adaptiveQuality) {
+        this.startAdaptiveQuality(sessionId);
+      }
+      
+      // Start recording; a stream asked to record does not run unrecorded
+      if (options.record || (options.record !== false && RECORDING_CONFIG.recordAll)) {
+        try {
+          await this.setRecording(sessionId, true);
+        } catch (error) {
+          await this.closeStream(sessionId, 'error');
+          throw error;
+        }
+      }
+      
       logger.info(`Stream created for session ${sessionId}`);
       
       // Emit stream created event
@@ -183,20 +270,375 @@ class StreamingEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Start stream
+   * Stream API options use maxWidth and maxHeight for the stream resolution and bitrate in bps.
+   * @param {string} sessionId Session ID
+   * @param {Object} options Stream options
+   * @returns {Promise<Object>} Stream info
+   */
+  async startStream(sessionId, options = {}) {
+    const { maxWidth, maxHeight, ...streamOptions } = options;
+    
+    return this.createStream(sessionId, {
+      ...streamOptions,
+      width: options.width || maxWidth,
+      height: options.height || maxHeight,
+      bitrate: options.bitrate ? Math.round(options.bitrate / 1000) : undefined
+    });
+  }
+
+  /**
+   * Stop stream
+   * @param {string} sessionId Session ID
+   * @returns {Promise<boolean>} Success
+   */
+  async stopStream(sessionId) {
+    return this.closeStream(sessionId, 'stopped');
+  }
+
+  /**
+   * Apply quality profile
+   * @param {Object} options Stream options with a quality profile name
+   * @returns {Object} Stream options, explicit options taking precedence over the profile
+   */
+  applyQualityProfile(options) {
+    const profile = getQualityProfile(options.quality);
+    const explicit = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    
+    return { ...profile, ...explicit };
+  }
+
+  /**
+   * Update stream options
+   * Stream API options use maxWidth and maxHeight for the stream resolution and bitrate in bps.
+   * @param {string} sessionId Session ID
+   * @param {Object} options Stream options
+   * @returns {Promise<Object>} Stream info, or null if there is no stream
+   */
+  async updateStreamOptions(sessionId, options = {}) {
+    const { maxWidth, maxHeight, transport, record, ...streamOptions } = options;
+    const stream = this.streams.get(sessionId);
+    
+    if (!stream) {
+      return null;
+    }
+    
+    // The transport is fixed for the life of the stream
+    if (transport && transport !== 'auto' && transport !== stream.transport) {
+      throw new ValidationError(`Stream transport cannot change while streaming: ${stream.transport}`);
+    }
+    
+    // Recording can be switched on and off while streaming
+    if (record !== undefined) {
+      await this.setRecording(sessionId, record);
+    }
+    
+    return this.reconfigureStream(sessionId, {
+      ...streamOptions,
+      width: options.width || maxWidth,
+      height: options.height || maxHeight,
+      bitrate: options.bitrate ? Math.round(options.bitrate / 1000) : undefined
+    });
+  }
+
+  /**
+   * Update stream quality
+   * @param {string} sessionId Session ID
+   * @param {string} quality Quality profile name
+   * @returns {Promise<Object>} Stream info, or null if there is no stream
+   */
+  async updateStreamQuality(sessionId, quality) {
+    if (!this.streams.has(sessionId)) {
+      return null;
+    }
+    
+    const profile = getQualityProfile(quality);
+    const stream = await this.reconfigureStream(sessionId, {
+      ...profile,
+      quality
+    });
+    
+    // Emit stream quality changed event
+    this.emit('streamQualityChanged', sessionId, quality, profile);
+    
+    return stream;
+  }
+
+  /**
+   * Reconfigure stream
+   * Applies new settings to a live stream: the page viewport, screencast, encoder and WebRTC track
+   * follow while the session, page, transport and stream counters stay as they are.
+   * @param {string} sessionId Session ID
+   * @param {Object} options Stream options to change; width, height, frameRate, bitrate (kbps),
+   *   deviceScaleFactor, screencastQuality, everyNthFrame, encodingStrategy and quality, and the
+   *   page viewport in CSS pixels when it is not the resolution divided by deviceScaleFactor
+   * @returns {Promise<Object>} Stream info, or null if there is no stream
+   */
+  async reconfigureStream(sessionId, options = {}) {
+    // Get stream
+    const stream = this.streams.get(sessionId);
+    
+    if (!stream) {
+      return null;
+    }
+    
+    // Options not given explicitly come from the quality profile
+    if (options.quality) {
+      options = this.applyQualityProfile(options);
+    }
+    
+    // Settings left out keep their requested values rather than what adaptive quality stepped down to
+    const adaptiveQuality = this.adaptiveQuality.get(sessionId);
+    const requested = adaptiveQuality ? adaptiveQuality.controller.base : {
+      width: stream.options.width,
+      height: stream.options.height,
+      bitrate: stream.options.bitrate,
+      screencastQuality: stream.screencastOptions.quality,
+      everyNthFrame: stream.screencastOptions.everyNthFrame
+    };
+    
+    const settings = {
+      width: options.width || requested.width,
+      height: options.height || requested.height,
+      frameRate: options.frameRate || stream.options.frameRate,
+      bitrate: options.bitrate || requested.bitrate,
+      deviceScaleFactor: options.deviceScaleFactor || stream.options.deviceScaleFactor || STREAMING_CONFIG.defaultDeviceScaleFactor,
+      screencastQuality: options.screencastQuality || requested.screencastQuality,
+      everyNthFrame: options.everyNthFrame || requested.everyNthFrame,
+      encodingStrategy: options.encodingStrategy || stream.options.encodingStrategy
+    };
+    
+    logger.info(`Reconfiguring stream for session ${sessionId}`, settings);
+    
+    // Resize the page so that it lays out at the stream resolution
+    stream.viewport = {
+      width: options.viewport ? options.viewport.width : Math.round(settings.width / settings.deviceScaleFactor),
+      height: options.viewport ? options.viewport.height : Math.round(settings.height / settings.deviceScaleFactor),
+      deviceScaleFactor: settings.deviceScaleFactor
+    };
+    
+    await this.applyViewport(stream.pageId, stream.viewport);
+    
+    // Update stream options
+    Object.assign(stream.options, {
+      width: settings.width,
+      height: settings.height,
+      frameRate: settings.frameRate,
+      bitrate: settings.bitrate,
+      deviceScaleFactor: settings.deviceScaleFactor,
+      screencastQuality: settings.screencastQuality,
+      everyNthFrame: settings.everyNthFrame,
+      encodingStrategy: settings.encodingStrategy
+    });
+    
+    if (options.quality) {
+      stream.options.quality = options.quality;
+    }
+    
+    Object.assign(stream.screencastOptions, {
+      quality: settings.screencastQuality,
+      maxWidth: settings.width,
+      maxHeight: settings.height,
+      everyNthFrame: settings.everyNthFrame
+    });
+    
+    // Update frame processor
+    const frameProcessor = this.frameProcessors.get(sessionId);
+    
+    if (frameProcessor) {
+      frameProcessor.frameInterval = 1000 / settings.frameRate;
+    }
+    
+    // Restart encoder
+    await this.encoder.updateEncoderOptions(sessionId, {
+      width: settings.width,
+      height: settings.height,
+      frameRate: settings.frameRate,
+      bitrate: settings.bitrate,
+      strategy: settings.encodingStrategy
+    });
+    
+    // Update WebRTC track; the connection itself is kept
+    if (stream.transport === TRANSPORTS.WEBRTC) {
+      await this.webrtcService.updateVideoTrack(sessionId, {
+        width: settings.width,
+        height: settings.height,
+        frameRate: settings.frameRate
+      });
+      await this.webrtcService.setMaxBitrate(sessionId, settings.bitrate);
+    }
+    
+    // Restart screencast
+    await this.browserPool.stopScreencast(stream.pageId);
+    await this.browserPool.startScreencast(stream.pageId, stream.screencastOptions);
+    
+    // Adapt from the new settings
+    if (adaptiveQuality) {
+      this.stopAdaptiveQuality(sessionId);
+      this.startAdaptiveQuality(sessionId);
+    }
+    
+    logger.info(`Stream reconfigured for session ${sessionId}`);
+    
+    // Emit stream reconfigured event
+    this.emit('streamReconfigured', sessionId, settings);
+    
+    return stream;
+  }
+
+  /**
+   * Resize stream to the client window
+   * The page lays out at the client CSS size and renders at its device pixel ratio, lowered where
+   * the stream would exceed the configured maximum resolution. Resizes arriving while one is
+   * applied are coalesced, the latest size wins.
+   * @param {string} sessionId Session ID
+   * @param {Object} size Client size with width and height in CSS pixels and devicePixelRatio
+   * @returns {Promise<Object>} Stream info, or null if there is no stream
+   */
+  async resizeStream(sessionId, size = {}) {
+    // Get stream
+    const stream = this.streams.get(sessionId);
+    
+    if (!stream) {
+      return null;
+    }
+    
+    if (!Number.isFinite(size.width) || !Number.isFinite(size.height) || size.width <= 0 || size.height <= 0) {
+      throw new ValidationError('Resize requires a positive width and height');
+    }
+    
+    // Clamp the CSS viewport
+    const viewportWidth = Math.round(Math.min(Math.max(size.width, STREAMING_CONFIG.minViewportWidth), STREAMING_CONFIG.maxWidth));
+    const viewportHeight = Math.round(Math.min(Math.max(size.height, STREAMING_CONFIG.minViewportHeight), STREAMING_CONFIG.maxHeight));
+    
+    // Keep the device pixel ratio unless the stream would exceed the maximum resolution
+    const devicePixelRatio = Number.isFinite(size.devicePixelRatio) ? size.devicePixelRatio : 1;
+    const deviceScaleFactor = Math.min(
+      Math.min(Math.max(devicePixelRatio, 1), STREAMING_CONFIG.maxDeviceScaleFactor),
+      STREAMING_CONFIG.maxWidth / viewportWidth,
+      STREAMING_CONFIG.maxHeight / viewportHeight
+    );
+    
+    // Even dimensions keep I420 chroma planes whole
+    stream.pendingResize = {
+      width: Math.floor(viewportWidth * deviceScaleFactor / 2) * 2,
+      height: Math.floor(viewportHeight * deviceScaleFactor / 2) * 2,
+      deviceScaleFactor,
+      viewport: {
+        width: viewportWidth,
+        height: viewportHeight
+      }
+    };
+    
+    if (stream.resizing) {
+      return stream;
+    }
+    
+    stream.resizing = true;
+    
+    try {
+      while (stream.pendingResize && this.streams.get(sessionId) === stream) {
+        const resize = stream.pendingResize;
+        stream.pendingResize = null;
+        
+        // Skip sizes the stream already has
+        if (stream.viewport &&
+            stream.viewport.width === resize.viewport.width &&
+            stream.viewport.height === resize.viewport.height &&
+            stream.viewport.deviceScaleFactor === resize.deviceScaleFactor) {
+          continue;
+        }
+        
+        logger.info(`Resizing stream for session ${sessionId} to ${resize.viewport.width}x${resize.viewport.height}@${resize.deviceScaleFactor}x`);
+        
+        await this.reconfigureStream(sessionId, resize);
+      }
+    } finally {
+      stream.resizing = false;
+    }
+    
+    return stream;
+  }
+
+  /**
+   * Apply viewport to a page
+   * @param {string} pageId Page ID
+   * @param {Object} viewport Viewport with width, height and deviceScaleFactor
+   * @returns {Promise<boolean>} Whether the viewport changed
+   */
+  async applyViewport(pageId, viewport) {
+    const pageInfo = this.browserPool.getPage(pageId);
+    
+    if (!pageInfo || (pageInfo.options.width === viewport.width &&
+        pageInfo.options.height === viewport.height &&
+        pageInfo.options.deviceScaleFactor === viewport.deviceScaleFactor)) {
+      return false;
+    }
+    
+    await this.browserPool.setViewport(pageId, viewport);
+    
+    return true;
+  }
+
+  /**
+   * Select video transport
+   * The WebRTC video source takes raw frames only, so encoded streams go over the WebSocket.
+   * @param {string} sessionId Session ID
+   * @param {Object} options Stream options
+   * @returns {string} Transport
+   */
+  selectTransport(sessionId, options = {}) {
+    const requested = options.transport || STREAMING_CONFIG.transport;
+    const webrtcUsable = this.webrtcService.isAvailable() && !this.encoder.getOutputCodec(sessionId);
+    
+    if (requested === TRANSPORTS.WEBSOCKET) {
+      return TRANSPORTS.WEBSOCKET;
+    }
+    
+    if (requested === TRANSPORTS.WEBRTC && !webrtcUsable) {
+      logger.warn(`WebRTC transport unavailable for session ${sessionId}, using WebSocket`);
+    }
+    
+    return webrtcUsable ? TRANSPORTS.WEBRTC : TRANSPORTS.WEBSOCKET;
+  }
+
   /**
    * Create frame processor
    * @param {string} sessionId Session ID
    * @param {Object} options Frame processor options
    */
   createFrameProcessor(sessionId, options = {}) {
+    // Check queue policy
+    let queuePolicy = STREAMING_CONFIG.frameQueuePolicy;
+    
+    if (!Object.values(FRAME_QUEUE_POLICIES).includes(queuePolicy)) {
+      logger.warn(`Unknown frame queue policy ${queuePolicy}, using ${FRAME_QUEUE_POLICIES.LATEST}`);
+      queuePolicy = FRAME_QUEUE_POLICIES.LATEST;
+    }
+    
+    // Create latency histograms
+    const latency = {};
+    
+    for (const stage of LATENCY_STAGES) {
+      latency[stage] = new LatencyHistogram(STREAMING_CONFIG.latencyHistogramBuckets);
+    }
+    
     // Create frame processor
     const frameProcessor = {
       sessionId,
       options,
       lastFrameTimestamp: Date.now(),
       frameInterval: 1000 / (options.frameRate || STREAMING_CONFIG.defaultFrameRate),
-      frameQueue: [],
+      frameQueue: new RingBuffer(STREAMING_CONFIG.frameQueueSize),
+      queuePolicy,
       processing: false,
+      lastFrameSize: null,
+      inFlight: new Map(),
+      latency,
+      changeDetector: STREAMING_CONFIG.changeDetectionEnabled && options.changeDetection !== false
+        ? new FrameChangeDetector(this.frameConverter)
+        : null,
       dropped: 0,
       processed: 0
     };
@@ -205,6 +647,243 @@ class StreamingEngine extends EventEmitter {
     this.frameProcessors.set(sessionId, frameProcessor);
   }
 
+  /**
+   * Start adaptive quality
+   * @param {string} sessionId Session ID
+   */
+  startAdaptiveQuality(sessionId) {
+    // Get stream
+    const stream = this.streams.get(sessionId);
+    
+    if (!stream) {
+      return;
+    }
+    
+    // Bitrate is only a lever when something encodes to a target bitrate
+    const controller = new AdaptiveQualityController({
+      bitrate: stream.options.bitrate,
+      everyNthFrame: stream.screencastOptions.everyNthFrame,
+      screencastQuality: stream.screencastOptions.quality,
+      width: stream.options.width,
+      height: stream.options.height
+    }, {
+      frameRate: stream.options.frameRate,
+      bitrateAdjustable: stream.transport === TRANSPORTS.WEBRTC || Boolean(this.encoder.getOutputCodec(sessionId))
+    });
+    
+    const adaptiveQuality = {
+      controller,
+      timer: null,
+      evaluating: false,
+      // Counters at the previous evaluation
+      packetsSent: 0,
+      packetsLost: 0,
+      framesDroppedBackpressure: 0,
+      framesProcessed: 0
+    };
+    
+    adaptiveQuality.timer = setInterval(() => {
+      this.adjustQuality(sessionId);
+    }, STREAMING_CONFIG.adaptiveQualityAdjustmentInterval);
+    
+    // Store adaptive quality
+    this.adaptiveQuality.set(sessionId, adaptiveQuality);
+  }
+
+  /**
+   * Stop adaptive quality
+   * @param {string} sessionId Session ID
+   */
+  stopAdaptiveQuality(sessionId) {
+    const adaptiveQuality = this.adaptiveQuality.get(sessionId);
+    
+    if (adaptiveQuality) {
+      clearInterval(adaptiveQuality.timer);
+      this.adaptiveQuality.delete(sessionId);
+    }
+  }
+
+  /**
+   * Adjust quality
+   * Evaluates the stream metrics since the last run and applies the controller decision.
+   * @param {string} sessionId Session ID
+   * @returns {Promise<Object>} Decision, or null
+   */
+  async adjustQuality(sessionId) {
+    // Get adaptive quality
+    const adaptiveQuality = this.adaptiveQuality.get(sessionId);
+    
+    if (!adaptiveQuality || adaptiveQuality.evaluating) {
+      return null;
+    }
+    
+    adaptiveQuality.evaluating = true;
+    
+    try {
+      // Collect metrics
+      const metrics = await this.collectQualityMetrics(sessionId, adaptiveQuality);
+      
+      // Stream may have closed while collecting
+      if (!metrics || !this.adaptiveQuality.has(sessionId)) {
+        return null;
+      }
+      
+      // Evaluate
+      const decision = adaptiveQuality.controller.evaluate(metrics);
+      
+      if (decision.action === AdaptiveQualityController.ACTIONS.HOLD) {
+        return decision;
+      }
+      
+      logger.info(`Adaptive quality ${decision.action} for session ${sessionId}: ${decision.reason}`, decision.changes);
+      
+      // Apply changes
+      await this.applyQualitySettings(sessionId, decision.changes);
+      
+      // Emit quality adjusted event
+      this.emit('qualityAdjusted', sessionId, decision);
+      
+      return decision;
+    } catch (error) {
+      logger.error(`Error adjusting quality for session ${sessionId}`, error);
+      return null;
+    } finally {
+      adaptiveQuality.evaluating = false;
+    }
+  }
+
+  /**
+   * Collect quality metrics
+   * Counters are turned into deltas against the previous evaluation.
+   * @param {string} sessionId Session ID
+   * @param {Object} adaptiveQuality Adaptive quality state
+   * @returns {Promise<Object>} Metrics, or null
+   */
+  async collectQualityMetrics(sessionId, adaptiveQuality) {
+    // Get stream
+    const stream = this.streams.get(sessionId);
+    const frameProcessor = this.frameProcessors.get(sessionId);
+    const performanceMetrics = this.performanceMetrics.get(sessionId);
+    
+    if (!stream || !frameProcessor || !performanceMetrics) {
+      return null;
+    }
+    
+    const metrics = {
+      roundTripTime: null,
+      packetLoss: null,
+      jitter: null,
+      availableBitrate: null,
+      encoderQueueDepth: frameProcessor.frameQueue.length + this.encoder.getQueueDepth(sessionId),
+      encodeTime: 0,
+      droppedFrames: 0
+    };
+    
+    // Average encode time of the frames processed since the last evaluation
+    const framesProcessed = Math.min(frameProcessor.processed - adaptiveQuality.framesProcessed, performanceMetrics.frameEncodeTime.length);
+    
+    if (framesProcessed > 0) {
+      const encodeTimes = performanceMetrics.frameEncodeTime.slice(-framesProcessed);
+      metrics.encodeTime = encodeTimes.reduce((sum, val) => sum + val, 0) / encodeTimes.length;
+    }
+    
+    adaptiveQuality.framesProcessed = frameProcessor.processed;
+    
+    // Transport metrics
+    if (stream.transport === TRANSPORTS.WEBRTC) {
+      const stats = await this.webrtcService.getConnectionStats(sessionId);
+      
+      if (stats) {
+        // RTCStats times are in seconds and bitrates in bps
+        metrics.roundTripTime = stats.roundTripTime ? stats.roundTripTime * 1000 : null;
+        metrics.jitter = stats.jitter ? stats.jitter * 1000 : null;
+        metrics.availableBitrate = stats.availableOutgoingBitrate ? Math.round(stats.availableOutgoingBitrate / 1000) : null;
+        
+        const packetsSent = (stats.packetsSent || 0) - adaptiveQuality.packetsSent;
+        const packetsLost = Math.max(0, (stats.packetsLost || 0) - adaptiveQuality.packetsLost);
+        
+        if (packetsSent > 0) {
+          metrics.packetLoss = packetsLost / (packetsSent + packetsLost);
+        }
+        
+        adaptiveQuality.packetsSent = stats.packetsSent || 0;
+        adaptiveQuality.packetsLost = stats.packetsLost || 0;
+      }
+    } else {
+      const stats = this.websocketTransport.getStreamStats(sessionId);
+      
+      if (stats) {
+        // Only frames dropped for a full socket point at the network
+        metrics.droppedFrames = stats.framesDroppedBackpressure - adaptiveQuality.framesDroppedBackpressure;
+        adaptiveQuality.framesDroppedBackpressure = stats.framesDroppedBackpressure;
+      }
+    }
+    
+    if (metrics.roundTripTime !== null) {
+      this.updatePerformanceMetrics(sessionId, {
+        networkLatency: metrics.roundTripTime
+      });
+    }
+    
+    return metrics;
+  }
+
+  /**
+   * Apply quality settings
+   * @param {string} sessionId Session ID
+   * @param {Object} changes Changed settings with from and to values
+   * @returns {Promise<boolean>} Success
+   */
+  async applyQualitySettings(sessionId, changes) {
+    // Get stream
+    const stream = this.streams.get(sessionId);
+    
+    if (!stream || !stream.active) {
+      return false;
+    }
+    
+    // Update stream options
+    if (changes.bitrate) {
+      stream.options.bitrate = changes.bitrate.to;
+    }
+    
+    if (changes.width) {
+      stream.options.width = changes.width.to;
+      stream.options.height = changes.height.to;
+      stream.screencastOptions.maxWidth = changes.width.to;
+      stream.screencastOptions.maxHeight = changes.height.to;
+    }
+    
+    if (changes.screencastQuality) {
+      stream.screencastOptions.quality = changes.screencastQuality.to;
+    }
+    
+    if (changes.everyNthFrame) {
+      stream.screencastOptions.everyNthFrame = changes.everyNthFrame.to;
+    }
+    
+    // Update encoder
+    if (changes.bitrate || changes.width) {
+      await this.encoder.updateEncoderOptions(sessionId, {
+        bitrate: stream.options.bitrate,
+        width: stream.options.width,
+        height: stream.options.height
+      });
+    }
+    
+    // Cap the WebRTC sender
+    if (changes.bitrate && stream.transport === TRANSPORTS.WEBRTC) {
+      await this.webrtcService.setMaxBitrate(sessionId, stream.options.bitrate);
+    }
+    
+    // Restart screencast with the new capture settings
+    if (changes.width || changes.screencastQuality || changes.everyNthFrame) {
+      await this.browserPool.stopScreencast(stream.pageId);
+      await this.browserPool.startScreencast(stream.pageId, stream.screencastOptions);
+    }
+    
+    return true;
+  }
 
   /**
    * Initialize performance metrics
@@ -258,6 +937,11 @@ class StreamingEngine extends EventEmitter {
       stream.lastFrameAt = Date.now();
       stream.frameCount++;
       
+      // Recordings take every frame and sample them at their own rate
+      if (this.recordingService) {
+        this.recordingService.writeFrame(sessionId, frameObject);
+      }
+      
       // Get frame processor
       const frameProcessor = this.frameProcessors.get(sessionId);
       
@@ -272,6 +956,7 @@ class StreamingEngine extends EventEmitter {
       if (timeSinceLastFrame < frameProcessor.frameInterval) {
         // Drop frame
         stream.droppedFrameCount++;
+        stream.dropReasons.rateLimit++;
         frameProcessor.dropped++;
         return;
       }
@@ -279,72 +964,233 @@ class StreamingEngine extends EventEmitter {
       // Update frame processor
       frameProcessor.lastFrameTimestamp = now;
       
-      // Process frame
-      await this.processFrame(sessionId, frameObject);
+      // Frames the encoder turns into key frames are never dropped from the queue:
+      // the first frame, frames after a size change, and frames a client waits for
+      const metadata = frameObject.metadata || {};
+      const frameSize = `${metadata.deviceWidth}x${metadata.deviceHeight}`;
+      const key = frameProcessor.lastFrameSize !== frameSize || this.isWaitingForKeyFrame(sessionId);
+      
+      frameProcessor.lastFrameSize = frameSize;
+      
+      // Queue frame
+      this.enqueueFrame(sessionId, frameProcessor, {
+        frameObject,
+        key,
+        capturedAt: metadata.timestamp ? metadata.timestamp * 1000 : now,
+        receivedAt: now
+      });
     } catch (error) {
       logger.error(`Error handling screencast frame for page ${pageId}`, error);
     }
   }
 
+  /**
+   * Queue frame for encoding
+   * With the latest policy only the newest frame waits; otherwise a full queue drops its oldest
+   * droppable frame (drop-oldest) or the incoming one (drop-newest). Key frames are only dropped
+   * when the queue holds nothing else.
+   * @param {string} sessionId Session ID
+   * @param {Object} frameProcessor Frame processor
+   * @param {Object} entry Queue entry with the frame object and its capture times
+   */
+  enqueueFrame(sessionId, frameProcessor, entry) {
+    const queue = frameProcessor.frameQueue;
+    const dropped = [];
+    
+    // Make room
+    if (frameProcessor.queuePolicy === FRAME_QUEUE_POLICIES.LATEST) {
+      dropped.push(...queue.removeAll(item => !item.key));
+    }
+    
+    if (queue.isFull()) {
+      if (frameProcessor.queuePolicy === FRAME_QUEUE_POLICIES.DROP_NEWEST && !entry.key) {
+        dropped.push(entry);
+      } else {
+        dropped.push(queue.remove(item => !item.key) || queue.shift());
+      }
+    }
+    
+    if (!dropped.includes(entry)) {
+      queue.push(entry);
+    }
+    
+    // Count drops
+    if (dropped.length > 0) {
+      const stream = this.streams.get(sessionId);
+      
+      if (stream) {
+        stream.droppedFrameCount += dropped.length;
+        stream.dropReasons.queue += dropped.length;
+      }
+      
+      frameProcessor.dropped += dropped.length;
+    }
+    
+    // Start encoding if idle
+    if (!frameProcessor.processing) {
+      this.drainFrameQueue(sessionId, frameProcessor);
+    }
+  }
+
+  /**
+   * Encode queued frames until the queue is empty
+   * The processing flag is held for the whole loop, so frames queued meanwhile are picked up here
+   * instead of starting a second loop.
+   * @param {string} sessionId Session ID
+   * @param {Object} frameProcessor Frame processor
+   * @returns {Promise<void>}
+   */
+  async drainFrameQueue(sessionId, frameProcessor) {
+    frameProcessor.processing = true;
+    
+    try {
+      // Stop once the processor is replaced or removed
+      while (frameProcessor.frameQueue.length > 0 && this.frameProcessors.get(sessionId) === frameProcessor) {
+        const entry = frameProcessor.frameQueue.shift();
+        
+        entry.dequeuedAt = Date.now();
+        
+        await this.processFrame(sessionId, entry);
+      }
+    } finally {
+      frameProcessor.processing = false;
+    }
+  }
+
   /**
    * Process frame
    * @param {string} sessionId Session ID
-   * @param {Object} frameObject Frame object
+   * @param {Object} entry Queue entry with the frame object and its capture times
    * @returns {Promise<boolean>} Success
    */
-  async processFrame(sessionId, frameObject) {
+  async processFrame(sessionId, entry) {
     try {
       // Get frame processor
       const frameProcessor = this.frameProcessors.get(sessionId);
+      const stream = this.streams.get(sessionId);
       
-      if (!frameProcessor) {
+      if (!frameProcessor || !stream) {
         return false;
       }
       
-      // Check if already processing
-      if (frameProcessor.processing) {
-        // Add to queue
-        frameProcessor.frameQueue.push(frameObject);
-        return true;
-      }
+      const { frameObject } = entry;
+      const dequeuedAt = entry.dequeuedAt || Date.now();
       
-      // Set processing flag
-      frameProcessor.processing = true;
+      // Record time to reach the engine and time spent queued
+      frameProcessor.latency.capture.record(entry.receivedAt - entry.capturedAt);
+      frameProcessor.latency.queue.record(dequeuedAt - entry.receivedAt);
       
-      try {
-        // Get frame data
-        const frameData = Buffer.from(frameObject.data, 'base64');
-        
-      // Encode frame
-      const startTime = Date.now();
-      await this.encoder.encodeFrame(sessionId, frameData);
-      const endTime = Date.now();
-        
-        // Update performance metrics
-        this.updatePerformanceMetrics(sessionId, {
-          frameEncodeTime: endTime - startTime
+      // Get frame data
+      const frameData = Buffer.from(frameObject.data, 'base64');
+      
+      // Skip frames that do not change the picture
+      if (frameProcessor.changeDetector) {
+        const change = await frameProcessor.changeDetector.detect(frameData, {
+          force: entry.key || this.isWaitingForKeyFrame(sessionId)
         });
         
-        // Update frame processor
-        frameProcessor.processed++;
-        
-        // Process next frame in queue
-        if (frameProcessor.frameQueue.length > 0) {
-          const nextFrame = frameProcessor.frameQueue.shift();
-          setImmediate(() => this.processFrame(sessionId, nextFrame));
+        if (!change.changed) {
+          stream.droppedFrameCount++;
+          stream.dropReasons.unchanged++;
+          return true;
         }
-        
-        return true;
+      }
+      
+      const startTime = Date.now();
+      
+      // Decode the screencast image to the raw format the encoder takes, at the stream resolution
+      const inputFormat = this.encoder.getInputFormat(sessionId);
+      const frame = inputFormat
+        ? await this.frameConverter.convertFrame(frameData, {
+          width: stream.options.width,
+          height: stream.options.height,
+          format: inputFormat
+        })
+        : null;
+      
+      // Remember capture times until the encoded frame comes back
+      const timestamp = frameObject.metadata && frameObject.metadata.timestamp ? Math.round(frameObject.metadata.timestamp * 1000) : Date.now();
+      const encodeStartedAt = Date.now();
+      
+      frameProcessor.latency.convert.record(encodeStartedAt - dequeuedAt);
+      frameProcessor.inFlight.set(timestamp, {
+        capturedAt: entry.capturedAt,
+        encodeStartedAt
+      });
+      
+      if (frameProcessor.inFlight.size > MAX_IN_FLIGHT_FRAMES) {
+        frameProcessor.inFlight.delete(frameProcessor.inFlight.keys().next().value);
+      }
+      
+      // Encode frame; pooled raw frames are consumed by the time encodeFrame returns
+      try {
+        await this.encoder.encodeFrame(sessionId, frame ? frame.data : frameData, {
+          timestamp,
+          format: frame ? frame.format : stream.screencastOptions.format,
+          width: frame ? frame.width : undefined,
+          height: frame ? frame.height : undefined
+        });
       } finally {
-        // Clear processing flag
-        frameProcessor.processing = false;
+        if (frame) {
+          frame.release();
+        }
       }
+      
+      const endTime = Date.now();
+      
+      // Update performance metrics
+      this.updatePerformanceMetrics(sessionId, {
+        frameEncodeTime: endTime - startTime
+      });
+      
+      // Update frame processor
+      frameProcessor.processed++;
+      
+      return true;
     } catch (error) {
       logger.error(`Error processing frame for session ${sessionId}`, error);
       return false;
     }
   }
 
+  /**
+   * Check whether the stream client waits for an H.264 key frame
+   * Unchanged frames are encoded then so that the next key frame is not held back.
+   * @param {string} sessionId Session ID
+   * @returns {boolean} Waiting for key frame
+   */
+  isWaitingForKeyFrame(sessionId) {
+    const stream = this.streams.get(sessionId);
+    
+    if (!stream || stream.transport !== TRANSPORTS.WEBSOCKET || stream.codec !== 'h264') {
+      return false;
+    }
+    
+    const stats = this.websocketTransport.getStreamStats(sessionId);
+    
+    return Boolean(stats && stats.clientConnected && stats.waitingForKeyFrame);
+  }
+
+  /**
+   * Handle key frame request of a stream client
+   * @param {string} sessionId Session ID
+   */
+  async handleKeyFrameRequested(sessionId) {
+    try {
+      const stream = this.streams.get(sessionId);
+      
+      if (!stream || !stream.active) {
+        return;
+      }
+      
+      if (await this.encoder.requestKeyFrame(sessionId)) {
+        logger.debug(`Key frame requested for stream ${sessionId}`);
+      }
+    } catch (error) {
+      logger.error(`Error requesting key frame for stream ${sessionId}`, error);
+    }
+  }
+
   /**
    * Handle encoded frame
    * @param {string} sessionId Session ID
@@ -368,13 +1214,48 @@ class StreamingEngine extends EventEmitter {
         stream.keyFrameCount++;
       }
       
-      // Send frame via WebRTC
-      await this.webrtcService.sendVideoFrame(sessionId, frameData, {
-        width: stream.options.width,
-        height: stream.options.height,
-        timestamp: frameInfo.timestamp,
-        format: frameInfo.format
-      });
+      // Find capture times of the source frame
+      const frameProcessor = this.frameProcessors.get(sessionId);
+      const inFlight = frameProcessor && !frameInfo.repeated ? frameProcessor.inFlight.get(frameInfo.timestamp) : null;
+      const sendStartedAt = Date.now();
+      
+      if (inFlight) {
+        frameProcessor.inFlight.delete(frameInfo.timestamp);
+        frameProcessor.latency.encode.record(sendStartedAt - inFlight.encodeStartedAt);
+      }
+      
+      // Send frame over the stream transport
+      if (stream.transport === TRANSPORTS.WEBSOCKET) {
+        this.websocketTransport.sendFrame(sessionId, frameData, {
+          width: frameInfo.width || stream.options.width,
+          height: frameInfo.height || stream.options.height,
+          timestamp: frameInfo.timestamp,
+          format: frameInfo.format,
+          keyFrame: frameInfo.keyFrame,
+          repeated: frameInfo.repeated
+        });
+      } else {
+        await this.webrtcService.sendVideoFrame(sessionId, frameData, {
+          width: stream.options.width,
+          height: stream.options.height,
+          timestamp: frameInfo.timestamp,
+          format: frameInfo.format
+        });
+      }
+      
+      // Record send and glass-to-glass latency
+      if (inFlight) {
+        const sentAt = Date.now();
+        
+        frameProcessor.latency.send.record(sentAt - sendStartedAt);
+        frameProcessor.latency.total.record(sentAt - inFlight.capturedAt);
+      }
+      
+      // Record time to first frame
+      if (!stream.firstFrameAt) {
+        stream.firstFrameAt = Date.now();
+        this.timeToFirstFrame[stream.pageSource].record(stream.firstFrameAt - stream.startedAt);
+      }
       
       // Update session stats
       await this.sessionManager.updateSessionStats(sessionId, {
@@ -499,6 +1380,56 @@ class StreamingEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Handle active tab changed
+   * @param {string} sessionId Session ID
+   * @param {string|null} pageId New active page ID
+   * @param {string|null} previousPageId Previous active page ID
+   */
+  async handleActiveTabChanged(sessionId, pageId, previousPageId) {
+    try {
+      // Get stream
+      const stream = this.streams.get(sessionId);
+      
+      if (!stream) {
+        return;
+      }
+      
+      // Last tab is gone, nothing left to stream
+      if (!pageId) {
+        await this.closeStream(sessionId, 'tab_closed');
+        return;
+      }
+      
+      // Switch stream before awaiting so frames of the old page are ignored
+      stream.pageId = pageId;
+      
+      // Stop screencast on previous tab
+      if (previousPageId) {
+        try {
+          await this.browserPool.stopScreencast(previousPageId);
+        } catch (error) {
+          logger.error(`Error stopping screencast for page ${previousPageId}`, error);
+        }
+      }
+      
+      // Bring the new tab to the stream viewport
+      if (stream.viewport) {
+        await this.applyViewport(pageId, stream.viewport);
+      }
+      
+      // Start screencast on new tab
+      await this.browserPool.startScreencast(pageId, stream.screencastOptions);
+      
+      logger.info(`Stream for session ${sessionId} switched to page ${pageId}`);
+      
+      // Emit stream switched event
+      this.emit('streamSwitched', sessionId, pageId, previousPageId);
+    } catch (error) {
+      logger.error(`Error switching stream for session ${sessionId}`, error);
+    }
+  }
+
   /**
    * Handle session closed
    * @param {string} sessionId Session ID
@@ -521,7 +1452,7 @@ class StreamingEngine extends EventEmitter {
       // Get stream
       const stream = this.streams.get(sessionId);
       
-      if (!stream) {
+      if (!stream || stream.transport !== TRANSPORTS.WEBRTC) {
         return;
       }
       
@@ -553,6 +1484,18 @@ class StreamingEngine extends EventEmitter {
       // Update stream
       stream.active = false;
       
+      // Stop adaptive quality
+      this.stopAdaptiveQuality(sessionId);
+      
+      // Stop recording
+      if (this.recordingService && this.recordingService.isRecording(sessionId)) {
+        try {
+          await this.recordingService.stopRecording(sessionId, reason);
+        } catch (error) {
+          logger.error(`Error stopping recording for session ${sessionId}`, error);
+        }
+      }
+      
       // Stop screencast
       try {
         await this.browserPool.stopScreencast(stream.pageId);
@@ -567,17 +1510,20 @@ class StreamingEngine extends EventEmitter {
         logger.error(`Error destroying encoder for session ${sessionId}`, error);
       }
       
-      // Close WebRTC connection
-      try {
-        await this.webrtcService.closeConnection(sessionId);
-      } catch (error) {
-        logger.error(`Error closing WebRTC connection for session ${sessionId}`, error);
+      // Close transport
+      if (stream.transport === TRANSPORTS.WEBSOCKET) {
+        this.websocketTransport.closeStream(sessionId);
+      } else {
+        try {
+          await this.webrtcService.closeConnection(sessionId);
+        } catch (error) {
+          logger.error(`Error closing WebRTC connection for session ${sessionId}`, error);
+        }
       }
       
       // Remove frame processor
       this.frameProcessors.delete(sessionId);
       
-      
       // Remove performance metrics
       this.performanceMetrics.delete(sessionId);
       
@@ -594,6 +1540,7 @@ class StreamingEngine extends EventEmitter {
       logger.error(`Error closing stream for session ${sessionId}`, error);
       
       // Remove stream anyway
+      this.stopAdaptiveQuality(sessionId);
       this.streams.delete(sessionId);
       this.frameProcessors.delete(sessionId);
       this.performanceMetrics.delete(sessionId);
@@ -602,6 +1549,28 @@ class StreamingEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Start or stop recording a stream
+   * @param {string} sessionId Session ID
+   * @param {boolean} record Record the stream
+   * @returns {Promise<Object>} Recording info, or null when not recording
+   */
+  async setRecording(sessionId, record) {
+    if (!this.recordingService) {
+      if (record) {
+        throw new ValidationError('Recording is not available');
+      }
+      
+      return null;
+    }
+    
+    if (!record) {
+      return this.recordingService.stopRecording(sessionId, 'stopped');
+    }
+    
+    return this.recordingService.startRecording(sessionId);
+  }
+
   /**
    * Get stream
    * @param {string} sessionId Session ID
@@ -614,9 +1583,9 @@ class StreamingEngine extends EventEmitter {
   /**
    * Get stream stats
    * @param {string} sessionId Session ID
-   * @returns {Object} Stream stats
+   * @returns {Promise<Object>} Stream stats
    */
-  getStreamStats(sessionId) {
+  async getStreamStats(sessionId) {
     try {
       // Get stream
       const stream = this.streams.get(sessionId);
@@ -628,42 +1597,74 @@ class StreamingEngine extends EventEmitter {
       // Get frame processor
       const frameProcessor = this.frameProcessors.get(sessionId);
       
+      // Get adaptive quality
+      const adaptiveQuality = this.adaptiveQuality.get(sessionId);
       
       // Get performance metrics
       const performanceMetrics = this.performanceMetrics.get(sessionId);
+      const averageEncodeTime = performanceMetrics && performanceMetrics.frameEncodeTime.length > 0
+        ? performanceMetrics.frameEncodeTime.reduce((sum, val) => sum + val, 0) / performanceMetrics.frameEncodeTime.length
+        : 0;
+      
+      // Get change detection stats
+      const changeStats = frameProcessor && frameProcessor.changeDetector ? frameProcessor.changeDetector.getStats() : null;
       
       // Get encoder stats
       const encoderStats = this.encoder.getEncoderStats(sessionId);
       
-      // Get WebRTC stats
-      const webrtcStats = this.webrtcService.getConnectionStats(sessionId);
+      // Get transport stats
+      const webrtcStats = stream.transport === TRANSPORTS.WEBRTC ? await this.webrtcService.getConnectionStats(sessionId) : null;
+      const websocketStats = stream.transport === TRANSPORTS.WEBSOCKET ? this.websocketTransport.getStreamStats(sessionId) : null;
       
       // Compile stats
       return {
         sessionId,
         active: stream.active,
+        transport: stream.transport,
+        codec: stream.codec,
+        recording: this.recordingService ? this.recordingService.isRecording(sessionId) : false,
         frameCount: stream.frameCount,
         keyFrameCount: stream.keyFrameCount,
         droppedFrameCount: stream.droppedFrameCount,
         totalBytes: stream.totalBytes,
         uptime: Date.now() - stream.createdAt,
         lastFrameAt: stream.lastFrameAt,
+        pageSource: stream.pageSource,
+        timeToFirstFrame: stream.firstFrameAt ? stream.firstFrameAt - stream.startedAt : null,
         options: stream.options,
+        dropReasons: {
+          ...stream.dropReasons,
+          transportBackpressure: websocketStats ? websocketStats.framesDroppedBackpressure : 0,
+          waitingForKeyFrame: websocketStats ? websocketStats.framesDropped - websocketStats.framesDroppedBackpressure : 0
+        },
         frameProcessor: frameProcessor ? {
           processed: frameProcessor.processed,
           dropped: frameProcessor.dropped,
           queueLength: frameProcessor.frameQueue.length,
+          queueCapacity: frameProcessor.frameQueue.capacity,
+          queuePolicy: frameProcessor.queuePolicy,
           frameInterval: frameProcessor.frameInterval
         } : null,
-        adaptiveQuality: null,
+        latency: frameProcessor ? Object.fromEntries(
+          Object.entries(frameProcessor.latency).map(([stage, histogram]) => [stage, histogram.getStats()])
+        ) : null,
+        changeDetection: frameProcessor && frameProcessor.changeDetector ? {
+          ...changeStats,
+          // Encode time the skipped frames would have cost at the current average
+          encodeTimeSaved: Math.round(changeStats.framesSkipped * averageEncodeTime)
+        } : null,
+        adaptiveQuality: adaptiveQuality ? {
+          enabled: true,
+          ...adaptiveQuality.controller.getState()
+        } : null,
         performanceMetrics: performanceMetrics ? {
-          frameEncodeTime: performanceMetrics.frameEncodeTime.length > 0 ? 
-            performanceMetrics.frameEncodeTime.reduce((sum, val) => sum + val, 0) / performanceMetrics.frameEncodeTime.length : 0,
+          frameEncodeTime: averageEncodeTime,
           networkLatency: performanceMetrics.networkLatency.length > 0 ?
             performanceMetrics.networkLatency.reduce((sum, val) => sum + val, 0) / performanceMetrics.networkLatency.length : 0
         } : null,
         encoder: encoderStats,
         webrtc: webrtcStats,
+        websocket: websocketStats,
         timestamp: Date.now()
       };
     } catch (error) {
@@ -672,16 +1673,26 @@ class StreamingEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Get time to first frame stats
+   * @returns {Object} Time to first frame histogram stats by page source
+   */
+  getTimeToFirstFrameStats() {
+    return Object.fromEntries(
+      Object.entries(this.timeToFirstFrame).map(([source, histogram]) => [source, histogram.getStats()])
+    );
+  }
+
   /**
    * Get all stream stats
-   * @returns {Array} Stream stats
+   * @returns {Promise<Array>} Stream stats
    */
-  getAllStreamStats() {
+  async getAllStreamStats() {
     const stats = [];
     
     for (const sessionId of this.streams.keys()) {
       try {
-        const streamStats = this.getStreamStats(sessionId);
+        const streamStats = await this.getStreamStats(sessionId);
         
         if (streamStats) {
           stats.push(streamStats);
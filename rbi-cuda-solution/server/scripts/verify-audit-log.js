@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * Verify Audit Log
+ * Checks the hash chain of an audit log file and reports where it is broken
+ *
+ * Usage: npm run audit:verify [-- <file>]
+ * Exits with 0 when the chain is intact, 1 when it is broken and 2 when the file cannot be read.
+ */
+
+const AuditLog = require('../services/audit-log');
+const { AUDIT_CONFIG } = require('../utils/config');
+
+const file = process.argv[2] || AUDIT_CONFIG.file;
+
+AuditLog.verify(file)
+  .then((result) => {
+    for (const error of result.errors) {
+      console.error(`line ${error.line}${error.seq !== undefined ? ` (record ${error.seq})` : ''}: ${error.reason}`);
+    }
+    
+    if (result.valid) {
+      console.log(`${file}: ${result.records} records, chain intact, last hash ${result.lastHash}`);
+    } else {
+      console.error(`${file}: ${result.records} records, chain broken, ${result.errors.length} problems found`);
+    }
+    
+    process.exit(result.valid ? 0 : 1);
+  })
+  .catch((error) => {
+    console.error(`${file}: ${error.message}`);
+    process.exit(2);
+  });
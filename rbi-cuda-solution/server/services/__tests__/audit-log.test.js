@@ -0,0 +1,211 @@
+/**
+ * Audit Log tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../audit-log');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Read records of an audit log file
+ * @param {string} file Audit log file
+ * @returns {Promise<Array>} Records
+ */
+const readLines = async file => (await fs.promises.readFile(file, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+/**
+ * Write records to an audit log file, one per line
+ * @param {string} file Audit log file
+ * @param {Array} records Records
+ * @returns {Promise<void>}
+ */
+const writeLines = (file, records) => fs.promises.writeFile(file, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+
+describe('AuditLog', () => {
+  let dir;
+  let file;
+  
+  /**
+   * Write audit log with the given number of records
+   * @param {number} count Record count
+   * @returns {Promise<Array>} Records written
+   */
+  const writeLog = async (count) => {
+    const auditLog = new AuditLog(file);
+    
+    await auditLog.initialize();
+    
+    for (let index = 0; index < count; index++) {
+      auditLog.record('session.created', { userId: `user-${index % 2}`, sessionId: `session-${index}`, ip: '10.0.0.1' }, { index });
+    }
+    
+    await auditLog.shutdown();
+    
+    return readLines(file);
+  };
+  
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'rbi-audit-test-'));
+    file = path.join(dir, 'audit', 'audit.jsonl');
+  });
+  
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+  
+  describe('record', () => {
+    test('links each record to the one before it', async () => {
+      const records = await writeLog(3);
+      
+      expect(records.map(record => record.seq)).toEqual([1, 2, 3]);
+      expect(records[0].prevHash).toBe(GENESIS_HASH);
+      expect(records[1].prevHash).toBe(records[0].hash);
+      expect(records[2].prevHash).toBe(records[1].hash);
+      expect(records[0]).toMatchObject({ type: 'session.created', userId: 'user-0', sessionId: 'session-0', ip: '10.0.0.1', details: { index: 0 } });
+    });
+    
+    test('continues the chain of an existing file', async () => {
+      await writeLog(2);
+      
+      const auditLog = new AuditLog(file);
+      
+      await auditLog.initialize();
+      const record = auditLog.record('policy.reloaded');
+      await auditLog.shutdown();
+      
+      const records = await readLines(file);
+      
+      expect(record.seq).toBe(3);
+      expect(record.prevHash).toBe(records[1].hash);
+      await expect(AuditLog.verify(file)).resolves.toMatchObject({ valid: true, records: 3, lastHash: record.hash });
+    });
+    
+    test('records nothing when not running', async () => {
+      const auditLog = new AuditLog(file);
+      
+      expect(auditLog.record('session.created')).toBeNull();
+      expect(auditLog.getStatus()).toMatchObject({ records: 0, lastHash: GENESIS_HASH });
+    });
+  });
+  
+  describe('verify', () => {
+    test('accepts an intact chain', async () => {
+      const records = await writeLog(4);
+      
+      await expect(AuditLog.verify(file)).resolves.toEqual({
+        valid: true,
+        records: 4,
+        lastHash: records[3].hash,
+        errors: []
+      });
+    });
+    
+    test('does not depend on the key order in the file', async () => {
+      const records = await writeLog(2);
+      const reordered = Object.fromEntries(Object.entries(records[0]).reverse());
+      
+      await writeLines(file, [reordered, records[1]]);
+      
+      await expect(AuditLog.verify(file)).resolves.toMatchObject({ valid: true });
+    });
+    
+    test('detects edited content', async () => {
+      const records = await writeLog(3);
+      
+      records[1].details.index = 42;
+      await writeLines(file, records);
+      
+      const result = await AuditLog.verify(file);
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([{ line: 2, seq: 2, reason: 'content does not match its hash' }]);
+    });
+    
+    test('detects a record rehashed after editing', async () => {
+      const records = await writeLog(3);
+      const auditLog = new AuditLog(file);
+      
+      // Forge record 2 with a valid hash of its own
+      auditLog.running = true;
+      auditLog.stream = { write: () => {} };
+      auditLog.seq = 1;
+      auditLog.lastHash = records[0].hash;
+      const forged = auditLog.record(records[1].type, { userId: 'someone-else' }, records[1].details);
+      
+      await writeLines(file, [records[0], forged, records[2]]);
+      
+      const result = await AuditLog.verify(file);
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([{ line: 3, seq: 3, reason: 'does not link to the previous record' }]);
+    });
+    
+    test('detects removed and reordered records', async () => {
+      const records = await writeLog(4);
+      
+      await writeLines(file, [records[0], records[2], records[3]]);
+      
+      expect((await AuditLog.verify(file)).errors).toEqual([
+        { line: 2, seq: 3, reason: 'expected sequence 2' },
+        { line: 2, seq: 3, reason: 'does not link to the previous record' }
+      ]);
+      
+      await writeLines(file, [records[0], records[2], records[1], records[3]]);
+      
+      const result = await AuditLog.verify(file);
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(error => error.seq)).toEqual([3, 3, 2, 2, 4, 4]);
+    });
+    
+    test('reports unreadable lines', async () => {
+      const records = await writeLog(2);
+      
+      await fs.promises.writeFile(file, `${JSON.stringify(records[0])}\n${JSON.stringify(records[1]).slice(0, 20)}\n`);
+      
+      await expect(AuditLog.verify(file)).resolves.toMatchObject({
+        valid: false,
+        records: 1,
+        errors: [{ line: 2, reason: 'unreadable record' }]
+      });
+    });
+    
+    test('accepts a chain cut at the end, which only the last hash reveals', async () => {
+      const records = await writeLog(3);
+      
+      await writeLines(file, records.slice(0, 2));
+      
+      const result = await AuditLog.verify(file);
+      
+      expect(result.valid).toBe(true);
+      expect(result.lastHash).not.toBe(records[2].hash);
+    });
+    
+    test('fails for a missing file', async () => {
+      await expect(AuditLog.verify(path.join(dir, 'missing.jsonl'))).rejects.toThrow('Audit log not found');
+    });
+  });
+  
+  describe('query', () => {
+    test('filters records and reports truncation', async () => {
+      await writeLog(5);
+      
+      const auditLog = new AuditLog(file);
+      
+      await expect(auditLog.query({ userId: 'user-1' })).resolves.toMatchObject({
+        records: [{ seq: 2 }, { seq: 4 }],
+        truncated: false
+      });
+      await expect(auditLog.query({ sessionId: 'session-3' })).resolves.toMatchObject({ records: [{ seq: 4 }] });
+      await expect(auditLog.query({ type: 'auth.failed' })).resolves.toEqual({ records: [], truncated: false });
+      
+      const limited = await auditLog.query({ limit: 2 });
+      
+      expect(limited.records.map(record => record.seq)).toEqual([1, 2]);
+      expect(limited.truncated).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Auth Service tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthService = require('../auth-service');
+const { AUTH_CONFIG } = require('../../utils/config');
+const { AuthenticationError } = require('../../utils/error-handler');
+
+const SECRET = 'test-secret';
+
+/**
+ * Build basic Authorization header
+ * @param {string} username Username
+ * @param {string} password Password
+ * @returns {string} Header value
+ */
+const basicHeader = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+/**
+ * Create initialized auth service for the current configuration
+ * @returns {Promise<AuthService>} Auth service
+ */
+const createAuthService = async () => {
+  const authService = new AuthService();
+  
+  await authService.loadKeys();
+  
+  return authService;
+};
+
+describe('AuthService', () => {
+  const saved = {
+    basic: { ...AUTH_CONFIG.basic },
+    jwt: { ...AUTH_CONFIG.jwt },
+    adminGroup: AUTH_CONFIG.adminGroup
+  };
+  
+  beforeEach(() => {
+    Object.assign(AUTH_CONFIG.basic, saved.basic, {
+      enabled: true,
+      username: 'admin',
+      password: 'correct horse',
+      groups: ['admin']
+    });
+    Object.assign(AUTH_CONFIG.jwt, saved.jwt, {
+      enabled: true,
+      secret: SECRET,
+      algorithms: ['HS256'],
+      issueAlgorithm: 'HS256',
+      issuer: null,
+      audience: null
+    });
+    AUTH_CONFIG.adminGroup = 'admin';
+  });
+  
+  afterAll(() => {
+    Object.assign(AUTH_CONFIG.basic, saved.basic);
+    Object.assign(AUTH_CONFIG.jwt, saved.jwt);
+    AUTH_CONFIG.adminGroup = saved.adminGroup;
+  });
+  
+  describe('basic credentials', () => {
+    test('accepts the configured credentials with the configured groups', () => {
+      const authService = new AuthService();
+      
+      expect(authService.verifyBasicCredentials(basicHeader('admin', 'correct horse'))).toEqual({
+        id: 'admin',
+        groups: ['admin'],
+        scheme: 'basic'
+      });
+    });
+    
+    test('compares username and password in full, whatever their length', () => {
+      const authService = new AuthService();
+      
+      for (const [username, password] of [
+        ['admin', 'correct hors'],
+        ['admin', 'correct horse!'],
+        ['admin', ''],
+        ['admi', 'correct horse'],
+        ['Admin', 'correct horse']
+      ]) {
+        expect(() => authService.verifyBasicCredentials(basicHeader(username, password))).toThrow('Invalid credentials');
+      }
+    });
+    
+    test('keeps colons in the password', () => {
+      AUTH_CONFIG.basic.password = 'a:b:c';
+      
+      expect(new AuthService().verifyBasicCredentials(basicHeader('admin', 'a:b:c')).id).toBe('admin');
+    });
+    
+    test('requires a basic Authorization header', () => {
+      const authService = new AuthService();
+      
+      expect(() => authService.verifyBasicCredentials(undefined)).toThrow(AuthenticationError);
+      expect(() => authService.verifyBasicCredentials(`Bearer ${SECRET}`)).toThrow('Basic credentials required');
+    });
+  });
+  
+  describe('HS256 tokens', () => {
+    test('verifies the tokens it issues', async () => {
+      const authService = await createAuthService();
+      const { token, tokenType, expiresAt } = authService.issueToken({ id: 'alice', groups: ['finance'] });
+      
+      expect(tokenType).toBe('Bearer');
+      expect(expiresAt).toBeGreaterThan(Date.now());
+      await expect(authService.verifyToken(token)).resolves.toEqual({ id: 'alice', groups: ['finance'], scheme: 'jwt' });
+    });
+    
+    test('refuses to run with the sample secret', async () => {
+      AUTH_CONFIG.jwt.secret = 'your-secret-key';
+      
+      await expect(createAuthService()).rejects.toThrow('JWT_SECRET must be set');
+    });
+    
+    test('rejects tokens signed with another secret', async () => {
+      const authService = await createAuthService();
+      const token = jwt.sign({ sub: 'alice' }, 'another-secret', { algorithm: 'HS256' });
+      
+      await expect(authService.verifyToken(token)).rejects.toThrow(AuthenticationError);
+    });
+    
+    test('rejects expired tokens beyond the clock tolerance', async () => {
+      const authService = await createAuthService();
+      const token = jwt.sign({ sub: 'alice', exp: Math.floor(Date.now() / 1000) - AUTH_CONFIG.jwt.clockTolerance - 60 }, SECRET);
+      
+      await expect(authService.verifyToken(token)).rejects.toThrow('jwt expired');
+    });
+    
+    test('rejects unsigned tokens', async () => {
+      const authService = await createAuthService();
+      const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const token = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'alice' })}.`;
+      
+      await expect(authService.verifyToken(token)).rejects.toThrow(AuthenticationError);
+    });
+    
+    test('checks issuer and audience when configured', async () => {
+      AUTH_CONFIG.jwt.issuer = 'rbi';
+      AUTH_CONFIG.jwt.audience = 'rbi-api';
+      
+      const authService = await createAuthService();
+      const { token } = authService.issueToken({ id: 'alice' });
+      
+      await expect(authService.verifyToken(token)).resolves.toMatchObject({ id: 'alice' });
+      await expect(authService.verifyToken(jwt.sign({ sub: 'alice', iss: 'other', aud: 'rbi-api' }, SECRET))).rejects.toThrow('jwt issuer invalid');
+      await expect(authService.verifyToken(jwt.sign({ sub: 'alice', iss: 'rbi', aud: 'other' }, SECRET))).rejects.toThrow('jwt audience invalid');
+    });
+    
+    test('maps the user and groups claims', async () => {
+      const authService = await createAuthService();
+      
+      await expect(authService.verifyToken(jwt.sign({ sub: 'bob', roles: 'finance  ops,hr' }, SECRET)))
+        .resolves.toEqual({ id: 'bob', groups: ['finance', 'ops', 'hr'], scheme: 'jwt' });
+      await expect(authService.verifyToken(jwt.sign({ sub: 'bob', roles: ['ops', 42, ''] }, SECRET)))
+        .resolves.toEqual({ id: 'bob', groups: ['ops'], scheme: 'jwt' });
+      await expect(authService.verifyToken(jwt.sign({ name: 'bob' }, SECRET))).rejects.toThrow('Token has no sub claim');
+    });
+  });
+  
+  describe('RS256 tokens', () => {
+    let dir;
+    let publicKey;
+    
+    beforeAll(async () => {
+      dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'rbi-auth-test-'));
+      
+      const keyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      publicKey = keyPair.publicKey;
+      
+      await fs.promises.writeFile(path.join(dir, 'jwks.json'), JSON.stringify({
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }]
+      }));
+      await fs.promises.writeFile(path.join(dir, 'private.pem'), keyPair.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    });
+    
+    afterAll(async () => {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+    
+    beforeEach(() => {
+      Object.assign(AUTH_CONFIG.jwt, {
+        algorithms: ['RS256'],
+        issueAlgorithm: 'RS256',
+        jwksFile: path.join(dir, 'jwks.json'),
+        privateKeyFile: path.join(dir, 'private.pem'),
+        keyId: 'key-1'
+      });
+    });
+    
+    test('verifies the tokens it issues with the key named by kid', async () => {
+      const authService = await createAuthService();
+      const { token } = authService.issueToken({ id: 'alice', groups: ['ops'] });
+      
+      expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'RS256', kid: 'key-1' });
+      await expect(authService.verifyToken(token)).resolves.toEqual({ id: 'alice', groups: ['ops'], scheme: 'jwt' });
+    });
+    
+    test('rejects tokens of an unknown key', async () => {
+      const authService = await createAuthService();
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const token = jwt.sign({ sub: 'alice' }, privateKey, { algorithm: 'RS256', keyid: 'key-2' });
+      
+      await expect(authService.verifyToken(token)).rejects.toThrow('Unknown signing key: key-2');
+    });
+    
+    test('rejects HS256 tokens signed with the public key when only RS256 is accepted', async () => {
+      const authService = await createAuthService();
+      const pem = publicKey.export({ type: 'spki', format: 'pem' });
+      const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const unsigned = `${encode({ alg: 'HS256', typ: 'JWT', kid: 'key-1' })}.${encode({ sub: 'mallory' })}`;
+      const signature = crypto.createHmac('sha256', pem).update(unsigned).digest('base64url');
+      
+      await expect(authService.verifyToken(`${unsigned}.${signature}`)).rejects.toThrow(AuthenticationError);
+    });
+    
+    test('requires a JWKS file to accept RS256 tokens', async () => {
+      AUTH_CONFIG.jwt.jwksFile = null;
+      
+      await expect(createAuthService()).rejects.toThrow('JWT_JWKS_FILE must be set');
+    });
+  });
+  
+  describe('authorization', () => {
+    const alice = { id: 'alice', groups: ['finance'], scheme: 'jwt' };
+    const root = { id: 'root', groups: ['admin'], scheme: 'jwt' };
+    
+    test('admits owners and admins only', () => {
+      const authService = new AuthService();
+      
+      expect(authService.isOwnerOrAdmin(alice, 'alice')).toBe(true);
+      expect(authService.isOwnerOrAdmin(alice, 'bob')).toBe(false);
+      expect(authService.isOwnerOrAdmin(root, 'bob')).toBe(true);
+      expect(authService.isOwnerOrAdmin(null, 'alice')).toBe(false);
+    });
+    
+    test('leaves resources of no user to admins', () => {
+      const authService = new AuthService();
+      
+      expect(authService.isOwnerOrAdmin(alice, null)).toBe(false);
+      expect(authService.isOwnerOrAdmin({ id: '', groups: [] }, '')).toBe(false);
+      expect(authService.isOwnerOrAdmin(root, null)).toBe(true);
+    });
+    
+    test('follows the configured admin group', () => {
+      AUTH_CONFIG.adminGroup = 'finance';
+      
+      const authService = new AuthService();
+      
+      expect(authService.isAdmin(alice)).toBe(true);
+      expect(authService.isAdmin(root)).toBe(false);
+    });
+    
+    test('refuses other users\' sessions and leaves unknown ones to the routes', () => {
+      const authService = new AuthService();
+      const sessions = new Map([['s1', { id: 's1', userId: 'alice' }], ['s2', { id: 's2', userId: 'bob' }]]);
+      const middleware = authService.requireSessionOwner({ findSession: id => sessions.get(id) || null });
+      const run = (user, sessionId) => {
+        const next = jest.fn();
+        
+        middleware({ user, params: { sessionId } }, {}, next);
+        
+        return next.mock.calls[0][0];
+      };
+      
+      expect(run(alice, 's1')).toBeUndefined();
+      expect(run(alice, 's2')).toMatchObject({ name: 'AuthorizationError', statusCode: 403 });
+      expect(run(root, 's2')).toBeUndefined();
+      expect(run(alice, 's3')).toBeUndefined();
+    });
+    
+    test('refuses non-admins where an admin is required', () => {
+      const middleware = new AuthService().requireAdmin();
+      const next = jest.fn();
+      
+      middleware({ user: alice }, {}, next);
+      middleware({ user: root }, {}, next);
+      
+      expect(next.mock.calls[0][0]).toMatchObject({ name: 'AuthorizationError', statusCode: 403 });
+      expect(next.mock.calls[1]).toEqual([]);
+    });
+    
+    test('admits everyone without authentication', () => {
+      AUTH_CONFIG.basic.enabled = false;
+      AUTH_CONFIG.jwt.enabled = false;
+      
+      const authService = new AuthService();
+      
+      expect(authService.isAdmin(null)).toBe(true);
+      expect(authService.isOwnerOrAdmin(alice, 'bob')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Download Service tests
+ * Files go through quarantineDownload, which checks extension, detected type and file name in turn.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const DownloadService = require('../download-service');
+const { DOWNLOAD_CONFIG } = require('../../utils/config');
+
+const CONTENT = {
+  pdf: Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1'),
+  png: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]),
+  jpeg: Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]),
+  webp: Buffer.concat([Buffer.from('RIFF'), Buffer.from([0x24, 0, 0, 0]), Buffer.from('WEBPVP8 '), Buffer.alloc(4)]),
+  zip: Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00, 0x00, 0x00]),
+  exe: Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00]),
+  elf: Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01]),
+  binary: Buffer.from([0x01, 0x00, 0x02, 0x03]),
+  text: Buffer.from('plain text\n')
+};
+
+describe('DownloadService quarantine checks', () => {
+  const saved = {
+    quarantineDir: DOWNLOAD_CONFIG.quarantineDir,
+    blockedExtensions: DOWNLOAD_CONFIG.blockedExtensions
+  };
+  let dir;
+  let downloadService;
+  
+  /**
+   * Quarantine a downloaded file
+   * @param {string} filename File name suggested by the site
+   * @param {Buffer} content File content
+   * @returns {Promise<Object>} Download info after the checks
+   */
+  const quarantine = async (filename, content) => {
+    const stagingPath = path.join(dir, 'staging', crypto.randomUUID());
+    const download = {
+      id: crypto.randomUUID(),
+      sessionId: 'session-1',
+      filename,
+      state: 'downloading'
+    };
+    
+    await fs.promises.writeFile(stagingPath, content);
+    await downloadService.quarantineDownload(download, stagingPath);
+    
+    return download;
+  };
+  
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'rbi-download-test-'));
+    await fs.promises.mkdir(path.join(dir, 'staging'));
+    DOWNLOAD_CONFIG.quarantineDir = path.join(dir, 'quarantine');
+    downloadService = new DownloadService(null, null);
+    downloadService.scanner = null;
+  });
+  
+  afterEach(async () => {
+    Object.assign(DOWNLOAD_CONFIG, saved);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+  
+  describe('isExtensionBlocked', () => {
+    test('rejects executables and scripts whatever their content', async () => {
+      for (const [filename, content] of [
+        ['setup.exe', CONTENT.exe],
+        ['Setup.EXE', CONTENT.exe],
+        ['invoice.js', CONTENT.text],
+        ['page.html', CONTENT.text],
+        ['logo.svg', CONTENT.text]
+      ]) {
+        await expect(quarantine(filename, content)).resolves.toMatchObject({ state: 'rejected', reason: 'extension' });
+      }
+    });
+    
+    test('checks every extension of the name', async () => {
+      await expect(quarantine('report.pdf.exe', CONTENT.pdf)).resolves.toMatchObject({ reason: 'extension' });
+      await expect(quarantine('archive.exe.txt', CONTENT.text)).resolves.toMatchObject({ reason: 'extension' });
+    });
+    
+    test('takes configured extensions regardless of case and spacing', async () => {
+      DOWNLOAD_CONFIG.blockedExtensions = [' .PDF '];
+      
+      await expect(quarantine('report.pdf', CONTENT.pdf)).resolves.toMatchObject({ reason: 'extension' });
+      await expect(quarantine('setup.exe', CONTENT.exe)).resolves.toMatchObject({ reason: 'mime_type' });
+    });
+    
+    test('removes the rejected file', async () => {
+      const download = await quarantine('setup.exe', CONTENT.exe);
+      
+      expect(download.filePath).toBeNull();
+      await expect(fs.promises.readdir(path.join(DOWNLOAD_CONFIG.quarantineDir, 'session-1'))).resolves.toEqual([]);
+    });
+  });
+  
+  describe('detectMimeType', () => {
+    test('detects types from magic numbers', async () => {
+      await expect(quarantine('a.pdf', CONTENT.pdf)).resolves.toMatchObject({ state: 'ready', mimeType: 'application/pdf' });
+      await expect(quarantine('a.png', CONTENT.png)).resolves.toMatchObject({ state: 'ready', mimeType: 'image/png' });
+      await expect(quarantine('a.jpg', CONTENT.jpeg)).resolves.toMatchObject({ state: 'ready', mimeType: 'image/jpeg' });
+      await expect(quarantine('a.webp', CONTENT.webp)).resolves.toMatchObject({ state: 'ready', mimeType: 'image/webp' });
+      await expect(quarantine('a.zip', CONTENT.zip)).resolves.toMatchObject({ state: 'ready', mimeType: 'application/zip' });
+    });
+    
+    test('tells zip and text based formats apart by extension', async () => {
+      await expect(quarantine('a.docx', CONTENT.zip)).resolves.toMatchObject({
+        state: 'ready',
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      });
+      await expect(quarantine('a.csv', CONTENT.text)).resolves.toMatchObject({ state: 'ready', mimeType: 'text/csv' });
+      await expect(quarantine('a.json', CONTENT.text)).resolves.toMatchObject({ state: 'ready', mimeType: 'application/json' });
+    });
+    
+    test('goes by content, not by the name the site gives', async () => {
+      await expect(quarantine('report.pdf', CONTENT.exe)).resolves.toMatchObject({ reason: 'mime_type', mimeType: 'application/x-msdownload' });
+      await expect(quarantine('tool', CONTENT.elf)).resolves.toMatchObject({ reason: 'mime_type', mimeType: 'application/x-executable' });
+      await expect(quarantine('data.txt', CONTENT.binary)).resolves.toMatchObject({ reason: 'mime_type', mimeType: 'application/octet-stream' });
+    });
+  });
+  
+  describe('matchFilenameToType', () => {
+    test('keeps names whose extension fits the type', async () => {
+      await expect(quarantine('photo.JPEG', CONTENT.jpeg)).resolves.toMatchObject({ state: 'ready', filename: 'photo.JPEG' });
+      await expect(quarantine('server.log', CONTENT.text)).resolves.toMatchObject({ state: 'ready', filename: 'server.log' });
+    });
+    
+    test('gives names without extension the type\'s extension', async () => {
+      await expect(quarantine('photo', CONTENT.png)).resolves.toMatchObject({ state: 'ready', filename: 'photo.png' });
+      await expect(quarantine('README', CONTENT.text)).resolves.toMatchObject({ state: 'ready', filename: 'README.txt' });
+    });
+    
+    test('delivers text with another extension as .txt', async () => {
+      await expect(quarantine('notes.md', CONTENT.text)).resolves.toMatchObject({ state: 'ready', filename: 'notes.md.txt' });
+      await expect(quarantine('report.pdf', CONTENT.text)).resolves.toMatchObject({ state: 'ready', filename: 'report.pdf.txt' });
+    });
+    
+    test('rejects names contradicting the detected type', async () => {
+      await expect(quarantine('photo.pdf', CONTENT.png)).resolves.toMatchObject({ reason: 'extension_mismatch', mimeType: 'image/png' });
+      await expect(quarantine('archive.tar', CONTENT.zip)).resolves.toMatchObject({ reason: 'extension_mismatch' });
+    });
+  });
+  
+  test('hashes files ready for delivery', async () => {
+    const download = await quarantine('a.pdf', CONTENT.pdf);
+    
+    expect(download.sha256).toBe(crypto.createHash('sha256').update(CONTENT.pdf).digest('hex'));
+    expect(download.size).toBe(CONTENT.pdf.length);
+  });
+});
@@ -0,0 +1,560 @@
+/**
+ * Audit Log
+ * Records security-relevant session activity in an append-only, hash-chained JSONL file
+ *
+ * Every record carries the SHA-256 hash of the record before it, and its own hash over its
+ * content and that link. Editing, removing or reordering records breaks the chain, which
+ * AuditLog.verify detects (npm run audit:verify).
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { AUDIT_CONFIG } = require('../utils/config');
+const logger = require('../utils/logger');
+
+// Hash the first record links to
+const GENESIS_HASH = '0'.repeat(64);
+
+// Bytes read from the end of the file to find the last record
+const TAIL_LENGTH = 64 * 1024;
+
+/**
+ * AuditLog class
+ */
+class AuditLog extends EventEmitter {
+  /**
+   * Constructor
+   * @param {string} file Audit log file
+   */
+  constructor(file = AUDIT_CONFIG.file) {
+    super();
+    this.file = file;
+    this.stream = null;
+    this.seq = 0;
+    this.lastHash = GENESIS_HASH;
+    this.sessionManager = null;
+    this.websocketService = null;
+    this.authSuccesses = new Map();
+    this.running = false;
+    
+    logger.info('Audit Log initialized');
+  }
+
+  /**
+   * Initialize audit log
+   * Continues the chain of an existing file.
+   * @returns {Promise<boolean>} Success
+   */
+  async initialize() {
+    try {
+      logger.info(`Initializing Audit Log at ${this.file}`);
+      
+      // Create audit directory, readable by the server only
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true, mode: 0o700 });
+      
+      // Continue from the last record
+      const last = await this.readLastRecord();
+      
+      if (last) {
+        this.seq = last.seq;
+        this.lastHash = last.hash;
+      }
+      
+      // Open file for appending only
+      this.stream = fs.createWriteStream(this.file, { flags: 'a', mode: 0o600 });
+      
+      this.stream.on('error', (error) => {
+        logger.error('Error writing audit log', error);
+      });
+      
+      // Set running flag
+      this.running = true;
+      
+      logger.info(`Audit Log initialized successfully at record ${this.seq}`);
+      
+      return true;
+    } catch (error) {
+      logger.error('Error initializing Audit Log', error);
+      this.running = false;
+      return false;
+    }
+  }
+
+  /**
+   * Read last complete record of the file
+   * A torn last line, e.g. from a crash mid-write, is skipped and shows up in verification.
+   * @returns {Promise<Object>} Record, or null for a new file
+   */
+  async readLastRecord() {
+    let handle;
+    
+    try {
+      handle = await fs.promises.open(this.file, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      
+      throw error;
+    }
+    
+    try {
+      const { size } = await handle.stat();
+      const length = Math.min(size, TAIL_LENGTH);
+      const buffer = Buffer.alloc(length);
+      
+      await handle.read(buffer, 0, length, size - length);
+      
+      const lines = buffer.toString('utf8').split('\n').filter(Boolean).reverse();
+      
+      for (const line of lines) {
+        try {
+          const record = JSON.parse(line);
+          
+          if (Number.isInteger(record.seq) && typeof record.hash === 'string') {
+            return record;
+          }
+        } catch (error) {
+          logger.warn(`Skipping unreadable audit record at the end of ${this.file}`);
+        }
+      }
+      
+      if (size > 0) {
+        throw new Error(`No readable record in the last ${length} bytes of ${this.file}`);
+      }
+      
+      return null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Setup event listeners
+   * Sources that are not given, e.g. a disabled policy engine, are skipped.
+   * @param {Object} sources Services whose events are audited
+   */
+  setupEventListeners(sources = {}) {
+    const { sessionManager, browserPool, downloadService, uploadService, clipboardService, policyEngine, websocketService } = sources;
+    
+    // Client addresses of sessions come from their WebSocket connection
+    this.websocketService = websocketService || null;
+    this.sessionManager = sessionManager || null;
+    
+    if (sessionManager) {
+      sessionManager.on('sessionCreated', (sessionId, session) => {
+        this.recordSessionEvent(sessionId, 'session.create', {
+          startUrl: session.options.startUrl || null,
+          groups: session.groups
+        });
+      });
+      
+      sessionManager.on('sessionClosed', (sessionId, reason, session) => {
+        this.record('session.close', this.getSessionContext(sessionId, session), { reason });
+      });
+    }
+    
+    if (browserPool) {
+      browserPool.on('mainFrameNavigated', (pageId, url) => {
+        this.recordPageEvent(pageId, 'navigation', { url });
+      });
+      
+      browserPool.on('requestBlocked', (pageId, verdict, resourceType) => {
+        this.recordPageEvent(pageId, 'url.blocked', {
+          url: verdict.url,
+          resourceType,
+          policy: verdict.policy,
+          reason: verdict.reason
+        });
+      });
+    }
+    
+    if (downloadService) {
+      const recordDownload = (sessionId, download) => {
+        this.recordSessionEvent(sessionId, 'download', {
+          downloadId: download.downloadId,
+          url: download.url,
+          filename: download.filename,
+          state: download.state,
+          reason: download.reason,
+          size: download.size,
+          sha256: download.sha256
+        });
+      };
+      
+      downloadService.on('downloadReady', recordDownload);
+      downloadService.on('downloadRejected', recordDownload);
+    }
+    
+    if (uploadService) {
+      uploadService.on('uploadAccepted', (sessionId, chooserId, files) => {
+        this.recordSessionEvent(sessionId, 'upload', { chooserId, files });
+      });
+    }
+    
+    if (clipboardService) {
+      clipboardService.on('clipboardTransfer', (sessionId, transfer) => {
+        this.recordSessionEvent(sessionId, 'clipboard', {
+          tabId: transfer.tabId,
+          direction: transfer.direction,
+          size: transfer.size,
+          format: transfer.format,
+          allowed: transfer.allowed,
+          reason: transfer.reason
+        });
+      });
+    }
+    
+    if (policyEngine) {
+      policyEngine.on('policyReloaded', (loadedAt) => {
+        this.record('admin', { userId: 'system' }, { action: 'policy.reload', loadedAt });
+      });
+    }
+  }
+
+  /**
+   * Append a record
+   * @param {string} type Event type
+   * @param {Object} context Who and where: userId, sessionId and ip
+   * @param {Object} details Event details
+   * @returns {Object} Record, or null when the log is not running
+   */
+  record(type, context = {}, details = {}) {
+    if (!this.running) {
+      return null;
+    }
+    
+    const record = {
+      seq: this.seq + 1,
+      timestamp: new Date().toISOString(),
+      type,
+      userId: context.userId || null,
+      sessionId: context.sessionId || null,
+      ip: context.ip || null,
+      details,
+      prevHash: this.lastHash
+    };
+    
+    record.hash = hashRecord(record);
+    
+    // The chain advances before the write so records keep their order
+    this.seq = record.seq;
+    this.lastHash = record.hash;
+    
+    this.stream.write(`${JSON.stringify(record)}\n`);
+    
+    // Emit record event
+    this.emit('record', record);
+    
+    return record;
+  }
+
+  /**
+   * Append a record about a session, taking user and address from the session
+   * @param {string} sessionId Session ID
+   * @param {string} type Event type
+   * @param {Object} details Event details
+   * @returns {Object} Record
+   */
+  recordSessionEvent(sessionId, type, details = {}) {
+    return this.record(type, this.getSessionContext(sessionId), details);
+  }
+
+  /**
+   * Append a record about a page, attributed to the session owning it
+   * @param {string} pageId Page ID
+   * @param {string} type Event type
+   * @param {Object} details Event details
+   * @returns {Object} Record
+   */
+  recordPageEvent(pageId, type, details = {}) {
+    const session = this.sessionManager ? this.sessionManager.findSessionByPageId(pageId) : null;
+    
+    return this.record(type, session ? this.getSessionContext(session.id) : {}, { tabId: pageId, ...details });
+  }
+
+  /**
+   * Append a record about an HTTP request
+   * @param {Object} req Express request
+   * @param {string} type Event type
+   * @param {Object} details Event details
+   * @returns {Object} Record
+   */
+  recordRequest(req, type, details = {}) {
+    return this.record(type, {
+      userId: req.user ? req.user.id : null,
+      sessionId: req.params ? req.params.sessionId : null,
+      ip: req.ip
+    }, details);
+  }
+
+  /**
+   * Record authentication attempt
+   * Successes of one user from one address are recorded once per authSuccessInterval,
+   * failures every time.
+   * @param {boolean} success Authenticated
+   * @param {Object} attempt Scheme, user name, address, method, path and failure reason
+   * @returns {Object} Record, or null when a success was recorded recently
+   */
+  recordAuth(success, attempt = {}) {
+    const { username, ip, ...details } = attempt;
+    
+    if (success) {
+      const key = `${username}|${ip}`;
+      const now = Date.now();
+      
+      if (now - (this.authSuccesses.get(key) || 0) < AUDIT_CONFIG.authSuccessInterval) {
+        return null;
+      }
+      
+      this.authSuccesses.set(key, now);
+    }
+    
+    return this.record(success ? 'auth.success' : 'auth.failure', {
+      userId: username || null,
+      ip
+    }, details);
+  }
+
+  /**
+   * Create middleware recording an admin action once its response is sent
+   * @param {string} action Action name
+   * @returns {Function} Express middleware
+   */
+  auditRequest(action) {
+    return (req, res, next) => {
+      res.on('finish', () => {
+        this.recordRequest(req, 'admin', {
+          action,
+          method: req.method,
+          path: req.originalUrl,
+          status: res.statusCode
+        });
+      });
+      
+      next();
+    };
+  }
+
+  /**
+   * Get user and address of a session
+   * The address of the session's WebSocket client is preferred over the one that created it.
+   * @param {string} sessionId Session ID
+   * @param {Object} session Session info, looked up when not given
+   * @returns {Object} Context with userId, sessionId and ip
+   */
+  getSessionContext(sessionId, session = null) {
+    session = session || (this.sessionManager ? this.sessionManager.findSession(sessionId) : null);
+    const client = this.websocketService ? this.websocketService.getClientBySessionId(sessionId) : null;
+    
+    return {
+      userId: session ? session.userId : null,
+      sessionId,
+      ip: client ? client.ip : (session && session.options.clientIp) || null
+    };
+  }
+
+  /**
+   * Query records
+   * @param {Object} filter Filter: userId, sessionId, type, from and to (Date or ms), limit
+   * @returns {Promise<Object>} Matching records, oldest first, and whether more matched than the limit
+   */
+  async query(filter = {}) {
+    const limit = Math.min(filter.limit || AUDIT_CONFIG.defaultQueryLimit, AUDIT_CONFIG.maxQueryLimit);
+    const from = filter.from ? new Date(filter.from).getTime() : null;
+    const to = filter.to ? new Date(filter.to).getTime() : null;
+    const records = [];
+    let truncated = false;
+    
+    for await (const { record } of readRecords(this.file)) {
+      if (!record) {
+        continue;
+      }
+      
+      const time = Date.parse(record.timestamp);
+      
+      if ((filter.userId && record.userId !== filter.userId) ||
+          (filter.sessionId && record.sessionId !== filter.sessionId) ||
+          (filter.type && record.type !== filter.type) ||
+          (from !== null && time < from) ||
+          (to !== null && time > to)) {
+        continue;
+      }
+      
+      if (records.length === limit) {
+        truncated = true;
+        break;
+      }
+      
+      records.push(record);
+    }
+    
+    return { records, truncated };
+  }
+
+  /**
+   * Verify hash chain of an audit log file
+   * @param {string} file Audit log file
+   * @returns {Promise<Object>} Whether the chain is intact, the record count and the problems found
+   */
+  static async verify(file = AUDIT_CONFIG.file) {
+    if (!fs.existsSync(file)) {
+      throw new Error('Audit log not found');
+    }
+    
+    const errors = [];
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+    let records = 0;
+    
+    for await (const { line, record } of readRecords(file)) {
+      if (!record) {
+        errors.push({ line, reason: 'unreadable record' });
+        continue;
+      }
+      
+      records++;
+      
+      if (record.seq !== expectedSeq) {
+        errors.push({ line, seq: record.seq, reason: `expected sequence ${expectedSeq}` });
+      }
+      
+      if (record.prevHash !== prevHash) {
+        errors.push({ line, seq: record.seq, reason: 'does not link to the previous record' });
+      }
+      
+      const { hash, ...content } = record;
+      
+      if (hashRecord(content) !== hash) {
+        errors.push({ line, seq: record.seq, reason: 'content does not match its hash' });
+      }
+      
+      // Continue from this record so one break is reported once
+      expectedSeq = record.seq + 1;
+      prevHash = hash;
+    }
+    
+    return {
+      valid: errors.length === 0,
+      records,
+      lastHash: prevHash,
+      errors
+    };
+  }
+
+  /**
+   * Get audit log status
+   * @returns {Object} File and chain head
+   */
+  getStatus() {
+    return {
+      file: this.file,
+      records: this.seq,
+      lastHash: this.lastHash
+    };
+  }
+
+  /**
+   * Check if audit log is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Shutdown audit log
+   * @returns {Promise<boolean>} Success
+   */
+  async shutdown() {
+    try {
+      logger.info('Shutting down Audit Log');
+      
+      this.running = false;
+      
+      // Flush pending records
+      if (this.stream) {
+        await new Promise(resolve => this.stream.end(resolve));
+        this.stream = null;
+      }
+      
+      logger.info('Audit Log shut down successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error shutting down Audit Log', error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Hash record content with the hash of the previous record
+ * Keys are serialized in sorted order so the hash does not depend on key order in the file.
+ * @param {Object} record Record without its hash
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashRecord(record) {
+  return crypto.createHash('sha256').update(canonicalize(record)).digest('hex');
+}
+
+/**
+ * Serialize value as JSON with object keys sorted
+ * @param {*} value Value
+ * @returns {string} JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Read records of an audit log file one line at a time
+ * @param {string} file Audit log file
+ * @returns {AsyncGenerator<Object>} Line number and record, null for an unreadable line
+ */
+async function* readRecords(file) {
+  if (!fs.existsSync(file)) {
+    return;
+  }
+  
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file, 'utf8'),
+    crlfDelay: Infinity
+  });
+  
+  let line = 0;
+  
+  for await (const text of lines) {
+    line++;
+    
+    if (!text) {
+      continue;
+    }
+    
+    let record = null;
+    
+    try {
+      record = JSON.parse(text);
+    } catch (error) {
+      record = null;
+    }
+    
+    yield { line, record };
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,516 @@
+/**
+ * Auth Service
+ * Authenticates REST and WebSocket clients with bearer tokens or basic credentials, and issues tokens
+ *
+ * HS256 tokens are verified with AUTH_CONFIG.jwt.secret, RS256 tokens with the public keys of a
+ * local JWKS file, picked by the kid in the token header. The user and group claims of a token
+ * become the identity of the request.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const crypto = require('crypto');
+const { URL } = require('url');
+const jwt = require('jsonwebtoken');
+const { AUTH_CONFIG, WEBSOCKET_CONFIG } = require('../utils/config');
+const logger = require('../utils/logger');
+const { AuthenticationError, AuthorizationError } = require('../utils/error-handler');
+
+// Algorithms tokens may be signed with
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256'];
+
+// Placeholder secret of the sample configuration, which must not sign or verify tokens
+const DEFAULT_SECRET = 'your-secret-key';
+
+/**
+ * AuthService class
+ */
+class AuthService extends EventEmitter {
+  /**
+   * Constructor
+   */
+  constructor() {
+    super();
+    this.algorithms = [];
+    this.publicKeys = new Map();
+    this.privateKey = null;
+    this.running = false;
+    
+    logger.info('Auth Service initialized');
+  }
+
+  /**
+   * Initialize auth service
+   * @returns {Promise<boolean>} Success
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing Auth Service');
+      
+      // Load token keys
+      if (AUTH_CONFIG.jwt.enabled) {
+        await this.loadKeys();
+      }
+      
+      // Set running flag
+      this.running = true;
+      
+      logger.info(`Auth Service initialized successfully (basic: ${AUTH_CONFIG.basic.enabled}, jwt: ${AUTH_CONFIG.jwt.enabled ? this.algorithms.join(', ') : false})`);
+      
+      return true;
+    } catch (error) {
+      logger.error('Error initializing Auth Service', error);
+      this.running = false;
+      return false;
+    }
+  }
+
+  /**
+   * Load the keys tokens are verified and signed with
+   * @returns {Promise<void>}
+   */
+  async loadKeys() {
+    const config = AUTH_CONFIG.jwt;
+    
+    // Unsupported algorithms are ignored, leaving HS256 when none is left
+    this.algorithms = config.algorithms.filter(algorithm => SUPPORTED_ALGORITHMS.includes(algorithm));
+    
+    const unsupported = config.algorithms.filter(algorithm => !SUPPORTED_ALGORITHMS.includes(algorithm));
+    
+    if (unsupported.length > 0) {
+      logger.warn(`Ignoring unsupported JWT algorithms: ${unsupported.join(', ')}`);
+    }
+    
+    if (this.algorithms.length === 0) {
+      logger.warn('No supported JWT algorithm configured, using HS256');
+      this.algorithms = ['HS256'];
+    }
+    
+    if (!SUPPORTED_ALGORITHMS.includes(config.issueAlgorithm)) {
+      throw new Error(`Unsupported JWT issue algorithm: ${config.issueAlgorithm}`);
+    }
+    
+    if (!this.algorithms.includes(config.issueAlgorithm)) {
+      logger.warn(`Issued ${config.issueAlgorithm} tokens are not accepted by this server`);
+    }
+    
+    // Anyone who knows the sample secret could sign tokens
+    if ((this.algorithms.includes('HS256') || config.issueAlgorithm === 'HS256') && config.secret === DEFAULT_SECRET) {
+      throw new Error('JWT_SECRET must be set when HS256 tokens are used');
+    }
+    
+    // Public keys of RS256 issuers
+    if (this.algorithms.includes('RS256')) {
+      if (!config.jwksFile) {
+        throw new Error('JWT_JWKS_FILE must be set to accept RS256 tokens');
+      }
+      
+      const jwks = JSON.parse(await fs.promises.readFile(config.jwksFile, 'utf8'));
+      
+      for (const jwk of jwks.keys || []) {
+        // Only RSA signing keys are of use
+        if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig') || (jwk.alg && jwk.alg !== 'RS256')) {
+          continue;
+        }
+        
+        this.publicKeys.set(jwk.kid || null, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+      
+      if (this.publicKeys.size === 0) {
+        throw new Error(`No RS256 signing keys in ${config.jwksFile}`);
+      }
+      
+      logger.info(`Loaded ${this.publicKeys.size} JWT verification keys from ${config.jwksFile}`);
+    }
+    
+    // Private key of tokens issued here
+    if (config.issueAlgorithm === 'RS256') {
+      if (!config.privateKeyFile) {
+        throw new Error('JWT_PRIVATE_KEY_FILE must be set to issue RS256 tokens');
+      }
+      
+      this.privateKey = crypto.createPrivateKey(await fs.promises.readFile(config.privateKeyFile));
+    }
+  }
+
+  /**
+   * Check if clients must authenticate
+   * @returns {boolean} Enabled
+   */
+  isEnabled() {
+    return AUTH_CONFIG.basic.enabled || AUTH_CONFIG.jwt.enabled;
+  }
+
+  /**
+   * Check if user is an admin
+   * Without authentication every client is.
+   * @param {Object} user Identity
+   * @returns {boolean} Admin
+   */
+  isAdmin(user) {
+    if (!this.isEnabled()) {
+      return true;
+    }
+    
+    return Boolean(user) && user.groups.includes(AUTH_CONFIG.adminGroup);
+  }
+
+  /**
+   * Check if user owns a resource or is an admin
+   * Resources of no user, such as sessions created before authentication was enabled, are left to admins.
+   * @param {Object} user Identity
+   * @param {string} userId User the resource belongs to
+   * @returns {boolean} Allowed
+   */
+  isOwnerOrAdmin(user, userId) {
+    if (this.isAdmin(user)) {
+      return true;
+    }
+    
+    return Boolean(user) && Boolean(userId) && user.id === userId;
+  }
+
+  /**
+   * Create middleware admitting admins only
+   * @returns {Function} Express middleware
+   */
+  requireAdmin() {
+    return (req, res, next) => {
+      if (!this.isAdmin(req.user)) {
+        return next(new AuthorizationError('Admin role required'));
+      }
+      
+      next();
+    };
+  }
+
+  /**
+   * Create middleware admitting the owner of the session in req.params.sessionId and admins
+   * Unknown sessions are left to the routes, which report them as not found.
+   * @param {Object} sessionManager Session manager
+   * @returns {Function} Express middleware
+   */
+  requireSessionOwner(sessionManager) {
+    return (req, res, next) => {
+      const session = sessionManager.findSession(req.params.sessionId);
+      
+      if (session && !this.isOwnerOrAdmin(req.user, session.userId)) {
+        return next(new AuthorizationError(`Session belongs to another user: ${req.params.sessionId}`));
+      }
+      
+      next();
+    };
+  }
+
+  /**
+   * Create middleware authenticating requests
+   * The identity is set as req.user.
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      this.authenticate(req, { ip: req.ip, path: req.originalUrl })
+        .then((user) => {
+          req.user = user;
+          next();
+        })
+        .catch((error) => {
+          res.setHeader('WWW-Authenticate', this.getChallenges());
+          next(error);
+        });
+    };
+  }
+
+  /**
+   * Authenticate WebSocket upgrade request
+   * Besides the Authorization header, a token may come as ?token= or as a subprotocol.
+   * @param {Object} req HTTP upgrade request
+   * @returns {Promise<Object>} Identity
+   */
+  async authenticateUpgrade(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(protocol => protocol.trim());
+    const protocol = protocols.find(entry => entry.startsWith(WEBSOCKET_CONFIG.tokenProtocolPrefix));
+    const token = url.searchParams.get('token') || (protocol ? protocol.slice(WEBSOCKET_CONFIG.tokenProtocolPrefix.length) : null);
+    
+    return this.authenticate(req, {
+      ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress,
+      path: url.pathname,
+      token
+    });
+  }
+
+  /**
+   * Authenticate request
+   * @param {Object} req HTTP request
+   * @param {Object} attempt Address and path of the request, and a token passed outside the headers
+   * @returns {Promise<Object>} Identity with id, groups and scheme
+   */
+  async authenticate(req, attempt) {
+    const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+    const token = scheme && scheme.toLowerCase() === 'bearer' ? credentials : attempt.token;
+    const details = { ip: attempt.ip, method: req.method, path: attempt.path };
+    
+    if (token && AUTH_CONFIG.jwt.enabled) {
+      return this.runAttempt({ ...details, scheme: 'jwt' }, () => this.verifyToken(token));
+    }
+    
+    if (scheme && scheme.toLowerCase() === 'basic' && AUTH_CONFIG.basic.enabled) {
+      return this.runAttempt({ ...details, scheme: 'basic' }, () => this.verifyBasicCredentials(req.headers.authorization));
+    }
+    
+    // A request without credentials is a challenge, not a failed attempt
+    throw new AuthenticationError('Authentication required');
+  }
+
+  /**
+   * Authenticate token request with the basic credentials
+   * Token issuance uses them even when basic authentication of requests is disabled.
+   * @param {Object} req Express request
+   * @returns {Promise<Object>} Identity
+   */
+  async authenticateTokenRequest(req) {
+    return this.runAttempt({
+      ip: req.ip,
+      method: req.method,
+      path: req.originalUrl,
+      scheme: 'basic'
+    }, () => this.verifyBasicCredentials(req.headers.authorization));
+  }
+
+  /**
+   * Run authentication attempt and report its outcome
+   * @param {Object} attempt Scheme, address, method and path
+   * @param {Function} verify Function resolving to the identity
+   * @returns {Promise<Object>} Identity
+   */
+  async runAttempt(attempt, verify) {
+    try {
+      const user = await verify();
+      
+      // Emit authenticated event
+      this.emit('authenticated', { ...attempt, username: user.id });
+      
+      return user;
+    } catch (error) {
+      // Emit authentication failed event
+      this.emit('authenticationFailed', { ...attempt, username: error.username || null, reason: error.message });
+      
+      throw error instanceof AuthenticationError ? error : new AuthenticationError(error.message);
+    }
+  }
+
+  /**
+   * Verify basic credentials against the configured ones
+   * @param {string} header Authorization header
+   * @returns {Object} Identity
+   */
+  verifyBasicCredentials(header) {
+    const [scheme, credentials] = (header || '').split(' ');
+    
+    if (!scheme || scheme.toLowerCase() !== 'basic' || !credentials) {
+      throw new AuthenticationError('Basic credentials required');
+    }
+    
+    const decoded = Buffer.from(credentials, 'base64').toString();
+    const separator = decoded.indexOf(':');
+    const username = separator >= 0 ? decoded.slice(0, separator) : decoded;
+    const password = separator >= 0 ? decoded.slice(separator + 1) : '';
+    
+    if (!safeEqual(username, AUTH_CONFIG.basic.username) || !safeEqual(password, AUTH_CONFIG.basic.password)) {
+      const error = new AuthenticationError('Invalid credentials');
+      error.username = username;
+      throw error;
+    }
+    
+    return {
+      id: username,
+      groups: AUTH_CONFIG.basic.groups.filter(group => group.length > 0),
+      scheme: 'basic'
+    };
+  }
+
+  /**
+   * Verify token
+   * @param {string} token Token
+   * @returns {Promise<Object>} Identity
+   */
+  verifyToken(token) {
+    const config = AUTH_CONFIG.jwt;
+    const options = {
+      algorithms: this.algorithms,
+      clockTolerance: config.clockTolerance
+    };
+    
+    if (config.issuer) {
+      options.issuer = config.issuer;
+    }
+    
+    if (config.audience) {
+      options.audience = config.audience;
+    }
+    
+    return new Promise((resolve, reject) => {
+      jwt.verify(token, this.getVerificationKey.bind(this), options, (error, claims) => {
+        if (error) {
+          reject(new AuthenticationError(`Invalid token: ${error.message}`));
+          return;
+        }
+        
+        try {
+          resolve(this.toIdentity(claims));
+        } catch (identityError) {
+          reject(identityError);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the key a token is verified with
+   * The algorithm is checked against the accepted ones before the key is used.
+   * @param {Object} header Token header
+   * @param {Function} callback Callback with the key
+   */
+  getVerificationKey(header, callback) {
+    if (header.alg === 'HS256') {
+      callback(null, AUTH_CONFIG.jwt.secret);
+      return;
+    }
+    
+    // A token without kid may use the only key there is
+    const key = header.kid
+      ? this.publicKeys.get(header.kid)
+      : this.publicKeys.size === 1 ? this.publicKeys.values().next().value : null;
+    
+    if (!key) {
+      callback(new Error(`Unknown signing key: ${header.kid || 'none'}`));
+      return;
+    }
+    
+    callback(null, key);
+  }
+
+  /**
+   * Map token claims to an identity
+   * @param {Object} claims Token claims
+   * @returns {Object} Identity with id, groups and scheme
+   */
+  toIdentity(claims) {
+    const config = AUTH_CONFIG.jwt;
+    const id = claims[config.userClaim];
+    
+    if (typeof id !== 'string' || id.length === 0) {
+      throw new AuthenticationError(`Token has no ${config.userClaim} claim`);
+    }
+    
+    // Groups may be a list or a space separated string, like OAuth scopes
+    let groups = claims[config.groupsClaim] || [];
+    
+    if (typeof groups === 'string') {
+      groups = groups.split(/[\s,]+/);
+    }
+    
+    return {
+      id,
+      groups: Array.isArray(groups) ? groups.filter(group => typeof group === 'string' && group.length > 0) : [],
+      scheme: 'jwt'
+    };
+  }
+
+  /**
+   * Issue token
+   * @param {Object} user User with id and groups
+   * @returns {Object} Token, its type and expiry
+   */
+  issueToken(user) {
+    const config = AUTH_CONFIG.jwt;
+    const algorithm = config.issueAlgorithm;
+    const options = {
+      algorithm,
+      expiresIn: config.expiresIn
+    };
+    
+    if (config.issuer) {
+      options.issuer = config.issuer;
+    }
+    
+    if (config.audience) {
+      options.audience = config.audience;
+    }
+    
+    if (algorithm === 'RS256' && config.keyId) {
+      options.keyid = config.keyId;
+    }
+    
+    const token = jwt.sign({
+      [config.userClaim]: user.id,
+      [config.groupsClaim]: user.groups || []
+    }, algorithm === 'RS256' ? this.privateKey : config.secret, options);
+    
+    const { exp } = jwt.decode(token);
+    
+    logger.info(`Token issued for user ${user.id}`);
+    
+    return {
+      token,
+      tokenType: 'Bearer',
+      expiresAt: exp * 1000
+    };
+  }
+
+  /**
+   * Get WWW-Authenticate challenges of the enabled schemes
+   * @returns {Array} Challenges
+   */
+  getChallenges() {
+    const challenges = [];
+    
+    if (AUTH_CONFIG.jwt.enabled) {
+      challenges.push('Bearer');
+    }
+    
+    if (AUTH_CONFIG.basic.enabled) {
+      challenges.push('Basic');
+    }
+    
+    return challenges;
+  }
+
+  /**
+   * Check if auth service is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Shutdown auth service
+   * @returns {Promise<boolean>} Success
+   */
+  async shutdown() {
+    logger.info('Shutting down Auth Service');
+    
+    this.publicKeys.clear();
+    this.privateKey = null;
+    this.running = false;
+    
+    return true;
+  }
+}
+
+/**
+ * Compare strings in constant time
+ * @param {string} a String
+ * @param {string} b String
+ * @returns {boolean} Equal
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+module.exports = AuthService;
@@ -120,9 +120,11 @@ class BasicEncoder extends EventEmitter {
       // Emit encoded frame event with the original frame data
       // In a real implementation, this would be the encoded data
       this.emit('encodedFrame', encoderId, frameData, {
-        timestamp: Date.now(),
+        timestamp: frameInfo.timestamp || Date.now(),
         keyFrame: encoder.stats.framesEncoded % 30 === 0, // Simulate keyframe every 30 frames
-        format: 'rgba'
+        format: frameInfo.format || 'rgba',
+        width: frameInfo.width,
+        height: frameInfo.height
       });
       
       return frameData;
@@ -132,6 +134,51 @@ class BasicEncoder extends EventEmitter {
     }
   }
 
+  /**
+   * Get raw frame format the encoder takes
+   * Frames pass through to the WebRTC video source, which needs decoded frames.
+   * Encoders created with rawFrames false take screencast images as they are.
+   * @param {string} encoderId Encoder ID
+   * @returns {string} Frame format, or null for screencast images as they are
+   */
+  getInputFormat(encoderId) {
+    const encoder = this.encoders.get(encoderId);
+    
+    if (encoder && encoder.options.rawFrames === false) {
+      return null;
+    }
+    
+    return STREAMING_CONFIG.rawFrameFormat;
+  }
+
+  /**
+   * Get number of frames waiting for output
+   * Frames pass through synchronously, so nothing waits.
+   * @param {string} encoderId Encoder ID
+   * @returns {number} Queue depth
+   */
+  getQueueDepth(encoderId) {
+    return 0;
+  }
+
+  /**
+   * Get codec of encoded frames
+   * @param {string} encoderId Encoder ID
+   * @returns {string} Codec, or null as frames pass through unencoded
+   */
+  getOutputCodec(encoderId) {
+    return null;
+  }
+
+  /**
+   * Request key frame
+   * @param {string} encoderId Encoder ID
+   * @returns {Promise<boolean>} Always false, as every frame decodes on its own
+   */
+  async requestKeyFrame(encoderId) {
+    return false;
+  }
+
   /**
    * Update encoder options
    * @param {string} encoderId Encoder ID
@@ -0,0 +1,413 @@
+/**
+ * Cgroup Manager
+ * Places browser processes in cgroup v2 slices with CPU, memory and process limits
+ *
+ * Each browser gets a slice of its own under CGROUP_CONFIG.root. The root must be a cgroup v2
+ * directory the server may write, with the cpu, memory and pids controllers delegated to it
+ * (for example a systemd unit with Delegate=yes). Without one, browsers run unconfined and
+ * the status says why.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { CGROUP_CONFIG } = require('../utils/config');
+const logger = require('../utils/logger');
+const { getProcessTree } = require('../utils/process-tree');
+
+// Controllers a slice needs
+const CONTROLLERS = ['cpu', 'memory', 'pids'];
+
+// Slices are named after the browser they hold
+const SLICE_PREFIX = 'browser-';
+
+// Attempts to remove a slice whose processes are still exiting
+const REMOVE_ATTEMPTS = 10;
+const REMOVE_RETRY_DELAY = 100; // ms
+
+/**
+ * CgroupManager class
+ */
+class CgroupManager extends EventEmitter {
+  /**
+   * Constructor
+   */
+  constructor() {
+    super();
+    this.root = CGROUP_CONFIG.root;
+    this.slices = new Map();
+    this.available = false;
+    this.reason = null;
+    this.running = false;
+    
+    logger.info('Cgroup Manager initialized');
+  }
+
+  /**
+   * Initialize cgroup manager
+   * Cgroups that cannot be used leave the manager unavailable rather than failing startup.
+   * @returns {Promise<boolean>} Success
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing Cgroup Manager');
+      
+      if (CGROUP_CONFIG.enabled) {
+        await this.prepareRoot();
+        this.available = true;
+        
+        logger.info(`Cgroup Manager initialized successfully at ${this.root}`);
+      } else {
+        this.reason = 'Cgroups are disabled';
+      }
+    } catch (error) {
+      // Browsers still run, only without resource controls
+      this.available = false;
+      this.reason = error.message;
+      
+      logger.warn(`Cgroups unavailable, browsers run without resource limits: ${error.message}`);
+    }
+    
+    // Set running flag
+    this.running = true;
+    
+    return true;
+  }
+
+  /**
+   * Prepare the root cgroup
+   * Creates the root, checks the controllers and enables them for the slices below.
+   * @returns {Promise<void>}
+   */
+  async prepareRoot() {
+    const parent = path.dirname(this.root);
+    
+    // cgroup v2 exposes cgroup.controllers in every cgroup
+    if (!fs.existsSync(path.join(parent, 'cgroup.controllers'))) {
+      throw new Error(`${parent} is not a cgroup v2 directory`);
+    }
+    
+    await fs.promises.mkdir(this.root, { recursive: true });
+    
+    // Ask the parent for missing controllers; this fails unless they were delegated
+    let controllers = await this.readControllers(this.root);
+    const missing = CONTROLLERS.filter(controller => !controllers.includes(controller));
+    
+    if (missing.length > 0) {
+      await fs.promises.writeFile(path.join(parent, 'cgroup.subtree_control'), missing.map(controller => `+${controller}`).join(' '))
+        .catch(() => {});
+      
+      controllers = await this.readControllers(this.root);
+    }
+    
+    const unavailable = CONTROLLERS.filter(controller => !controllers.includes(controller));
+    
+    if (unavailable.length > 0) {
+      throw new Error(`Controllers not delegated to ${this.root}: ${unavailable.join(', ')}`);
+    }
+    
+    // Hand the controllers down to the slices
+    await fs.promises.writeFile(path.join(this.root, 'cgroup.subtree_control'), CONTROLLERS.map(controller => `+${controller}`).join(' '));
+    
+    // Remove slices left behind by an earlier run
+    for (const entry of await fs.promises.readdir(this.root)) {
+      if (entry.startsWith(SLICE_PREFIX)) {
+        await fs.promises.rmdir(path.join(this.root, entry)).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Read the controllers available in a cgroup
+   * @param {string} cgroupPath Cgroup directory
+   * @returns {Promise<Array>} Controller names
+   */
+  async readControllers(cgroupPath) {
+    const content = await fs.promises.readFile(path.join(cgroupPath, 'cgroup.controllers'), 'utf8');
+    
+    return content.split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Check if cgroups can be used
+   * @returns {boolean} Available
+   */
+  isAvailable() {
+    return this.available;
+  }
+
+  /**
+   * Get effective limits
+   * @param {Object} options Resource options of a session
+   * @returns {Object} Limits, narrowed to the configured ones; 0 means no limit
+   */
+  getLimits(options = {}) {
+    const narrow = (ceiling, value) => (ceiling > 0 && value > 0 ? Math.min(ceiling, value) : ceiling || value || 0);
+    
+    return {
+      cpuWeight: narrow(CGROUP_CONFIG.cpuWeight, options.cpuWeight),
+      cpuMax: narrow(CGROUP_CONFIG.cpuMax, options.cpuMax),
+      memoryMax: narrow(CGROUP_CONFIG.memoryMax, options.memoryMax),
+      pidsMax: narrow(CGROUP_CONFIG.pidsMax, options.pidsMax)
+    };
+  }
+
+  /**
+   * Create slice for a browser and move its processes into it
+   * @param {string} browserId Browser ID
+   * @param {number} pid Browser process ID
+   * @param {Object} options Resource options
+   * @returns {Promise<Object>} Slice info
+   */
+  async createSlice(browserId, pid, options = {}) {
+    const slicePath = path.join(this.root, `${SLICE_PREFIX}${browserId}`);
+    
+    await fs.promises.mkdir(slicePath, { recursive: true });
+    
+    const slice = {
+      browserId,
+      path: slicePath,
+      limits: null,
+      createdAt: Date.now(),
+      lastCpu: null
+    };
+    
+    this.slices.set(browserId, slice);
+    
+    try {
+      await this.writeLimits(slice, this.getLimits(options));
+      
+      // Chromium has forked its helpers by the time it is up, so the whole tree moves;
+      // a second pass catches processes forked during the first
+      for (let pass = 0; pass < 2; pass++) {
+        for (const proc of await getProcessTree(pid)) {
+          await fs.promises.writeFile(path.join(slicePath, 'cgroup.procs'), String(proc.pid)).catch((error) => {
+            if (error.code !== 'ESRCH') {
+              throw error;
+            }
+          });
+        }
+      }
+    } catch (error) {
+      await this.removeSlice(browserId);
+      throw error;
+    }
+    
+    logger.info(`Browser ${browserId} placed in cgroup ${slicePath}`, slice.limits);
+    
+    // Emit slice created event
+    this.emit('sliceCreated', browserId, slice);
+    
+    return slice;
+  }
+
+  /**
+   * Change the limits of a slice
+   * @param {string} browserId Browser ID
+   * @param {Object} options Resource options
+   * @returns {Promise<Object>} Slice info, or null when the browser has no slice
+   */
+  async updateSlice(browserId, options = {}) {
+    const slice = this.slices.get(browserId);
+    
+    if (!slice) {
+      return null;
+    }
+    
+    await this.writeLimits(slice, this.getLimits(options));
+    
+    logger.info(`Cgroup limits of browser ${browserId} updated`, slice.limits);
+    
+    return slice;
+  }
+
+  /**
+   * Write limits to the slice's control files
+   * @param {Object} slice Slice info
+   * @param {Object} limits Limits
+   * @returns {Promise<void>}
+   */
+  async writeLimits(slice, limits) {
+    const period = CGROUP_CONFIG.cpuPeriod;
+    const values = {
+      'cpu.weight': String(limits.cpuWeight || 100),
+      'cpu.max': limits.cpuMax > 0 ? `${Math.round(limits.cpuMax / 100 * period)} ${period}` : `max ${period}`,
+      'memory.max': limits.memoryMax > 0 ? String(limits.memoryMax) : 'max',
+      'pids.max': limits.pidsMax > 0 ? String(limits.pidsMax) : 'max'
+    };
+    
+    for (const [file, value] of Object.entries(values)) {
+      await fs.promises.writeFile(path.join(slice.path, file), value);
+    }
+    
+    slice.limits = limits;
+  }
+
+  /**
+   * Read a flat keyed cgroup file such as cpu.stat
+   * @param {string} filePath File path
+   * @returns {Promise<Object>} Values by key
+   */
+  async readKeyedFile(filePath) {
+    const values = {};
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    
+    for (const line of content.split('\n')) {
+      const [key, value] = line.split(' ');
+      
+      if (key && value !== undefined) {
+        values[key] = parseInt(value, 10);
+      }
+    }
+    
+    return values;
+  }
+
+  /**
+   * Read a single value cgroup file such as memory.current
+   * @param {string} filePath File path
+   * @returns {Promise<number>} Value, or null when the file is missing
+   */
+  async readValue(filePath) {
+    try {
+      return parseInt(await fs.promises.readFile(filePath, 'utf8'), 10);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get current usage of a slice
+   * CPU percent is measured since the previous call, in percent of one CPU.
+   * @param {string} browserId Browser ID
+   * @returns {Promise<Object>} Usage, or null when the browser has no slice
+   */
+  async getUsage(browserId) {
+    const slice = this.slices.get(browserId);
+    
+    if (!slice) {
+      return null;
+    }
+    
+    const cpuStat = await this.readKeyedFile(path.join(slice.path, 'cpu.stat'));
+    const memoryEvents = await this.readKeyedFile(path.join(slice.path, 'memory.events')).catch(() => ({}));
+    const now = Date.now();
+    
+    // CPU time since the previous reading
+    let cpuPercent = null;
+    
+    if (slice.lastCpu && now > slice.lastCpu.at) {
+      cpuPercent = (cpuStat.usage_usec - slice.lastCpu.usage) / ((now - slice.lastCpu.at) * 1000) * 100;
+    }
+    
+    slice.lastCpu = { usage: cpuStat.usage_usec, at: now };
+    
+    return {
+      path: slice.path,
+      limits: slice.limits,
+      cpu: {
+        usageUsec: cpuStat.usage_usec,
+        throttledUsec: cpuStat.throttled_usec || 0,
+        throttledPeriods: cpuStat.nr_throttled || 0,
+        percent: cpuPercent
+      },
+      memory: {
+        current: await this.readValue(path.join(slice.path, 'memory.current')),
+        peak: await this.readValue(path.join(slice.path, 'memory.peak')),
+        oomKills: memoryEvents.oom_kill || 0
+      },
+      pids: {
+        current: await this.readValue(path.join(slice.path, 'pids.current'))
+      },
+      timestamp: now
+    };
+  }
+
+  /**
+   * Remove slice of a browser
+   * @param {string} browserId Browser ID
+   * @returns {Promise<boolean>} Success
+   */
+  async removeSlice(browserId) {
+    const slice = this.slices.get(browserId);
+    
+    if (!slice) {
+      return false;
+    }
+    
+    this.slices.delete(browserId);
+    
+    // A cgroup can only be removed once its processes have exited
+    for (let attempt = 1; attempt <= REMOVE_ATTEMPTS; attempt++) {
+      try {
+        await fs.promises.rmdir(slice.path);
+        
+        // Emit slice removed event
+        this.emit('sliceRemoved', browserId);
+        
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return true;
+        }
+        
+        if (error.code !== 'EBUSY' || attempt === REMOVE_ATTEMPTS) {
+          logger.warn(`Could not remove cgroup ${slice.path}: ${error.message}`);
+          return false;
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, REMOVE_RETRY_DELAY));
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Get cgroup status
+   * @returns {Object} Whether cgroups are enabled and available, why not, and the slice count
+   */
+  getStatus() {
+    return {
+      enabled: CGROUP_CONFIG.enabled,
+      available: this.available,
+      reason: this.available ? null : this.reason,
+      root: this.root,
+      slices: this.slices.size
+    };
+  }
+
+  /**
+   * Check if cgroup manager is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Shutdown cgroup manager
+   * @returns {Promise<boolean>} Success
+   */
+  async shutdown() {
+    try {
+      logger.info('Shutting down Cgroup Manager');
+      
+      // Remove slices of browsers that are gone
+      for (const browserId of Array.from(this.slices.keys())) {
+        await this.removeSlice(browserId);
+      }
+      
+      this.running = false;
+      
+      logger.info('Cgroup Manager shutdown complete');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error shutting down Cgroup Manager', error);
+      return false;
+    }
+  }
+}
+
+module.exports = CgroupManager;
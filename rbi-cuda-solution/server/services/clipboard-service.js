@@ -0,0 +1,483 @@
+/**
+ * Clipboard Service
+ * Synchronises the clipboard between the client desktop and isolated pages under a per-session policy
+ */
+
+const { EventEmitter } = require('events');
+const { CLIPBOARD_CONFIG } = require('../utils/config');
+const logger = require('../utils/logger');
+const { AuthorizationError, ValidationError } = require('../utils/error-handler');
+
+// Isolated world the copy listener runs in, out of reach of page scripts
+const WORLD_NAME = '__rbiClipboard';
+
+// Bindings the page reports copies through: copy and cut events from the isolated world,
+// asynchronous clipboard writes from the main world
+const COPY_BINDING = '__rbiClipboardCopy';
+const WRITE_BINDING = '__rbiClipboardWrite';
+
+// Inputs that give the page user activation, like a browser does for clipboard writes
+const ACTIVATION_INPUT_TYPES = ['mousedown', 'mouseup', 'keydown', 'touchend'];
+
+// CDP modifier bits of copy and cut shortcuts
+const CTRL_OR_META = 2 | 4;
+const SHIFT = 8;
+
+// Transfer directions
+const DIRECTIONS = {
+  LOCAL_TO_REMOTE: 'local-to-remote',
+  REMOTE_TO_LOCAL: 'remote-to-local'
+};
+
+/**
+ * ClipboardService class
+ */
+class ClipboardService extends EventEmitter {
+  /**
+   * Constructor
+   * @param {Object} browserPool Browser pool instance
+   * @param {Object} sessionManager Session manager instance
+   */
+  constructor(browserPool, sessionManager) {
+    super();
+    this.browserPool = browserPool;
+    this.sessionManager = sessionManager;
+    this.gestures = new Map();
+    this.running = false;
+    
+    logger.info('Clipboard Service initialized');
+  }
+
+  /**
+   * Initialize clipboard service
+   * @returns {Promise<boolean>} Success
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing Clipboard Service');
+      
+      // Setup event listeners
+      this.setupEventListeners();
+      
+      // Set running flag
+      this.running = true;
+      
+      logger.info('Clipboard Service initialized successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error initializing Clipboard Service', error);
+      this.running = false;
+      return false;
+    }
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Browser Pool events
+    this.browserPool.on('pageCreated', (pageId) => this.watchCopy(pageId));
+    this.browserPool.on('pageClosed', (pageId) => this.gestures.delete(pageId));
+    
+    // Session Manager events
+    this.sessionManager.on('inputSent', (sessionId, pageId, input) => this.recordGesture(pageId, input));
+  }
+
+  /**
+   * Capture copy and cut in every document the page loads
+   * @param {string} pageId Page ID
+   * @returns {Promise<void>}
+   */
+  async watchCopy(pageId) {
+    // Get page
+    const pageInfo = this.browserPool.getPage(pageId);
+    
+    if (!pageInfo || !this.running) {
+      return;
+    }
+    
+    try {
+      // The session lives as long as the page
+      const client = await pageInfo.page.target().createCDPSession();
+      
+      client.on('Runtime.bindingCalled', (event) => this.handleBindingCalled(pageId, event));
+      
+      await client.send('Runtime.enable');
+      await client.send('Runtime.addBinding', { name: COPY_BINDING, executionContextName: WORLD_NAME });
+      await client.send('Runtime.addBinding', { name: WRITE_BINDING });
+      
+      // Register the listeners first so a navigation racing this setup is still covered
+      const copyListener = `(${installCopyListener})(${JSON.stringify(COPY_BINDING)})`;
+      const writeListener = `(${installWriteListener})(${JSON.stringify(WRITE_BINDING)})`;
+      
+      await client.send('Page.addScriptToEvaluateOnNewDocument', { source: copyListener, worldName: WORLD_NAME });
+      await client.send('Page.addScriptToEvaluateOnNewDocument', { source: writeListener });
+      
+      // Install them in the current document too
+      const { frameTree } = await client.send('Page.getFrameTree');
+      const { executionContextId } = await client.send('Page.createIsolatedWorld', {
+        frameId: frameTree.frame.id,
+        worldName: WORLD_NAME
+      });
+      
+      await client.send('Runtime.evaluate', { expression: copyListener, contextId: executionContextId });
+      await client.send('Runtime.evaluate', { expression: writeListener });
+    } catch (error) {
+      if (!pageInfo.page.isClosed()) {
+        logger.error(`Error watching clipboard on page ${pageId}`, error);
+      }
+    }
+  }
+
+  /**
+   * Handle a page binding call
+   * @param {string} pageId Page ID
+   * @param {Object} event CDP bindingCalled event
+   */
+  handleBindingCalled(pageId, event) {
+    if (event.name !== COPY_BINDING && event.name !== WRITE_BINDING) {
+      return;
+    }
+    
+    let content;
+    
+    try {
+      content = JSON.parse(event.payload);
+    } catch (error) {
+      logger.debug(`Ignoring malformed clipboard report from page ${pageId}`);
+      return;
+    }
+    
+    this.handleRemoteCopy(pageId, content.text, content.html, event.name === COPY_BINDING ? 'copy' : 'write');
+  }
+
+  /**
+   * Remember the last user input of a page that may lead to a copy
+   * @param {string} pageId Page ID
+   * @param {Object} input Input event
+   */
+  recordGesture(pageId, input = {}) {
+    const type = typeof input.type === 'string' ? input.type.toLowerCase() : null;
+    
+    if (isCopyInput(type, input)) {
+      this.gestures.set(pageId, { type: 'copy', timestamp: Date.now() });
+    } else if (ACTIVATION_INPUT_TYPES.includes(type)) {
+      this.gestures.set(pageId, { type: 'activation', timestamp: Date.now() });
+    }
+  }
+
+  /**
+   * Consume the user input a remote copy follows
+   * Copy and cut events need a copy or cut shortcut; clipboard writes, made by copy buttons,
+   * any input that gives user activation. Each input lets one copy through.
+   * @param {string} pageId Page ID
+   * @param {string} source 'copy' for copy and cut events, 'write' for clipboard writes
+   * @returns {boolean} The copy follows user input
+   */
+  consumeGesture(pageId, source) {
+    const gesture = this.gestures.get(pageId);
+    
+    if (!gesture || Date.now() - gesture.timestamp > CLIPBOARD_CONFIG.gestureWindow) {
+      return false;
+    }
+    
+    if (source === 'copy' && gesture.type !== 'copy') {
+      return false;
+    }
+    
+    this.gestures.delete(pageId);
+    
+    return true;
+  }
+
+  /**
+   * Get effective clipboard policy of a session
+   * @param {Object} session Session
+   * @returns {Object} Clipboard policy
+   */
+  getPolicy(session) {
+    const options = (session && session.options.clipboard) || {};
+    
+    return {
+      localToRemote: CLIPBOARD_CONFIG.localToRemote && options.localToRemote !== false,
+      remoteToLocal: CLIPBOARD_CONFIG.remoteToLocal && options.remoteToLocal !== false,
+      maxSize: Math.min(CLIPBOARD_CONFIG.maxSize, options.maxSize || CLIPBOARD_CONFIG.maxSize),
+      mode: CLIPBOARD_CONFIG.mode === 'rich' && options.mode !== 'text' ? 'rich' : 'text'
+    };
+  }
+
+  /**
+   * Handle content copied in an isolated page
+   * @param {string} pageId Page ID
+   * @param {string} text Copied text
+   * @param {string} html Copied markup
+   * @param {string} source 'copy' for copy and cut events, 'write' for clipboard writes
+   */
+  handleRemoteCopy(pageId, text, html, source) {
+    // Find session owning the page
+    const session = this.sessionManager.findSessionByPageId(pageId);
+    
+    if (!session) {
+      return;
+    }
+    
+    // Background tabs cannot be copied from by the user, only by scripts
+    if (session.pageId !== pageId) {
+      logger.debug(`Ignoring clipboard write from background tab ${pageId} of session ${session.id}`);
+      return;
+    }
+    
+    // Pages must not fill the user's clipboard on their own
+    if (!this.consumeGesture(pageId, source)) {
+      logger.debug(`Ignoring clipboard ${source} without user input on page ${pageId} of session ${session.id}`);
+      return;
+    }
+    
+    const policy = this.getPolicy(session);
+    const content = this.filterContent(policy, text, html);
+    
+    // Check policy
+    let reason = null;
+    
+    if (!policy.remoteToLocal) {
+      reason = 'Copying from the remote page is disabled';
+    } else if (content.size > policy.maxSize) {
+      reason = `Clipboard content exceeds ${policy.maxSize} bytes`;
+    } else if (content.size === 0) {
+      return;
+    }
+    
+    this.recordTransfer(session.id, pageId, DIRECTIONS.REMOTE_TO_LOCAL, content, reason);
+    
+    if (!reason) {
+      // Emit remote copy event
+      this.emit('remoteCopy', session.id, {
+        tabId: pageId,
+        text: content.text,
+        html: content.html
+      });
+    }
+  }
+
+  /**
+   * Paste client clipboard content into the active page of a session
+   * @param {string} sessionId Session ID
+   * @param {Object} data Clipboard data with text and optional html
+   * @returns {Promise<Object>} Paste result
+   */
+  async pasteToRemote(sessionId, data = {}) {
+    // Get session with active page
+    const session = this.sessionManager.getSessionWithPage(sessionId);
+    
+    if (typeof data.text !== 'string') {
+      throw new ValidationError('Clipboard text is required');
+    }
+    
+    const policy = this.getPolicy(session);
+    const content = this.filterContent(policy, data.text, data.html);
+    
+    // Check policy
+    if (!policy.localToRemote) {
+      this.recordTransfer(sessionId, session.pageId, DIRECTIONS.LOCAL_TO_REMOTE, content, 'Pasting into the remote page is disabled');
+      throw new AuthorizationError('Pasting into the remote page is disabled');
+    }
+    
+    if (content.size > policy.maxSize) {
+      this.recordTransfer(sessionId, session.pageId, DIRECTIONS.LOCAL_TO_REMOTE, content, `Clipboard content exceeds ${policy.maxSize} bytes`);
+      throw new ValidationError(`Clipboard content exceeds ${policy.maxSize} bytes`);
+    }
+    
+    // Paste content
+    const result = await this.sessionManager.pasteContent(sessionId, content.text, content.html);
+    
+    this.recordTransfer(sessionId, result.tabId, DIRECTIONS.LOCAL_TO_REMOTE, content, null);
+    
+    return {
+      ...result,
+      size: content.size
+    };
+  }
+
+  /**
+   * Reduce clipboard content to what the policy mode carries
+   * @param {Object} policy Clipboard policy
+   * @param {string} text Text
+   * @param {string} html Markup
+   * @returns {Object} Content with text, html and size in bytes
+   */
+  filterContent(policy, text, html) {
+    const content = {
+      text: typeof text === 'string' ? text : '',
+      html: policy.mode === 'rich' && typeof html === 'string' && html.length > 0 ? html : null
+    };
+    
+    content.size = Buffer.byteLength(content.text) + (content.html ? Buffer.byteLength(content.html) : 0);
+    
+    return content;
+  }
+
+  /**
+   * Log clipboard transfer
+   * @param {string} sessionId Session ID
+   * @param {string} tabId Tab ID
+   * @param {string} direction Transfer direction
+   * @param {Object} content Filtered content
+   * @param {string} reason Reason the transfer was blocked, or null if allowed
+   */
+  recordTransfer(sessionId, tabId, direction, content, reason) {
+    const transfer = {
+      sessionId,
+      tabId,
+      direction,
+      size: content.size,
+      format: content.html ? 'html' : 'text',
+      allowed: !reason,
+      reason,
+      timestamp: Date.now()
+    };
+    
+    if (transfer.allowed) {
+      logger.info(`Clipboard ${direction} for session ${sessionId}: ${content.size} bytes (${transfer.format})`);
+    } else {
+      logger.warn(`Clipboard ${direction} blocked for session ${sessionId}: ${content.size} bytes, ${reason}`);
+    }
+    
+    // Emit clipboard transfer event
+    this.emit('clipboardTransfer', sessionId, transfer);
+  }
+
+  /**
+   * Check if clipboard service is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Shutdown clipboard service
+   * @returns {Promise<boolean>} Success
+   */
+  async shutdown() {
+    try {
+      logger.info('Shutting down Clipboard Service');
+      
+      // Set running flag
+      this.running = false;
+      this.gestures.clear();
+      
+      logger.info('Clipboard Service shut down successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error shutting down Clipboard Service', error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Check if input is a copy or cut shortcut
+ * @param {string} type Input type
+ * @param {Object} input Input event
+ * @returns {boolean} Copy or cut input
+ */
+function isCopyInput(type, input) {
+  if (type !== 'keydown') {
+    return false;
+  }
+  
+  const key = typeof input.key === 'string' ? input.key.toLowerCase() : '';
+  const modifiers = Number.isInteger(input.modifiers)
+    ? input.modifiers
+    : (input.ctrlKey || input.metaKey ? CTRL_OR_META : 0) | (input.shiftKey ? SHIFT : 0);
+  
+  if (key === 'copy' || key === 'cut') {
+    return true;
+  }
+  
+  if (modifiers & CTRL_OR_META) {
+    return key === 'c' || key === 'x' || input.code === 'KeyC' || input.code === 'KeyX' || key === 'insert';
+  }
+  
+  return key === 'delete' && (modifiers & SHIFT) !== 0;
+}
+
+/**
+ * Report copy and cut events of the document to the server binding
+ * Runs in an isolated world of the page; the bubbling window listener sees data set by page handlers
+ * @param {string} bindingName Page binding name
+ */
+function installCopyListener(bindingName) {
+  const report = (text, html) => {
+    if (typeof window[bindingName] === 'function') {
+      window[bindingName](JSON.stringify({ text: text || '', html: html || '' }));
+    }
+  };
+  
+  const handleCopy = (event) => {
+    // Events dispatched by scripts copy nothing
+    if (!event.isTrusted) {
+      return;
+    }
+    
+    const data = event.clipboardData;
+    
+    // Pages that replace the copied content call setData and preventDefault
+    if (event.defaultPrevented && data) {
+      report(data.getData('text/plain'), data.getData('text/html'));
+      return;
+    }
+    
+    // Selections inside inputs and textareas are not part of the document selection
+    const active = document.activeElement;
+    
+    if (active && typeof active.selectionStart === 'number' && active.selectionStart !== active.selectionEnd) {
+      report(active.value.slice(active.selectionStart, active.selectionEnd), '');
+      return;
+    }
+    
+    const selection = document.getSelection();
+    
+    if (!selection || selection.rangeCount === 0) {
+      return;
+    }
+    
+    const container = document.createElement('div');
+    
+    for (let index = 0; index < selection.rangeCount; index++) {
+      container.appendChild(selection.getRangeAt(index).cloneContents());
+    }
+    
+    report(selection.toString(), container.innerHTML);
+  };
+  
+  window.addEventListener('copy', handleCopy);
+  window.addEventListener('cut', handleCopy);
+}
+
+/**
+ * Report asynchronous clipboard writes, which fire no copy event, to the server binding
+ * Runs in the main world, where page scripts call navigator.clipboard; a write is reported
+ * once the browser has accepted it.
+ * @param {string} bindingName Page binding name
+ */
+function installWriteListener(bindingName) {
+  const report = window[bindingName];
+  
+  // Page scripts must not find the binding
+  delete window[bindingName];
+  
+  if (typeof report !== 'function' || !navigator.clipboard || !navigator.clipboard.writeText) {
+    return;
+  }
+  
+  const writeText = navigator.clipboard.writeText.bind(navigator.clipboard);
+  
+  navigator.clipboard.writeText = (text) => writeText(text).then(() => {
+    report(JSON.stringify({ text: String(text), html: '' }));
+  });
+}
+
+module.exports = ClipboardService;
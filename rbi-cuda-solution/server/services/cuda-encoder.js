@@ -4,12 +4,23 @@
  */
 
 const { spawn } = require('child_process');
-const fs = require('fs');
-const path = require('path');
 const { EventEmitter } = require('events');
 const { ENCODER_CONFIG, STREAMING_CONFIG } = require('../utils/config');
+const { AccessUnitParser } = require('../utils/h264-parser');
 const logger = require('../utils/logger');
 
+// Bytes per pixel of raw input formats
+const RAW_INPUT_FORMATS = {
+  rgba: 4,
+  yuv420p: 1.5
+};
+
+// Frame converter formats of raw input formats
+const FRAME_FORMATS = {
+  rgba: 'rgba',
+  yuv420p: 'i420'
+};
+
 /**
  * CUDAEncoder class
  */
@@ -19,6 +30,7 @@ class CUDAEncoder extends EventEmitter {
    */
   constructor() {
     super();
+    this.ffmpegAvailable = false;
     this.cudaAvailable = false;
     this.nvencAvailable = false;
     this.encoders = new Map();
@@ -36,9 +48,10 @@ class CUDAEncoder extends EventEmitter {
     try {
       logger.info('Initializing CUDA Encoder');
       
-      // Check CUDA and NVENC availability
-      const { cudaAvailable, nvencAvailable } = await this.checkAvailability();
+      // Check FFmpeg, CUDA and NVENC availability
+      const { ffmpegAvailable, cudaAvailable, nvencAvailable } = await this.checkAvailability();
       
+      this.ffmpegAvailable = ffmpegAvailable;
       this.cudaAvailable = cudaAvailable;
       this.nvencAvailable = nvencAvailable;
       
@@ -73,7 +86,7 @@ class CUDAEncoder extends EventEmitter {
       
       if (!ffmpegAvailable) {
         logger.error('FFmpeg not available');
-        return { cudaAvailable: false, nvencAvailable: false };
+        return { ffmpegAvailable: false, cudaAvailable: false, nvencAvailable: false };
       }
       
       // Check if CUDA is available
@@ -81,7 +94,7 @@ class CUDAEncoder extends EventEmitter {
       
       if (!cudaAvailable) {
         logger.warn('CUDA not available');
-        return { cudaAvailable: false, nvencAvailable: false };
+        return { ffmpegAvailable: true, cudaAvailable: false, nvencAvailable: false };
       }
       
       // Check if NVENC is available
@@ -89,15 +102,15 @@ class CUDAEncoder extends EventEmitter {
       
       if (!nvencAvailable) {
         logger.warn('NVENC not available');
-        return { cudaAvailable: true, nvencAvailable: false };
+        return { ffmpegAvailable: true, cudaAvailable: true, nvencAvailable: false };
       }
       
       logger.info('CUDA and NVENC available');
       
-      return { cudaAvailable: true, nvencAvailable: true };
+      return { ffmpegAvailable: true, cudaAvailable: true, nvencAvailable: true };
     } catch (error) {
       logger.error('Error checking CUDA and NVENC availability', error);
-      return { cudaAvailable: false, nvencAvailable: false };
+      return { ffmpegAvailable: false, cudaAvailable: false, nvencAvailable: false };
     }
   }
 
@@ -179,7 +192,7 @@ class CUDAEncoder extends EventEmitter {
   }
 
   /**
-   * Create encoder
+   * Create and start encoder
    * @param {string} encoderId Encoder ID
    * @param {Object} options Encoder options
    * @returns {Promise<Object>} Encoder info
@@ -194,22 +207,40 @@ class CUDAEncoder extends EventEmitter {
         return this.encoders.get(encoderId);
       }
       
+      // NVENC strategies need NVENC, anything else encodes on the CPU
+      let strategy = options.strategy || this.currentStrategy;
+      
+      if (strategy.startsWith('cuda_') && !this.nvencAvailable) {
+        strategy = 'cpu_h264';
+      }
+      
       // Create encoder info
       const encoder = {
         id: encoderId,
         process: null,
-        inputPath: null,
-        outputPath: null,
+        parser: null,
+        pendingFrames: [],
+        lastFrame: null,
+        flushTimer: null,
+        backpressure: false,
+        writesPending: 0,
+        stopping: false,
+        keyFrameRequestedAt: 0,
         options: {
           ...options,
-          width: options.width || ENCODER_CONFIG.defaultWidth,
-          height: options.height || ENCODER_CONFIG.defaultHeight,
+          width: options.width || options.maxWidth || ENCODER_CONFIG.defaultWidth,
+          height: options.height || options.maxHeight || ENCODER_CONFIG.defaultHeight,
           frameRate: options.frameRate || ENCODER_CONFIG.defaultFrameRate,
           bitrate: options.bitrate || ENCODER_CONFIG.defaultBitrate,
-          strategy: options.strategy || this.currentStrategy
+          inputFormat: options.inputFormat || ENCODER_CONFIG.inputFormat,
+          strategy
         },
         stats: {
+          framesSubmitted: 0,
           framesEncoded: 0,
+          framesDropped: 0,
+          keyFrames: 0,
+          keyFrameRequests: 0,
           bytesEncoded: 0,
           encodingTime: 0,
           startTime: null,
@@ -223,6 +254,9 @@ class CUDAEncoder extends EventEmitter {
       
       logger.info(`Encoder created: ${encoderId}`);
       
+      // Start FFmpeg process
+      await this.startEncoder(encoderId);
+      
       return encoder;
     } catch (error) {
       logger.error(`Error creating encoder: ${encoderId}`, error);
@@ -254,41 +288,53 @@ class CUDAEncoder extends EventEmitter {
         return true;
       }
       
-      // Create temp directory if it doesn't exist
-      const tempDir = ENCODER_CONFIG.tempDir;
-      
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
-      
-      // Set input and output paths
-      encoder.inputPath = options.inputPath || path.join(tempDir, `${encoderId}_input.yuv`);
-      encoder.outputPath = options.outputPath || path.join(tempDir, `${encoderId}_output.h264`);
-      
-      // Create FFmpeg process
+      // Create FFmpeg process reading frames from stdin and writing H.264 to stdout
       const ffmpegArgs = this.buildFFmpegArgs(encoder);
       
       logger.info(`Starting FFmpeg process for encoder ${encoderId} with args:`, ffmpegArgs);
       
-      const ffmpeg = spawn(ENCODER_CONFIG.ffmpegPath, ffmpegArgs);
+      const ffmpeg = spawn(ENCODER_CONFIG.ffmpegPath, ffmpegArgs, {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+      
+      // A restarted process starts a fresh stream
+      encoder.parser = new AccessUnitParser();
+      encoder.pendingFrames = [];
+      encoder.backpressure = false;
+      encoder.writesPending = 0;
+      encoder.stopping = false;
       
       // Set up event listeners
       ffmpeg.stdout.on('data', (data) => {
-        logger.debug(`FFmpeg stdout for encoder ${encoderId}: ${data.toString()}`);
+        // Output of a replaced process belongs to the old stream
+        if (encoder.process === ffmpeg) {
+          this.handleEncodedData(encoder, data);
+        }
       });
       
       ffmpeg.stderr.on('data', (data) => {
         logger.debug(`FFmpeg stderr for encoder ${encoderId}: ${data.toString()}`);
       });
       
+      // Writes after FFmpeg exits fail with EPIPE; the close handler deals with the exit
+      ffmpeg.stdin.on('error', (error) => {
+        logger.debug(`FFmpeg stdin error for encoder ${encoderId}: ${error.message}`);
+      });
+      
       ffmpeg.on('error', (error) => {
         logger.error(`FFmpeg error for encoder ${encoderId}`, error);
-        this.handleEncoderError(encoderId, error);
+        
+        if (encoder.process === ffmpeg) {
+          this.handleEncoderError(encoderId, error);
+        }
       });
       
       ffmpeg.on('close', (code) => {
         logger.info(`FFmpeg process closed for encoder ${encoderId} with code ${code}`);
-        this.handleEncoderClosed(encoderId, code);
+        
+        if (encoder.process === ffmpeg) {
+          this.handleEncoderClosed(encoderId, code);
+        }
       });
       
       // Store process
@@ -297,8 +343,8 @@ class CUDAEncoder extends EventEmitter {
       // Set active flag
       encoder.active = true;
       
-      // Set start time
-      encoder.stats.startTime = Date.now();
+      // Set start time; restarts with new options keep the stats of the first start
+      encoder.stats.startTime = encoder.stats.startTime || Date.now();
       
       logger.info(`Encoder started: ${encoderId}`);
       
@@ -329,17 +375,36 @@ class CUDAEncoder extends EventEmitter {
     const { options } = encoder;
     const args = [];
     
+    // General options
+    args.push('-hide_banner');
+    args.push('-loglevel', 'warning');
+    
     // Input options
-    args.push('-f', 'rawvideo');
-    args.push('-pix_fmt', 'rgba');
-    args.push('-s', `${options.width}x${options.height}`);
-    args.push('-r', options.frameRate.toString());
-    args.push('-i', encoder.inputPath);
+    if (RAW_INPUT_FORMATS[options.inputFormat]) {
+      // Raw frames of the encoder size
+      args.push('-f', 'rawvideo');
+      args.push('-pix_fmt', options.inputFormat);
+      args.push('-s', `${options.width}x${options.height}`);
+      args.push('-r', options.frameRate.toString());
+    } else {
+      // Concatenated JPEG images, scaled to the encoder size below
+      args.push('-f', 'image2pipe');
+      args.push('-c:v', 'mjpeg');
+      args.push('-framerate', options.frameRate.toString());
+      args.push('-probesize', '32');
+      args.push('-analyzeduration', '0');
+    }
+    
+    args.push('-i', 'pipe:0');
+    
+    // Constant output size in the 4:2:0 format every H.264 profile accepts
+    args.push('-vf', `scale=${options.width}:${options.height}`);
+    args.push('-pix_fmt', 'yuv420p');
     
     // Encoding options based on strategy
     switch (options.strategy) {
       case 'cuda_h264':
-        // CUDA H.264 encoding
+        // CUDA H.264 encoding; NVENC repeats SPS and PPS on IDR frames of raw streams
         args.push('-c:v', 'h264_nvenc');
         args.push('-preset', ENCODER_CONFIG.nvencPreset);
         args.push('-tune', ENCODER_CONFIG.nvencTune);
@@ -354,60 +419,10 @@ class CUDAEncoder extends EventEmitter {
         args.push('-gpu', '0');
         args.push('-delay', '0');
         break;
-        
-      case 'cuda_hevc':
-        // CUDA HEVC encoding
-        args.push('-c:v', 'hevc_nvenc');
-        args.push('-preset', ENCODER_CONFIG.nvencPreset);
-        args.push('-tune', ENCODER_CONFIG.nvencTune);
-        args.push('-profile:v', 'main');
-        args.push('-b:v', `${options.bitrate}k`);
-        args.push('-maxrate', `${options.bitrate * 1.5}k`);
-        args.push('-bufsize', `${ENCODER_CONFIG.bufferSize}k`);
-        args.push('-g', ENCODER_CONFIG.gopSize.toString());
-        args.push('-keyint_min', ENCODER_CONFIG.keyintMin.toString());
-        args.push('-rc', 'cbr');
-        args.push('-gpu', '0');
-        args.push('-delay', '0');
-        break;
-        
+      
       case 'cpu_h264':
-        // CPU H.264 encoding
-        args.push('-c:v', 'libx264');
-        args.push('-preset', ENCODER_CONFIG.x264Preset);
-        args.push('-tune', ENCODER_CONFIG.x264Tune);
-        args.push('-profile:v', ENCODER_CONFIG.x264Profile);
-        args.push('-level', ENCODER_CONFIG.x264Level);
-        args.push('-b:v', `${options.bitrate}k`);
-        args.push('-maxrate', `${options.bitrate * 1.5}k`);
-        args.push('-bufsize', `${ENCODER_CONFIG.bufferSize}k`);
-        args.push('-g', ENCODER_CONFIG.gopSize.toString());
-        args.push('-keyint_min', ENCODER_CONFIG.keyintMin.toString());
-        args.push('-rc', 'cbr');
-        break;
-        
-      case 'cpu_hevc':
-        // CPU HEVC encoding
-        args.push('-c:v', 'libx265');
-        args.push('-preset', ENCODER_CONFIG.x264Preset);
-        args.push('-tune', ENCODER_CONFIG.x264Tune);
-        args.push('-profile:v', 'main');
-        args.push('-b:v', `${options.bitrate}k`);
-        args.push('-maxrate', `${options.bitrate * 1.5}k`);
-        args.push('-bufsize', `${ENCODER_CONFIG.bufferSize}k`);
-        args.push('-g', ENCODER_CONFIG.gopSize.toString());
-        args.push('-keyint_min', ENCODER_CONFIG.keyintMin.toString());
-        break;
-        
-      case 'mjpeg':
-        // MJPEG encoding (fallback)
-        args.push('-c:v', 'mjpeg');
-        args.push('-q:v', '5');
-        args.push('-huffman', 'optimal');
-        break;
-        
       default:
-        // Default to CPU H.264
+        // CPU H.264 encoding; zerolatency disables B-frames and lookahead so each frame yields one access unit
         args.push('-c:v', 'libx264');
         args.push('-preset', ENCODER_CONFIG.x264Preset);
         args.push('-tune', ENCODER_CONFIG.x264Tune);
@@ -418,12 +433,15 @@ class CUDAEncoder extends EventEmitter {
         args.push('-bufsize', `${ENCODER_CONFIG.bufferSize}k`);
         args.push('-g', ENCODER_CONFIG.gopSize.toString());
         args.push('-keyint_min', ENCODER_CONFIG.keyintMin.toString());
+        args.push('-x264-params', 'repeat-headers=1');
         break;
     }
     
     // Output options
+    args.push('-an');
+    args.push('-flush_packets', '1');
     args.push('-f', 'h264');
-    args.push('-y', encoder.outputPath);
+    args.push('pipe:1');
     
     return args;
   }
@@ -444,6 +462,7 @@ class CUDAEncoder extends EventEmitter {
       
       // Update encoder status
       encoder.active = false;
+      encoder.process = null;
       
       // Emit encoder error event
       this.emit('encoderError', encoderId, error);
@@ -471,12 +490,14 @@ class CUDAEncoder extends EventEmitter {
       
       // Update encoder status
       encoder.active = false;
+      encoder.process = null;
+      clearTimeout(encoder.flushTimer);
       
       // Emit encoder closed event
       this.emit('encoderClosed', encoderId, code);
       
-      // Try to restart encoder if it was active and exited with error
-      if (code !== 0) {
+      // Try to restart encoder if it exited with error rather than being stopped
+      if (code !== 0 && !encoder.stopping) {
         this.tryFallbackStrategy(encoderId);
       }
     } catch (error) {
@@ -527,10 +548,11 @@ class CUDAEncoder extends EventEmitter {
 
   /**
    * Encode frame
+   * Output arrives asynchronously as encodedFrame events.
    * @param {string} encoderId Encoder ID
-   * @param {Buffer} frameData Frame data
+   * @param {Buffer} frameData Frame data in the encoder input format
    * @param {Object} frameInfo Frame info
-   * @returns {Promise<boolean>} Success
+   * @returns {Promise<boolean>} Whether the frame was queued for encoding
    */
   async encodeFrame(encoderId, frameData, frameInfo = {}) {
     try {
@@ -547,17 +569,47 @@ class CUDAEncoder extends EventEmitter {
         return false;
       }
       
-      // Write frame data to input pipe
-      const startTime = Date.now();
+      // Raw frames carry no size of their own, so a wrong size would shear every following frame
+      const bytesPerPixel = RAW_INPUT_FORMATS[encoder.options.inputFormat];
+      
+      if (bytesPerPixel && frameData.length !== encoder.options.width * encoder.options.height * bytesPerPixel) {
+        logger.warn(`Dropping frame of ${frameData.length} bytes for encoder ${encoderId}, expected ${encoder.options.width}x${encoder.options.height} ${encoder.options.inputFormat}`);
+        encoder.stats.framesDropped++;
+        return false;
+      }
+      
+      // Drop frames while FFmpeg is behind instead of buffering without bound
+      if (encoder.backpressure) {
+        encoder.stats.framesDropped++;
+        return false;
+      }
+      
+      // Raw frames come from a buffer pool, so write a private copy that the idle flush can repeat too.
+      // The copy is reused unless a write of it is still queued.
+      let frame = frameData;
       
-      // Write frame data to input file
-      await fs.promises.writeFile(encoder.inputPath, frameData);
+      if (bytesPerPixel) {
+        if (!encoder.lastFrame || encoder.lastFrame.length !== frameData.length || encoder.writesPending > 0) {
+          encoder.lastFrame = Buffer.allocUnsafe(frameData.length);
+        }
+        
+        frameData.copy(encoder.lastFrame);
+        frame = encoder.lastFrame;
+      }
+      
+      encoder.lastFrame = frame;
+      
+      // Write frame data to FFmpeg stdin
+      const now = Date.now();
+      
+      this.writeFrame(encoder, frame, {
+        timestamp: frameInfo.timestamp || now,
+        submittedAt: now,
+        repeat: false
+      });
       
       // Update stats
-      encoder.stats.framesEncoded++;
-      encoder.stats.bytesEncoded += frameData.length;
-      encoder.stats.encodingTime += Date.now() - startTime;
-      encoder.stats.lastFrameTime = Date.now();
+      encoder.stats.framesSubmitted++;
       
       return true;
     } catch (error) {
@@ -567,29 +619,245 @@ class CUDAEncoder extends EventEmitter {
   }
 
   /**
-   * Read encoded data
+   * Get raw frame format the encoder takes
    * @param {string} encoderId Encoder ID
-   * @returns {Promise<Buffer>} Encoded data
+   * @returns {string} Frame format, or null for screencast images as they are
    */
-  async readEncodedData(encoderId) {
+  getInputFormat(encoderId) {
+    const encoder = this.encoders.get(encoderId);
+    const inputFormat = encoder ? encoder.options.inputFormat : ENCODER_CONFIG.inputFormat;
+    
+    return FRAME_FORMATS[inputFormat] || null;
+  }
+
+  /**
+   * Update encoder options
+   * FFmpeg takes size, rate and bitrate on its command line, so a running encoder restarts with them.
+   * @param {string} encoderId Encoder ID
+   * @param {Object} options Encoder options
+   * @returns {Promise<Object>} Updated encoder info
+   */
+  async updateEncoderOptions(encoderId, options = {}) {
     try {
       // Get encoder
       const encoder = this.encoders.get(encoderId);
       
-      if (!encoder || !encoder.active) {
+      if (!encoder) {
+        logger.error(`Encoder not found: ${encoderId}`);
         return null;
       }
       
-      // Read encoded data
-      const data = await fs.promises.readFile(encoder.outputPath);
+      // NVENC strategies need NVENC, as on creation
+      if (options.strategy && options.strategy.startsWith('cuda_') && !this.nvencAvailable) {
+        options = { ...options, strategy: 'cpu_h264' };
+      }
+      
+      const restart = ['width', 'height', 'frameRate', 'bitrate', 'strategy']
+        .some(key => options[key] !== undefined && options[key] !== encoder.options[key]);
       
-      return data;
+      // Update options
+      Object.assign(encoder.options, options);
+      
+      logger.info(`Encoder options updated: ${encoderId}`, options);
+      
+      // Restart FFmpeg process
+      if (restart && encoder.active) {
+        await this.stopEncoder(encoderId);
+        await this.startEncoder(encoderId);
+      }
+      
+      return encoder;
     } catch (error) {
-      logger.error(`Error reading encoded data for encoder ${encoderId}`, error);
+      logger.error(`Error updating encoder options: ${encoderId}`, error);
       return null;
     }
   }
 
+  /**
+   * Request key frame
+   * FFmpeg cannot be told to emit an IDR frame mid-stream, so the process restarts, which always
+   * opens with one, and encodes the last frame again right away.
+   * @param {string} encoderId Encoder ID
+   * @returns {Promise<boolean>} Whether a key frame is on its way
+   */
+  async requestKeyFrame(encoderId) {
+    // Get encoder
+    const encoder = this.encoders.get(encoderId);
+    
+    if (!encoder || !encoder.active) {
+      return false;
+    }
+    
+    // Restarts are not free, so a client that keeps falling behind waits for the GOP in between
+    const now = Date.now();
+    
+    if (now - encoder.keyFrameRequestedAt < ENCODER_CONFIG.keyFrameRequestInterval) {
+      return false;
+    }
+    
+    encoder.keyFrameRequestedAt = now;
+    encoder.stats.keyFrameRequests++;
+    
+    const lastFrame = encoder.lastFrame;
+    
+    // Restart FFmpeg process
+    await this.stopEncoder(encoderId);
+    
+    if (!await this.startEncoder(encoderId)) {
+      return false;
+    }
+    
+    // Encode the picture the client is missing
+    if (lastFrame) {
+      encoder.lastFrame = lastFrame;
+      
+      this.writeFrame(encoder, lastFrame, {
+        timestamp: now,
+        submittedAt: now,
+        repeat: false
+      });
+    }
+    
+    return true;
+  }
+
+  /**
+   * Get number of frames waiting for output
+   * @param {string} encoderId Encoder ID
+   * @returns {number} Queue depth
+   */
+  getQueueDepth(encoderId) {
+    const encoder = this.encoders.get(encoderId);
+    
+    return encoder ? encoder.pendingFrames.length : 0;
+  }
+
+  /**
+   * Get codec of encoded frames
+   * @param {string} encoderId Encoder ID
+   * @returns {string} Codec
+   */
+  getOutputCodec(encoderId) {
+    return 'h264';
+  }
+
+  /**
+   * Write frame to FFmpeg stdin
+   * @param {Object} encoder Encoder info
+   * @param {Buffer} frameData Frame data
+   * @param {Object} entry Pending frame entry matched to the access unit it produces
+   */
+  writeFrame(encoder, frameData, entry) {
+    const ffmpeg = encoder.process;
+    
+    encoder.pendingFrames.push(entry);
+    encoder.writesPending++;
+    
+    const flushed = ffmpeg.stdin.write(frameData, () => {
+      // Writes to a replaced process no longer count
+      if (encoder.process === ffmpeg) {
+        encoder.writesPending--;
+      }
+    });
+    
+    if (!flushed) {
+      encoder.backpressure = true;
+      
+      ffmpeg.stdin.once('drain', () => {
+        encoder.backpressure = false;
+      });
+    }
+    
+    this.scheduleFlush(encoder);
+  }
+
+  /**
+   * Restart the idle flush timer
+   * An access unit is complete only once the next one starts, so a still page would hold back its last frame.
+   * @param {Object} encoder Encoder info
+   */
+  scheduleFlush(encoder) {
+    clearTimeout(encoder.flushTimer);
+    encoder.flushTimer = setTimeout(() => this.flushPendingFrame(encoder), ENCODER_CONFIG.idleFlushDelay);
+  }
+
+  /**
+   * Repeat the last frame so the access unit of the pending frame completes
+   * @param {Object} encoder Encoder info
+   */
+  flushPendingFrame(encoder) {
+    const [pending, ...following] = encoder.pendingFrames;
+    
+    if (!encoder.active || !encoder.process || !pending || !encoder.lastFrame || encoder.backpressure) {
+      return;
+    }
+    
+    // Only a single real frame waiting behind the pipeline is pushed out, and repeats never push out each other.
+    // The JPEG demuxer holds back one image itself, so JPEG input takes a second repeat.
+    const pipelineDepth = RAW_INPUT_FORMATS[encoder.options.inputFormat] ? 1 : 2;
+    
+    if (pending.repeat || following.some(entry => !entry.repeat) || following.length >= pipelineDepth) {
+      return;
+    }
+    
+    const now = Date.now();
+    
+    this.writeFrame(encoder, encoder.lastFrame, {
+      timestamp: now,
+      submittedAt: now,
+      repeat: true
+    });
+  }
+
+  /**
+   * Handle H.264 data from FFmpeg stdout
+   * @param {Object} encoder Encoder info
+   * @param {Buffer} data Annex-B stream data
+   */
+  handleEncodedData(encoder, data) {
+    try {
+      this.scheduleFlush(encoder);
+      
+      // Emit every completed access unit
+      for (const accessUnit of encoder.parser.push(data)) {
+        this.emitAccessUnit(encoder, accessUnit);
+      }
+    } catch (error) {
+      logger.error(`Error parsing encoded data for encoder ${encoder.id}`, error);
+    }
+  }
+
+  /**
+   * Emit access unit as encoded frame
+   * @param {Object} encoder Encoder info
+   * @param {Object} accessUnit Access unit
+   */
+  emitAccessUnit(encoder, accessUnit) {
+    // FFmpeg keeps frame order, so access units match pending frames one to one
+    const now = Date.now();
+    const entry = encoder.pendingFrames.shift() || { timestamp: now, submittedAt: now, repeat: false };
+    
+    // Update stats
+    encoder.stats.framesEncoded++;
+    encoder.stats.bytesEncoded += accessUnit.data.length;
+    encoder.stats.encodingTime += now - entry.submittedAt;
+    encoder.stats.lastFrameTime = now;
+    
+    if (accessUnit.keyFrame) {
+      encoder.stats.keyFrames++;
+    }
+    
+    // Emit encoded frame event
+    this.emit('encodedFrame', encoder.id, accessUnit.data, {
+      timestamp: entry.timestamp,
+      keyFrame: accessUnit.keyFrame,
+      format: 'h264',
+      width: encoder.options.width,
+      height: encoder.options.height,
+      repeated: entry.repeat
+    });
+  }
+
   /**
    * Stop encoder
    * @param {string} encoderId Encoder ID
@@ -613,13 +881,20 @@ class CUDAEncoder extends EventEmitter {
         return true;
       }
       
+      // Mark as stopping so the exit does not trigger a fallback
+      encoder.stopping = true;
+      clearTimeout(encoder.flushTimer);
+      
       // Kill process
       if (encoder.process) {
+        encoder.process.stdin.destroy();
         encoder.process.kill();
       }
       
       // Update encoder status
       encoder.active = false;
+      encoder.pendingFrames = [];
+      encoder.lastFrame = null;
       
       logger.info(`Encoder stopped: ${encoderId}`);
       
@@ -641,6 +916,30 @@ class CUDAEncoder extends EventEmitter {
     }
   }
 
+  /**
+   * Destroy encoder
+   * @param {string} encoderId Encoder ID
+   * @returns {Promise<boolean>} Success
+   */
+  async destroyEncoder(encoderId) {
+    try {
+      logger.info(`Destroying encoder: ${encoderId}`);
+      
+      // Stop encoder
+      await this.stopEncoder(encoderId);
+      
+      // Remove encoder
+      this.encoders.delete(encoderId);
+      
+      logger.info(`Encoder destroyed: ${encoderId}`);
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error destroying encoder: ${encoderId}`, error);
+      return false;
+    }
+  }
+
   /**
    * Get encoder
    * @param {string} encoderId Encoder ID
@@ -686,6 +985,14 @@ class CUDAEncoder extends EventEmitter {
     return this.encoders.size;
   }
 
+  /**
+   * Check if FFmpeg can be used for encoding
+   * @returns {boolean} Available
+   */
+  isAvailable() {
+    return this.ffmpegAvailable;
+  }
+
   /**
    * Shutdown encoder
    * @returns {Promise<boolean>} Success
@@ -0,0 +1,711 @@
+/**
+ * Download Service
+ * Quarantines files downloaded in isolated browsers and delivers them out of band
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { DOWNLOAD_CONFIG } = require('../utils/config');
+const logger = require('../utils/logger');
+const { NotFoundError, ConflictError } = require('../utils/error-handler');
+
+// Magic numbers of common file types
+const MAGIC_NUMBERS = [
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mimeType: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { mimeType: 'application/x-msdownload', bytes: [0x4d, 0x5a] },
+  { mimeType: 'application/x-executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { mimeType: 'application/x-mach-binary', bytes: [0xcf, 0xfa, 0xed, 0xfe] }
+];
+
+// Zip based formats told apart by extension
+const ZIP_EXTENSIONS = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Text based formats told apart by extension
+const TEXT_EXTENSIONS = {
+  '.csv': 'text/csv',
+  '.json': 'application/json'
+};
+
+// Extensions a file of each type may carry, the first one given to files without
+const TYPE_EXTENSIONS = {
+  'application/pdf': ['.pdf'],
+  'application/zip': ['.zip'],
+  'application/gzip': ['.gz', '.tgz'],
+  'image/png': ['.png'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  ...Object.fromEntries(Object.entries(ZIP_EXTENSIONS).map(([extension, mimeType]) => [mimeType, [extension]])),
+  ...Object.fromEntries(Object.entries(TEXT_EXTENSIONS).map(([extension, mimeType]) => [mimeType, [extension]])),
+  'text/plain': ['.txt', '.log']
+};
+
+// Bytes read for type detection
+const SNIFF_LENGTH = 4096;
+
+/**
+ * DownloadService class
+ */
+class DownloadService extends EventEmitter {
+  /**
+   * Constructor
+   * @param {Object} browserPool Browser pool instance
+   * @param {Object} sessionManager Session manager instance
+   */
+  constructor(browserPool, sessionManager) {
+    super();
+    this.browserPool = browserPool;
+    this.sessionManager = sessionManager;
+    this.downloads = new Map();
+    this.scanner = DOWNLOAD_CONFIG.scanner.command ? this.runScannerCommand.bind(this) : null;
+    this.running = false;
+    
+    logger.info('Download Service initialized');
+  }
+
+  /**
+   * Initialize download service
+   * @returns {Promise<boolean>} Success
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing Download Service');
+      
+      // Create quarantine directory, readable by the server only
+      await fs.promises.mkdir(DOWNLOAD_CONFIG.quarantineDir, { recursive: true, mode: 0o700 });
+      
+      // Setup event listeners
+      this.setupEventListeners();
+      
+      // Set running flag
+      this.running = true;
+      
+      logger.info('Download Service initialized successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error initializing Download Service', error);
+      this.running = false;
+      return false;
+    }
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Browser Pool events
+    this.browserPool.on('downloadStarted', this.handleDownloadStarted.bind(this));
+    this.browserPool.on('downloadProgress', this.handleDownloadProgress.bind(this));
+    this.browserPool.on('downloadCompleted', this.handleDownloadCompleted.bind(this));
+    this.browserPool.on('downloadCanceled', this.handleDownloadCanceled.bind(this));
+    
+    // Session Manager events
+    this.sessionManager.on('sessionClosed', this.handleSessionClosed.bind(this));
+  }
+
+  /**
+   * Set scanner hook
+   * The scanner is called with the quarantined file path and the download,
+   * and resolves to { clean: boolean, details: string }
+   * @param {Function} scanner Scanner function, or null to skip scanning
+   */
+  setScanner(scanner) {
+    this.scanner = scanner;
+  }
+
+  /**
+   * Handle download started
+   * @param {string} pageId Page ID
+   * @param {Object} browserDownload Browser download
+   */
+  handleDownloadStarted(pageId, browserDownload) {
+    // Find session owning the page
+    const session = pageId ? this.sessionManager.findSessionByPageId(pageId) : null;
+    
+    if (!session) {
+      logger.warn(`Download ${browserDownload.guid} has no owning session, canceling`);
+      this.cancelBrowserDownload(browserDownload.guid);
+      return;
+    }
+    
+    const download = {
+      id: browserDownload.guid,
+      sessionId: session.id,
+      pageId,
+      url: browserDownload.url,
+      filename: sanitizeFilename(browserDownload.suggestedFilename),
+      state: 'downloading',
+      reason: null,
+      totalBytes: 0,
+      receivedBytes: 0,
+      size: null,
+      mimeType: null,
+      sha256: null,
+      scan: null,
+      filePath: null,
+      createdAt: Date.now(),
+      completedAt: null
+    };
+    
+    // Store download
+    this.downloads.set(download.id, download);
+    
+    // Emit download started event
+    this.emit('downloadStarted', session.id, download);
+  }
+
+  /**
+   * Handle download progress
+   * @param {string} pageId Page ID
+   * @param {Object} browserDownload Browser download
+   */
+  handleDownloadProgress(pageId, browserDownload) {
+    // Get download
+    const download = this.downloads.get(browserDownload.guid);
+    
+    if (!download) {
+      return;
+    }
+    
+    // Update download
+    download.totalBytes = browserDownload.totalBytes;
+    download.receivedBytes = browserDownload.receivedBytes;
+    
+    // Stop oversized downloads early
+    if (Math.max(download.totalBytes, download.receivedBytes) > DOWNLOAD_CONFIG.maxFileSize) {
+      this.rejectDownload(download, 'size_limit');
+      this.cancelBrowserDownload(browserDownload.guid);
+    }
+  }
+
+  /**
+   * Handle download completed
+   * @param {string} pageId Page ID
+   * @param {Object} browserDownload Browser download
+   * @returns {Promise<void>}
+   */
+  async handleDownloadCompleted(pageId, browserDownload) {
+    // Get download
+    const download = this.downloads.get(browserDownload.guid);
+    
+    if (!download || download.state !== 'downloading') {
+      await removeFile(browserDownload.filePath);
+      return;
+    }
+    
+    try {
+      await this.quarantineDownload(download, browserDownload.filePath);
+    } catch (error) {
+      logger.error(`Error quarantining download ${download.id}`, error);
+      await this.rejectDownload(download, 'quarantine_error');
+      await removeFile(browserDownload.filePath);
+    }
+  }
+
+  /**
+   * Handle download canceled
+   * @param {string} pageId Page ID
+   * @param {Object} browserDownload Browser download
+   * @returns {Promise<void>}
+   */
+  async handleDownloadCanceled(pageId, browserDownload) {
+    // Get download
+    const download = this.downloads.get(browserDownload.guid);
+    
+    if (download && download.state === 'downloading') {
+      download.state = 'canceled';
+      download.completedAt = Date.now();
+    }
+    
+    await removeFile(browserDownload.filePath);
+  }
+
+  /**
+   * Move completed download into quarantine and check it
+   * @param {Object} download Download info
+   * @param {string} stagingPath Staged file path
+   * @returns {Promise<void>}
+   */
+  async quarantineDownload(download, stagingPath) {
+    download.state = 'scanning';
+    
+    // Move file into the session quarantine directory
+    const sessionDir = path.join(DOWNLOAD_CONFIG.quarantineDir, download.sessionId);
+    await fs.promises.mkdir(sessionDir, { recursive: true, mode: 0o700 });
+    
+    download.filePath = path.join(sessionDir, download.id);
+    await moveFile(stagingPath, download.filePath);
+    await fs.promises.chmod(download.filePath, 0o600);
+    
+    // Check size
+    const { size } = await fs.promises.stat(download.filePath);
+    download.size = size;
+    
+    if (size > DOWNLOAD_CONFIG.maxFileSize) {
+      await this.rejectDownload(download, 'size_limit');
+      return;
+    }
+    
+    // Executables and scripts are not delivered whatever they contain
+    if (isExtensionBlocked(download.filename)) {
+      await this.rejectDownload(download, 'extension');
+      return;
+    }
+    
+    // Check type from content, not from what the site claims
+    download.mimeType = await detectMimeType(download.filePath, download.filename);
+    
+    if (!isMimeTypeAllowed(download.mimeType)) {
+      await this.rejectDownload(download, 'mime_type');
+      return;
+    }
+    
+    // The delivered file name must not make the user's machine open it as something else
+    const filename = matchFilenameToType(download.filename, download.mimeType);
+    
+    if (!filename) {
+      await this.rejectDownload(download, 'extension_mismatch');
+      return;
+    }
+    
+    download.filename = filename;
+    
+    // Hash file
+    download.sha256 = await hashFile(download.filePath);
+    
+    // Scan file
+    if (this.scanner) {
+      try {
+        download.scan = await this.scanner(download.filePath, download);
+      } catch (error) {
+        logger.error(`Error scanning download ${download.id}`, error);
+        download.scan = { clean: !DOWNLOAD_CONFIG.scanner.failClosed, details: error.message };
+      }
+      
+      if (!download.scan.clean) {
+        await this.rejectDownload(download, 'scan');
+        return;
+      }
+    }
+    
+    // Download is ready for delivery
+    download.state = 'ready';
+    download.completedAt = Date.now();
+    
+    logger.info(`Download ${download.id} ready for session ${download.sessionId}: ${download.filename} (${download.mimeType}, ${download.size} bytes)`);
+    
+    // Emit download ready event
+    this.emit('downloadReady', download.sessionId, this.toDownloadInfo(download));
+  }
+
+  /**
+   * Reject download and remove its file
+   * @param {Object} download Download info
+   * @param {string} reason Rejection reason
+   * @returns {Promise<void>}
+   */
+  async rejectDownload(download, reason) {
+    if (download.state === 'rejected') {
+      return;
+    }
+    
+    download.state = 'rejected';
+    download.reason = reason;
+    download.completedAt = Date.now();
+    
+    logger.warn(`Download ${download.id} rejected for session ${download.sessionId}: ${reason}`);
+    
+    if (download.filePath) {
+      await removeFile(download.filePath);
+      download.filePath = null;
+    }
+    
+    // Emit download rejected event
+    this.emit('downloadRejected', download.sessionId, this.toDownloadInfo(download));
+  }
+
+  /**
+   * Cancel download in the browser
+   * @param {string} guid Download GUID
+   */
+  cancelBrowserDownload(guid) {
+    this.browserPool.cancelDownload(guid).catch((error) => {
+      logger.error(`Error canceling download ${guid}`, error);
+    });
+  }
+
+  /**
+   * Run scanner command on file
+   * Exit code 0 means clean, 1 means infected, anything else is an error
+   * @param {string} filePath File path
+   * @returns {Promise<Object>} Scan result
+   */
+  runScannerCommand(filePath) {
+    return new Promise((resolve, reject) => {
+      const [command, ...args] = DOWNLOAD_CONFIG.scanner.command.split(/\s+/);
+      const hasPlaceholder = args.includes('{file}');
+      const commandArgs = hasPlaceholder ? args.map(arg => (arg === '{file}' ? filePath : arg)) : [...args, filePath];
+      
+      const scanner = spawn(command, commandArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+      let output = '';
+      
+      const timeout = setTimeout(() => {
+        scanner.kill('SIGKILL');
+        reject(new Error(`Scanner timed out after ${DOWNLOAD_CONFIG.scanner.timeout} ms`));
+      }, DOWNLOAD_CONFIG.scanner.timeout);
+      
+      scanner.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+      
+      scanner.stderr.on('data', (data) => {
+        output += data.toString();
+      });
+      
+      scanner.on('error', (error) => {
+        clearTimeout(timeout);
+        reject(error);
+      });
+      
+      scanner.on('close', (code) => {
+        clearTimeout(timeout);
+        
+        if (code === 0 || code === 1) {
+          resolve({ clean: code === 0, details: output.trim().slice(0, 1000) });
+        } else {
+          reject(new Error(`Scanner exited with code ${code}: ${output.trim().slice(0, 200)}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Get session download
+   * @param {string} sessionId Session ID
+   * @param {string} downloadId Download ID
+   * @returns {Object} Download info
+   */
+  getDownload(sessionId, downloadId) {
+    const download = this.downloads.get(downloadId);
+    
+    if (!download || download.sessionId !== sessionId) {
+      throw new NotFoundError(`Download not found: ${downloadId}`);
+    }
+    
+    return download;
+  }
+
+  /**
+   * Get download file for delivery
+   * @param {string} sessionId Session ID
+   * @param {string} downloadId Download ID
+   * @returns {Object} File path, name, type and hash
+   */
+  getDownloadFile(sessionId, downloadId) {
+    const download = this.getDownload(sessionId, downloadId);
+    
+    if (download.state !== 'ready') {
+      throw new ConflictError(`Download is not ready: ${download.state}`);
+    }
+    
+    return {
+      filePath: download.filePath,
+      filename: download.filename,
+      mimeType: download.mimeType,
+      sha256: download.sha256
+    };
+  }
+
+  /**
+   * List session downloads
+   * @param {string} sessionId Session ID
+   * @returns {Array} Downloads
+   */
+  listDownloads(sessionId) {
+    return Array.from(this.downloads.values())
+      .filter(download => download.sessionId === sessionId)
+      .map(download => this.toDownloadInfo(download));
+  }
+
+  /**
+   * Delete session download
+   * @param {string} sessionId Session ID
+   * @param {string} downloadId Download ID
+   * @returns {Promise<boolean>} Success
+   */
+  async deleteDownload(sessionId, downloadId) {
+    const download = this.getDownload(sessionId, downloadId);
+    
+    // Stop downloads still in flight
+    if (download.state === 'downloading') {
+      download.state = 'canceled';
+      this.cancelBrowserDownload(downloadId);
+    }
+    
+    if (download.filePath) {
+      await removeFile(download.filePath);
+    }
+    
+    this.downloads.delete(downloadId);
+    
+    logger.info(`Download ${downloadId} deleted for session ${sessionId}`);
+    
+    return true;
+  }
+
+  /**
+   * Handle session closed
+   * @param {string} sessionId Session ID
+   * @returns {Promise<void>}
+   */
+  async handleSessionClosed(sessionId) {
+    try {
+      for (const download of Array.from(this.downloads.values())) {
+        if (download.sessionId === sessionId) {
+          await this.deleteDownload(sessionId, download.id);
+        }
+      }
+      
+      await fs.promises.rm(path.join(DOWNLOAD_CONFIG.quarantineDir, sessionId), { recursive: true, force: true });
+    } catch (error) {
+      logger.error(`Error removing downloads for session ${sessionId}`, error);
+    }
+  }
+
+  /**
+   * Convert download to public info
+   * @param {Object} download Download info
+   * @returns {Object} Public download info
+   */
+  toDownloadInfo(download) {
+    return {
+      downloadId: download.id,
+      url: download.url,
+      filename: download.filename,
+      state: download.state,
+      reason: download.reason,
+      receivedBytes: download.receivedBytes,
+      totalBytes: download.totalBytes,
+      size: download.size,
+      mimeType: download.mimeType,
+      sha256: download.sha256,
+      scan: download.scan,
+      createdAt: download.createdAt,
+      completedAt: download.completedAt
+    };
+  }
+
+  /**
+   * Check if download service is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Shutdown download service
+   * @returns {Promise<boolean>} Success
+   */
+  async shutdown() {
+    try {
+      logger.info('Shutting down Download Service');
+      
+      // Remove quarantined files
+      for (const download of this.downloads.values()) {
+        if (download.filePath) {
+          await removeFile(download.filePath);
+        }
+      }
+      
+      this.downloads.clear();
+      
+      // Set running flag
+      this.running = false;
+      
+      logger.info('Download Service shut down successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error shutting down Download Service', error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Reduce a site supplied file name to a safe base name
+ * @param {string} filename Suggested file name
+ * @returns {string} Safe file name
+ */
+function sanitizeFilename(filename) {
+  const safe = path.basename(String(filename || ''))
+    .replace(/[\x00-\x1f\x7f"*/:<>?\\|]/g, '_')
+    .replace(/^\.+/, '')
+    .slice(0, 200);
+  
+  return safe || 'download';
+}
+
+/**
+ * Detect MIME type from file content
+ * @param {string} filePath File path
+ * @param {string} filename File name
+ * @returns {Promise<string>} MIME type
+ */
+async function detectMimeType(filePath, filename) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const header = Buffer.alloc(SNIFF_LENGTH);
+  let bytesRead;
+  
+  try {
+    ({ bytesRead } = await handle.read(header, 0, SNIFF_LENGTH, 0));
+  } finally {
+    await handle.close();
+  }
+  
+  const content = header.subarray(0, bytesRead);
+  const extension = path.extname(filename).toLowerCase();
+  
+  // Binary formats
+  const match = MAGIC_NUMBERS.find(({ bytes }) => bytes.every((byte, index) => content[index] === byte));
+  
+  if (match) {
+    if (match.mimeType === 'application/zip' && ZIP_EXTENSIONS[extension]) {
+      return ZIP_EXTENSIONS[extension];
+    }
+    
+    return match.mimeType;
+  }
+  
+  // WebP is RIFF....WEBP
+  if (content.subarray(0, 4).toString('latin1') === 'RIFF' && content.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  
+  // Text has no NUL bytes
+  if (!content.includes(0)) {
+    return TEXT_EXTENSIONS[extension] || 'text/plain';
+  }
+  
+  return 'application/octet-stream';
+}
+
+/**
+ * Check file name against the blocked extensions
+ * Every extension counts, so report.pdf.exe and archive.exe.txt are both caught.
+ * @param {string} filename File name
+ * @returns {boolean} Blocked
+ */
+function isExtensionBlocked(filename) {
+  const blocked = DOWNLOAD_CONFIG.blockedExtensions.map(extension => extension.trim().toLowerCase());
+  
+  return filename.toLowerCase().split('.').slice(1).some(part => blocked.includes(`.${part}`));
+}
+
+/**
+ * Match file name extension to the detected type
+ * Text with another extension is delivered as .txt, a file without extension gets the
+ * type's extension.
+ * @param {string} filename File name
+ * @param {string} mimeType Detected MIME type
+ * @returns {string|null} File name to deliver, or null when the extension contradicts the type
+ */
+function matchFilenameToType(filename, mimeType) {
+  const extensions = TYPE_EXTENSIONS[mimeType] || [];
+  const extension = path.extname(filename).toLowerCase();
+  
+  if (extensions.includes(extension)) {
+    return filename;
+  }
+  
+  if (mimeType === 'text/plain') {
+    return `${filename}.txt`;
+  }
+  
+  if (!extension && extensions.length > 0) {
+    return `${filename}${extensions[0]}`;
+  }
+  
+  return null;
+}
+
+/**
+ * Check MIME type against the allow list
+ * @param {string} mimeType MIME type
+ * @returns {boolean} Allowed
+ */
+function isMimeTypeAllowed(mimeType) {
+  return DOWNLOAD_CONFIG.allowedMimeTypes.some((allowed) => {
+    if (allowed.endsWith('*')) {
+      return mimeType.startsWith(allowed.slice(0, -1));
+    }
+    
+    return mimeType === allowed;
+  });
+}
+
+/**
+ * Hash file with SHA-256
+ * @param {string} filePath File path
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    
+    fs.createReadStream(filePath)
+      .on('data', data => hash.update(data))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Move file, copying when source and target are on different devices
+ * @param {string} source Source path
+ * @param {string} target Target path
+ * @returns {Promise<void>}
+ */
+async function moveFile(source, target) {
+  try {
+    await fs.promises.rename(source, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    
+    await fs.promises.copyFile(source, target);
+    await fs.promises.unlink(source);
+  }
+}
+
+/**
+ * Remove file, ignoring missing files
+ * @param {string} filePath File path
+ * @returns {Promise<void>}
+ */
+async function removeFile(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error removing file ${filePath}`, error);
+    }
+  }
+}
+
+module.exports = DownloadService;
@@ -0,0 +1,274 @@
+/**
+ * Frame Converter Service
+ * Decodes JPEG and PNG screencast frames to raw RGBA or I420 at the stream resolution
+ */
+
+const { EventEmitter } = require('events');
+const sharp = require('sharp');
+const { STREAMING_CONFIG } = require('../utils/config');
+const BufferPool = require('../utils/buffer-pool');
+const logger = require('../utils/logger');
+
+// Raw frame formats
+const FRAME_FORMATS = {
+  RGBA: 'rgba',
+  I420: 'i420'
+};
+
+// Letterbox fill, black in full range RGBA and limited range BT.601 YUV
+const BLACK_RGBA = Buffer.from([0, 0, 0, 255]);
+const BLACK_Y = 16;
+const BLACK_CHROMA = 128;
+
+/**
+ * FrameConverter class
+ */
+class FrameConverter extends EventEmitter {
+  /**
+   * Constructor
+   */
+  constructor() {
+    super();
+    this.pool = new BufferPool(STREAMING_CONFIG.framePoolSize);
+    this.stats = {
+      framesConverted: 0,
+      framesLetterboxed: 0,
+      conversionTime: 0,
+      errors: 0
+    };
+    
+    logger.info('Frame Converter initialized');
+  }
+
+  /**
+   * Initialize frame converter
+   * @returns {Promise<boolean>} Success
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing Frame Converter');
+      
+      // Avoid libvips caching decoded frames, each frame is seen once
+      sharp.cache(false);
+      
+      logger.info('Frame Converter initialized successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error initializing Frame Converter', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get raw frame size in bytes
+   * @param {number} width Width
+   * @param {number} height Height
+   * @param {string} format Frame format
+   * @returns {number} Size in bytes
+   */
+  getFrameSize(width, height, format) {
+    if (format === FRAME_FORMATS.I420) {
+      return width * height + 2 * Math.ceil(width / 2) * Math.ceil(height / 2);
+    }
+    
+    return width * height * 4;
+  }
+
+  /**
+   * Convert screencast frame
+   * The returned buffer belongs to a pool; call release() once it has been consumed.
+   * @param {Buffer} imageData JPEG or PNG image
+   * @param {Object} options Conversion options
+   * @param {number} options.width Target width
+   * @param {number} options.height Target height
+   * @param {string} options.format Target format, 'rgba' or 'i420'
+   * @returns {Promise<Object>} Raw frame with data, width, height, format and release()
+   */
+  async convertFrame(imageData, options = {}) {
+    const startTime = Date.now();
+    const width = options.width || STREAMING_CONFIG.defaultWidth;
+    const height = options.height || STREAMING_CONFIG.defaultHeight;
+    const format = options.format || STREAMING_CONFIG.rawFrameFormat;
+    
+    try {
+      // Decode and scale to fit inside the target, keeping the page aspect ratio
+      const { data, info } = await sharp(imageData)
+        .resize({ width, height, fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      
+      // Center the picture; even offsets keep chroma samples aligned
+      const offsetX = ((width - info.width) >> 1) & ~1;
+      const offsetY = ((height - info.height) >> 1) & ~1;
+      const letterboxed = info.width !== width || info.height !== height;
+      
+      // Compose into a pooled target buffer
+      const target = this.pool.acquire(this.getFrameSize(width, height, format));
+      
+      if (format === FRAME_FORMATS.I420) {
+        if (letterboxed) {
+          target.fill(BLACK_Y, 0, width * height);
+          target.fill(BLACK_CHROMA, width * height);
+        }
+        
+        rgbaToI420(data, info.width, info.height, target, width, height, offsetX, offsetY);
+      } else {
+        if (letterboxed) {
+          target.fill(BLACK_RGBA);
+        }
+        
+        const rowBytes = info.width * 4;
+        
+        for (let row = 0; row < info.height; row++) {
+          data.copy(target, ((offsetY + row) * width + offsetX) * 4, row * rowBytes, (row + 1) * rowBytes);
+        }
+      }
+      
+      // Update stats
+      this.stats.framesConverted++;
+      this.stats.conversionTime += Date.now() - startTime;
+      
+      if (letterboxed) {
+        this.stats.framesLetterboxed++;
+      }
+      
+      return {
+        data: target,
+        width,
+        height,
+        format,
+        release: () => this.pool.release(target)
+      };
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Error converting frame', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create greyscale thumbnail of a screencast frame
+   * @param {Buffer} imageData JPEG or PNG image
+   * @param {number} width Thumbnail width
+   * @param {number} height Thumbnail height
+   * @returns {Promise<Object>} Thumbnail with luma data, width, height, sourceWidth and sourceHeight
+   */
+  async createThumbnail(imageData, width, height) {
+    const image = sharp(imageData);
+    const metadata = await image.metadata();
+    
+    // Stretch to the thumbnail size so that thumbnail blocks map to fixed regions of the frame
+    const data = await image
+      .resize({ width, height, fit: 'fill' })
+      .removeAlpha()
+      .greyscale()
+      .raw()
+      .toBuffer();
+    
+    return {
+      data,
+      width,
+      height,
+      sourceWidth: metadata.width,
+      sourceHeight: metadata.height
+    };
+  }
+
+  /**
+   * Get converter stats
+   * @returns {Object} Converter stats
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      averageConversionTime: this.stats.framesConverted > 0 ? this.stats.conversionTime / this.stats.framesConverted : 0,
+      pool: this.pool.getStats()
+    };
+  }
+
+  /**
+   * Shutdown frame converter
+   * @returns {Promise<boolean>} Success
+   */
+  async shutdown() {
+    try {
+      logger.info('Shutting down Frame Converter');
+      
+      // Drop pooled buffers
+      this.pool.clear();
+      
+      logger.info('Frame Converter shutdown complete');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error shutting down Frame Converter', error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Convert RGBA pixels into a region of an I420 frame (BT.601, limited range)
+ * @param {Buffer} source RGBA pixels
+ * @param {number} sourceWidth Source width
+ * @param {number} sourceHeight Source height
+ * @param {Buffer} target I420 frame
+ * @param {number} targetWidth Target width
+ * @param {number} targetHeight Target height
+ * @param {number} offsetX Even horizontal offset in the target
+ * @param {number} offsetY Even vertical offset in the target
+ */
+function rgbaToI420(source, sourceWidth, sourceHeight, target, targetWidth, targetHeight, offsetX, offsetY) {
+  const chromaWidth = Math.ceil(targetWidth / 2);
+  const uPlane = targetWidth * targetHeight;
+  const vPlane = uPlane + chromaWidth * Math.ceil(targetHeight / 2);
+  
+  for (let y = 0; y < sourceHeight; y += 2) {
+    // Edge pixels are reused on odd sizes
+    const nextRow = y + 1 < sourceHeight ? y + 1 : y;
+    const lumaRow = (offsetY + y) * targetWidth + offsetX;
+    const nextLumaRow = (offsetY + nextRow) * targetWidth + offsetX;
+    const chromaRow = ((offsetY + y) >> 1) * chromaWidth + (offsetX >> 1);
+    
+    for (let x = 0; x < sourceWidth; x += 2) {
+      const nextColumn = x + 1 < sourceWidth ? x + 1 : x;
+      const topLeft = (y * sourceWidth + x) * 4;
+      const topRight = (y * sourceWidth + nextColumn) * 4;
+      const bottomLeft = (nextRow * sourceWidth + x) * 4;
+      const bottomRight = (nextRow * sourceWidth + nextColumn) * 4;
+      
+      target[lumaRow + x] = luma(source, topLeft);
+      target[lumaRow + nextColumn] = luma(source, topRight);
+      target[nextLumaRow + x] = luma(source, bottomLeft);
+      target[nextLumaRow + nextColumn] = luma(source, bottomRight);
+      
+      // Chroma of the block average
+      const red = (source[topLeft] + source[topRight] + source[bottomLeft] + source[bottomRight]) >> 2;
+      const green = (source[topLeft + 1] + source[topRight + 1] + source[bottomLeft + 1] + source[bottomRight + 1]) >> 2;
+      const blue = (source[topLeft + 2] + source[topRight + 2] + source[bottomLeft + 2] + source[bottomRight + 2]) >> 2;
+      const chroma = chromaRow + (x >> 1);
+      
+      target[uPlane + chroma] = ((-38 * red - 74 * green + 112 * blue + 128) >> 8) + 128;
+      target[vPlane + chroma] = ((112 * red - 94 * green - 18 * blue + 128) >> 8) + 128;
+    }
+  }
+}
+
+/**
+ * Compute BT.601 limited range luma of an RGBA pixel
+ * @param {Buffer} source RGBA pixels
+ * @param {number} pixel Byte offset of the pixel
+ * @returns {number} Luma
+ */
+function luma(source, pixel) {
+  return ((66 * source[pixel] + 129 * source[pixel + 1] + 25 * source[pixel + 2] + 128) >> 8) + 16;
+}
+
+// Create singleton instance
+const frameConverter = new FrameConverter();
+
+frameConverter.FRAME_FORMATS = FRAME_FORMATS;
+
+module.exports = frameConverter;
@@ -0,0 +1,773 @@
+/**
+ * Recording Service
+ * Records session streams to fragmented MP4 segments with a timeline of what happened in them
+ *
+ * Each recording lives in its own directory under RECORDING_CONFIG.dir, grouped by session:
+ * the video as segment-00000.mp4, segment-00001.mp4, ... and timeline.json holding the
+ * recording metadata and the navigations, inputs, tab changes and downloads in it.
+ * Recordings outlive their session and are purged by the retention policy.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { RECORDING_CONFIG, ENCODER_CONFIG } = require('../utils/config');
+const logger = require('../utils/logger');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/error-handler');
+
+// Recording files
+const TIMELINE_FILE = 'timeline.json';
+const SEGMENT_PATTERN = /^segment-\d{5}\.mp4$/;
+const RECORDING_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Input types too frequent to be worth a timeline entry
+const UNRECORDED_INPUT_TYPES = ['mousemove', 'wheel', 'touchmove'];
+
+// Input fields copied to the timeline; typed text is left out
+const RECORDED_INPUT_FIELDS = ['x', 'y', 'button'];
+
+// Key fields, copied only for named keys such as Enter, Tab or ArrowLeft, since a character key
+// would reveal what was typed
+const RECORDED_KEY_FIELDS = ['key', 'code'];
+
+/**
+ * RecordingService class
+ */
+class RecordingService extends EventEmitter {
+  /**
+   * Constructor
+   * @param {Object} browserPool Browser pool instance
+   * @param {Object} sessionManager Session manager instance
+   */
+  constructor(browserPool, sessionManager) {
+    super();
+    this.browserPool = browserPool;
+    this.sessionManager = sessionManager;
+    this.dir = RECORDING_CONFIG.dir;
+    this.recordings = new Map();
+    this.retentionInterval = null;
+    this.running = false;
+    
+    logger.info('Recording Service initialized');
+  }
+
+  /**
+   * Initialize recording service
+   * @returns {Promise<boolean>} Success
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing Recording Service');
+      
+      // Create recording directory, readable by the server only
+      await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+      
+      // Setup event listeners
+      this.setupEventListeners();
+      
+      // Apply the retention policy now and then periodically
+      await this.purgeRecordings();
+      
+      this.retentionInterval = setInterval(() => {
+        this.purgeRecordings().catch((error) => {
+          logger.error('Error purging recordings', error);
+        });
+      }, RECORDING_CONFIG.retentionCheckInterval);
+      
+      // Set running flag
+      this.running = true;
+      
+      logger.info('Recording Service initialized successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error initializing Recording Service', error);
+      this.running = false;
+      return false;
+    }
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Browser Pool events
+    this.browserPool.on('mainFrameNavigated', this.handleMainFrameNavigated.bind(this));
+    
+    // Session Manager events
+    this.sessionManager.on('inputSent', this.handleInputSent.bind(this));
+    this.sessionManager.on('tabOpened', (sessionId, tabId) => this.recordEvent(sessionId, 'tabOpened', { tabId }));
+    this.sessionManager.on('tabClosed', (sessionId, tabId) => this.recordEvent(sessionId, 'tabClosed', { tabId }));
+    this.sessionManager.on('activeTabChanged', (sessionId, tabId) => this.recordEvent(sessionId, 'tabChanged', { tabId }));
+    this.sessionManager.on('sessionClosed', this.handleSessionClosed.bind(this));
+  }
+
+  /**
+   * Handle main frame navigated
+   * @param {string} pageId Page ID
+   * @param {string} url URL
+   */
+  handleMainFrameNavigated(pageId, url) {
+    const session = this.sessionManager.findSessionByPageId(pageId);
+    
+    if (session) {
+      this.recordEvent(session.id, 'navigation', { tabId: pageId, url });
+    }
+  }
+
+  /**
+   * Handle input sent to a session page
+   * @param {string} sessionId Session ID
+   * @param {string} pageId Page ID
+   * @param {Object} input Client input
+   */
+  handleInputSent(sessionId, pageId, input) {
+    if (UNRECORDED_INPUT_TYPES.includes(input.type)) {
+      return;
+    }
+    
+    const details = { tabId: pageId, inputType: input.type };
+    
+    // Named keys are longer than the single character, counted in code points, a printable key produces
+    const fields = typeof input.key === 'string' && Array.from(input.key).length > 1
+      ? [...RECORDED_INPUT_FIELDS, ...RECORDED_KEY_FIELDS]
+      : RECORDED_INPUT_FIELDS;
+    
+    for (const field of fields) {
+      if (input[field] !== undefined) {
+        details[field] = input[field];
+      }
+    }
+    
+    this.recordEvent(sessionId, 'input', details);
+  }
+
+  /**
+   * Handle session closed
+   * @param {string} sessionId Session ID
+   * @returns {Promise<void>}
+   */
+  async handleSessionClosed(sessionId) {
+    if (this.recordings.has(sessionId)) {
+      await this.stopRecording(sessionId, 'session_closed');
+    }
+  }
+
+  /**
+   * Start recording a session
+   * @param {string} sessionId Session ID
+   * @returns {Promise<Object>} Recording info
+   */
+  async startRecording(sessionId) {
+    // Check if recording already exists
+    if (this.recordings.has(sessionId)) {
+      return this.toRecordingInfo(this.recordings.get(sessionId));
+    }
+    
+    const session = this.sessionManager.getSession(sessionId);
+    
+    if (!session) {
+      throw new NotFoundError(`Session not found: ${sessionId}`);
+    }
+    
+    const recordingId = crypto.randomUUID();
+    const recording = {
+      id: recordingId,
+      sessionId,
+      userId: session.userId || null,
+      dir: this.getRecordingDir(sessionId, recordingId),
+      status: 'recording',
+      reason: null,
+      error: null,
+      frameRate: RECORDING_CONFIG.frameRate,
+      width: RECORDING_CONFIG.width,
+      height: RECORDING_CONFIG.height,
+      segmentDuration: RECORDING_CONFIG.segmentDuration,
+      startedAt: Date.now(),
+      endedAt: null,
+      framesWritten: 0,
+      framesSkipped: 0,
+      events: [],
+      latestFrame: null,
+      backpressure: false,
+      process: null,
+      frameTimer: null,
+      flushTimer: null,
+      flushing: Promise.resolve(),
+      closed: null
+    };
+    
+    await fs.promises.mkdir(recording.dir, { recursive: true, mode: 0o700 });
+    
+    // Start FFmpeg
+    this.startEncoder(recording);
+    
+    // Store recording
+    this.recordings.set(sessionId, recording);
+    
+    // The first event says where the recording starts
+    this.recordEvent(sessionId, 'start', { tabId: session.pageId || null, url: session.currentUrl || null });
+    
+    // Feed frames at a fixed rate; the latest frame repeats while the page is still
+    recording.frameTimer = setInterval(() => this.writeLatestFrame(recording), 1000 / recording.frameRate);
+    
+    // Keep the timeline on disk up to date
+    recording.flushTimer = setInterval(() => this.flushTimeline(recording), RECORDING_CONFIG.timelineFlushInterval);
+    
+    await this.flushTimeline(recording);
+    
+    logger.info(`Recording ${recordingId} started for session ${sessionId}`);
+    
+    // Emit recording started event
+    this.emit('recordingStarted', sessionId, this.toRecordingInfo(recording));
+    
+    return this.toRecordingInfo(recording);
+  }
+
+  /**
+   * Start FFmpeg process of a recording
+   * @param {Object} recording Recording info
+   */
+  startEncoder(recording) {
+    const ffmpeg = spawn(ENCODER_CONFIG.ffmpegPath, this.buildFFmpegArgs(recording), {
+      stdio: ['pipe', 'ignore', 'pipe']
+    });
+    
+    // Closed resolves once FFmpeg has exited and finished its last segment
+    recording.closed = new Promise((resolve) => {
+      ffmpeg.on('close', (code) => {
+        logger.info(`FFmpeg process closed for recording ${recording.id} with code ${code}`);
+        
+        // An exit the recording did not ask for fails it
+        if (recording.status === 'recording') {
+          this.failRecording(recording, new Error(`FFmpeg exited with code ${code}`));
+        }
+        
+        resolve(code);
+      });
+    });
+    
+    ffmpeg.stderr.on('data', (data) => {
+      logger.debug(`FFmpeg stderr for recording ${recording.id}: ${data.toString()}`);
+    });
+    
+    // Writes after FFmpeg exits fail with EPIPE; the close handler deals with the exit
+    ffmpeg.stdin.on('error', (error) => {
+      logger.debug(`FFmpeg stdin error for recording ${recording.id}: ${error.message}`);
+    });
+    
+    ffmpeg.stdin.on('drain', () => {
+      recording.backpressure = false;
+    });
+    
+    ffmpeg.on('error', (error) => {
+      logger.error(`FFmpeg error for recording ${recording.id}`, error);
+      
+      if (recording.status === 'recording') {
+        this.failRecording(recording, error);
+      }
+    });
+    
+    recording.process = ffmpeg;
+  }
+
+  /**
+   * Build FFmpeg arguments
+   * Frames are scaled and padded to one size so tab changes and resizes do not break the video,
+   * and a key frame starts every segment so each one plays on its own.
+   * @param {Object} recording Recording info
+   * @returns {Array} FFmpeg arguments
+   */
+  buildFFmpegArgs(recording) {
+    const { width, height, frameRate, segmentDuration } = recording;
+    
+    return [
+      '-hide_banner',
+      '-loglevel', 'warning',
+      
+      // Screencast images from stdin
+      '-f', 'image2pipe',
+      '-framerate', String(frameRate),
+      '-i', 'pipe:0',
+      
+      // Video
+      '-vf', `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,format=yuv420p`,
+      '-c:v', 'libx264',
+      '-preset', RECORDING_CONFIG.preset,
+      '-crf', String(RECORDING_CONFIG.crf),
+      '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`,
+      '-an',
+      
+      // Fragmented MP4 segments
+      '-f', 'segment',
+      '-segment_time', String(segmentDuration),
+      '-segment_format', 'mp4',
+      '-segment_format_options', 'movflags=+frag_keyframe+empty_moov+default_base_moof',
+      '-reset_timestamps', '1',
+      path.join(recording.dir, 'segment-%05d.mp4')
+    ];
+  }
+
+  /**
+   * Take a screencast frame for the session's recording
+   * @param {string} sessionId Session ID
+   * @param {Object} frameObject Screencast frame object
+   */
+  writeFrame(sessionId, frameObject) {
+    const recording = this.recordings.get(sessionId);
+    
+    if (recording && recording.status === 'recording') {
+      recording.latestFrame = frameObject.data;
+    }
+  }
+
+  /**
+   * Write latest frame to FFmpeg
+   * A tick is skipped while FFmpeg has not caught up, which shortens the video rather than
+   * buffering frames without bound.
+   * @param {Object} recording Recording info
+   */
+  writeLatestFrame(recording) {
+    if (!recording.latestFrame || recording.status !== 'recording') {
+      return;
+    }
+    
+    if (recording.backpressure) {
+      recording.framesSkipped++;
+      return;
+    }
+    
+    const data = typeof recording.latestFrame === 'string'
+      ? Buffer.from(recording.latestFrame, 'base64')
+      : recording.latestFrame;
+    
+    recording.backpressure = !recording.process.stdin.write(data);
+    recording.framesWritten++;
+  }
+
+  /**
+   * Add event to the session's recording timeline
+   * @param {string} sessionId Session ID
+   * @param {string} type Event type
+   * @param {Object} details Event details
+   */
+  recordEvent(sessionId, type, details = {}) {
+    const recording = this.recordings.get(sessionId);
+    
+    if (!recording || recording.status !== 'recording') {
+      return;
+    }
+    
+    const now = Date.now();
+    
+    recording.events.push({
+      type,
+      // Offset into the video in milliseconds
+      offset: now - recording.startedAt,
+      timestamp: now,
+      ...details
+    });
+  }
+
+  /**
+   * Stop recording a session
+   * @param {string} sessionId Session ID
+   * @param {string} reason Reason for stopping
+   * @returns {Promise<Object>} Recording info, or null when the session is not recording
+   */
+  async stopRecording(sessionId, reason = 'stopped') {
+    const recording = this.recordings.get(sessionId);
+    
+    if (!recording) {
+      return null;
+    }
+    
+    this.recordEvent(sessionId, 'stop', { reason });
+    
+    this.recordings.delete(sessionId);
+    this.clearTimers(recording);
+    
+    if (recording.status === 'recording') {
+      recording.status = 'stopping';
+      
+      // Closing stdin lets FFmpeg finish the last segment; one that does not exit in time is killed
+      recording.process.stdin.end();
+      
+      let timeout = null;
+      const exited = await Promise.race([
+        recording.closed.then(() => true),
+        new Promise((resolve) => {
+          timeout = setTimeout(() => resolve(false), RECORDING_CONFIG.stopTimeout);
+        })
+      ]);
+      
+      clearTimeout(timeout);
+      
+      if (!exited) {
+        logger.warn(`FFmpeg did not exit in time for recording ${recording.id}, killing it`);
+        recording.process.kill('SIGKILL');
+      }
+      
+      recording.status = 'complete';
+      recording.reason = reason;
+      recording.endedAt = Date.now();
+    }
+    
+    recording.latestFrame = null;
+    
+    await this.flushTimeline(recording);
+    
+    logger.info(`Recording ${recording.id} of session ${sessionId} ended: ${recording.status}`);
+    
+    // Emit recording stopped event
+    this.emit('recordingStopped', sessionId, this.toRecordingInfo(recording));
+    
+    return this.toRecordingInfo(recording);
+  }
+
+  /**
+   * Fail recording whose FFmpeg process died
+   * @param {Object} recording Recording info
+   * @param {Error} error Error
+   */
+  failRecording(recording, error) {
+    logger.error(`Recording ${recording.id} of session ${recording.sessionId} failed: ${error.message}`);
+    
+    recording.status = 'failed';
+    recording.error = error.message;
+    recording.endedAt = Date.now();
+    recording.latestFrame = null;
+    
+    this.clearTimers(recording);
+    
+    if (this.recordings.get(recording.sessionId) === recording) {
+      this.recordings.delete(recording.sessionId);
+    }
+    
+    this.flushTimeline(recording);
+    
+    // Emit recording failed event
+    this.emit('recordingFailed', recording.sessionId, this.toRecordingInfo(recording));
+  }
+
+  /**
+   * Clear timers of a recording
+   * @param {Object} recording Recording info
+   */
+  clearTimers(recording) {
+    clearInterval(recording.frameTimer);
+    clearInterval(recording.flushTimer);
+    recording.frameTimer = null;
+    recording.flushTimer = null;
+  }
+
+  /**
+   * Write timeline of a recording
+   * Writes are chained so they land in order, and renamed into place so a reader never sees half a file.
+   * @param {Object} recording Recording info
+   * @returns {Promise<void>}
+   */
+  flushTimeline(recording) {
+    recording.flushing = recording.flushing.then(async () => {
+      const filePath = path.join(recording.dir, TIMELINE_FILE);
+      const tempPath = `${filePath}.tmp`;
+      const timeline = {
+        ...this.toRecordingInfo(recording),
+        events: recording.events
+      };
+      
+      await fs.promises.writeFile(tempPath, JSON.stringify(timeline, null, 2), { mode: 0o600 });
+      await fs.promises.rename(tempPath, filePath);
+    }).catch((error) => {
+      logger.error(`Error writing timeline of recording ${recording.id}`, error);
+    });
+    
+    return recording.flushing;
+  }
+
+  /**
+   * Check if a session is being recorded
+   * @param {string} sessionId Session ID
+   * @returns {boolean} Recording
+   */
+  isRecording(sessionId) {
+    return this.recordings.has(sessionId);
+  }
+
+  /**
+   * Get directory of a recording
+   * @param {string} sessionId Session ID
+   * @param {string} recordingId Recording ID
+   * @returns {string} Directory path
+   */
+  getRecordingDir(sessionId, recordingId) {
+    return path.join(this.getSessionDir(sessionId), recordingId);
+  }
+
+  /**
+   * Get directory of a session's recordings
+   * @param {string} sessionId Session ID
+   * @returns {string} Directory path
+   */
+  getSessionDir(sessionId) {
+    return path.join(this.dir, encodeURIComponent(sessionId));
+  }
+
+  /**
+   * Read a recording from disk
+   * @param {string} sessionId Session ID
+   * @param {string} recordingId Recording ID
+   * @returns {Promise<Object>} Timeline with segments
+   */
+  async readRecording(sessionId, recordingId) {
+    if (!RECORDING_ID_PATTERN.test(recordingId)) {
+      throw new ValidationError(`Invalid recording ID: ${recordingId}`);
+    }
+    
+    const dir = this.getRecordingDir(sessionId, recordingId);
+    let timeline;
+    
+    try {
+      timeline = JSON.parse(await fs.promises.readFile(path.join(dir, TIMELINE_FILE), 'utf8'));
+    } catch (error) {
+      throw new NotFoundError(`Recording not found: ${recordingId}`);
+    }
+    
+    // Segments are listed from disk since FFmpeg writes them on its own
+    const segments = [];
+    
+    for (const name of (await fs.promises.readdir(dir)).filter(entry => SEGMENT_PATTERN.test(entry)).sort()) {
+      const stats = await fs.promises.stat(path.join(dir, name)).catch(() => null);
+      
+      if (stats) {
+        segments.push({ name, size: stats.size });
+      }
+    }
+    
+    timeline.segments = segments;
+    timeline.size = segments.reduce((total, segment) => total + segment.size, 0);
+    
+    return timeline;
+  }
+
+  /**
+   * List session recordings
+   * @param {string} sessionId Session ID
+   * @returns {Promise<Array>} Recordings without their events, oldest first
+   */
+  async listRecordings(sessionId) {
+    const entries = await fs.promises.readdir(this.getSessionDir(sessionId)).catch(() => []);
+    const recordings = [];
+    
+    for (const recordingId of entries.filter(entry => RECORDING_ID_PATTERN.test(entry))) {
+      try {
+        const { events, ...recording } = await this.readRecording(sessionId, recordingId);
+        
+        recordings.push({ ...recording, eventCount: events.length });
+      } catch (error) {
+        logger.debug(`Skipping unreadable recording ${recordingId}: ${error.message}`);
+      }
+    }
+    
+    return recordings.sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * Get session recording
+   * @param {string} sessionId Session ID
+   * @param {string} recordingId Recording ID
+   * @returns {Promise<Object>} Recording with its events and segments
+   */
+  async getRecording(sessionId, recordingId) {
+    return this.readRecording(sessionId, recordingId);
+  }
+
+  /**
+   * Get segment file for delivery
+   * @param {string} sessionId Session ID
+   * @param {string} recordingId Recording ID
+   * @param {string} segment Segment file name
+   * @returns {Promise<string>} File path
+   */
+  async getSegmentFile(sessionId, recordingId, segment) {
+    if (!SEGMENT_PATTERN.test(segment)) {
+      throw new ValidationError(`Invalid segment: ${segment}`);
+    }
+    
+    const recording = await this.readRecording(sessionId, recordingId);
+    
+    if (!recording.segments.some(entry => entry.name === segment)) {
+      throw new NotFoundError(`Segment not found: ${segment}`);
+    }
+    
+    return path.join(this.getRecordingDir(sessionId, recordingId), segment);
+  }
+
+  /**
+   * Delete session recording
+   * @param {string} sessionId Session ID
+   * @param {string} recordingId Recording ID
+   * @returns {Promise<boolean>} Success
+   */
+  async deleteRecording(sessionId, recordingId) {
+    const recording = this.recordings.get(sessionId);
+    
+    if (recording && recording.id === recordingId) {
+      throw new ConflictError(`Recording in progress: ${recordingId}`);
+    }
+    
+    // Throws when the recording does not exist
+    await this.readRecording(sessionId, recordingId);
+    
+    await this.removeRecording(sessionId, recordingId);
+    
+    logger.info(`Recording ${recordingId} deleted for session ${sessionId}`);
+    
+    return true;
+  }
+
+  /**
+   * Remove recording directory, and the session directory once it is empty
+   * @param {string} sessionId Session ID
+   * @param {string} recordingId Recording ID
+   * @returns {Promise<void>}
+   */
+  async removeRecording(sessionId, recordingId) {
+    await fs.promises.rm(this.getRecordingDir(sessionId, recordingId), { recursive: true, force: true });
+    await fs.promises.rmdir(this.getSessionDir(sessionId)).catch(() => {});
+    
+    // Emit recording deleted event
+    this.emit('recordingDeleted', sessionId, recordingId);
+  }
+
+  /**
+   * Apply the retention policy
+   * Removes recordings older than retentionDays, then the oldest ones while the total size
+   * is over maxTotalSize. Recordings in progress are kept.
+   * @returns {Promise<number>} Number of recordings removed
+   */
+  async purgeRecordings() {
+    const cutoff = Date.now() - RECORDING_CONFIG.retentionDays * 24 * 60 * 60 * 1000;
+    const active = new Set(Array.from(this.recordings.values()).map(recording => recording.id));
+    const kept = [];
+    let removed = 0;
+    
+    for (const sessionDir of await fs.promises.readdir(this.dir).catch(() => [])) {
+      const sessionId = decodeURIComponent(sessionDir);
+      
+      for (const recording of await this.listRecordings(sessionId)) {
+        if (active.has(recording.recordingId)) {
+          continue;
+        }
+        
+        if (RECORDING_CONFIG.retentionDays > 0 && (recording.endedAt || recording.startedAt) < cutoff) {
+          await this.removeRecording(sessionId, recording.recordingId);
+          removed++;
+        } else {
+          kept.push(recording);
+        }
+      }
+    }
+    
+    // Oldest first until the rest fits
+    if (RECORDING_CONFIG.maxTotalSize > 0) {
+      let totalSize = kept.reduce((total, recording) => total + recording.size, 0);
+      
+      for (const recording of kept.sort((a, b) => a.startedAt - b.startedAt)) {
+        if (totalSize <= RECORDING_CONFIG.maxTotalSize) {
+          break;
+        }
+        
+        await this.removeRecording(recording.sessionId, recording.recordingId);
+        totalSize -= recording.size;
+        removed++;
+      }
+    }
+    
+    if (removed > 0) {
+      logger.info(`Retention policy removed ${removed} recordings`);
+    }
+    
+    return removed;
+  }
+
+  /**
+   * Convert recording to public info
+   * @param {Object} recording Recording info
+   * @returns {Object} Public recording info
+   */
+  toRecordingInfo(recording) {
+    return {
+      recordingId: recording.id,
+      sessionId: recording.sessionId,
+      userId: recording.userId,
+      status: recording.status,
+      reason: recording.reason,
+      error: recording.error,
+      frameRate: recording.frameRate,
+      width: recording.width,
+      height: recording.height,
+      segmentDuration: recording.segmentDuration,
+      startedAt: recording.startedAt,
+      endedAt: recording.endedAt,
+      framesWritten: recording.framesWritten,
+      framesSkipped: recording.framesSkipped
+    };
+  }
+
+  /**
+   * Get recording status
+   * @returns {Object} Active recordings and retention settings
+   */
+  getStatus() {
+    return {
+      recordAll: RECORDING_CONFIG.recordAll,
+      active: Array.from(this.recordings.values()).map(recording => this.toRecordingInfo(recording)),
+      retentionDays: RECORDING_CONFIG.retentionDays,
+      maxTotalSize: RECORDING_CONFIG.maxTotalSize
+    };
+  }
+
+  /**
+   * Check if recording service is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Shutdown recording service
+   * @returns {Promise<boolean>} Success
+   */
+  async shutdown() {
+    try {
+      logger.info('Shutting down Recording Service');
+      
+      // Stop retention checks
+      if (this.retentionInterval) {
+        clearInterval(this.retentionInterval);
+        this.retentionInterval = null;
+      }
+      
+      // Finish recordings in progress so their last segment is playable
+      for (const sessionId of Array.from(this.recordings.keys())) {
+        await this.stopRecording(sessionId, 'shutdown');
+      }
+      
+      // Set running flag
+      this.running = false;
+      
+      logger.info('Recording Service shut down successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error shutting down Recording Service', error);
+      return false;
+    }
+  }
+}
+
+module.exports = RecordingService;
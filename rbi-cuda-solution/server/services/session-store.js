@@ -0,0 +1,195 @@
+/**
+ * Session Store
+ * Persists session metadata so sessions survive a server restart
+ *
+ * A store keeps one record per session: the user, options, current URL, cookies and expiry.
+ * Stores implement initialize, load, save and delete; SESSION_STORE picks the implementation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SESSION_CONFIG } = require('../utils/config');
+const logger = require('../utils/logger');
+
+/**
+ * MemorySessionStore class
+ * Keeps records in the process, so nothing survives a restart
+ */
+class MemorySessionStore {
+  constructor() {
+    this.records = new Map();
+    this.persistent = false;
+  }
+
+  /**
+   * Initialize store
+   * @returns {Promise<boolean>} Success
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Load all records
+   * @returns {Promise<Array>} Session records
+   */
+  async load() {
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Save record
+   * @param {Object} record Session record
+   * @returns {Promise<void>}
+   */
+  async save(record) {
+    this.records.set(record.id, record);
+  }
+
+  /**
+   * Delete record
+   * @param {string} sessionId Session ID
+   * @returns {Promise<void>}
+   */
+  async delete(sessionId) {
+    this.records.delete(sessionId);
+  }
+}
+
+/**
+ * FileSessionStore class
+ * Writes one JSON file per session, replaced atomically so a crash never leaves half a record
+ */
+class FileSessionStore {
+  /**
+   * Constructor
+   * @param {string} directory Directory holding the session files
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.writes = new Map();
+    this.persistent = true;
+  }
+
+  /**
+   * Initialize store
+   * @returns {Promise<boolean>} Success
+   */
+  async initialize() {
+    // Records hold cookies, so the directory is readable by the server only
+    await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 });
+    
+    logger.info(`Session store at ${this.directory}`);
+    
+    return true;
+  }
+
+  /**
+   * Get record file path
+   * @param {string} sessionId Session ID
+   * @returns {string} File path
+   */
+  getFilePath(sessionId) {
+    return path.join(this.directory, `${encodeURIComponent(sessionId)}.json`);
+  }
+
+  /**
+   * Load all records
+   * @returns {Promise<Array>} Session records
+   */
+  async load() {
+    const records = [];
+    const files = await fs.promises.readdir(this.directory);
+    
+    for (const file of files) {
+      if (path.extname(file) !== '.json') {
+        continue;
+      }
+      
+      try {
+        const content = await fs.promises.readFile(path.join(this.directory, file), 'utf8');
+        records.push(JSON.parse(content));
+      } catch (error) {
+        logger.warn(`Skipping unreadable session record ${file}: ${error.message}`);
+      }
+    }
+    
+    return records;
+  }
+
+  /**
+   * Save record
+   * @param {Object} record Session record
+   * @returns {Promise<void>}
+   */
+  async save(record) {
+    const filePath = this.getFilePath(record.id);
+    
+    await this.queueWrite(record.id, async () => {
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      
+      await fs.promises.writeFile(tempPath, JSON.stringify(record), { mode: 0o600 });
+      await fs.promises.rename(tempPath, filePath);
+    });
+  }
+
+  /**
+   * Delete record
+   * @param {string} sessionId Session ID
+   * @returns {Promise<void>}
+   */
+  async delete(sessionId) {
+    await this.queueWrite(sessionId, async () => {
+      try {
+        await fs.promises.unlink(this.getFilePath(sessionId));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    });
+  }
+
+  /**
+   * Run writes of one session one after another, so a delete never races a save
+   * @param {string} sessionId Session ID
+   * @param {Function} write Write function
+   * @returns {Promise<void>}
+   */
+  async queueWrite(sessionId, write) {
+    const previous = this.writes.get(sessionId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(write);
+    
+    this.writes.set(sessionId, current);
+    
+    try {
+      await current;
+    } finally {
+      if (this.writes.get(sessionId) === current) {
+        this.writes.delete(sessionId);
+      }
+    }
+  }
+}
+
+/**
+ * Create session store
+ * @param {string} type Store type, file or memory
+ * @returns {Object} Session store
+ */
+function createSessionStore(type = SESSION_CONFIG.store) {
+  switch (type) {
+    case 'file':
+      return new FileSessionStore(SESSION_CONFIG.storeDir);
+    case 'memory':
+      return new MemorySessionStore();
+    default:
+      throw new Error(`Unknown session store: ${type}`);
+  }
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore
+};
@@ -0,0 +1,377 @@
+/**
+ * Upload Service
+ * Bridges client file uploads into file choosers of isolated pages
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { UPLOAD_CONFIG } = require('../utils/config');
+const logger = require('../utils/logger');
+const { NotFoundError, ValidationError } = require('../utils/error-handler');
+
+/**
+ * UploadService class
+ */
+class UploadService extends EventEmitter {
+  /**
+   * Constructor
+   * @param {Object} browserPool Browser pool instance
+   * @param {Object} sessionManager Session manager instance
+   */
+  constructor(browserPool, sessionManager) {
+    super();
+    this.browserPool = browserPool;
+    this.sessionManager = sessionManager;
+    this.choosers = new Map();
+    this.running = false;
+    
+    logger.info('Upload Service initialized');
+  }
+
+  /**
+   * Initialize upload service
+   * @returns {Promise<boolean>} Success
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing Upload Service');
+      
+      // Create upload directories, readable by the server only
+      await fs.promises.mkdir(UPLOAD_CONFIG.stagingDir, { recursive: true, mode: 0o700 });
+      await fs.promises.mkdir(UPLOAD_CONFIG.uploadDir, { recursive: true, mode: 0o700 });
+      
+      // Setup event listeners
+      this.setupEventListeners();
+      
+      // Set running flag
+      this.running = true;
+      
+      logger.info('Upload Service initialized successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error initializing Upload Service', error);
+      this.running = false;
+      return false;
+    }
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Browser Pool events
+    this.browserPool.on('pageCreated', (pageId) => this.watchFileChooser(pageId));
+    this.browserPool.on('pageClosed', this.handlePageClosed.bind(this));
+    
+    // Session Manager events
+    this.sessionManager.on('sessionClosed', this.handleSessionClosed.bind(this));
+  }
+
+  /**
+   * Wait for file choosers of a page, one at a time
+   * @param {string} pageId Page ID
+   * @returns {Promise<void>}
+   */
+  async watchFileChooser(pageId) {
+    // Get page
+    const pageInfo = this.browserPool.getPage(pageId);
+    
+    if (!pageInfo || !this.running) {
+      return;
+    }
+    
+    try {
+      // No timeout; the wait ends with the page
+      const fileChooser = await pageInfo.page.waitForFileChooser({ timeout: 0 });
+      
+      // Re-arm before handling so the next dialog is caught too
+      this.watchFileChooser(pageId);
+      
+      await this.handleFileChooser(pageId, fileChooser);
+    } catch (error) {
+      if (!pageInfo.page.isClosed()) {
+        logger.error(`Error waiting for file chooser on page ${pageId}`, error);
+      }
+    }
+  }
+
+  /**
+   * Handle file chooser opened by a page
+   * @param {string} pageId Page ID
+   * @param {Object} fileChooser Puppeteer file chooser
+   * @returns {Promise<void>}
+   */
+  async handleFileChooser(pageId, fileChooser) {
+    // Find session owning the page
+    const session = this.sessionManager.findSessionByPageId(pageId);
+    
+    if (!session) {
+      await fileChooser.cancel();
+      return;
+    }
+    
+    // A page shows one file chooser at a time
+    for (const chooser of Array.from(this.choosers.values())) {
+      if (chooser.pageId === pageId) {
+        await this.cancelChooser(chooser.sessionId, chooser.id);
+      }
+    }
+    
+    const chooser = {
+      id: uuidv4(),
+      sessionId: session.id,
+      pageId,
+      fileChooser,
+      multiple: fileChooser.isMultiple(),
+      createdAt: Date.now()
+    };
+    
+    // Store chooser
+    this.choosers.set(chooser.id, chooser);
+    
+    logger.info(`File chooser ${chooser.id} opened on page ${pageId} for session ${session.id}`);
+    
+    // Emit file chooser opened event
+    this.emit('fileChooserOpened', session.id, this.toChooserInfo(chooser));
+  }
+
+  /**
+   * Get session file chooser
+   * @param {string} sessionId Session ID
+   * @param {string} chooserId Chooser ID, or undefined for the latest chooser
+   * @returns {Object} Chooser
+   */
+  getChooser(sessionId, chooserId) {
+    const choosers = Array.from(this.choosers.values()).filter(chooser => chooser.sessionId === sessionId);
+    const chooser = chooserId ? choosers.find(candidate => candidate.id === chooserId) : choosers[choosers.length - 1];
+    
+    if (!chooser) {
+      throw new NotFoundError(chooserId ? `File chooser not found: ${chooserId}` : 'No file chooser is open');
+    }
+    
+    return chooser;
+  }
+
+  /**
+   * Check uploaded file name against the extension policy
+   * @param {string} filename File name
+   * @returns {boolean} Allowed
+   */
+  isExtensionAllowed(filename) {
+    const extension = path.extname(filename).toLowerCase();
+    
+    return UPLOAD_CONFIG.allowedExtensions.includes(extension);
+  }
+
+  /**
+   * Accept uploaded files into a file chooser
+   * @param {string} sessionId Session ID
+   * @param {string} chooserId Chooser ID, or undefined for the latest chooser
+   * @param {Array} files Uploaded files with path, originalname and size
+   * @returns {Promise<Object>} Upload result
+   */
+  async acceptUpload(sessionId, chooserId, files = []) {
+    // Get chooser
+    const chooser = this.getChooser(sessionId, chooserId);
+    
+    if (files.length === 0) {
+      throw new ValidationError('At least one file is required');
+    }
+    
+    if (!chooser.multiple && files.length > 1) {
+      throw new ValidationError('File chooser accepts a single file');
+    }
+    
+    // Pages see the file name, so keep it but give every upload its own directory
+    const uploadDir = path.join(UPLOAD_CONFIG.uploadDir, sessionId, uuidv4());
+    await fs.promises.mkdir(uploadDir, { recursive: true, mode: 0o700 });
+    
+    const paths = [];
+    const accepted = [];
+    
+    try {
+      for (const file of files) {
+        // Same-named files of one upload get a numeric prefix
+        const filename = accepted.some(entry => entry.filename === sanitizeFilename(file.originalname))
+          ? `${accepted.length}-${sanitizeFilename(file.originalname)}`
+          : sanitizeFilename(file.originalname);
+        const filePath = path.join(uploadDir, filename);
+        
+        await fs.promises.rename(file.path, filePath);
+        paths.push(filePath);
+        accepted.push({ filename, size: file.size });
+      }
+      
+      // Chromium reads the files when the page submits them, so they stay until the session closes
+      await chooser.fileChooser.accept(paths);
+    } catch (error) {
+      // Files already moved out of staging are not discarded by the route, and the chooser is spent
+      this.choosers.delete(chooser.id);
+      await fs.promises.rm(uploadDir, { recursive: true, force: true }).catch((rmError) => {
+        logger.warn(`Could not remove upload directory ${uploadDir}: ${rmError.message}`);
+      });
+      
+      throw error;
+    }
+    
+    this.choosers.delete(chooser.id);
+    
+    logger.info(`File chooser ${chooser.id} accepted ${files.length} files for session ${sessionId}`);
+    
+    // Emit upload accepted event
+    this.emit('uploadAccepted', sessionId, chooser.id, accepted);
+    
+    return {
+      chooserId: chooser.id,
+      files: accepted
+    };
+  }
+
+  /**
+   * Cancel file chooser
+   * @param {string} sessionId Session ID
+   * @param {string} chooserId Chooser ID, or undefined for the latest chooser
+   * @returns {Promise<boolean>} Success
+   */
+  async cancelChooser(sessionId, chooserId) {
+    // Get chooser
+    const chooser = this.getChooser(sessionId, chooserId);
+    
+    this.choosers.delete(chooser.id);
+    
+    try {
+      await chooser.fileChooser.cancel();
+    } catch (error) {
+      logger.debug(`Could not cancel file chooser ${chooser.id}: ${error.message}`);
+    }
+    
+    logger.info(`File chooser ${chooser.id} canceled for session ${sessionId}`);
+    
+    // Emit file chooser closed event
+    this.emit('fileChooserClosed', sessionId, chooser.id);
+    
+    return true;
+  }
+
+  /**
+   * List open file choosers of a session
+   * @param {string} sessionId Session ID
+   * @returns {Array} Choosers
+   */
+  listChoosers(sessionId) {
+    return Array.from(this.choosers.values())
+      .filter(chooser => chooser.sessionId === sessionId)
+      .map(chooser => this.toChooserInfo(chooser));
+  }
+
+  /**
+   * Remove staged upload files
+   * @param {Array} files Uploaded files with path
+   * @returns {Promise<void>}
+   */
+  async discardFiles(files = []) {
+    for (const file of files) {
+      await fs.promises.rm(file.path, { force: true });
+    }
+  }
+
+  /**
+   * Handle page closed
+   * @param {string} pageId Page ID
+   */
+  handlePageClosed(pageId) {
+    for (const chooser of Array.from(this.choosers.values())) {
+      if (chooser.pageId === pageId) {
+        this.choosers.delete(chooser.id);
+        this.emit('fileChooserClosed', chooser.sessionId, chooser.id);
+      }
+    }
+  }
+
+  /**
+   * Handle session closed
+   * @param {string} sessionId Session ID
+   * @returns {Promise<void>}
+   */
+  async handleSessionClosed(sessionId) {
+    try {
+      for (const chooser of Array.from(this.choosers.values())) {
+        if (chooser.sessionId === sessionId) {
+          this.choosers.delete(chooser.id);
+        }
+      }
+      
+      await fs.promises.rm(path.join(UPLOAD_CONFIG.uploadDir, sessionId), { recursive: true, force: true });
+    } catch (error) {
+      logger.error(`Error removing uploads for session ${sessionId}`, error);
+    }
+  }
+
+  /**
+   * Convert chooser to public info
+   * @param {Object} chooser Chooser
+   * @returns {Object} Public chooser info
+   */
+  toChooserInfo(chooser) {
+    return {
+      chooserId: chooser.id,
+      tabId: chooser.pageId,
+      multiple: chooser.multiple,
+      maxFileSize: UPLOAD_CONFIG.maxFileSize,
+      allowedExtensions: UPLOAD_CONFIG.allowedExtensions,
+      createdAt: chooser.createdAt
+    };
+  }
+
+  /**
+   * Check if upload service is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Shutdown upload service
+   * @returns {Promise<boolean>} Success
+   */
+  async shutdown() {
+    try {
+      logger.info('Shutting down Upload Service');
+      
+      // Set running flag
+      this.running = false;
+      
+      this.choosers.clear();
+      
+      // Remove uploaded files
+      await fs.promises.rm(UPLOAD_CONFIG.uploadDir, { recursive: true, force: true });
+      
+      logger.info('Upload Service shut down successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error shutting down Upload Service', error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Reduce a client supplied file name to a safe base name
+ * @param {string} filename Original file name
+ * @returns {string} Safe file name
+ */
+function sanitizeFilename(filename) {
+  const safe = path.basename(String(filename || ''))
+    .replace(/[\x00-\x1f\x7f"*/:<>?\\|]/g, '_')
+    .replace(/^\.+/, '')
+    .slice(0, 200);
+  
+  return safe || 'upload';
+}
+
+module.exports = UploadService;
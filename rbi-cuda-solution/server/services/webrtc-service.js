@@ -6,7 +6,10 @@
 const { EventEmitter } = require('events');
 const { WEBRTC_CONFIG } = require('../utils/config');
 const logger = require('../utils/logger');
-const { NotFoundError } = require('../utils/error-handler');
+const { NotFoundError, APIError } = require('../utils/error-handler');
+
+// Node WebRTC implementations, in order of preference
+const WEBRTC_MODULES = ['wrtc', '@roamhq/wrtc'];
 
 /**
  * WebRTCService class
@@ -20,19 +23,38 @@ class WebRTCService extends EventEmitter {
     this.connections = new Map();
     this.running = false;
     
-    // Try to load wrtc module
-    try {
-      //this.wrtc = require('wrtc');
-      this.wrtc = require('webrtc')
-      logger.info('wrtc module loaded successfully');
-    } catch (error) {
-      logger.warn('wrtc module not available, WebRTC functionality will be limited', error);
-      this.wrtc = null;
-    }
+    this.wrtc = this.loadWebRTC();
     
     logger.info('WebRTC Service initialized');
   }
 
+  /**
+   * Load a node WebRTC implementation
+   * Streams fall back to the WebSocket transport when none loads.
+   * @returns {Object} WebRTC module, or null
+   */
+  loadWebRTC() {
+    for (const pkg of WEBRTC_MODULES) {
+      try {
+        const wrtc = require(pkg);
+        
+        // Frames are fed through the nonstandard video source
+        if (wrtc.RTCPeerConnection && wrtc.nonstandard && wrtc.nonstandard.RTCVideoSource) {
+          logger.info(`${pkg} module loaded successfully`);
+          return wrtc;
+        }
+        
+        logger.warn(`${pkg} module has no nonstandard video source`);
+      } catch (error) {
+        logger.debug(`Failed to load ${pkg}: ${error.message}`);
+      }
+    }
+    
+    logger.warn('No WebRTC module available, streams will use the WebSocket transport');
+    
+    return null;
+  }
+
   /**
    * Initialize WebRTC service
    * @returns {Promise<boolean>} Success
@@ -72,7 +94,7 @@ class WebRTCService extends EventEmitter {
       
       // Check if wrtc module is available
       if (!this.wrtc) {
-        throw new Error('wrtc module not available');
+        throw new APIError('WebRTC is not available, the stream uses the WebSocket transport', 503);
       }
       
       // Create RTCPeerConnection
@@ -109,6 +131,7 @@ class WebRTCService extends EventEmitter {
           roundTripTime: 0,
           jitter: 0
         },
+        iceCandidates: [],
         active: true
       };
       
@@ -118,6 +141,8 @@ class WebRTCService extends EventEmitter {
       // Set up event listeners
       peerConnection.onicecandidate = (event) => {
         if (event.candidate) {
+          // Kept for clients that poll for candidates
+          connection.iceCandidates.push(event.candidate);
           this.emit('iceCandidate', connectionId, event.candidate);
         }
       };
@@ -299,6 +324,151 @@ class WebRTCService extends EventEmitter {
     }
   }
 
+  /**
+   * Create peer connection and its video track for a stream
+   * @param {string} connectionId Connection ID
+   * @param {Object} options Connection options
+   * @returns {Promise<Object>} Connection info
+   */
+  async createPeerConnection(connectionId, options = {}) {
+    return this.createConnection(connectionId, options);
+  }
+
+  /**
+   * Handle client answer
+   * @param {string} connectionId Connection ID
+   * @param {Object} answer Answer description
+   * @returns {Promise<boolean>} Success
+   */
+  async handleAnswer(connectionId, answer) {
+    return this.setRemoteDescription(connectionId, answer);
+  }
+
+  /**
+   * Get local ICE candidates gathered so far
+   * @param {string} connectionId Connection ID
+   * @returns {Array} ICE candidates
+   */
+  getIceCandidates(connectionId) {
+    // Get connection
+    const connection = this.getConnection(connectionId);
+    
+    if (!connection) {
+      throw new NotFoundError(`WebRTC connection not found: ${connectionId}`);
+    }
+    
+    return connection.iceCandidates.map(candidate => ({
+      candidate: candidate.candidate,
+      sdpMid: candidate.sdpMid,
+      sdpMLineIndex: candidate.sdpMLineIndex
+    }));
+  }
+
+  /**
+   * Cap the video sender bitrate
+   * @param {string} connectionId Connection ID
+   * @param {number} bitrate Bitrate in kbps
+   * @returns {Promise<boolean>} Success
+   */
+  async setMaxBitrate(connectionId, bitrate) {
+    try {
+      // Get connection
+      const connection = this.getConnection(connectionId);
+      
+      if (!connection || !connection.peerConnection.getSenders) {
+        return false;
+      }
+      
+      // Get video sender
+      const sender = connection.peerConnection.getSenders().find(item => item.track === connection.videoTrack);
+      
+      if (!sender || !sender.getParameters) {
+        return false;
+      }
+      
+      // Update encodings
+      const parameters = sender.getParameters();
+      
+      if (!parameters.encodings || parameters.encodings.length === 0) {
+        parameters.encodings = [{}];
+      }
+      
+      for (const encoding of parameters.encodings) {
+        encoding.maxBitrate = bitrate * 1000;
+      }
+      
+      await sender.setParameters(parameters);
+      
+      connection.options.bitrate = bitrate;
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error setting max bitrate for connection: ${connectionId}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Update video track
+   * The video source takes frames of any size and the encoder signals a new size in-band, so
+   * resolution changes need no SDP renegotiation. Only the sender frame rate cap is updated.
+   * @param {string} connectionId Connection ID
+   * @param {Object} options Video options with width, height and frameRate
+   * @returns {Promise<boolean>} Success
+   */
+  async updateVideoTrack(connectionId, options = {}) {
+    try {
+      // Get connection
+      const connection = this.getConnection(connectionId);
+      
+      if (!connection) {
+        return false;
+      }
+      
+      // Update connection options
+      Object.assign(connection.options, {
+        width: options.width || connection.options.width,
+        height: options.height || connection.options.height,
+        frameRate: options.frameRate || connection.options.frameRate
+      });
+      
+      // Get video sender
+      const sender = connection.peerConnection.getSenders
+        ? connection.peerConnection.getSenders().find(item => item.track === connection.videoTrack)
+        : null;
+      
+      if (sender && sender.getParameters && options.frameRate) {
+        const parameters = sender.getParameters();
+        
+        if (!parameters.encodings || parameters.encodings.length === 0) {
+          parameters.encodings = [{}];
+        }
+        
+        for (const encoding of parameters.encodings) {
+          encoding.maxFramerate = options.frameRate;
+        }
+        
+        await sender.setParameters(parameters);
+      }
+      
+      logger.info(`Video track updated for connection: ${connectionId}`, connection.options);
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error updating video track for connection: ${connectionId}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get peer connection stats
+   * @param {string} connectionId Connection ID
+   * @returns {Promise<Object>} Connection stats
+   */
+  async getPeerConnectionStats(connectionId) {
+    return this.getConnectionStats(connectionId);
+  }
+
   /**
    * Send video frame
    * @param {string} connectionId Connection ID
@@ -320,16 +490,27 @@ class WebRTCService extends EventEmitter {
         return false;
       }
       
-      // Create video frame
-      const videoFrame = new this.wrtc.nonstandard.RTCVideoFrame({
-        type: 'RGBA',
-        data: new Uint8ClampedArray(frameData),
-        width: frameInfo.width || connection.options.width,
-        height: frameInfo.height || connection.options.height
-      });
+      // Only decoded frames can feed the video source, not encoded streams
+      const format = frameInfo.format || 'rgba';
+      
+      if (format !== 'i420' && format !== 'rgba') {
+        return false;
+      }
+      
+      const width = frameInfo.width || connection.options.width;
+      const height = frameInfo.height || connection.options.height;
+      
+      // The video source takes I420 and copies it, so a view of the frame buffer is enough
+      let data = new Uint8ClampedArray(frameData.buffer, frameData.byteOffset, frameData.length);
+      
+      if (format === 'rgba') {
+        const i420 = new Uint8ClampedArray(width * height * 3 / 2);
+        this.wrtc.nonstandard.rgbaToI420({ width, height, data }, { width, height, data: i420 });
+        data = i420;
+      }
       
       // Send video frame
-      connection.videoTrack.source.onFrame(videoFrame);
+      connection.videoTrack.source.onFrame({ width, height, data });
       
       // Update stats
       connection.stats.bytesSent += frameData.length;
@@ -381,6 +562,10 @@ class WebRTCService extends EventEmitter {
               stats.roundTripTime = report.roundTripTime || stats.roundTripTime;
               stats.packetsLost = report.packetsLost || stats.packetsLost;
               stats.jitter = report.jitter || stats.jitter;
+            } else if (report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded') {
+              // Congestion control estimate for the selected pair
+              stats.availableOutgoingBitrate = report.availableOutgoingBitrate;
+              stats.roundTripTime = report.currentRoundTripTime || stats.roundTripTime;
             }
           }
         }
@@ -474,6 +659,14 @@ class WebRTCService extends EventEmitter {
     return this.connections.size;
   }
 
+  /**
+   * Check if a WebRTC implementation is available
+   * @returns {boolean} Available
+   */
+  isAvailable() {
+    return this.wrtc !== null;
+  }
+
   /**
    * Check if WebRTC service is running
    * @returns {boolean} Running status
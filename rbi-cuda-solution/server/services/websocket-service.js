@@ -17,10 +17,13 @@ class WebSocketService extends EventEmitter {
   /**
    * Constructor
    * @param {Object} server HTTP server instance
+   * @param {Object} authService Auth service clients authenticate with
    */
-  constructor(server) {
+  constructor(server, authService = null) {
     super();
     this.server = server;
+    this.authService = authService;
+    this.sessionManager = null;
     this.wss = null;
     this.clients = new Map();
     this.running = false;
@@ -43,7 +46,8 @@ class WebSocketService extends EventEmitter {
         path: WEBSOCKET_CONFIG.path,
         maxPayload: WEBSOCKET_CONFIG.maxPayloadSize,
         perMessageDeflate: WEBSOCKET_CONFIG.perMessageDeflate,
-        verifyClient: WEBSOCKET_CONFIG.verifyClient ? this.verifyClient.bind(this) : false
+        verifyClient: (WEBSOCKET_CONFIG.verifyClient || this.isAuthEnabled()) ? this.verifyClient.bind(this) : false,
+        handleProtocols: this.handleProtocols.bind(this)
       });
       
       // Set up event listeners
@@ -81,14 +85,77 @@ class WebSocketService extends EventEmitter {
       
       // TODO: Implement rate limiting
       
-      // Accept connection
-      callback(true);
+      if (!this.isAuthEnabled()) {
+        // Accept connection
+        callback(true);
+        return;
+      }
+      
+      // Authenticate client before the upgrade
+      this.authService.authenticateUpgrade(req)
+        .then((user) => {
+          req.user = user;
+          callback(true);
+        })
+        .catch((error) => {
+          logger.warn(`WebSocket client from ${clientIp} rejected: ${error.message}`);
+          callback(false, 401, 'Unauthorized');
+        });
     } catch (error) {
       logger.error('Error verifying WebSocket client', error);
       callback(false, 500, 'Internal Server Error');
     }
   }
 
+  /**
+   * Check if clients must authenticate
+   * @returns {boolean} Enabled
+   */
+  isAuthEnabled() {
+    return Boolean(this.authService && this.authService.isEnabled());
+  }
+
+  /**
+   * Set session manager the owners of registered sessions are looked up in
+   * @param {Object} sessionManager Session manager
+   */
+  setSessionManager(sessionManager) {
+    this.sessionManager = sessionManager;
+  }
+
+  /**
+   * Check if client may register with session
+   * With authentication, only the session owner and admins may, and only for a known session.
+   * @param {Object} client Client info
+   * @param {string} sessionId Session ID
+   * @returns {boolean} Allowed
+   */
+  canAccessSession(client, sessionId) {
+    if (!this.isAuthEnabled()) {
+      return true;
+    }
+    
+    const session = this.sessionManager ? this.sessionManager.findSession(sessionId) : null;
+    
+    return Boolean(session) && this.authService.isOwnerOrAdmin(client.user, session.userId);
+  }
+
+  /**
+   * Select subprotocol
+   * A token passed as subprotocol is never echoed back to the client.
+   * @param {Set} protocols Subprotocols offered by the client
+   * @returns {string|boolean} Selected subprotocol, or false for none
+   */
+  handleProtocols(protocols) {
+    for (const protocol of protocols) {
+      if (!protocol.startsWith(WEBSOCKET_CONFIG.tokenProtocolPrefix)) {
+        return protocol;
+      }
+    }
+    
+    return false;
+  }
+
   /**
    * Handle connection
    * @param {WebSocket} ws WebSocket connection
@@ -107,6 +174,8 @@ class WebSocketService extends EventEmitter {
         id: clientId,
         ws,
         ip: clientIp,
+        user: req.user || null,
+        userId: req.user ? req.user.id : null,
         createdAt: Date.now(),
         lastActivityAt: Date.now(),
         isAlive: true,
@@ -216,7 +285,16 @@ class WebSocketService extends EventEmitter {
           
         case 'register':
           // Register session
-          if (message.sessionId) {
+          if (message.sessionId && !this.canAccessSession(client, message.sessionId)) {
+            logger.warn(`Client ${clientId} of user ${client.userId} refused for session ${message.sessionId}`);
+            
+            // Send error message
+            this.sendMessage(clientId, {
+              type: 'error',
+              error: 'Session not found or belongs to another user',
+              timestamp: Date.now()
+            });
+          } else if (message.sessionId) {
             client.sessionId = message.sessionId;
             
             logger.info(`Client ${clientId} registered with session ${message.sessionId}`);
@@ -255,6 +333,36 @@ class WebSocketService extends EventEmitter {
           }
           break;
           
+        case 'clipboard':
+          // Handle clipboard content from the client
+          if (client.sessionId) {
+            // Emit clipboard event
+            this.emit('clipboard', client.sessionId, message);
+          } else {
+            // Send error message
+            this.sendMessage(clientId, {
+              type: 'error',
+              error: 'Not registered with a session',
+              timestamp: Date.now()
+            });
+          }
+          break;
+          
+        case 'resize':
+          // Handle client viewport size
+          if (client.sessionId) {
+            // Emit resize event
+            this.emit('resize', client.sessionId, message);
+          } else {
+            // Send error message
+            this.sendMessage(clientId, {
+              type: 'error',
+              error: 'Not registered with a session',
+              timestamp: Date.now()
+            });
+          }
+          break;
+          
         default:
           // Emit message event
           this.emit('message', clientId, message);
@@ -455,8 +563,8 @@ class WebSocketService extends EventEmitter {
         return false;
       }
       
-      // Send binary data
-      client.ws.send(data, { binary: true });
+      // Send binary data; video frames are already compressed
+      client.ws.send(data, { binary: true, compress: false });
       
       // Update stats
       client.stats.messagesSent++;
@@ -619,6 +727,7 @@ class WebSocketService extends EventEmitter {
     return Array.from(this.clients.entries()).map(([clientId, client]) => ({
       id: clientId,
       ip: client.ip,
+      userId: client.userId,
       createdAt: client.createdAt,
       lastActivityAt: client.lastActivityAt,
       isAlive: client.isAlive,
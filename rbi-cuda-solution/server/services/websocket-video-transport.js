@@ -0,0 +1,234 @@
+/**
+ * WebSocket Video Transport
+ * Delivers encoded frames to the session client over its WebSocket when WebRTC is not available
+ */
+
+const { EventEmitter } = require('events');
+const { STREAMING_CONFIG } = require('../utils/config');
+const { encodeFrameHeader } = require('../utils/frame-header');
+const logger = require('../utils/logger');
+
+/**
+ * WebSocketVideoTransport class
+ */
+class WebSocketVideoTransport extends EventEmitter {
+  /**
+   * Constructor
+   * @param {Object} websocketService WebSocket service instance
+   */
+  constructor(websocketService) {
+    super();
+    this.websocketService = websocketService;
+    this.streams = new Map();
+    this.running = false;
+    
+    logger.info('WebSocket Video Transport initialized');
+  }
+
+  /**
+   * Initialize WebSocket video transport
+   * @returns {Promise<boolean>} Success
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing WebSocket Video Transport');
+      
+      // Set running flag
+      this.running = true;
+      
+      logger.info('WebSocket Video Transport initialized successfully');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error initializing WebSocket Video Transport', error);
+      this.running = false;
+      return false;
+    }
+  }
+
+  /**
+   * Open stream
+   * @param {string} sessionId Session ID
+   * @returns {Object} Stream state
+   */
+  openStream(sessionId) {
+    // Check if stream already exists
+    if (this.streams.has(sessionId)) {
+      return this.streams.get(sessionId);
+    }
+    
+    // Create stream state
+    const stream = {
+      sessionId,
+      clientId: null,
+      sequence: 0,
+      waitingForKeyFrame: true,
+      keyFrameRequested: false,
+      stats: {
+        framesSent: 0,
+        framesDropped: 0,
+        framesDroppedBackpressure: 0,
+        bytesSent: 0
+      }
+    };
+    
+    // Store stream
+    this.streams.set(sessionId, stream);
+    
+    logger.info(`WebSocket video stream opened for session ${sessionId}`);
+    
+    return stream;
+  }
+
+  /**
+   * Send frame
+   * @param {string} sessionId Session ID
+   * @param {Buffer} frameData Encoded frame
+   * @param {Object} frameInfo Frame info with format, keyFrame, timestamp, width and height
+   * @returns {boolean} Sent
+   */
+  sendFrame(sessionId, frameData, frameInfo = {}) {
+    try {
+      // Get stream
+      const stream = this.streams.get(sessionId);
+      
+      if (!stream || !this.running) {
+        return false;
+      }
+      
+      // Get session client
+      const client = this.websocketService.getClientBySessionId(sessionId);
+      
+      if (!client) {
+        stream.clientId = null;
+        return false;
+      }
+      
+      // H.264 delta frames only decode after their key frame, so a new client starts at the next one
+      const predictive = frameInfo.format === 'h264';
+      const keyFrame = !predictive || Boolean(frameInfo.keyFrame);
+      
+      if (client.clientId !== stream.clientId) {
+        stream.clientId = client.clientId;
+        stream.waitingForKeyFrame = true;
+      }
+      
+      if (predictive && stream.waitingForKeyFrame && !keyFrame) {
+        stream.stats.framesDropped++;
+        
+        // Ask for a key frame once per wait instead of waiting for the end of the GOP
+        if (!stream.keyFrameRequested) {
+          stream.keyFrameRequested = true;
+          
+          // Emit key frame requested event
+          this.emit('keyFrameRequested', sessionId);
+        }
+        
+        return false;
+      }
+      
+      // Drop frames while the socket is behind instead of queueing without bound
+      if (client.ws.bufferedAmount > STREAMING_CONFIG.websocketMaxBufferedBytes) {
+        stream.stats.framesDropped++;
+        stream.stats.framesDroppedBackpressure++;
+        stream.waitingForKeyFrame = true;
+        return false;
+      }
+      
+      // Prepend frame header
+      const header = encodeFrameHeader({
+        ...frameInfo,
+        keyFrame,
+        sequence: stream.sequence
+      });
+      
+      const message = Buffer.concat([header, frameData]);
+      
+      if (!this.websocketService.sendBinaryMessageToSession(sessionId, message)) {
+        stream.stats.framesDropped++;
+        stream.stats.framesDroppedBackpressure++;
+        stream.waitingForKeyFrame = true;
+        return false;
+      }
+      
+      // Update stream
+      stream.sequence = (stream.sequence + 1) >>> 0;
+      stream.waitingForKeyFrame = false;
+      stream.keyFrameRequested = false;
+      stream.stats.framesSent++;
+      stream.stats.bytesSent += message.length;
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error sending WebSocket video frame for session ${sessionId}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Close stream
+   * @param {string} sessionId Session ID
+   * @returns {boolean} Success
+   */
+  closeStream(sessionId) {
+    if (!this.streams.delete(sessionId)) {
+      return false;
+    }
+    
+    logger.info(`WebSocket video stream closed for session ${sessionId}`);
+    
+    return true;
+  }
+
+  /**
+   * Get stream stats
+   * @param {string} sessionId Session ID
+   * @returns {Object} Stream stats
+   */
+  getStreamStats(sessionId) {
+    const stream = this.streams.get(sessionId);
+    
+    if (!stream) {
+      return null;
+    }
+    
+    return {
+      ...stream.stats,
+      waitingForKeyFrame: stream.waitingForKeyFrame,
+      clientConnected: stream.clientId !== null
+    };
+  }
+
+  /**
+   * Check if WebSocket video transport is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Shutdown WebSocket video transport
+   * @returns {Promise<boolean>} Success
+   */
+  async shutdown() {
+    try {
+      logger.info('Shutting down WebSocket Video Transport');
+      
+      // Set running flag
+      this.running = false;
+      
+      // Clear streams
+      this.streams.clear();
+      
+      logger.info('WebSocket Video Transport shutdown complete');
+      
+      return true;
+    } catch (error) {
+      logger.error('Error shutting down WebSocket Video Transport', error);
+      return false;
+    }
+  }
+}
+
+module.exports = WebSocketVideoTransport;
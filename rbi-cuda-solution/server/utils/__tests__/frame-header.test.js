@@ -0,0 +1,56 @@
+/**
+ * Frame Header tests
+ */
+
+const { FRAME_HEADER_SIZE, encodeFrameHeader, decodeFrameHeader } = require('../frame-header');
+
+describe('frame header', () => {
+  const frameInfo = {
+    format: 'h264',
+    keyFrame: true,
+    repeated: false,
+    timestamp: 1760000000123,
+    width: 1920,
+    height: 1080,
+    sequence: 42
+  };
+  
+  test('round-trips frame info', () => {
+    const header = encodeFrameHeader(frameInfo);
+    
+    expect(header).toHaveLength(FRAME_HEADER_SIZE);
+    expect(decodeFrameHeader(header)).toEqual({ version: 1, ...frameInfo });
+  });
+  
+  test('decodes the header in front of frame data', () => {
+    const message = Buffer.concat([encodeFrameHeader({ ...frameInfo, format: 'jpeg', keyFrame: false, repeated: true }), Buffer.from([0xff, 0xd8])]);
+    
+    expect(decodeFrameHeader(message)).toMatchObject({ format: 'jpeg', keyFrame: false, repeated: true });
+  });
+  
+  test('writes the documented layout', () => {
+    const header = encodeFrameHeader(frameInfo);
+    
+    expect(header.subarray(0, 4).toString('ascii')).toBe('RBIF');
+    expect(header.readUInt8(5)).toBe(1);
+    expect(header.readUInt8(6)).toBe(1);
+    expect(header.readUInt16BE(16)).toBe(1920);
+    expect(header.readUInt32BE(20)).toBe(42);
+  });
+  
+  test('wraps sequence numbers to 32 bits', () => {
+    const header = encodeFrameHeader({ ...frameInfo, sequence: 2 ** 32 + 5 });
+    
+    expect(decodeFrameHeader(header).sequence).toBe(5);
+  });
+  
+  test('rejects unsupported formats', () => {
+    expect(() => encodeFrameHeader({ ...frameInfo, format: 'vp9' })).toThrow('Unsupported frame format: vp9');
+  });
+  
+  test('returns null for messages that are not frames', () => {
+    expect(decodeFrameHeader(Buffer.from('RBIF'))).toBeNull();
+    expect(decodeFrameHeader(Buffer.alloc(FRAME_HEADER_SIZE))).toBeNull();
+    expect(decodeFrameHeader(Buffer.from(JSON.stringify({ type: 'ping', padding: 'x'.repeat(32) })))).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * H.264 Parser tests
+ */
+
+const { AccessUnitParser, NAL_UNIT_TYPES, findStartCode } = require('../h264-parser');
+
+const START_CODE = Buffer.from([0, 0, 0, 1]);
+const SHORT_START_CODE = Buffer.from([0, 0, 1]);
+
+/**
+ * Build a NAL unit
+ * @param {number} type NAL unit type
+ * @param {boolean} firstSlice For slices, whether first_mb_in_slice is 0
+ * @returns {Buffer} NAL unit without start code
+ */
+const nal = (type, firstSlice = true) => Buffer.from([0x60 | type, firstSlice ? 0x88 : 0x44, 0xab, 0xcd]);
+
+/**
+ * Build an Annex-B stream
+ * @param {Array} nalUnits NAL units
+ * @param {Buffer} startCode Start code put before each
+ * @returns {Buffer} Stream
+ */
+const stream = (nalUnits, startCode = START_CODE) => Buffer.concat(nalUnits.flatMap(unit => [startCode, unit]));
+
+/**
+ * Feed a stream to a fresh parser
+ * @param {Buffer} data Stream
+ * @param {number} chunkSize Bytes per push
+ * @returns {Array} Access units, flushed ones included
+ */
+const parse = (data, chunkSize = data.length) => {
+  const parser = new AccessUnitParser();
+  const accessUnits = [];
+  
+  for (let offset = 0; offset < data.length; offset += chunkSize) {
+    accessUnits.push(...parser.push(data.subarray(offset, offset + chunkSize)));
+  }
+  
+  return accessUnits.concat(parser.flush());
+};
+
+const { AUD, SPS, PPS, SEI, IDR_SLICE, SLICE } = NAL_UNIT_TYPES;
+
+describe('AccessUnitParser', () => {
+  const keyFrame = [nal(AUD), nal(SPS), nal(PPS), nal(IDR_SLICE)];
+  const deltaFrame = [nal(AUD), nal(SLICE)];
+  
+  test('groups AUD, SPS, PPS and IDR slice into one key frame', () => {
+    const accessUnits = parse(stream([...keyFrame, ...deltaFrame]));
+    
+    expect(accessUnits).toHaveLength(2);
+    expect(accessUnits[0].nalUnitTypes).toEqual([AUD, SPS, PPS, IDR_SLICE]);
+    expect(accessUnits[0].keyFrame).toBe(true);
+    expect(accessUnits[1].nalUnitTypes).toEqual([AUD, SLICE]);
+    expect(accessUnits[1].keyFrame).toBe(false);
+  });
+  
+  test('returns access units with four byte start codes', () => {
+    const [accessUnit] = parse(stream(keyFrame));
+    
+    expect(accessUnit.data.equals(stream(keyFrame))).toBe(true);
+  });
+  
+  test('gives the same result whatever the chunk boundaries', () => {
+    const data = stream([...keyFrame, ...deltaFrame, ...deltaFrame, ...keyFrame]);
+    const whole = parse(data);
+    
+    for (const chunkSize of [1, 2, 3, 5, 7]) {
+      const split = parse(data, chunkSize);
+      
+      expect(split.map(accessUnit => accessUnit.nalUnitTypes)).toEqual(whole.map(accessUnit => accessUnit.nalUnitTypes));
+      expect(split.map(accessUnit => accessUnit.data.toString('hex'))).toEqual(whole.map(accessUnit => accessUnit.data.toString('hex')));
+    }
+  });
+  
+  test('completes an access unit as soon as the next one starts', () => {
+    const parser = new AccessUnitParser();
+    
+    expect(parser.push(stream(keyFrame))).toHaveLength(0);
+    
+    // Two header bytes of the next AUD are enough
+    const next = parser.push(Buffer.concat([START_CODE, nal(AUD).subarray(0, 2)]));
+    
+    expect(next).toHaveLength(1);
+    expect(next[0].nalUnitTypes).toEqual([AUD, SPS, PPS, IDR_SLICE]);
+  });
+  
+  test('keeps slices of one picture together', () => {
+    const accessUnits = parse(stream([nal(SLICE, true), nal(SLICE, false), nal(SLICE, true)]));
+    
+    expect(accessUnits.map(accessUnit => accessUnit.nalUnitTypes)).toEqual([[SLICE, SLICE], [SLICE]]);
+  });
+  
+  test('starts a new access unit at a first slice without AUD', () => {
+    const accessUnits = parse(stream([nal(SPS), nal(PPS), nal(IDR_SLICE), nal(SLICE), nal(SEI), nal(SLICE)]));
+    
+    expect(accessUnits.map(accessUnit => accessUnit.nalUnitTypes)).toEqual([[SPS, PPS, IDR_SLICE], [SLICE], [SEI, SLICE]]);
+  });
+  
+  test('accepts three byte start codes and drops trailing zero bytes', () => {
+    const data = Buffer.concat([stream(keyFrame, SHORT_START_CODE), Buffer.from([0, 0])]);
+    const [accessUnit] = parse(data);
+    
+    expect(accessUnit.nalUnitTypes).toEqual([AUD, SPS, PPS, IDR_SLICE]);
+    expect(accessUnit.data.equals(stream(keyFrame))).toBe(true);
+  });
+  
+  test('skips data before the first start code', () => {
+    const accessUnits = parse(Buffer.concat([Buffer.from([0xff, 0xee]), stream(keyFrame)]));
+    
+    expect(accessUnits).toHaveLength(1);
+    expect(accessUnits[0].nalUnitTypes).toEqual([AUD, SPS, PPS, IDR_SLICE]);
+  });
+  
+  test('does not return parameter sets without a slice', () => {
+    expect(parse(stream([nal(SPS), nal(PPS)]))).toHaveLength(0);
+  });
+});
+
+describe('findStartCode', () => {
+  test('finds three and four byte start codes', () => {
+    expect(findStartCode(Buffer.from([9, 0, 0, 1, 5]), 0)).toEqual({ index: 1, length: 3 });
+    expect(findStartCode(Buffer.from([9, 0, 0, 0, 1, 5]), 0)).toEqual({ index: 1, length: 4 });
+  });
+  
+  test('returns null without start code', () => {
+    expect(findStartCode(Buffer.from([0, 0, 2, 0, 0]), 0)).toBeNull();
+  });
+});
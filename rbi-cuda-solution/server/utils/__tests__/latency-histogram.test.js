@@ -0,0 +1,39 @@
+/**
+ * Latency Histogram tests
+ */
+
+const LatencyHistogram = require('../latency-histogram');
+
+describe('LatencyHistogram', () => {
+  test('reports bucket upper bounds as percentiles', () => {
+    const histogram = new LatencyHistogram([10, 50, 100]);
+    
+    for (let i = 0; i < 90; i++) histogram.record(5);
+    for (let i = 0; i < 9; i++) histogram.record(40);
+    histogram.record(70);
+    
+    expect(histogram.getPercentile(50)).toBe(10);
+    expect(histogram.getPercentile(95)).toBe(50);
+    expect(histogram.getPercentile(100)).toBe(70);
+  });
+  
+  test('puts large samples into the overflow bucket', () => {
+    const histogram = new LatencyHistogram([10]);
+    
+    histogram.record(500);
+    
+    const stats = histogram.getStats();
+    
+    expect(stats.p99).toBe(500);
+    expect(stats.buckets).toEqual([{ le: 10, count: 0 }, { le: null, count: 1 }]);
+  });
+  
+  test('ignores invalid samples', () => {
+    const histogram = new LatencyHistogram([10]);
+    
+    histogram.record(-1);
+    histogram.record(NaN);
+    
+    expect(histogram.getStats()).toMatchObject({ count: 0, mean: null, p50: null });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Ring Buffer tests
+ */
+
+const RingBuffer = require('../ring-buffer');
+
+describe('RingBuffer', () => {
+  test('keeps items in order across the wrap-around', () => {
+    const buffer = new RingBuffer(3);
+    
+    buffer.push(1);
+    buffer.push(2);
+    buffer.push(3);
+    
+    expect(buffer.push(4)).toBe(false);
+    expect(buffer.shift()).toBe(1);
+    expect(buffer.push(4)).toBe(true);
+    expect(buffer.toArray()).toEqual([2, 3, 4]);
+    expect([buffer.shift(), buffer.shift(), buffer.shift(), buffer.shift()]).toEqual([2, 3, 4, undefined]);
+  });
+  
+  test('removes matching items and keeps the order of the rest', () => {
+    const buffer = new RingBuffer(4);
+    
+    [1, 2, 3, 4].forEach(item => buffer.push(item));
+    buffer.shift();
+    buffer.push(5);
+    
+    expect(buffer.removeAll(item => item % 2 === 0, 1)).toEqual([2]);
+    expect(buffer.remove(item => item > 3)).toBe(4);
+    expect(buffer.toArray()).toEqual([3, 5]);
+    expect(buffer.isFull()).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Buffer Pool Utility
+ * Reuses fixed-size buffers so per-frame allocations do not churn the garbage collector
+ */
+
+/**
+ * BufferPool class
+ */
+class BufferPool {
+  /**
+   * Constructor
+   * @param {number} maxPerSize Free buffers kept per size
+   */
+  constructor(maxPerSize = 4) {
+    this.maxPerSize = maxPerSize;
+    this.free = new Map();
+    this.stats = {
+      allocated: 0,
+      reused: 0,
+      discarded: 0
+    };
+  }
+
+  /**
+   * Acquire buffer
+   * Contents are not cleared.
+   * @param {number} size Size in bytes
+   * @returns {Buffer} Buffer
+   */
+  acquire(size) {
+    const free = this.free.get(size);
+    
+    if (free && free.length > 0) {
+      this.stats.reused++;
+      return free.pop();
+    }
+    
+    this.stats.allocated++;
+    
+    return Buffer.allocUnsafeSlow(size);
+  }
+
+  /**
+   * Return buffer to the pool
+   * @param {Buffer} buffer Buffer acquired from this pool
+   */
+  release(buffer) {
+    let free = this.free.get(buffer.length);
+    
+    if (!free) {
+      free = [];
+      this.free.set(buffer.length, free);
+    }
+    
+    // A buffer released twice would be handed out to two owners
+    if (free.includes(buffer)) {
+      return;
+    }
+    
+    if (free.length >= this.maxPerSize) {
+      this.stats.discarded++;
+      return;
+    }
+    
+    free.push(buffer);
+  }
+
+  /**
+   * Drop all free buffers
+   */
+  clear() {
+    this.free.clear();
+  }
+
+  /**
+   * Get pool stats
+   * @returns {Object} Pool stats
+   */
+  getStats() {
+    let pooled = 0;
+    let pooledBytes = 0;
+    
+    for (const [size, free] of this.free.entries()) {
+      pooled += free.length;
+      pooledBytes += size * free.length;
+    }
+    
+    return {
+      ...this.stats,
+      pooled,
+      pooledBytes
+    };
+  }
+}
+
+module.exports = BufferPool;
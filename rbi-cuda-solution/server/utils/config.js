@@ -11,7 +11,13 @@ const SESSION_CONFIG = {
   maxConcurrentSessions: process.env.MAX_SESSIONS ? parseInt(process.env.MAX_SESSIONS, 10) : 2,
   sessionTimeout: process.env.SESSION_TIMEOUT ? parseInt(process.env.SESSION_TIMEOUT, 10) / 1000 / 60 : 5, // minutes
   browserInstanceLimit: process.env.BROWSER_INSTANCE_LIMIT ? parseInt(process.env.BROWSER_INSTANCE_LIMIT, 10) : 5,
-  memoryLimitPerSession: process.env.MEMORY_LIMIT ? parseInt(process.env.MEMORY_LIMIT, 10) / 1024 / 1024 : 300 // MB
+  memoryLimitPerSession: process.env.MEMORY_LIMIT ? parseInt(process.env.MEMORY_LIMIT, 10) / 1024 / 1024 : 300, // MB
+  maxTabsPerSession: process.env.MAX_TABS_PER_SESSION ? parseInt(process.env.MAX_TABS_PER_SESSION, 10) : 10,
+  
+  // Session store; 'file' keeps sessions across restarts, 'memory' does not
+  store: process.env.SESSION_STORE || 'file',
+  storeDir: process.env.SESSION_STORE_DIR || require('path').join(__dirname, '..', 'data', 'sessions'),
+  storeSaveInterval: process.env.SESSION_STORE_SAVE_INTERVAL ? parseInt(process.env.SESSION_STORE_SAVE_INTERVAL, 10) : 30000 // ms, cookie and URL snapshots
 };
 
 // Streaming configuration
@@ -21,6 +27,13 @@ const STREAMING_CONFIG = {
   defaultHeight: 1080,
   defaultDeviceScaleFactor: 1,
   
+  // Client viewport resize; the page lays out at the client CSS size and streams at most maxWidth x maxHeight pixels
+  maxWidth: 1920,
+  maxHeight: 1080,
+  minViewportWidth: 320,
+  minViewportHeight: 240,
+  maxDeviceScaleFactor: 3,
+  
   // Frame rate
   defaultFrameRate: 30,
   minFrameRate: 15,
@@ -39,9 +52,52 @@ const STREAMING_CONFIG = {
   // Encoding strategy
   defaultEncodingStrategy: 'cpu_h264',
   
+  // Named quality profiles; bitrate in kbps. QUALITY_PROFILES_FILE (JSON or YAML) adds or overrides profiles
+  qualityProfiles: {
+    low: { width: 1280, height: 720, frameRate: 15, bitrate: 1000, screencastQuality: 60, encodingStrategy: 'cpu_h264' },
+    medium: { width: 1280, height: 720, frameRate: 30, bitrate: 2000, screencastQuality: 75, encodingStrategy: 'cpu_h264' },
+    high: { width: 1920, height: 1080, frameRate: 30, bitrate: 3000, screencastQuality: 90, encodingStrategy: 'cuda_h264' },
+    ultra: { width: 1920, height: 1080, frameRate: 60, bitrate: 6000, screencastQuality: 95, encodingStrategy: 'cuda_h264' }
+  },
+  qualityProfilesFile: process.env.QUALITY_PROFILES_FILE || null,
+  
+  // Raw frames decoded from the screencast: 'i420' or 'rgba'
+  rawFrameFormat: process.env.RAW_FRAME_FORMAT || 'i420',
+  framePoolSize: 4, // reusable frame buffers per frame size
+  
+  // Frame queue between the screencast and the encoder; policy 'latest' keeps only the newest frame,
+  // 'drop-oldest' and 'drop-newest' choose which frame goes when the queue is full
+  frameQueueSize: process.env.FRAME_QUEUE_SIZE ? parseInt(process.env.FRAME_QUEUE_SIZE, 10) : 3,
+  frameQueuePolicy: process.env.FRAME_QUEUE_POLICY || 'latest',
+  latencyHistogramBuckets: [5, 10, 20, 50, 100, 200, 500, 1000], // ms
+  timeToFirstFrameBuckets: [100, 250, 500, 1000, 2000, 5000, 10000], // ms, from stream start to the first frame sent
+  
+  // Change detection; frames that do not change the picture are not encoded
+  changeDetectionEnabled: process.env.CHANGE_DETECTION ? process.env.CHANGE_DETECTION !== 'false' : true,
+  changeDetectionThumbnailWidth: 480, // a quarter of 1080p, so a typed period still shows
+  changeDetectionThumbnailHeight: 270,
+  changeDetectionBlockSize: 16, // thumbnail pixels per damage block side
+  changeDetectionNoiseFloor: 3, // luma difference of a thumbnail pixel taken as JPEG noise
+  changeDetectionThreshold: 32, // luma difference above the noise floor, summed over a block, that counts as damage
+  keepAliveInterval: 1000, // ms without an encoded frame after which an unchanged frame is encoded anyway
+  
+  // Video transport: 'auto' uses WebRTC when wrtc is available and the frames are raw, else 'websocket'
+  transport: process.env.STREAM_TRANSPORT || 'auto',
+  websocketMaxBufferedBytes: 4 * 1024 * 1024, // frames are dropped while more is queued on the socket
+  
   // Adaptive quality
-  adaptiveQualityEnabled: true,
+  adaptiveQualityEnabled: process.env.ADAPTIVE_QUALITY ? process.env.ADAPTIVE_QUALITY !== 'false' : true,
   adaptiveQualityAdjustmentInterval: 5000, // ms
+  adaptiveQualityDowngradeAfter: 1, // congested evaluations in a row before stepping down
+  adaptiveQualityUpgradeAfter: 3, // healthy evaluations in a row before stepping up
+  adaptiveQualityHistorySize: 20, // decisions kept for the stream stats
+  maxPacketLoss: 0.05, // fraction of packets lost
+  maxEncoderQueueDepth: 3, // frames waiting for the encoder
+  minScreencastQuality: 40,
+  screencastQualityStep: 10,
+  resolutionStep: 0.75, // scale applied per resolution step
+  minWidth: 640,
+  minHeight: 360,
   
   // WebRTC settings
   iceServers: [
@@ -52,16 +108,27 @@ const STREAMING_CONFIG = {
   maxEncodingTime: 50, // ms
   maxNetworkLatency: 300, // ms
   
-  // Fallback strategies
+  // Fallback strategies; the FFmpeg pipeline streams H.264 only
   encodingStrategies: [
-    'cpu_h264',      // CPU H.264 (preferred)
-    'cpu_hevc',      // CPU HEVC
-    'mjpeg'          // MJPEG (last resort)
+    'cuda_h264',     // NVENC H.264 (preferred)
+    'cpu_h264'       // CPU H.264 (last resort)
   ]
 };
 
 // Encoder configuration
 const ENCODER_CONFIG = {
+  // Encoder used by the streaming engine: 'basic' passes frames through, 'ffmpeg' encodes H.264
+  engine: process.env.VIDEO_ENCODER || 'basic',
+  
+  // FFmpeg executable path
+  ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+  
+  // Frames written to FFmpeg stdin: 'mjpeg' for screencast JPEGs, 'rgba' or 'yuv420p' for raw frames
+  inputFormat: process.env.ENCODER_INPUT_FORMAT || 'mjpeg',
+  
+  // Idle time after which the last frame is repeated to push the pending access unit out
+  idleFlushDelay: 50, // ms
+  
   // Default dimensions
   defaultWidth: 1920,
   defaultHeight: 1080,
@@ -82,9 +149,16 @@ const ENCODER_CONFIG = {
   x264Profile: 'baseline',
   x264Level: '4.0',
   
+  // NVENC settings
+  nvencPreset: 'p1',
+  nvencTune: 'ull',
+  nvencProfile: 'baseline',
+  nvencLevel: '4.0',
+  
   // GOP settings
   gopSize: 60,
   keyintMin: 60,
+  keyFrameRequestInterval: 1000, // ms between encoder restarts for clients waiting on a key frame
   
   // Buffer settings
   bufferSize: 6000, // kbits
@@ -98,12 +172,10 @@ const BROWSER_CONFIG = {
   // Chrome executable path
   executablePath: process.env.CHROME_PATH || null,
   
-  // Browser launch options
+  // Browser launch options shared by all launch profiles
   launchOptions: {
     headless: true,
     args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
       '--disable-dev-shm-usage',
       '--disable-accelerated-2d-canvas',
       '--disable-gpu-rasterization',
@@ -112,9 +184,6 @@ const BROWSER_CONFIG = {
       '--disable-2d-canvas-clip-aa',
       '--disable-gl-drawing-for-tests',
       '--use-gl=swiftshader',
-      '--disable-web-security',
-      '--disable-features=IsolateOrigins,site-per-process',
-      '--disable-site-isolation-trials',
       '--mute-audio',
       '--disable-infobars',
       '--window-size=1920,1080',
@@ -227,6 +296,40 @@ const BROWSER_CONFIG = {
     ]
   },
   
+  // Launch profiles added to the shared launch options; 'hardened' keeps the sandbox,
+  // site isolation and web security on and refuses to start unless the sandbox is active
+  launchProfile: process.env.BROWSER_LAUNCH_PROFILE || 'hardened',
+  launchProfiles: {
+    hardened: {
+      sandbox: true,
+      args: [
+        '--site-per-process'
+      ]
+    },
+    compat: {
+      sandbox: false,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-web-security',
+        '--disable-features=IsolateOrigins,site-per-process',
+        '--disable-site-isolation-trials'
+      ]
+    },
+    debug: {
+      sandbox: false,
+      launchOptions: {
+        dumpio: true
+      },
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--enable-logging=stderr',
+        '--v=1'
+      ]
+    }
+  },
+  
   // Default viewport
   defaultViewport: {
     width: 1920,
@@ -242,21 +345,35 @@ const BROWSER_CONFIG = {
   maxPagesPerBrowser: 5,
   browserTimeout: 30 * 60 * 1000, // 30 minutes
   
+  // Session isolation; 'context' gives each session an incognito context, 'browser' a browser process of its own
+  isolationMode: process.env.BROWSER_ISOLATION || 'context',
+  
+  // Warm pool of session contexts, or browsers in 'browser' isolation, each with a blank page ready;
+  // the pool grows from warmPoolSize up to warmPoolMaxSize with the sessions started in the demand window
+  warmPoolSize: process.env.WARM_POOL_SIZE ? parseInt(process.env.WARM_POOL_SIZE, 10) : 1,
+  warmPoolMaxSize: process.env.WARM_POOL_MAX_SIZE ? parseInt(process.env.WARM_POOL_MAX_SIZE, 10) : 4,
+  warmPoolDemandWindow: process.env.WARM_POOL_DEMAND_WINDOW ? parseInt(process.env.WARM_POOL_DEMAND_WINDOW, 10) : 5 * 60 * 1000, // 5 minutes
+  warmPoolCheckInterval: 15 * 1000, // 15 seconds
+  
   // Browser restart settings
   restartBrowserAfterPages: 50,
   restartBrowserAfterTime: 60 * 60 * 1000, // 1 hour
   
-  // Memory monitoring
-  memoryMonitoringInterval: 60 * 1000, // 1 minute
-  memoryThreshold: 1024 * 1024 * 1024, // 1 GB
+  // Memory monitoring; memoryThreshold caps the resident memory of a browser's process tree, and the
+  // session memoryLimit the JS heap of its pages. Each check over a limit applies the next action to the
+  // heaviest page, and the page starts over once it is back under the limits
+  memoryMonitoringInterval: 30 * 1000, // 30 seconds
+  memoryThreshold: process.env.BROWSER_MEMORY_THRESHOLD ? parseInt(process.env.BROWSER_MEMORY_THRESHOLD, 10) : 1024 * 1024 * 1024, // 1 GB
+  maxDomNodes: process.env.MAX_DOM_NODES ? parseInt(process.env.MAX_DOM_NODES, 10) : 500000, // per page
+  memoryActions: ['warn', 'throttle', 'reload', 'kill'],
+  memoryThrottleFactor: 4, // screencast frames skipped per frame kept while throttled
   
   // Default page settings
   defaultPageSettings: {
     javaScriptEnabled: true,
     imagesEnabled: true,
     cssEnabled: true,
-    mediaEnabled: true,
-    webSecurity: false
+    mediaEnabled: true
   }
 };
 
@@ -277,6 +394,9 @@ const WEBSOCKET_CONFIG = {
   // Security settings
   verifyClient: true,
   
+  // Browsers cannot set headers on WebSocket requests, so a token may come as ?token= or as a bearer.<token> subprotocol
+  tokenProtocolPrefix: 'bearer.',
+  
   // Rate limiting
   rateLimit: {
     windowMs: 60 * 1000, // 1 minute
@@ -371,17 +491,184 @@ const AUTH_CONFIG = {
   basic: {
     enabled: process.env.BASIC_AUTH_ENABLED === 'true',
     username: process.env.BASIC_AUTH_USERNAME || 'admin',
-    password: process.env.BASIC_AUTH_PASSWORD || 'password'
+    password: process.env.BASIC_AUTH_PASSWORD || 'password',
+    
+    // Groups of the basic user, carried by the tokens issued to it as well
+    groups: process.env.BASIC_AUTH_GROUPS ? process.env.BASIC_AUTH_GROUPS.split(',') : ['admin']
   },
   
+  // Group whose members may reach every session, recording and the audit log
+  adminGroup: process.env.AUTH_ADMIN_GROUP || 'admin',
+  
   // JWT authentication
   jwt: {
     enabled: process.env.JWT_AUTH_ENABLED === 'true',
     secret: process.env.JWT_SECRET || 'your-secret-key',
-    expiresIn: process.env.JWT_EXPIRES_IN || '1h'
+    expiresIn: process.env.JWT_EXPIRES_IN || '1h',
+    
+    // Accepted algorithms; HS256 tokens are verified with the secret, RS256 tokens with the keys in jwksFile
+    algorithms: process.env.JWT_ALGORITHMS ? process.env.JWT_ALGORITHMS.split(',') : ['HS256'],
+    jwksFile: process.env.JWT_JWKS_FILE || null,
+    issuer: process.env.JWT_ISSUER || null,
+    audience: process.env.JWT_AUDIENCE || null,
+    clockTolerance: 30, // seconds
+    
+    // Tokens issued by the server; RS256 signs with privateKeyFile and names keyId as kid
+    issueAlgorithm: process.env.JWT_ISSUE_ALGORITHM || 'HS256',
+    privateKeyFile: process.env.JWT_PRIVATE_KEY_FILE || null,
+    keyId: process.env.JWT_KEY_ID || null,
+    
+    // Claims mapped onto the session user and its policy groups
+    userClaim: process.env.JWT_USER_CLAIM || 'sub',
+    groupsClaim: process.env.JWT_GROUPS_CLAIM || 'roles'
+  }
+};
+
+// Policy configuration
+const POLICY_CONFIG = {
+  // Enforce URL policy in browser pages
+  enabled: process.env.POLICY_ENABLED !== 'false',
+  
+  // Policy file, JSON or YAML
+  policyFile: process.env.POLICY_FILE || require('path').join(__dirname, '../config/policy.yaml'),
+  watchInterval: 2000, // ms
+  
+  // Schemes allowed when the policy file does not list any
+  allowedSchemes: ['http', 'https', 'data', 'blob', 'about'],
+  
+  // Block page branding
+  blockPage: {
+    brandName: process.env.BLOCK_PAGE_BRAND || 'Remote Browser Isolation',
+    supportContact: process.env.BLOCK_PAGE_CONTACT || null
   }
 };
 
+// Download configuration
+const DOWNLOAD_CONFIG = {
+  // Capture downloads; when disabled the browser denies them
+  enabled: process.env.DOWNLOADS_ENABLED !== 'false',
+  
+  // Directories
+  stagingDir: process.env.DOWNLOAD_STAGING_DIR || require('path').join(require('os').tmpdir(), 'rbi-downloads'),
+  quarantineDir: process.env.DOWNLOAD_QUARANTINE_DIR || require('path').join(require('os').tmpdir(), 'rbi-quarantine'),
+  
+  // Limits
+  maxFileSize: process.env.DOWNLOAD_MAX_SIZE ? parseInt(process.env.DOWNLOAD_MAX_SIZE, 10) : 100 * 1024 * 1024, // 100 MB
+  allowedMimeTypes: process.env.DOWNLOAD_ALLOWED_TYPES ? process.env.DOWNLOAD_ALLOWED_TYPES.split(',') : [
+    'application/pdf',
+    'application/zip',
+    'application/json',
+    'application/vnd.openxmlformats-officedocument.*',
+    'image/*',
+    'text/plain',
+    'text/csv'
+  ],
+  
+  // Executable and script extensions, rejected whatever their content
+  blockedExtensions: process.env.DOWNLOAD_BLOCKED_EXTENSIONS ? process.env.DOWNLOAD_BLOCKED_EXTENSIONS.split(',') : [
+    '.exe', '.com', '.scr', '.pif', '.msi', '.msp', '.dll', '.cpl', '.bat', '.cmd',
+    '.ps1', '.psm1', '.vbs', '.vbe', '.js', '.jse', '.wsf', '.wsh', '.hta', '.lnk',
+    '.reg', '.jar', '.sh', '.app', '.dmg', '.pkg', '.deb', '.rpm',
+    '.html', '.htm', '.xhtml', '.mht', '.svg', '.xml'
+  ],
+  
+  // Scanner command, "{file}" is replaced with the quarantined file path
+  scanner: {
+    command: process.env.DOWNLOAD_SCANNER_COMMAND || null,
+    timeout: 60 * 1000, // 1 minute
+    failClosed: process.env.DOWNLOAD_SCANNER_FAIL_OPEN !== 'true'
+  }
+};
+
+// Upload configuration
+const UPLOAD_CONFIG = {
+  // Directories
+  stagingDir: process.env.UPLOAD_STAGING_DIR || require('path').join(require('os').tmpdir(), 'rbi-upload-staging'),
+  uploadDir: process.env.UPLOAD_DIR || require('path').join(require('os').tmpdir(), 'rbi-uploads'),
+  
+  // Limits
+  maxFileSize: process.env.UPLOAD_MAX_SIZE ? parseInt(process.env.UPLOAD_MAX_SIZE, 10) : 25 * 1024 * 1024, // 25 MB
+  maxFiles: 10,
+  allowedExtensions: process.env.UPLOAD_ALLOWED_EXTENSIONS ? process.env.UPLOAD_ALLOWED_EXTENSIONS.split(',') : [
+    '.pdf', '.txt', '.csv', '.json',
+    '.png', '.jpg', '.jpeg', '.gif', '.webp',
+    '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx',
+    '.zip'
+  ]
+};
+
+// Clipboard configuration
+// Server-wide ceiling; session clipboard options may only narrow it
+const CLIPBOARD_CONFIG = {
+  // Directions
+  localToRemote: process.env.CLIPBOARD_LOCAL_TO_REMOTE !== 'false',
+  remoteToLocal: process.env.CLIPBOARD_REMOTE_TO_LOCAL !== 'false',
+  
+  // Limits
+  maxSize: process.env.CLIPBOARD_MAX_SIZE ? parseInt(process.env.CLIPBOARD_MAX_SIZE, 10) : 1024 * 1024, // 1 MB
+  
+  // Content mode: 'text' strips markup, 'rich' carries HTML alongside text
+  mode: process.env.CLIPBOARD_MODE || 'text',
+  
+  // Time a remote copy may follow the user input that caused it
+  gestureWindow: 1000 // ms
+};
+
+// Cgroup configuration
+// Server-wide ceiling; session resource options may only narrow it
+const CGROUP_CONFIG = {
+  // Put every browser in a cgroup v2 slice of its own under root, which must be delegated to the server
+  enabled: process.env.CGROUPS_ENABLED === 'true',
+  root: process.env.CGROUP_ROOT || '/sys/fs/cgroup/rbi',
+  
+  // Limits per browser
+  cpuWeight: process.env.CGROUP_CPU_WEIGHT ? parseInt(process.env.CGROUP_CPU_WEIGHT, 10) : 100, // 1 to 10000
+  cpuMax: process.env.CGROUP_CPU_MAX ? parseInt(process.env.CGROUP_CPU_MAX, 10) : 100, // percent of one CPU, 0 for no quota
+  cpuPeriod: 100000, // us
+  memoryMax: process.env.CGROUP_MEMORY_MAX ? parseInt(process.env.CGROUP_MEMORY_MAX, 10) : 2 * 1024 * 1024 * 1024, // 2 GB
+  pidsMax: process.env.CGROUP_PIDS_MAX ? parseInt(process.env.CGROUP_PIDS_MAX, 10) : 256
+};
+
+// Recording configuration
+const RECORDING_CONFIG = {
+  // Record every stream; otherwise only streams started with record: true are recorded
+  recordAll: process.env.RECORD_ALL_SESSIONS === 'true',
+  dir: process.env.RECORDING_DIR || require('path').join(__dirname, '..', 'data', 'recordings'),
+  
+  // Video; the latest screencast frame is sampled at frameRate and repeated while the page is still
+  frameRate: process.env.RECORDING_FRAME_RATE ? parseInt(process.env.RECORDING_FRAME_RATE, 10) : 5,
+  width: 1280,
+  height: 720,
+  crf: process.env.RECORDING_CRF ? parseInt(process.env.RECORDING_CRF, 10) : 28,
+  preset: 'veryfast',
+  segmentDuration: process.env.RECORDING_SEGMENT_DURATION ? parseInt(process.env.RECORDING_SEGMENT_DURATION, 10) : 60, // seconds
+  
+  // Timeline is rewritten on this interval so a crash loses little of it
+  timelineFlushInterval: 10 * 1000, // 10 seconds
+  
+  // FFmpeg gets this long to finish the last segment on stop
+  stopTimeout: 10 * 1000, // 10 seconds
+  
+  // Retention
+  retentionDays: process.env.RECORDING_RETENTION_DAYS ? parseInt(process.env.RECORDING_RETENTION_DAYS, 10) : 30,
+  maxTotalSize: process.env.RECORDING_MAX_TOTAL_SIZE ? parseInt(process.env.RECORDING_MAX_TOTAL_SIZE, 10) : 0, // bytes, 0 for no cap
+  retentionCheckInterval: 60 * 60 * 1000 // 1 hour
+};
+
+// Audit log configuration
+const AUDIT_CONFIG = {
+  // Append-only JSONL file with a hash chain over its records
+  enabled: process.env.AUDIT_ENABLED !== 'false',
+  file: process.env.AUDIT_LOG_FILE || require('path').join(__dirname, '..', 'data', 'audit', 'audit.jsonl'),
+  
+  // Successful authentication of a user from one IP is logged once per interval rather than on every request
+  authSuccessInterval: 15 * 60 * 1000, // 15 minutes
+  
+  // Query limits
+  defaultQueryLimit: 100,
+  maxQueryLimit: 1000
+};
+
 // Export configuration
 module.exports = {
   SESSION_CONFIG,
@@ -391,5 +678,12 @@ module.exports = {
   WEBSOCKET_CONFIG,
   WEBRTC_CONFIG,
   SERVER_CONFIG,
-  AUTH_CONFIG
+  AUTH_CONFIG,
+  POLICY_CONFIG,
+  DOWNLOAD_CONFIG,
+  UPLOAD_CONFIG,
+  CLIPBOARD_CONFIG,
+  CGROUP_CONFIG,
+  RECORDING_CONFIG,
+  AUDIT_CONFIG
 };
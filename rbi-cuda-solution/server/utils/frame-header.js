@@ -0,0 +1,104 @@
+/**
+ * Frame Header Utility
+ * Binary header prepended to video frames sent over the WebSocket transport
+ *
+ * Layout, big endian:
+ *   0  4 bytes  magic 'RBIF'
+ *   4  uint8    version
+ *   5  uint8    frame type, 0 delta or 1 key
+ *   6  uint8    codec
+ *   7  uint8    flags, bit 0 set for repeated frames
+ *   8  uint64   capture timestamp in ms
+ *  16  uint16   width
+ *  18  uint16   height
+ *  20  uint32   sequence number
+ */
+
+const FRAME_HEADER_MAGIC = Buffer.from('RBIF', 'ascii');
+const FRAME_HEADER_VERSION = 1;
+const FRAME_HEADER_SIZE = 24;
+
+// Frame types
+const FRAME_TYPES = {
+  DELTA: 0,
+  KEY: 1
+};
+
+// Codecs by frame format
+const FRAME_CODECS = {
+  h264: 1,
+  jpeg: 2,
+  png: 3
+};
+
+// Flags
+const FRAME_FLAGS = {
+  REPEATED: 0x01
+};
+
+/**
+ * Encode frame header
+ * @param {Object} frameInfo Frame info
+ * @param {string} frameInfo.format Frame format, one of FRAME_CODECS
+ * @param {boolean} frameInfo.keyFrame Key frame
+ * @param {boolean} frameInfo.repeated Repeated frame
+ * @param {number} frameInfo.timestamp Capture timestamp in ms
+ * @param {number} frameInfo.width Width
+ * @param {number} frameInfo.height Height
+ * @param {number} frameInfo.sequence Sequence number
+ * @returns {Buffer} Header
+ */
+function encodeFrameHeader(frameInfo) {
+  const codec = FRAME_CODECS[frameInfo.format];
+  
+  if (!codec) {
+    throw new Error(`Unsupported frame format: ${frameInfo.format}`);
+  }
+  
+  const header = Buffer.alloc(FRAME_HEADER_SIZE);
+  
+  FRAME_HEADER_MAGIC.copy(header, 0);
+  header.writeUInt8(FRAME_HEADER_VERSION, 4);
+  header.writeUInt8(frameInfo.keyFrame ? FRAME_TYPES.KEY : FRAME_TYPES.DELTA, 5);
+  header.writeUInt8(codec, 6);
+  header.writeUInt8(frameInfo.repeated ? FRAME_FLAGS.REPEATED : 0, 7);
+  header.writeBigUInt64BE(BigInt(Math.max(0, Math.round(frameInfo.timestamp || 0))), 8);
+  header.writeUInt16BE(frameInfo.width || 0, 16);
+  header.writeUInt16BE(frameInfo.height || 0, 18);
+  header.writeUInt32BE((frameInfo.sequence || 0) >>> 0, 20);
+  
+  return header;
+}
+
+/**
+ * Decode frame header
+ * @param {Buffer} message Frame message
+ * @returns {Object} Frame info, or null if the message is not a frame
+ */
+function decodeFrameHeader(message) {
+  if (message.length < FRAME_HEADER_SIZE || !message.subarray(0, 4).equals(FRAME_HEADER_MAGIC)) {
+    return null;
+  }
+  
+  const codec = message.readUInt8(6);
+  
+  return {
+    version: message.readUInt8(4),
+    keyFrame: message.readUInt8(5) === FRAME_TYPES.KEY,
+    format: Object.keys(FRAME_CODECS).find(format => FRAME_CODECS[format] === codec) || null,
+    repeated: (message.readUInt8(7) & FRAME_FLAGS.REPEATED) !== 0,
+    timestamp: Number(message.readBigUInt64BE(8)),
+    width: message.readUInt16BE(16),
+    height: message.readUInt16BE(18),
+    sequence: message.readUInt32BE(20)
+  };
+}
+
+module.exports = {
+  FRAME_HEADER_SIZE,
+  FRAME_TYPES,
+  FRAME_CODECS,
+  FRAME_FLAGS,
+  encodeFrameHeader,
+  decodeFrameHeader
+};
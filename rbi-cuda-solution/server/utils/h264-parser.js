@@ -0,0 +1,209 @@
+/**
+ * H.264 Parser Utility
+ * Splits an Annex-B H.264 byte stream into access units
+ */
+
+// NAL unit types used for access unit detection
+const NAL_UNIT_TYPES = {
+  SLICE: 1,
+  IDR_SLICE: 5,
+  SEI: 6,
+  SPS: 7,
+  PPS: 8,
+  AUD: 9
+};
+
+// NAL unit types that open a new access unit once the current one holds a slice (ITU-T H.264 7.4.1.2.3)
+const ACCESS_UNIT_START_TYPES = new Set([6, 7, 8, 9, 14, 15, 16, 17, 18]);
+
+// Start codes
+const START_CODE = Buffer.from([0, 0, 1]);
+const LONG_START_CODE = Buffer.from([0, 0, 0, 1]);
+
+/**
+ * AccessUnitParser class
+ * Fed with arbitrary stdout chunks, returns complete access units in stream order.
+ * An access unit is known to be complete only when the next one starts.
+ */
+class AccessUnitParser {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+    this.reset();
+  }
+
+  /**
+   * Reset current access unit
+   */
+  reset() {
+    this.nalUnits = [];
+    this.hasSlice = false;
+    this.keyFrame = false;
+  }
+
+  /**
+   * Push stream data
+   * @param {Buffer} chunk Stream data
+   * @returns {Array} Complete access units with data and keyFrame flag
+   */
+  push(chunk) {
+    const accessUnits = [];
+    
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    
+    // Skip anything before the first start code
+    let startCode = findStartCode(this.buffer, 0);
+    
+    if (!startCode) {
+      // Keep a possible partial start code
+      this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - 3));
+      return accessUnits;
+    }
+    
+    // Every NAL unit ends where the next start code begins
+    let nextStartCode = findStartCode(this.buffer, startCode.index + startCode.length);
+    
+    while (nextStartCode) {
+      this.addNalUnit(this.buffer.subarray(startCode.index + startCode.length, nextStartCode.index), accessUnits);
+      
+      startCode = nextStartCode;
+      nextStartCode = findStartCode(this.buffer, startCode.index + startCode.length);
+    }
+    
+    // The header of the incomplete NAL unit already tells whether it opens the next access unit
+    const pendingNal = this.buffer.subarray(startCode.index + startCode.length);
+    
+    if (this.hasSlice && pendingNal.length >= 2 && startsAccessUnit(pendingNal)) {
+      accessUnits.push(this.takeAccessUnit());
+    }
+    
+    // Keep the incomplete NAL unit with its start code
+    this.buffer = Buffer.from(this.buffer.subarray(startCode.index));
+    
+    return accessUnits;
+  }
+
+  /**
+   * Flush the pending access unit at the end of the stream
+   * @returns {Array} Remaining access units
+   */
+  flush() {
+    const accessUnits = [];
+    const startCode = findStartCode(this.buffer, 0);
+    
+    if (startCode) {
+      this.addNalUnit(this.buffer.subarray(startCode.index + startCode.length), accessUnits);
+    }
+    
+    if (this.hasSlice) {
+      accessUnits.push(this.takeAccessUnit());
+    }
+    
+    this.buffer = Buffer.alloc(0);
+    this.reset();
+    
+    return accessUnits;
+  }
+
+  /**
+   * Add NAL unit to the current access unit
+   * @param {Buffer} nalUnit NAL unit without start code
+   * @param {Array} accessUnits Access units completed so far
+   */
+  addNalUnit(nalUnit, accessUnits) {
+    // Trailing zero bytes belong to the stream, not the NAL unit
+    let end = nalUnit.length;
+    
+    while (end > 0 && nalUnit[end - 1] === 0) {
+      end--;
+    }
+    
+    if (end === 0) {
+      return;
+    }
+    
+    const nal = nalUnit.subarray(0, end);
+    const type = nal[0] & 0x1f;
+    
+    if (this.hasSlice && startsAccessUnit(nal)) {
+      accessUnits.push(this.takeAccessUnit());
+    }
+    
+    this.nalUnits.push(nal);
+    
+    if (type >= NAL_UNIT_TYPES.SLICE && type <= NAL_UNIT_TYPES.IDR_SLICE) {
+      this.hasSlice = true;
+    }
+    
+    if (type === NAL_UNIT_TYPES.IDR_SLICE) {
+      this.keyFrame = true;
+    }
+  }
+
+  /**
+   * Take the current access unit
+   * @returns {Object} Access unit with Annex-B data and keyFrame flag
+   */
+  takeAccessUnit() {
+    const parts = [];
+    
+    for (const nal of this.nalUnits) {
+      parts.push(LONG_START_CODE, nal);
+    }
+    
+    const accessUnit = {
+      data: Buffer.concat(parts),
+      keyFrame: this.keyFrame,
+      nalUnitTypes: this.nalUnits.map(nal => nal[0] & 0x1f)
+    };
+    
+    this.reset();
+    
+    return accessUnit;
+  }
+}
+
+/**
+ * Check whether a NAL unit opens a new access unit when the current one holds a slice
+ * @param {Buffer} nal NAL unit, at least its first two bytes
+ * @returns {boolean} Starts access unit
+ */
+function startsAccessUnit(nal) {
+  const type = nal[0] & 0x1f;
+  
+  if (ACCESS_UNIT_START_TYPES.has(type)) {
+    return true;
+  }
+  
+  // first_mb_in_slice is ue(v), so a leading 1 bit means macroblock 0, the first slice of a picture
+  return type >= NAL_UNIT_TYPES.SLICE && type <= NAL_UNIT_TYPES.IDR_SLICE && nal.length > 1 && (nal[1] & 0x80) !== 0;
+}
+
+/**
+ * Find the next start code
+ * @param {Buffer} buffer Stream data
+ * @param {number} offset Search offset
+ * @returns {Object} Start code index and length, or null
+ */
+function findStartCode(buffer, offset) {
+  const index = buffer.indexOf(START_CODE, offset);
+  
+  if (index === -1) {
+    return null;
+  }
+  
+  // Four byte start codes carry an extra leading zero
+  if (index > offset && buffer[index - 1] === 0) {
+    return { index: index - 1, length: 4 };
+  }
+  
+  return { index, length: 3 };
+}
+
+module.exports = {
+  NAL_UNIT_TYPES,
+  AccessUnitParser,
+  findStartCode
+};
@@ -0,0 +1,90 @@
+/**
+ * Latency Histogram Utility
+ * Counts latency samples in fixed buckets; percentiles are bucket upper bounds
+ */
+
+/**
+ * LatencyHistogram class
+ */
+class LatencyHistogram {
+  /**
+   * Constructor
+   * @param {Array} buckets Ascending bucket upper bounds in ms; larger samples fall into an overflow bucket
+   */
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.counts = new Array(buckets.length + 1).fill(0);
+    this.count = 0;
+    this.sum = 0;
+    this.min = null;
+    this.max = null;
+  }
+
+  /**
+   * Record sample
+   * @param {number} value Latency in ms
+   */
+  record(value) {
+    if (!Number.isFinite(value) || value < 0) {
+      return;
+    }
+    
+    let index = this.buckets.findIndex(bound => value <= bound);
+    
+    if (index < 0) {
+      index = this.buckets.length;
+    }
+    
+    this.counts[index]++;
+    this.count++;
+    this.sum += value;
+    this.min = this.min === null ? value : Math.min(this.min, value);
+    this.max = this.max === null ? value : Math.max(this.max, value);
+  }
+
+  /**
+   * Get percentile
+   * @param {number} percentile Percentile from 0 to 100
+   * @returns {number} Upper bound of the bucket holding the percentile, the maximum for the overflow bucket, or null without samples
+   */
+  getPercentile(percentile) {
+    if (this.count === 0) {
+      return null;
+    }
+    
+    const rank = Math.ceil(this.count * percentile / 100);
+    let seen = 0;
+    
+    for (let i = 0; i < this.counts.length; i++) {
+      seen += this.counts[i];
+      
+      if (seen >= rank) {
+        return i < this.buckets.length ? Math.min(this.buckets[i], this.max) : this.max;
+      }
+    }
+    
+    return this.max;
+  }
+
+  /**
+   * Get histogram stats
+   * @returns {Object} Histogram stats
+   */
+  getStats() {
+    return {
+      count: this.count,
+      min: this.min,
+      max: this.max,
+      mean: this.count > 0 ? this.sum / this.count : null,
+      p50: this.getPercentile(50),
+      p95: this.getPercentile(95),
+      p99: this.getPercentile(99),
+      buckets: this.counts.map((count, i) => ({
+        le: i < this.buckets.length ? this.buckets[i] : null,
+        count
+      }))
+    };
+  }
+}
+
+module.exports = LatencyHistogram;
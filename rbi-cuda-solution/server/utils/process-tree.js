@@ -0,0 +1,115 @@
+/**
+ * Process Tree Utility
+ * Reads Linux process information from /proc
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Process file system root
+const PROC_ROOT = '/proc';
+
+/**
+ * Get a process and all its descendants
+ * @param {number} rootPid Root process ID
+ * @returns {Promise<Array>} Processes with pid, ppid and args, the root first
+ */
+async function getProcessTree(rootPid) {
+  const processes = new Map();
+  const entries = await fs.promises.readdir(PROC_ROOT);
+  
+  // Read parent and command line of every process; processes may exit while we read
+  for (const entry of entries) {
+    if (!/^\d+$/.test(entry)) {
+      continue;
+    }
+    
+    try {
+      const stat = await fs.promises.readFile(path.join(PROC_ROOT, entry, 'stat'), 'utf8');
+      const cmdline = await fs.promises.readFile(path.join(PROC_ROOT, entry, 'cmdline'), 'utf8');
+      
+      // The command name may hold spaces and parentheses, so fields are counted from the last ')'
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      
+      processes.set(Number(entry), {
+        pid: Number(entry),
+        ppid: Number(fields[1]),
+        args: cmdline.split('\0').filter(Boolean)
+      });
+    } catch (error) {
+      continue;
+    }
+  }
+  
+  if (!processes.has(rootPid)) {
+    return [];
+  }
+  
+  // Walk down from the root
+  const tree = [processes.get(rootPid)];
+  
+  for (let i = 0; i < tree.length; i++) {
+    for (const proc of processes.values()) {
+      if (proc.ppid === tree[i].pid) {
+        tree.push(proc);
+      }
+    }
+  }
+  
+  return tree;
+}
+
+/**
+ * Read process status
+ * @param {number} pid Process ID
+ * @returns {Promise<Object>} Status fields by name, values as strings
+ */
+async function readProcessStatus(pid) {
+  const content = await fs.promises.readFile(path.join(PROC_ROOT, String(pid), 'status'), 'utf8');
+  const status = {};
+  
+  for (const line of content.split('\n')) {
+    const index = line.indexOf(':');
+    
+    if (index > 0) {
+      status[line.slice(0, index)] = line.slice(index + 1).trim();
+    }
+  }
+  
+  return status;
+}
+
+/**
+ * Get the resident memory of a process and all its descendants
+ * @param {number} rootPid Root process ID
+ * @returns {Promise<Object>} Total resident bytes and resident bytes per process
+ */
+async function getProcessTreeMemory(rootPid) {
+  const processes = [];
+  let rss = 0;
+  
+  for (const proc of await getProcessTree(rootPid)) {
+    try {
+      // VmRSS is reported in kB; kernel threads have none
+      const status = await readProcessStatus(proc.pid);
+      const processRss = status.VmRSS ? parseInt(status.VmRSS, 10) * 1024 : 0;
+      
+      processes.push({
+        pid: proc.pid,
+        type: (proc.args.find(arg => arg.startsWith('--type=')) || '--type=browser').slice('--type='.length),
+        rss: processRss
+      });
+      rss += processRss;
+    } catch (error) {
+      continue;
+    }
+  }
+  
+  return { rss, processes };
+}
+
+module.exports = {
+  getProcessTree,
+  readProcessStatus,
+  getProcessTreeMemory
+};
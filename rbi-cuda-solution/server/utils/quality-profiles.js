@@ -0,0 +1,162 @@
+/**
+ * Quality Profiles Utility
+ * Named stream quality profiles: the built-in ones from STREAMING_CONFIG and custom ones from the profiles file
+ *
+ * The profiles file maps profile names to settings, JSON or YAML:
+ *
+ *   kiosk:
+ *     extends: medium
+ *     frameRate: 20
+ *     screencastQuality: 70
+ *
+ * Settings left out are taken from the profile named by "extends", or from the stream defaults.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { STREAMING_CONFIG } = require('./config');
+const { ValidationError } = require('./error-handler');
+const logger = require('./logger');
+
+// Numeric settings and their bounds
+const NUMERIC_SETTINGS = {
+  width: [320, 3840],
+  height: [240, 2160],
+  frameRate: [STREAMING_CONFIG.minFrameRate, STREAMING_CONFIG.maxFrameRate],
+  bitrate: [STREAMING_CONFIG.minBitrate, STREAMING_CONFIG.maxBitrate],
+  screencastQuality: [1, 100]
+};
+
+// Loaded profiles
+let profiles = null;
+
+/**
+ * Load quality profiles
+ * @returns {Object} Profiles by name
+ */
+function loadQualityProfiles() {
+  const sources = { ...STREAMING_CONFIG.qualityProfiles };
+  
+  // Read custom profiles
+  if (STREAMING_CONFIG.qualityProfilesFile) {
+    const content = fs.readFileSync(STREAMING_CONFIG.qualityProfilesFile, 'utf8');
+    const extension = path.extname(STREAMING_CONFIG.qualityProfilesFile).toLowerCase();
+    const custom = (extension === '.json' ? JSON.parse(content) : yaml.load(content)) || {};
+    
+    if (typeof custom !== 'object' || Array.isArray(custom)) {
+      throw new Error(`Quality profiles file must map profile names to settings: ${STREAMING_CONFIG.qualityProfilesFile}`);
+    }
+    
+    Object.assign(sources, custom);
+  }
+  
+  // Resolve and validate every profile
+  const loaded = {};
+  
+  for (const name of Object.keys(sources)) {
+    loaded[name] = resolveProfile(name, sources, []);
+  }
+  
+  profiles = loaded;
+  
+  logger.info(`Quality profiles loaded: ${Object.keys(profiles).join(', ')}`);
+  
+  return profiles;
+}
+
+/**
+ * Resolve profile
+ * @param {string} name Profile name
+ * @param {Object} sources Profile sources by name
+ * @param {Array} chain Profiles being resolved, to catch cycles
+ * @returns {Object} Profile settings
+ */
+function resolveProfile(name, sources, chain) {
+  const source = sources[name];
+  
+  if (!source && chain.length > 0) {
+    throw new Error(`Quality profile ${chain[chain.length - 1]} extends unknown profile: ${name}`);
+  }
+  
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error(`Quality profile ${name} must map settings to values`);
+  }
+  
+  if (chain.includes(name)) {
+    throw new Error(`Quality profile ${name} is part of an extends cycle`);
+  }
+  
+  const { extends: parent, ...settings } = source;
+  
+  // Start from the parent profile or the stream defaults
+  const profile = parent ? resolveProfile(parent, sources, [...chain, name]) : {
+    width: STREAMING_CONFIG.defaultWidth,
+    height: STREAMING_CONFIG.defaultHeight,
+    frameRate: STREAMING_CONFIG.defaultFrameRate,
+    bitrate: STREAMING_CONFIG.defaultBitrate,
+    screencastQuality: STREAMING_CONFIG.defaultScreencastQuality,
+    encodingStrategy: STREAMING_CONFIG.defaultEncodingStrategy
+  };
+  
+  for (const [key, value] of Object.entries(settings)) {
+    if (NUMERIC_SETTINGS[key]) {
+      const [min, max] = NUMERIC_SETTINGS[key];
+      
+      if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`Quality profile ${name} ${key} must be a number from ${min} to ${max}`);
+      }
+    } else if (key === 'encodingStrategy') {
+      if (!STREAMING_CONFIG.encodingStrategies.includes(value)) {
+        throw new Error(`Quality profile ${name} has unknown encoding strategy: ${value}`);
+      }
+    } else {
+      throw new Error(`Quality profile ${name} has unknown setting: ${key}`);
+    }
+    
+    profile[key] = value;
+  }
+  
+  return profile;
+}
+
+/**
+ * Get quality profile
+ * @param {string} name Profile name
+ * @returns {Object} Profile settings
+ */
+function getQualityProfile(name) {
+  const profile = getQualityProfiles()[name];
+  
+  if (!profile) {
+    throw new ValidationError(`Unknown quality profile: ${name}`, [{
+      field: 'quality',
+      message: `Quality must be one of: ${getQualityProfileNames().join(', ')}`
+    }]);
+  }
+  
+  return { ...profile };
+}
+
+/**
+ * Get quality profiles
+ * @returns {Object} Profiles by name
+ */
+function getQualityProfiles() {
+  return profiles || loadQualityProfiles();
+}
+
+/**
+ * Get quality profile names
+ * @returns {Array} Profile names
+ */
+function getQualityProfileNames() {
+  return Object.keys(getQualityProfiles());
+}
+
+module.exports = {
+  loadQualityProfiles,
+  getQualityProfile,
+  getQualityProfiles,
+  getQualityProfileNames
+};
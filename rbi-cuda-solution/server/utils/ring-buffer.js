@@ -0,0 +1,124 @@
+/**
+ * Ring Buffer Utility
+ * Fixed-capacity FIFO queue backed by a preallocated array
+ */
+
+/**
+ * RingBuffer class
+ */
+class RingBuffer {
+  /**
+   * Constructor
+   * @param {number} capacity Maximum number of items
+   */
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity);
+    this.items = new Array(this.capacity);
+    this.head = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Check if the buffer is full
+   * @returns {boolean} Full
+   */
+  isFull() {
+    return this.length === this.capacity;
+  }
+
+  /**
+   * Append item
+   * @param {*} item Item
+   * @returns {boolean} Whether the item was added; false when full
+   */
+  push(item) {
+    if (this.isFull()) {
+      return false;
+    }
+    
+    this.items[(this.head + this.length) % this.capacity] = item;
+    this.length++;
+    
+    return true;
+  }
+
+  /**
+   * Remove oldest item
+   * @returns {*} Item, or undefined when empty
+   */
+  shift() {
+    if (this.length === 0) {
+      return undefined;
+    }
+    
+    const item = this.items[this.head];
+    
+    this.items[this.head] = undefined;
+    this.head = (this.head + 1) % this.capacity;
+    this.length--;
+    
+    return item;
+  }
+
+  /**
+   * Remove the oldest item matching a predicate
+   * @param {Function} predicate Predicate
+   * @returns {*} Item, or undefined when none matches
+   */
+  remove(predicate) {
+    const removed = this.removeAll(predicate, 1);
+    
+    return removed[0];
+  }
+
+  /**
+   * Remove items matching a predicate, keeping the order of the rest
+   * @param {Function} predicate Predicate
+   * @param {number} limit Maximum number of items to remove
+   * @returns {Array} Removed items, oldest first
+   */
+  removeAll(predicate, limit = Infinity) {
+    const removed = [];
+    const kept = [];
+    
+    for (const item of this.toArray()) {
+      if (removed.length < limit && predicate(item)) {
+        removed.push(item);
+      } else {
+        kept.push(item);
+      }
+    }
+    
+    if (removed.length > 0) {
+      this.clear();
+      kept.forEach(item => this.push(item));
+    }
+    
+    return removed;
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.items.fill(undefined);
+    this.head = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Get items, oldest first
+   * @returns {Array} Items
+   */
+  toArray() {
+    const items = [];
+    
+    for (let i = 0; i < this.length; i++) {
+      items.push(this.items[(this.head + i) % this.capacity]);
+    }
+    
+    return items;
+  }
+}
+
+module.exports = RingBuffer;